@@ -0,0 +1,80 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireStaffRole } from '@/lib/trust-permission-guard'
+import { createChallenge, createChallengeFromTemplate, listChallenges } from '@/lib/trust-challenge-service'
+import { CHALLENGE_TEMPLATES, CHALLENGE_METRICS } from '@/lib/trust-challenges'
+
+export async function GET(request: NextRequest) {
+  try {
+    const { denied } = await requireStaffRole(request, 'admin')
+    if (denied) return denied
+
+    const { searchParams } = new URL(request.url)
+    const status = searchParams.get('status')
+
+    if (status && status !== 'open' && status !== 'closed') {
+      return NextResponse.json({ error: 'status must be open or closed' }, { status: 400 })
+    }
+
+    console.log('🏁 CHALLENGES ADMIN API: Listing challenges')
+
+    const challenges = await listChallenges((status || undefined) as 'open' | 'closed' | undefined)
+
+    return NextResponse.json({
+      success: true,
+      challenges,
+      templates: Object.keys(CHALLENGE_TEMPLATES),
+      metrics: CHALLENGE_METRICS
+    })
+  } catch (error) {
+    console.error('Challenges admin API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch challenges' },
+      { status: 500 }
+    )
+  }
+}
+
+// { challenge: { slug, title, description, targets, rewards, startsAt, endsAt } }
+// or { template, startsAt, endsAt? } - created by the calling admin
+export async function POST(request: NextRequest) {
+  try {
+    const { userId: adminId, denied } = await requireStaffRole(request, 'admin')
+    if (denied) return denied
+
+    const { challenge, template, startsAt, endsAt } = await request.json()
+
+    if (!challenge && !template) {
+      return NextResponse.json(
+        { error: 'A challenge or template is required' },
+        { status: 400 }
+      )
+    }
+    if (template && (!startsAt || Number.isNaN(new Date(startsAt).getTime()))) {
+      return NextResponse.json({ error: 'startsAt is required with a template' }, { status: 400 })
+    }
+
+    console.log(`🏁 CHALLENGES ADMIN API: Admin ${adminId} creating ${template ? `challenge from ${template}` : 'challenge'}`)
+
+    const created = template
+      ? await createChallengeFromTemplate(template, new Date(startsAt), adminId, endsAt ? new Date(endsAt) : undefined)
+      : await createChallenge(challenge, adminId)
+
+    return NextResponse.json({ success: true, challenge: created }, { status: 201 })
+  } catch (error) {
+    console.error('Challenges admin API error:', error)
+    const message = (error as Error).message || ''
+    if (/Invalid challenge/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 400 })
+    }
+    if (/not found/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 404 })
+    }
+    if (/already exists/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 409 })
+    }
+    return NextResponse.json(
+      { error: 'Failed to create challenge' },
+      { status: 500 }
+    )
+  }
+}
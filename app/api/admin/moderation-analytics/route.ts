@@ -0,0 +1,33 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireStaffRole } from '@/lib/trust-permission-guard'
+import { getModerationAnalytics } from '@/lib/moderation-analytics-service'
+import { parseDateRange } from '@/lib/moderation-analytics'
+
+// ?from=2025-01-01&to=2025-02-01&limit=10 (defaults to the last 30 days; to is exclusive)
+// Moderators and admins only
+export async function GET(request: NextRequest) {
+  try {
+    const { denied } = await requireStaffRole(request)
+    if (denied) return denied
+
+    const { searchParams } = new URL(request.url)
+    const parsed = parseDateRange(searchParams.get('from'), searchParams.get('to'))
+    const limit = Math.min(100, Math.max(1, Number(searchParams.get('limit')) || 10))
+
+    if (!parsed.valid) {
+      return NextResponse.json({ error: parsed.error }, { status: 400 })
+    }
+
+    console.log(`📊 MODERATION ANALYTICS API: ${parsed.range.from.toISOString()} to ${parsed.range.to.toISOString()}`)
+
+    const analytics = await getModerationAnalytics(parsed.range, { limit })
+
+    return NextResponse.json({ success: true, ...analytics })
+  } catch (error) {
+    console.error('Moderation analytics API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch moderation analytics' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,74 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireStaffRole } from '@/lib/trust-permission-guard'
+import {
+  getPenaltyCatalogue,
+  getPenaltyCatalogueHistory,
+  updatePenaltyCatalogue
+} from '@/lib/trust-penalty-catalogue-service'
+
+// Readable by moderators and admins
+export async function GET(request: NextRequest) {
+  try {
+    const { denied } = await requireStaffRole(request)
+    if (denied) return denied
+
+    console.log('📘 PENALTY CATALOGUE API: Getting current catalogue')
+
+    const current = await getPenaltyCatalogue()
+    const history = await getPenaltyCatalogueHistory()
+
+    return NextResponse.json({
+      success: true,
+      version: current.version,
+      catalogue: current.catalogue,
+      history
+    })
+  } catch (error) {
+    console.error('Penalty catalogue API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch penalty catalogue' },
+      { status: 500 }
+    )
+  }
+}
+
+// { baseVersion?, note?, changes: { penalties?, repeatOffenderMultiplier?, restrictionTiers?, communityOverrides? } }
+// Admins only; the version is recorded as created by the caller
+export async function POST(request: NextRequest) {
+  try {
+    const { userId: adminId, denied } = await requireStaffRole(request, 'admin')
+    if (denied) return denied
+
+    const { baseVersion, note, changes } = await request.json()
+
+    if (!changes || typeof changes !== 'object') {
+      return NextResponse.json(
+        { error: 'changes are required' },
+        { status: 400 }
+      )
+    }
+
+    console.log(`📘 PENALTY CATALOGUE API: Admin ${adminId} editing catalogue (base version ${baseVersion ?? 'latest'})`)
+
+    const saved = await updatePenaltyCatalogue(changes, {
+      adminId,
+      note,
+      baseVersion: baseVersion === undefined ? undefined : Number(baseVersion)
+    })
+
+    return NextResponse.json({ success: true, version: saved.version, changes: saved.changes, catalogue: saved.catalogue }, { status: 201 })
+  } catch (error) {
+    console.error('Penalty catalogue API error:', error)
+    const message = (error as Error).message || ''
+    if (/Invalid penalty catalogue/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 400 })
+    }
+    if (/has changed since/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 409 })
+    }
+    return NextResponse.json(
+      { error: 'Failed to update penalty catalogue' },
+      { status: 500 }
+    )
+  }
+}
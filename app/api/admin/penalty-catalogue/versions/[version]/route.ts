@@ -0,0 +1,33 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireStaffRole } from '@/lib/trust-permission-guard'
+import { getPenaltyCatalogueVersion } from '@/lib/trust-penalty-catalogue-service'
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ version: string }> }
+) {
+  try {
+    const { denied } = await requireStaffRole(request)
+    if (denied) return denied
+
+    const { version } = await params
+
+    console.log(`📘 PENALTY CATALOGUE API: Getting version ${version}`)
+
+    const found = await getPenaltyCatalogueVersion(Number(version))
+    if (!found) {
+      return NextResponse.json(
+        { error: `Penalty catalogue version not found: ${version}` },
+        { status: 404 }
+      )
+    }
+
+    return NextResponse.json({ success: true, ...found })
+  } catch (error) {
+    console.error('Penalty catalogue version API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch penalty catalogue version' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,33 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireActiveMember } from '@/lib/trust-permission-guard'
+import { joinChallenge } from '@/lib/trust-challenge-service'
+
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const { id } = await params
+    const { userId, denied } = await requireActiveMember(request)
+    if (denied) return denied
+
+    console.log(`🏁 CHALLENGES API: User ${userId} joining challenge ${id}`)
+
+    const challenge = await joinChallenge(Number(id), userId)
+
+    return NextResponse.json({ success: true, challenge }, { status: 201 })
+  } catch (error) {
+    console.error('Challenge join API error:', error)
+    const message = (error as Error).message || ''
+    if (/not found/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 404 })
+    }
+    if (/not running|already joined/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 409 })
+    }
+    return NextResponse.json(
+      { error: 'Failed to join challenge' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,35 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireSelfOrModerator } from '@/lib/trust-permission-guard'
+import { listChallenges, getUserChallenges } from '@/lib/trust-challenge-service'
+import { challengeSummary, isChallengeRunning } from '@/lib/trust-challenges'
+
+// Running challenges; with ?userId also the member's joined challenges, badges and multiplier
+// (the caller's own, or any member's for moderators)
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    let userId = searchParams.get('userId')
+    if (userId) {
+      const check = await requireSelfOrModerator(request, userId)
+      if (check.denied) return check.denied
+      userId = check.userId
+    }
+
+    console.log(`🏁 CHALLENGES API: Listing challenges${userId ? ` for user ${userId}` : ''}`)
+
+    const running = (await listChallenges('open')).filter(challenge => isChallengeRunning(challenge))
+    const mine = userId ? await getUserChallenges(userId) : null
+
+    return NextResponse.json({
+      success: true,
+      challenges: running.map(challenge => challengeSummary(challenge)),
+      ...(mine ? { joined: mine.challenges, badges: mine.badges, multiplier: mine.multiplier } : {})
+    })
+  } catch (error) {
+    console.error('Challenges API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch challenges' },
+      { status: 500 }
+    )
+  }
+}
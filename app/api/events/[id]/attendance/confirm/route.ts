@@ -0,0 +1,37 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireActiveMember } from '@/lib/trust-permission-guard'
+import { confirmAttendance } from '@/lib/event-attendance-service'
+
+// Host only: finalize attendance after the event; RSVPs without a check-in become no-shows
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const { id } = await params
+    const { userId: hostId, denied } = await requireActiveMember(request)
+    if (denied) return denied
+
+    console.log(`📋 EVENT ATTENDANCE API: Host ${hostId} confirming attendance for event ${id}`)
+
+    const attendance = await confirmAttendance(id, hostId)
+
+    return NextResponse.json({ success: true, attendance })
+  } catch (error) {
+    console.error('Event attendance confirm API error:', error)
+    const message = (error as Error).message || ''
+    if (/not found/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 404 })
+    }
+    if (/Only the event host/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 403 })
+    }
+    if (/after the event ends|already been finalized/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 409 })
+    }
+    return NextResponse.json(
+      { error: 'Failed to confirm attendance' },
+      { status: 500 }
+    )
+  }
+}
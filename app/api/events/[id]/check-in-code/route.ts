@@ -0,0 +1,36 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getRequestUserId } from '@/lib/trust-permission-guard'
+import { getCheckInCode } from '@/lib/event-attendance-service'
+
+// Host only: the signed token to render as the event's check-in QR code
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const { id } = await params
+    const hostId = getRequestUserId(request)
+    if (!hostId) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 })
+    }
+
+    console.log(`📋 EVENT ATTENDANCE API: Host ${hostId} fetching check-in code for event ${id}`)
+
+    const code = await getCheckInCode(id, hostId)
+
+    return NextResponse.json({ success: true, ...code })
+  } catch (error) {
+    console.error('Event check-in code API error:', error)
+    const message = (error as Error).message || ''
+    if (/not found/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 404 })
+    }
+    if (/Only the event host/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 403 })
+    }
+    return NextResponse.json(
+      { error: 'Failed to create check-in code' },
+      { status: 500 }
+    )
+  }
+}
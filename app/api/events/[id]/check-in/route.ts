@@ -0,0 +1,44 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireTrustPermission, getRequestUserId } from '@/lib/trust-permission-guard'
+import { checkInWithCode } from '@/lib/event-attendance-service'
+
+// { token } - the attendee scanned the event's QR code
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const denied = await requireTrustPermission(request)
+    if (denied) return denied
+
+    const { id } = await params
+    const userId = getRequestUserId(request)!
+    const { token } = await request.json()
+
+    if (!token) {
+      return NextResponse.json({ error: 'token is required' }, { status: 400 })
+    }
+
+    console.log(`📋 EVENT ATTENDANCE API: User ${userId} checking in to event ${id}`)
+
+    const checkIn = await checkInWithCode(id, userId, token)
+
+    return NextResponse.json({ success: true, checkIn }, { status: checkIn.alreadyCheckedIn ? 200 : 201 })
+  } catch (error) {
+    console.error('Event check-in API error:', error)
+    const message = (error as Error).message || ''
+    if (/not found/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 404 })
+    }
+    if (/check-in code|no attending RSVP/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 400 })
+    }
+    if (/not open|closed|already been finalized/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 409 })
+    }
+    return NextResponse.json(
+      { error: 'Failed to check in' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,45 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireActiveMember } from '@/lib/trust-permission-guard'
+import { checkInFromRoster } from '@/lib/event-attendance-service'
+
+// { userId } - the host checked an attendee in from the roster
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const { id } = await params
+    const { userId: hostId, denied } = await requireActiveMember(request)
+    if (denied) return denied
+
+    const { userId } = await request.json()
+    if (!userId) {
+      return NextResponse.json({ error: 'userId is required' }, { status: 400 })
+    }
+
+    console.log(`📋 EVENT ATTENDANCE API: Host ${hostId} checking in user ${userId} at event ${id}`)
+
+    const checkIn = await checkInFromRoster(id, hostId, String(userId))
+
+    return NextResponse.json({ success: true, checkIn }, { status: checkIn.alreadyCheckedIn ? 200 : 201 })
+  } catch (error) {
+    console.error('Event roster check-in API error:', error)
+    const message = (error as Error).message || ''
+    if (/not found/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 404 })
+    }
+    if (/Only the event host/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 403 })
+    }
+    if (/no attending RSVP/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 400 })
+    }
+    if (/not open|closed|already been finalized/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 409 })
+    }
+    return NextResponse.json(
+      { error: 'Failed to check in attendee' },
+      { status: 500 }
+    )
+  }
+}
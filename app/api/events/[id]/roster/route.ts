@@ -0,0 +1,36 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getRequestUserId } from '@/lib/trust-permission-guard'
+import { getRoster } from '@/lib/event-attendance-service'
+
+// Host only: RSVPs with check-ins, the check-in window and the attendance review
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const { id } = await params
+    const hostId = getRequestUserId(request)
+    if (!hostId) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 })
+    }
+
+    console.log(`📋 EVENT ATTENDANCE API: Host ${hostId} fetching roster for event ${id}`)
+
+    const roster = await getRoster(id, hostId)
+
+    return NextResponse.json({ success: true, ...roster })
+  } catch (error) {
+    console.error('Event roster API error:', error)
+    const message = (error as Error).message || ''
+    if (/not found/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 404 })
+    }
+    if (/Only the event host/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 403 })
+    }
+    return NextResponse.json(
+      { error: 'Failed to fetch roster' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,42 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireSelfOrModerator } from '@/lib/trust-permission-guard'
+import { getHiddenContentForOwner } from '@/lib/trust-flag-service'
+import { FLAG_REASONS } from '@/lib/trust-flags'
+
+// The caller's content that is hidden after community flags, with the reasons;
+// moderators may pass ?userId= for another author
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const { userId, denied } = await requireSelfOrModerator(request, searchParams.get('userId'))
+    if (denied) return denied
+
+    console.log(`🙈 FLAGS API: Getting hidden content for user ${userId}`)
+
+    const groups = await getHiddenContentForOwner(userId)
+    const hidden = groups.map(group => ({
+      targetType: group.targetType,
+      targetId: group.targetId,
+      status: group.status === 'upheld' ? 'removed' : 'pending_review',
+      hiddenAt: group.hiddenAt,
+      flagCount: group.flagCount,
+      reasons: Object.entries(group.reasons).map(([reason, count]) => ({
+        reason,
+        label: FLAG_REASONS[reason] || reason,
+        count
+      }))
+    }))
+
+    return NextResponse.json({
+      success: true,
+      userId,
+      hidden
+    })
+  } catch (error) {
+    console.error('Hidden content API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch hidden content' },
+      { status: 500 }
+    )
+  }
+}
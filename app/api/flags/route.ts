@@ -0,0 +1,36 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireTrustPermission, getRequestUserId } from '@/lib/trust-permission-guard'
+import { submitFlag } from '@/lib/trust-flag-service'
+
+// { targetType: 'post' | 'comment' | 'event' | 'profile', targetId, reason, details? }
+export async function POST(request: NextRequest) {
+  try {
+    const denied = await requireTrustPermission(request)
+    if (denied) return denied
+
+    const flaggerId = getRequestUserId(request)!
+    const { targetType, targetId, reason, details } = await request.json()
+
+    console.log(`🚩 FLAGS API: User ${flaggerId} flagging ${targetType} ${targetId} (${reason})`)
+
+    const { flag, group, autoHide } = await submitFlag(flaggerId, { targetType, targetId, reason, details })
+
+    return NextResponse.json({ success: true, flag, group, hidden: autoHide.hidden }, { status: 201 })
+  } catch (error) {
+    console.error('Flags API error:', error)
+    const message = (error as Error).message || ''
+    if (/Invalid flag|own content/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 400 })
+    }
+    if (/not found/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 404 })
+    }
+    if (/already flagged/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 409 })
+    }
+    return NextResponse.json(
+      { error: 'Failed to submit flag' },
+      { status: 500 }
+    )
+  }
+}
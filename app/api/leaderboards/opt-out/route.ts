@@ -0,0 +1,47 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getRequestUserId } from '@/lib/trust-permission-guard'
+import { getLeaderboardOptOut, setLeaderboardOptOut } from '@/lib/trust-leaderboard-service'
+
+export async function GET(request: NextRequest) {
+  try {
+    const userId = getRequestUserId(request)
+    if (!userId) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 })
+    }
+
+    return NextResponse.json({ success: true, optedOut: await getLeaderboardOptOut(userId) })
+  } catch (error) {
+    console.error('Leaderboard opt-out API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch leaderboard preference' },
+      { status: 500 }
+    )
+  }
+}
+
+// { optOut: boolean } - leave or rejoin the leaderboards
+export async function POST(request: NextRequest) {
+  try {
+    const userId = getRequestUserId(request)
+    if (!userId) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 })
+    }
+
+    const { optOut } = await request.json()
+    if (typeof optOut !== 'boolean') {
+      return NextResponse.json({ error: 'optOut must be true or false' }, { status: 400 })
+    }
+
+    console.log(`🏆 LEADERBOARDS API: User ${userId} opting ${optOut ? 'out' : 'in'}`)
+
+    const optedOut = await setLeaderboardOptOut(userId, optOut)
+
+    return NextResponse.json({ success: true, optedOut })
+  } catch (error) {
+    console.error('Leaderboard opt-out API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to update leaderboard preference' },
+      { status: 500 }
+    )
+  }
+}
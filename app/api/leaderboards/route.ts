@@ -0,0 +1,37 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getRequestUserId } from '@/lib/trust-permission-guard'
+import { getLeaderboard } from '@/lib/trust-leaderboard-service'
+import { LEADERBOARD_PERIODS, LeaderboardPeriod } from '@/lib/trust-leaderboards'
+
+// ?period=weekly|monthly|quarterly&city=Phoenix&friends=true (friends of the caller)
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const period = (searchParams.get('period') || 'weekly') as LeaderboardPeriod
+    const city = searchParams.get('city')
+    const friendsOnly = searchParams.get('friends') === 'true'
+    const viewerId = getRequestUserId(request)
+
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+      return NextResponse.json(
+        { error: `period must be one of ${LEADERBOARD_PERIODS.join(', ')}` },
+        { status: 400 }
+      )
+    }
+    if (friendsOnly && !viewerId) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 })
+    }
+
+    console.log(`🏆 LEADERBOARDS API: ${period} leaderboard${city ? ` for ${city}` : ''}${friendsOnly ? ' (friends)' : ''}`)
+
+    const leaderboard = await getLeaderboard(period, { city, friendsOf: friendsOnly ? viewerId : null }, { viewerId })
+
+    return NextResponse.json({ success: true, ...leaderboard })
+  } catch (error) {
+    console.error('Leaderboards API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch leaderboard' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,35 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireStaffRole } from '@/lib/trust-permission-guard'
+import { claimModerationCase } from '@/lib/trust-moderation-service'
+
+// The caller claims the case
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const { userId: moderatorId, denied } = await requireStaffRole(request)
+    if (denied) return denied
+
+    const { id } = await params
+
+    console.log(`🙋 MODERATION API: Moderator ${moderatorId} claiming case ${id}`)
+
+    const moderationCase = await claimModerationCase(Number(id), moderatorId)
+
+    return NextResponse.json({ success: true, case: moderationCase })
+  } catch (error) {
+    console.error('Moderation claim API error:', error)
+    const message = (error as Error).message || ''
+    if (/not found/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 404 })
+    }
+    if (/already/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 409 })
+    }
+    return NextResponse.json(
+      { error: 'Failed to claim moderation case' },
+      { status: 500 }
+    )
+  }
+}
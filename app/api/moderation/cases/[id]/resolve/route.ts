@@ -0,0 +1,45 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireStaffRole } from '@/lib/trust-permission-guard'
+import { resolveModerationCase } from '@/lib/trust-moderation-service'
+import { ModerationResolution } from '@/lib/trust-moderation'
+
+// { resolution, note?, duration? } - the case must be claimed by the calling moderator;
+// duration ("7 days") overrides the recommended length of a suspension or monitoring period
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const { userId: moderatorId, denied } = await requireStaffRole(request)
+    if (denied) return denied
+
+    const { id } = await params
+    const { resolution, note, duration } = await request.json()
+
+    if (!resolution) {
+      return NextResponse.json(
+        { error: 'resolution is required' },
+        { status: 400 }
+      )
+    }
+
+    console.log(`✅ MODERATION API: Moderator ${moderatorId} resolving case ${id} as ${resolution}`)
+
+    const moderationCase = await resolveModerationCase(Number(id), moderatorId, resolution as ModerationResolution, note, { duration })
+
+    return NextResponse.json({ success: true, case: moderationCase })
+  } catch (error) {
+    console.error('Moderation resolve API error:', error)
+    const message = (error as Error).message || ''
+    if (/not found/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 404 })
+    }
+    if (/must be claimed|must be one of|Invalid sanction duration/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 400 })
+    }
+    return NextResponse.json(
+      { error: 'Failed to resolve moderation case' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,33 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireStaffRole } from '@/lib/trust-permission-guard'
+import { getModerationCaseDetails } from '@/lib/trust-moderation-service'
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const { denied } = await requireStaffRole(request)
+    if (denied) return denied
+
+    const { id } = await params
+
+    console.log(`🗂️ MODERATION API: Getting case ${id}`)
+
+    const moderationCase = await getModerationCaseDetails(Number(id))
+    if (!moderationCase) {
+      return NextResponse.json(
+        { error: 'Moderation case not found' },
+        { status: 404 }
+      )
+    }
+
+    return NextResponse.json({ success: true, case: moderationCase })
+  } catch (error) {
+    console.error('Moderation case API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch moderation case' },
+      { status: 500 }
+    )
+  }
+}
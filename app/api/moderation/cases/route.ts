@@ -0,0 +1,49 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireStaffRole } from '@/lib/trust-permission-guard'
+import { listModerationCases } from '@/lib/trust-moderation-service'
+import { ModerationCaseStatus, ModerationPriority } from '@/lib/trust-moderation'
+
+const STATUSES = ['open', 'claimed', 'resolved']
+const PRIORITIES = ['low', 'medium', 'high', 'critical']
+
+export async function GET(request: NextRequest) {
+  try {
+    const { denied } = await requireStaffRole(request)
+    if (denied) return denied
+
+    const { searchParams } = new URL(request.url)
+    const status = searchParams.get('status') || 'open'
+    const priority = searchParams.get('priority')
+    const assigneeId = searchParams.get('assigneeId')
+    const limit = Math.min(500, Math.max(1, Number(searchParams.get('limit')) || 100))
+
+    if (!STATUSES.includes(status) || (priority && !PRIORITIES.includes(priority))) {
+      return NextResponse.json(
+        { error: `status must be one of ${STATUSES.join(', ')} and priority one of ${PRIORITIES.join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    console.log(`🗂️ MODERATION API: Listing ${status} cases`)
+
+    const cases = await listModerationCases({
+      status: status as ModerationCaseStatus,
+      priority: (priority || undefined) as ModerationPriority | undefined,
+      assigneeId: assigneeId || undefined,
+      limit
+    })
+
+    return NextResponse.json({
+      success: true,
+      status,
+      count: cases.length,
+      cases
+    })
+  } catch (error) {
+    console.error('Moderation cases API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch moderation cases' },
+      { status: 500 }
+    )
+  }
+}
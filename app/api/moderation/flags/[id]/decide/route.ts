@@ -0,0 +1,47 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireStaffRole } from '@/lib/trust-permission-guard'
+import { decideFlagGroup } from '@/lib/trust-flag-service'
+import { FlagDecision } from '@/lib/trust-flags'
+
+// { decision: 'upheld' | 'rejected', note? } - decided by the calling moderator
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const { userId: moderatorId, denied } = await requireStaffRole(request)
+    if (denied) return denied
+
+    const { id } = await params
+    const { decision, note } = await request.json()
+
+    if (!decision) {
+      return NextResponse.json(
+        { error: 'decision is required' },
+        { status: 400 }
+      )
+    }
+
+    console.log(`⚖️ MODERATION API: Moderator ${moderatorId} deciding flag group ${id}: ${decision}`)
+
+    const { group, penalties } = await decideFlagGroup(Number(id), moderatorId, decision as FlagDecision, note)
+
+    return NextResponse.json({ success: true, group, penalties })
+  } catch (error) {
+    console.error('Moderation flag decision API error:', error)
+    const message = (error as Error).message || ''
+    if (/not found/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 404 })
+    }
+    if (/must be one of/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 400 })
+    }
+    if (/already/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 409 })
+    }
+    return NextResponse.json(
+      { error: 'Failed to decide flag group' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,33 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireStaffRole } from '@/lib/trust-permission-guard'
+import { getFlagGroup } from '@/lib/trust-flag-service'
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const { denied } = await requireStaffRole(request)
+    if (denied) return denied
+
+    const { id } = await params
+
+    console.log(`🚩 MODERATION API: Getting flag group ${id}`)
+
+    const group = await getFlagGroup(Number(id))
+    if (!group) {
+      return NextResponse.json(
+        { error: `Flag group not found: ${id}` },
+        { status: 404 }
+      )
+    }
+
+    return NextResponse.json({ success: true, group })
+  } catch (error) {
+    console.error('Moderation flag group API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch flag group' },
+      { status: 500 }
+    )
+  }
+}
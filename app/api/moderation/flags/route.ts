@@ -0,0 +1,46 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireStaffRole } from '@/lib/trust-permission-guard'
+import { listFlagGroups } from '@/lib/trust-flag-service'
+import { FLAG_TARGET_TYPES, FlagGroupStatus, FlagTargetType } from '@/lib/trust-flags'
+
+const STATUSES = ['open', 'upheld', 'rejected']
+
+export async function GET(request: NextRequest) {
+  try {
+    const { denied } = await requireStaffRole(request)
+    if (denied) return denied
+
+    const { searchParams } = new URL(request.url)
+    const status = searchParams.get('status') || 'open'
+    const targetType = searchParams.get('targetType')
+    const limit = Math.min(500, Math.max(1, Number(searchParams.get('limit')) || 100))
+
+    if (!STATUSES.includes(status) || (targetType && !FLAG_TARGET_TYPES.includes(targetType as FlagTargetType))) {
+      return NextResponse.json(
+        { error: `status must be one of ${STATUSES.join(', ')} and targetType one of ${FLAG_TARGET_TYPES.join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    console.log(`🚩 MODERATION API: Listing ${status} flag groups`)
+
+    const groups = await listFlagGroups({
+      status: status as FlagGroupStatus,
+      targetType: (targetType || undefined) as FlagTargetType | undefined,
+      limit
+    })
+
+    return NextResponse.json({
+      success: true,
+      status,
+      count: groups.length,
+      groups
+    })
+  } catch (error) {
+    console.error('Moderation flags API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch flag groups' },
+      { status: 500 }
+    )
+  }
+}
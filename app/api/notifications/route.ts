@@ -0,0 +1,63 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getRequestUserId, requireSelfOrModerator } from '@/lib/trust-permission-guard'
+import { getNotifications, markNotificationsRead } from '@/lib/notification-service'
+
+// The caller's notifications; moderators may pass ?userId= for another member
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const { userId, denied } = await requireSelfOrModerator(request, searchParams.get('userId'))
+    if (denied) return denied
+
+    const unreadOnly = searchParams.get('unread') === 'true'
+    const limit = Math.min(200, Math.max(1, Number(searchParams.get('limit')) || 50))
+
+    console.log(`🔔 NOTIFICATIONS API: Getting notifications for user ${userId}`)
+
+    const notifications = await getNotifications(userId, { unreadOnly, limit })
+
+    return NextResponse.json({
+      success: true,
+      userId,
+      notifications
+    })
+  } catch (error) {
+    console.error('Notifications API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch notifications' },
+      { status: 500 }
+    )
+  }
+}
+
+// { ids } - mark the caller's notifications read
+export async function POST(request: NextRequest) {
+  try {
+    const userId = getRequestUserId(request)
+    if (!userId) {
+      return NextResponse.json(
+        { success: false, error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    const { ids } = await request.json()
+
+    if (!Array.isArray(ids)) {
+      return NextResponse.json(
+        { error: 'ids are required' },
+        { status: 400 }
+      )
+    }
+
+    const updated = await markNotificationsRead(userId, ids.map(Number))
+
+    return NextResponse.json({ success: true, updated })
+  } catch (error) {
+    console.error('Notifications API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to update notifications' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,29 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireSelfOrModerator } from '@/lib/trust-permission-guard'
+import { getAchievements } from '@/lib/trust-achievement-service'
+
+// The caller's achievements; moderators may pass ?userId= for another member
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const { userId, denied } = await requireSelfOrModerator(request, searchParams.get('userId'))
+    if (denied) return denied
+
+    console.log(`🏅 ACHIEVEMENTS API: Getting achievements for user ${userId}`)
+
+    const { earned, achievements } = await getAchievements(userId)
+
+    return NextResponse.json({
+      success: true,
+      userId,
+      earnedCount: earned.length,
+      achievements
+    })
+  } catch (error) {
+    console.error('Achievements API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch achievements' },
+      { status: 500 }
+    )
+  }
+}
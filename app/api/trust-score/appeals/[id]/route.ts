@@ -0,0 +1,40 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireStaffRole } from '@/lib/trust-permission-guard'
+import { resolveViolationAppeal, AppealDecision } from '@/lib/trust-violation-service'
+
+// Moderator decision on an appeal: { decision: 'upheld' | 'overturned', note? }
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const { userId: moderatorId, denied } = await requireStaffRole(request)
+    if (denied) return denied
+
+    const { id } = await params
+    const { decision, note } = await request.json()
+
+    if (!decision) {
+      return NextResponse.json(
+        { error: 'decision is required' },
+        { status: 400 }
+      )
+    }
+
+    console.log(`⚖️ APPEALS API: Moderator ${moderatorId} marking appeal ${id} ${decision}`)
+
+    const appeal = await resolveViolationAppeal(Number(id), moderatorId, decision as AppealDecision, note)
+
+    return NextResponse.json({ success: true, appeal })
+  } catch (error) {
+    console.error('Appeal resolution API error:', error)
+    const message = (error as Error).message || ''
+    if (/not found|already|decision must be/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 400 })
+    }
+    return NextResponse.json(
+      { error: 'Failed to resolve appeal' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,76 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getRequestUserId, requireStaffRole, requireSelfOrModerator } from '@/lib/trust-permission-guard'
+import { fileViolationAppeal, getOpenAppeals, getUserAppeals } from '@/lib/trust-violation-service'
+
+// GET lists the caller's appeals (moderators may pass ?userId=); GET ?status=open is the
+// moderator queue
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const status = searchParams.get('status')
+
+    if (status === 'open' && !searchParams.get('userId')) {
+      const { denied } = await requireStaffRole(request)
+      if (denied) return denied
+
+      console.log('⚖️ APPEALS API: Getting open appeal queue')
+      const appeals = await getOpenAppeals()
+      return NextResponse.json({ success: true, appeals })
+    }
+
+    const { userId, denied } = await requireSelfOrModerator(request, searchParams.get('userId'))
+    if (denied) return denied
+
+    console.log(`⚖️ APPEALS API: Getting appeals for user ${userId}`)
+
+    const { open, resolved } = await getUserAppeals(userId)
+
+    return NextResponse.json({
+      success: true,
+      userId,
+      open,
+      resolved
+    })
+  } catch (error) {
+    console.error('Appeals API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch appeals' },
+      { status: 500 }
+    )
+  }
+}
+
+// { violationId, statement } - the caller appeals one of their own violations
+export async function POST(request: NextRequest) {
+  try {
+    const userId = getRequestUserId(request)
+    if (!userId) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 })
+    }
+
+    const { violationId, statement } = await request.json()
+
+    if (!violationId || !statement) {
+      return NextResponse.json(
+        { error: 'violationId and statement are required' },
+        { status: 400 }
+      )
+    }
+
+    console.log(`⚖️ APPEALS API: User ${userId} appealing violation ${violationId}`)
+
+    const appeal = await fileViolationAppeal(userId, Number(violationId), statement)
+
+    return NextResponse.json({ success: true, appeal }, { status: 201 })
+  } catch (error) {
+    console.error('Appeals API error:', error)
+    const message = (error as Error).message || ''
+    if (/not found|not appealable|already been appealed|statement/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 400 })
+    }
+    return NextResponse.json(
+      { error: 'Failed to file appeal' },
+      { status: 500 }
+    )
+  }
+}
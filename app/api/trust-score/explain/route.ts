@@ -0,0 +1,27 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireSelfOrModerator } from '@/lib/trust-permission-guard'
+import { explainMemberTrustScore } from '@/lib/trust-score-profile-service'
+
+// Why the caller's score is what it is; moderators may pass ?userId= for another member
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const { userId, denied } = await requireSelfOrModerator(request, searchParams.get('userId'))
+    if (denied) return denied
+
+    console.log(`🔍 TRUST EXPLAIN API: Explaining trust score for user ${userId}`)
+
+    const explanation = await explainMemberTrustScore(userId)
+    if (!explanation) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 })
+    }
+
+    return NextResponse.json({ success: true, userId, ...explanation })
+  } catch (error) {
+    console.error('Trust explain API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to explain trust score' },
+      { status: 500 }
+    )
+  }
+}
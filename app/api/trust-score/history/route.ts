@@ -0,0 +1,37 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireSelfOrModerator } from '@/lib/trust-permission-guard'
+import { getTrustScoreHistory } from '@/lib/enhanced-dataStorage'
+import { analyzeTrustScoreHistory } from '@/lib/trust-score-history'
+
+const MAX_DAYS = 365
+
+// The caller's trust score history; moderators may pass ?userId= for another member
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const { userId, denied } = await requireSelfOrModerator(request, searchParams.get('userId'))
+    if (denied) return denied
+    const days = Math.min(MAX_DAYS, Math.max(1, Number(searchParams.get('days')) || 90))
+
+    console.log(`📈 TRUST HISTORY API: Getting ${days}-day history for user ${userId}`)
+
+    // Read at least 30 days so the 30-day trend is always complete
+    const now = new Date()
+    const since = new Date(now.getTime() - Math.max(days, 30) * 24 * 60 * 60 * 1000)
+    const history = await getTrustScoreHistory(userId, since)
+    const analysis = analyzeTrustScoreHistory(history, { now, days })
+
+    return NextResponse.json({
+      success: true,
+      userId,
+      days,
+      ...analysis
+    })
+  } catch (error) {
+    console.error('Trust history API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch trust score history' },
+      { status: 500 }
+    )
+  }
+}
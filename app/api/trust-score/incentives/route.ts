@@ -0,0 +1,47 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getRequestUserId, requireSelfOrModerator } from '@/lib/trust-permission-guard'
+import { getIncentives, syncIncentiveMilestones } from '@/lib/trust-incentive-service'
+
+// The caller's incentives; moderators may pass ?userId= for another member
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const { userId, denied } = await requireSelfOrModerator(request, searchParams.get('userId'))
+    if (denied) return denied
+
+    console.log(`🎯 INCENTIVES API: Getting incentives for user ${userId}`)
+
+    const incentives = await getIncentives(userId)
+
+    return NextResponse.json({ success: true, userId, ...incentives })
+  } catch (error) {
+    console.error('Incentives API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch incentives' },
+      { status: 500 }
+    )
+  }
+}
+
+// Settle the caller's milestones and profile completion, e.g. after a profile edit
+export async function POST(request: NextRequest) {
+  try {
+    const userId = getRequestUserId(request)
+    if (!userId) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 })
+    }
+
+    console.log(`🎯 INCENTIVES API: Settling milestones for user ${userId}`)
+
+    const { reached, lost } = await syncIncentiveMilestones(userId)
+    const incentives = await getIncentives(userId)
+
+    return NextResponse.json({ success: true, userId, reached, lost, ...incentives })
+  } catch (error) {
+    console.error('Incentives API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to settle incentives' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,31 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireSelfOrModerator } from '@/lib/trust-permission-guard'
+import { getRecoveryStatus } from '@/lib/trust-recovery-service'
+
+// The caller's recovery plan; moderators may pass ?userId= for another member
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const { userId, denied } = await requireSelfOrModerator(request, searchParams.get('userId'))
+    if (denied) return denied
+
+    console.log(`🌱 RECOVERY API: Getting recovery plan for user ${userId}`)
+
+    const { trustScore, plan, progress, history } = await getRecoveryStatus(userId)
+
+    return NextResponse.json({
+      success: true,
+      userId,
+      trustScore,
+      plan,
+      progress,
+      history
+    })
+  } catch (error) {
+    console.error('Recovery API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch recovery plan' },
+      { status: 500 }
+    )
+  }
+}
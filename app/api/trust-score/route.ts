@@ -0,0 +1,28 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireSelfOrModerator } from '@/lib/trust-permission-guard'
+import { calculateMemberTrustScore } from '@/lib/trust-score-profile-service'
+
+// The caller's full trust score (components, internal score, benefits); moderators may
+// pass ?userId= for another member
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const { userId, denied } = await requireSelfOrModerator(request, searchParams.get('userId'))
+    if (denied) return denied
+
+    console.log(`🏆 TRUST SCORE API: Calculating trust score for user ${userId}`)
+
+    const result = await calculateMemberTrustScore(userId)
+    if (!result) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 })
+    }
+
+    return NextResponse.json({ success: true, userId, ...result })
+  } catch (error) {
+    console.error('Trust score API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to calculate trust score' },
+      { status: 500 }
+    )
+  }
+}
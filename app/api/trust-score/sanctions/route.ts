@@ -0,0 +1,29 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireSelfOrModerator } from '@/lib/trust-permission-guard'
+import { getSanctionStatus } from '@/lib/trust-sanction-service'
+
+// The caller's sanctions; moderators may pass ?userId= for another member
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const { userId, denied } = await requireSelfOrModerator(request, searchParams.get('userId'))
+    if (denied) return denied
+
+    console.log(`⏳ SANCTIONS API: Getting active sanctions for user ${userId}`)
+
+    const { suspended, sanctions } = await getSanctionStatus(userId)
+
+    return NextResponse.json({
+      success: true,
+      userId,
+      suspended,
+      sanctions
+    })
+  } catch (error) {
+    console.error('Sanctions API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch sanctions' },
+      { status: 500 }
+    )
+  }
+}
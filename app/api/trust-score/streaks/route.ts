@@ -0,0 +1,55 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireActiveMember, requireSelfOrModerator } from '@/lib/trust-permission-guard'
+import { getStreaks, recordDailyLogin, setStreakTimezone } from '@/lib/trust-streak-service'
+import { checkAchievements } from '@/lib/trust-achievement-service'
+
+// The caller's streaks; moderators may pass ?userId= for another member
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const { userId, denied } = await requireSelfOrModerator(request, searchParams.get('userId'))
+    if (denied) return denied
+
+    console.log(`🔥 STREAKS API: Getting streaks for user ${userId}`)
+
+    const streaks = await getStreaks(userId)
+
+    return NextResponse.json({ success: true, userId, ...streaks })
+  } catch (error) {
+    console.error('Streaks API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch streaks' },
+      { status: 500 }
+    )
+  }
+}
+
+// { timezone? } - record today's login for the caller (and update their timezone); a
+// suspended member is refused with the sanction and its countdown
+export async function POST(request: NextRequest) {
+  try {
+    const { userId, denied } = await requireActiveMember(request)
+    if (denied) return denied
+
+    const { timezone } = await request.json().catch(() => ({}))
+    if (timezone) {
+      await setStreakTimezone(userId, String(timezone))
+    }
+
+    const recorded = await recordDailyLogin(userId)
+    const achievements = recorded ? await checkAchievements(userId) : []
+    const streaks = await getStreaks(userId)
+
+    return NextResponse.json({ success: true, userId, recorded, achievements, ...streaks })
+  } catch (error) {
+    console.error('Streaks API error:', error)
+    const message = (error as Error).message || ''
+    if (/Invalid timezone/i.test(message)) {
+      return NextResponse.json({ error: message }, { status: 400 })
+    }
+    return NextResponse.json(
+      { error: 'Failed to record login' },
+      { status: 500 }
+    )
+  }
+}
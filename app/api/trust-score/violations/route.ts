@@ -0,0 +1,30 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { requireSelfOrModerator } from '@/lib/trust-permission-guard'
+import { getUserViolations } from '@/lib/trust-violation-service'
+
+// The caller's violations; moderators may pass ?userId= for another member
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const { userId, denied } = await requireSelfOrModerator(request, searchParams.get('userId'))
+    if (denied) return denied
+
+    console.log(`🚨 VIOLATIONS API: Getting violations for user ${userId}`)
+
+    const { violations, patterns, riskLevel } = await getUserViolations(userId)
+
+    return NextResponse.json({
+      success: true,
+      userId,
+      violations,
+      patterns,
+      riskLevel
+    })
+  } catch (error) {
+    console.error('Violations API error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch violations' },
+      { status: 500 }
+    )
+  }
+}
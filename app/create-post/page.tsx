@@ -3,6 +3,7 @@
 import React, { useState, useEffect, Suspense } from 'react'
 import { useRouter } from 'next/navigation'
 import Layout from '../../components/Layout'
+import SanctionCountdown from '../../components/SanctionCountdown'
 import { useAuth } from '@/hooks/useAuth'
 import { UserIcon, MagnifyingGlassIcon, XMarkIcon, ArrowLeftIcon, CheckIcon } from '@heroicons/react/24/outline'
 
@@ -255,6 +256,8 @@ function CreatePostContent() {
           errorMessage = 'Invalid post data - please check your content and try again'
         } else if (response.status === 401) {
           errorMessage = 'Authentication required - please sign in and try again'
+        } else if (response.status === 403 && result?.code === 'ACCOUNT_SUSPENDED') {
+          errorMessage = `Your account is suspended until ${new Date(result.sanction.endsAt).toLocaleString()}`
         } else if (response.status === 403) {
           errorMessage = 'You don\'t have permission to create posts'
         } else if (response.status >= 500) {
@@ -342,6 +345,12 @@ function CreatePostContent() {
           </button>
         </div>
 
+        {currentUser?.id && (
+          <div className="mb-6">
+            <SanctionCountdown userId={String(currentUser.id)} />
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} className="space-y-6">
           {/* Who */}
           <div className="bg-white rounded-2xl shadow-soft p-6">
@@ -3,6 +3,8 @@
 import React, { useState, useEffect } from 'react'
 import { useRouter } from 'next/navigation'
 import Layout from '../../../components/Layout'
+import SanctionCountdown from '../../../components/SanctionCountdown'
+import StreakPanel from '../../../components/StreakPanel'
 import { useAuth } from '@/hooks/useAuth'
 
 export default function EditProfilePage() {
@@ -139,6 +141,13 @@ export default function EditProfilePage() {
     <Layout>
       <div className="max-w-4xl mx-auto p-6">
         <h1 className="text-2xl font-bold text-gray-900 mb-8">Edit Profile</h1>
+
+        {currentUser?.id && (
+          <div className="mb-8 space-y-4">
+            <SanctionCountdown userId={String(currentUser.id)} />
+            <StreakPanel userId={String(currentUser.id)} />
+          </div>
+        )}
         
         <form onSubmit={handleSubmit} className="space-y-6">
           {error && (
@@ -0,0 +1,73 @@
+'use client'
+
+/**
+ * ⏳ SANCTION COUNTDOWN
+ *
+ * Settings page panel listing the member's active sanctions with a live countdown to
+ * when each one ends. Renders nothing when the account has no active sanctions.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { sanctionCountdown } from '@/lib/trust-sanctions'
+
+interface ActiveSanction {
+  id: number
+  type: string
+  label: string
+  reason: string
+  endsAt: string
+}
+
+export default function SanctionCountdown({ userId }: { userId: string }) {
+  const [sanctions, setSanctions] = useState<ActiveSanction[]>([])
+  const [now, setNow] = useState(() => new Date())
+
+  useEffect(() => {
+    let cancelled = false
+
+    fetch(`/api/trust-score/sanctions?userId=${encodeURIComponent(userId)}`)
+      .then(response => response.json())
+      .then(data => {
+        if (!cancelled && data.success) setSanctions(data.sanctions)
+      })
+      .catch(error => console.error('Failed to load sanctions:', error))
+
+    return () => {
+      cancelled = true
+    }
+  }, [userId])
+
+  useEffect(() => {
+    if (sanctions.length === 0) return
+    const timer = setInterval(() => setNow(new Date()), 1000)
+    return () => clearInterval(timer)
+  }, [sanctions.length])
+
+  const active = sanctions.filter(sanction => new Date(sanction.endsAt).getTime() > now.getTime())
+  if (active.length === 0) return null
+
+  return (
+    <div className="space-y-3">
+      {active.map(sanction => {
+        const countdown = sanctionCountdown(sanction.endsAt, now)
+        const suspended = sanction.type === 'suspension'
+        return (
+          <div
+            key={sanction.id}
+            className={suspended ? 'bg-red-50 border border-red-200 rounded-lg p-4' : 'bg-yellow-50 border border-yellow-200 rounded-lg p-4'}
+          >
+            <div className="flex items-center justify-between">
+              <p className={suspended ? 'font-semibold text-red-800' : 'font-semibold text-yellow-800'}>{sanction.label}</p>
+              <p className={suspended ? 'font-mono text-red-800' : 'font-mono text-yellow-800'}>
+                {countdown.days > 0 && `${countdown.days}d `}
+                {String(countdown.hours).padStart(2, '0')}:{String(countdown.minutes).padStart(2, '0')}:{String(countdown.seconds).padStart(2, '0')}
+              </p>
+            </div>
+            <p className={suspended ? 'text-sm text-red-700 mt-1' : 'text-sm text-yellow-700 mt-1'}>{sanction.reason}</p>
+            <p className="text-xs text-gray-500 mt-1">Ends {new Date(sanction.endsAt).toLocaleString()}</p>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
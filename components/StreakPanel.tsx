@@ -0,0 +1,72 @@
+'use client'
+
+/**
+ * 🔥 STREAK PANEL
+ *
+ * Profile page panel with the member's login, event and content streaks (current and
+ * best) and the trust score multiplier they earn.
+ */
+
+import React, { useEffect, useState } from 'react'
+
+interface Streak {
+  type: 'daily_login' | 'weekly_event' | 'monthly_content'
+  period: 'day' | 'week' | 'month'
+  current: number
+  best: number
+  activeThisPeriod: boolean
+  graceRemaining: number
+}
+
+const STREAK_LABELS: { [type: string]: { title: string; icon: string } } = {
+  daily_login: { title: 'Daily logins', icon: '📅' },
+  weekly_event: { title: 'Weekly events', icon: '🎪' },
+  monthly_content: { title: 'Monthly posts', icon: '✍️' }
+}
+
+export default function StreakPanel({ userId }: { userId: string }) {
+  const [streaks, setStreaks] = useState<Streak[]>([])
+  const [multiplier, setMultiplier] = useState(1)
+
+  useEffect(() => {
+    let cancelled = false
+
+    fetch(`/api/trust-score/streaks?userId=${encodeURIComponent(userId)}`)
+      .then(response => response.json())
+      .then(data => {
+        if (!cancelled && data.success) {
+          setStreaks(data.streaks)
+          setMultiplier(data.multiplier)
+        }
+      })
+      .catch(error => console.error('Failed to load streaks:', error))
+
+    return () => {
+      cancelled = true
+    }
+  }, [userId])
+
+  if (streaks.length === 0) return null
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <p className="font-semibold text-gray-900">Streaks</p>
+        <p className="text-sm text-orange-600 font-medium">{multiplier.toFixed(2)}x multiplier</p>
+      </div>
+      <div className="grid grid-cols-3 gap-3">
+        {streaks.map(streak => (
+          <div key={streak.type} className="text-center">
+            <p className="text-2xl">{STREAK_LABELS[streak.type].icon}</p>
+            <p className="text-xl font-bold text-gray-900">{streak.current}</p>
+            <p className="text-xs text-gray-600">{STREAK_LABELS[streak.type].title}</p>
+            <p className="text-xs text-gray-400">Best {streak.best}</p>
+            {streak.current > 0 && !streak.activeThisPeriod && (
+              <p className="text-xs text-yellow-700 mt-1">Keep it going this {streak.period}</p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
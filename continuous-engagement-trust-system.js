@@ -300,17 +300,17 @@ class ContinuousEngagementTrustSystem {
 
     // Helper methods for activity tracking
     getDailyLoginStreak(activityHistory) {
-        // Implementation would check consecutive daily logins
+        // Current streak, built by lib/trust-streak-service.ts
         return activityHistory.dailyLoginStreak || 0;
     }
 
     getWeeklyEventStreak(activityHistory) {
-        // Implementation would check consecutive weeks with event attendance
+        // Consecutive weeks with an event attended or hosted (lib/trust-streak-service.ts)
         return activityHistory.weeklyEventStreak || 0;
     }
 
     getMonthlyContentStreak(activityHistory) {
-        // Implementation would check consecutive months with content creation
+        // Consecutive months with a post (lib/trust-streak-service.ts)
         return activityHistory.monthlyContentStreak || 0;
     }
 
@@ -0,0 +1,36 @@
+/**
+ * 📋 EVENT NO-SHOW JOB
+ *
+ * Finalizes attendance for every event whose host-confirmation window (24 hours after the
+ * event ends) has passed without the host confirming it. Each `attending` RSVP without a
+ * check-in becomes a no-show: it records event_no_show for the member and applies the
+ * noShowEvent penalty. No-shows left unprocessed by an earlier run are retried.
+ *
+ * Usage (e.g. from cron every hour):
+ *   npx tsx event-no-show-job.ts [--json]
+ */
+
+import { processNoShows } from './lib/event-attendance-service'
+import persistentDataManager from './persistent-data-solution.js'
+
+async function main(): Promise<void> {
+  const json = process.argv.slice(2).includes('--json')
+
+  const summary = await processNoShows()
+
+  if (json) {
+    console.log(JSON.stringify(summary, null, 2))
+  } else {
+    summary.events.forEach(event => {
+      console.log(`  event ${event.eventId}: ${event.attendedCount} attended, ${event.noShowUserIds.length} no-shows`)
+    })
+    console.log(`✅ No-shows: ${summary.finalized} events finalized, ${summary.noShows} no-shows, ${summary.penalized} penalized`)
+  }
+
+  await persistentDataManager.cleanup()
+}
+
+main().catch(error => {
+  console.error(`❌ ${(error as Error).message}`)
+  process.exit(1)
+})
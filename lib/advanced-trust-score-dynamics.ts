@@ -1,6 +1,9 @@
 // COMPLETELY REWRITTEN: Bulletproof TypeScript trust score system
 // No dynamic object indexing, no complex patterns that can cause TypeScript errors
 
+import { trustScoreEngine } from './trust-score-engine';
+import { getActiveBenefits } from './trust-score-benefits';
+
 export class AdvancedTrustScoreDynamics {
     config = {
         depreciationRates: {
@@ -89,10 +92,15 @@ export class AdvancedTrustScoreDynamics {
         return Math.round(totalScore);
     }
 
+    /**
+     * Scores come from the shared trust score engine; `components` keeps the legacy
+     * 5-component depreciation breakdown for existing callers.
+     */
     calculateAdvancedScore(user: any, activityHistory: any) {
         const components = this.calculateComponentsWithDepreciation(user, activityHistory);
-        const internalScore = this.calculateInternalScore(components);
-        const displayScore = Math.min(this.config.displayCap, internalScore);
+        const result = trustScoreEngine.calculate(user);
+        const internalScore = result.internalScore;
+        const displayScore = Math.min(this.config.displayCap, result.displayScore);
 
         return {
             displayScore,
@@ -100,7 +108,8 @@ export class AdvancedTrustScoreDynamics {
             components,
             overflow: Math.max(0, internalScore - this.config.displayCap),
             tier: this.determineTier(internalScore),
-            benefits: this.getActiveBenefits(internalScore)
+            benefits: this.getActiveBenefits(internalScore),
+            modelId: result.modelId
         };
     }
 
@@ -113,11 +122,7 @@ export class AdvancedTrustScoreDynamics {
     }
 
     getActiveBenefits(score: number): any[] {
-        const benefits = [];
-        if (score >= 50) benefits.push({ type: 'priority_support' });
-        if (score >= 75) benefits.push({ type: 'premium_features' });
-        if (score >= 90) benefits.push({ type: 'elite_status' });
-        return benefits;
+        return getActiveBenefits(score).map(benefit => ({ type: benefit.benefit, message: benefit.message, perks: benefit.perks }));
     }
 
     // Additional utility methods
@@ -5,6 +5,12 @@
  */
 
 import persistentDataManager from '../persistent-data-solution.js';
+import type { TrustScoreHistoryEntry } from './trust-score-history';
+import type { FlagTargetType } from './trust-flags';
+import { getHiddenContentIds } from './trust-flag-service';
+import { getActiveSuspension } from './trust-sanction-service';
+import { recordTrustActivity } from './trust-activity-service';
+import type { TrustActivityEvent } from './trust-activity-log';
 
 // Re-export interfaces for compatibility
 export interface Friendship {
@@ -77,6 +83,7 @@ export interface Post {
   id: string;
   authorId: string;
   reviewForId?: string;
+  rating?: number; // 1-5 for reviews; stored on the review_received activity event
   category: string;
   content: string;
   tags: string[];
@@ -109,6 +116,26 @@ export interface Event {
   updatedAt: string;
 }
 
+/**
+ * Trust activity for a write that has already been saved. Failures are logged rather than
+ * thrown so the write still stands.
+ */
+async function recordActivity(event: TrustActivityEvent): Promise<void> {
+  try {
+    await recordTrustActivity(event);
+  } catch (error) {
+    console.error(`❌ Error recording trust activity ${event.eventKey}:`, error);
+  }
+}
+
+// Both members of a friendship get the event, keyed by the friendship row
+async function recordFriendshipActivity(type: 'friend_added' | 'friend_removed', friendshipId: string, userId1: string, userId2: string): Promise<void> {
+  const change = type === 'friend_added' ? 'added' : 'removed';
+  for (const [userId, friendId] of [[userId1, userId2], [userId2, userId1]]) {
+    await recordActivity({ userId, type, subjectId: friendId, eventKey: `friendship:${friendshipId}:${change}:${userId}` });
+  }
+}
+
 /**
  * Enhanced Friendship Operations with Database Persistence
  */
@@ -145,7 +172,7 @@ export async function addFriendship(friendship: Friendship): Promise<void> {
   try {
     console.log(`👥 Adding friendship: ${friendship.user1Data.name} ↔ ${friendship.user2Data.name}`);
     
-    await persistentDataManager.addFriendship(
+    const created = await persistentDataManager.addFriendship(
       friendship.userId1,
       friendship.userId2,
       friendship.user1Data,
@@ -153,6 +180,8 @@ export async function addFriendship(friendship: Friendship): Promise<void> {
     );
     
     console.log('✅ Friendship added to persistent storage');
+    
+    await recordFriendshipActivity('friend_added', String(created?.id ?? friendship.id), friendship.userId1, friendship.userId2);
   } catch (error) {
     console.error('❌ Error adding friendship:', error);
     throw error;
@@ -163,10 +192,14 @@ export async function removeFriendship(userId1: string, userId2: string): Promis
   try {
     console.log(`💔 Removing friendship: ${userId1} ↔ ${userId2}`);
     
+    const friendshipId = await persistentDataManager.getFriendshipId(userId1, userId2);
     const removed = await persistentDataManager.removeFriendship(userId1, userId2);
     
     if (removed) {
       console.log('✅ Friendship removed from persistent storage');
+      if (friendshipId !== null) {
+        await recordFriendshipActivity('friend_removed', String(friendshipId), userId1, userId2);
+      }
     } else {
       console.log('⚠️ Friendship not found in persistent storage');
     }
@@ -227,6 +260,56 @@ export async function updateUserTrustScore(userId: string, newScore: number, rea
   }
 }
 
+export async function getTrustScoreHistory(userId: string, since?: Date): Promise<TrustScoreHistoryEntry[]> {
+  try {
+    console.log(`📈 Getting trust score history for user ${userId}`);
+    
+    const history = await persistentDataManager.getTrustScoreHistory(userId, { since: since ? since.toISOString() : null });
+    
+    console.log(`✅ Retrieved ${history.length} trust score changes`);
+    return history;
+  } catch (error) {
+    console.error(`❌ Error getting trust score history for ${userId}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Drop content that is hidden after community flags (pending review or removed)
+ */
+async function withoutHiddenContent<T extends { id: string }>(targetType: FlagTargetType, items: T[]): Promise<T[]> {
+  const hidden = await getHiddenContentIds(targetType, items.map(item => String(item.id)));
+  return hidden.length > 0 ? items.filter(item => !hidden.includes(String(item.id))) : items;
+}
+
+/**
+ * True while the member is suspended; suspended members cannot post or create events
+ */
+async function isSuspended(userId: string | undefined, action: string): Promise<boolean> {
+  const suspension = userId ? await getActiveSuspension(String(userId)) : null;
+  if (suspension) {
+    console.log(`⛔ Refusing ${action} - user ${userId} is suspended until ${new Date(suspension.endsAt).toISOString()}`);
+  }
+  return Boolean(suspension);
+}
+
+// A review of another member counts as a review given and received; any other post as a post
+async function recordPostActivity(post: Post, rating?: number): Promise<void> {
+  const postId = String(post.id);
+  if (post.reviewForId && String(post.reviewForId) !== String(post.authorId)) {
+    await recordActivity({ userId: String(post.authorId), type: 'review_given', subjectId: postId, eventKey: `post:${postId}:review_given` });
+    await recordActivity({
+      userId: String(post.reviewForId),
+      type: 'review_received',
+      subjectId: postId,
+      payload: typeof rating === 'number' ? { rating } : {},
+      eventKey: `post:${postId}:review_received`
+    });
+  } else {
+    await recordActivity({ userId: String(post.authorId), type: 'post_created', subjectId: postId, eventKey: `post:${postId}:created` });
+  }
+}
+
 /**
  * Enhanced Post Operations with Database Persistence
  */
@@ -234,9 +317,15 @@ export async function savePost(postData: Partial<Post>): Promise<Post | null> {
   try {
     console.log(`📝 Saving post by user ${postData.authorId}`);
     
+    if (await isSuspended(postData.authorId, 'post')) return null;
+    
     const savedPost = await persistentDataManager.savePost(postData);
     
     console.log('✅ Post saved to persistent storage');
+    
+    if (savedPost) {
+      await recordPostActivity(savedPost, postData.rating);
+    }
     return savedPost;
   } catch (error) {
     console.error('❌ Error saving post:', error);
@@ -248,7 +337,7 @@ export async function getPosts(filters?: any): Promise<Post[]> {
   try {
     console.log('📚 Getting posts from persistent storage...');
     
-    const posts = await persistentDataManager.getPosts(filters);
+    const posts = await withoutHiddenContent<Post>('post', await persistentDataManager.getPosts(filters));
     
     console.log(`✅ Retrieved ${posts.length} posts from database`);
     return posts;
@@ -262,7 +351,7 @@ export async function getPostsForUser(userId: string): Promise<Post[]> {
   try {
     console.log(`📝 Getting posts for user ${userId}`);
     
-    const posts = await persistentDataManager.getPostsForUser(userId);
+    const posts = await withoutHiddenContent<Post>('post', await persistentDataManager.getPostsForUser(userId));
     
     console.log(`✅ Retrieved ${posts.length} posts for user ${userId}`);
     return posts;
@@ -279,6 +368,8 @@ export async function saveEvent(eventData: Partial<Event>): Promise<Event | null
   try {
     console.log(`🎪 Saving event: ${eventData.title} by user ${eventData.creatorId}`);
     
+    if (await isSuspended(eventData.creatorId, 'event')) return null;
+    
     const savedEvent = await persistentDataManager.saveEvent(eventData);
     
     console.log('✅ Event saved to persistent storage');
@@ -293,7 +384,7 @@ export async function getEvents(filters?: any): Promise<Event[]> {
   try {
     console.log('🎪 Getting events from persistent storage...');
     
-    const events = await persistentDataManager.getEvents(filters);
+    const events = await withoutHiddenContent<Event>('event', await persistentDataManager.getEvents(filters));
     
     console.log(`✅ Retrieved ${events.length} events from database`);
     return events;
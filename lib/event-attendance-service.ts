@@ -0,0 +1,174 @@
+/**
+ * Event Attendance Service (server only)
+ * Host check-in and no-show detection. Attendees check in by scanning the event's QR code
+ * or the host ticks them off the roster; each check-in records event_attended. Attendance
+ * is finalized when the host confirms it after the event or, failing that, when
+ * event-no-show-job.ts finds the confirmation window has passed. Every `attending` RSVP
+ * without a check-in then records event_no_show (eventNoShows, and so eventReliability)
+ * and gets the noShowEvent penalty.
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+import { recordTrustActivity } from './trust-activity-service'
+import { penalizeUser } from './trust-violation-service'
+import {
+  AttendanceEvent,
+  CheckInMethod,
+  DEFAULT_EVENT_DURATION_MS,
+  HOST_CONFIRMATION_WINDOW_MS,
+  eventEndsAt,
+  attendanceDeadline,
+  checkInStatus,
+  createCheckInToken,
+  verifyCheckInToken
+} from './event-attendance'
+
+const HOUR_MS = 60 * 60 * 1000
+
+async function getEvent(eventId: string): Promise<AttendanceEvent> {
+  const event: AttendanceEvent | null = await persistentDataManager.getAttendanceEvent(eventId)
+  if (!event) {
+    throw new Error(`Event not found: ${eventId}`)
+  }
+  return event
+}
+
+async function getHostedEvent(eventId: string, hostId: string): Promise<AttendanceEvent> {
+  const event = await getEvent(eventId)
+  if (event.creatorId !== String(hostId)) {
+    throw new Error('Only the event host can manage attendance')
+  }
+  return event
+}
+
+async function checkIn(event: AttendanceEvent, userId: string, method: CheckInMethod, checkedInBy: string | null) {
+  const status = checkInStatus(event, method)
+  if (status !== 'open') {
+    throw new Error(status === 'not_open' ? 'Check-in is not open yet' : 'Check-in has closed for this event')
+  }
+  if (await persistentDataManager.getAttendanceReview(event.id)) {
+    throw new Error('Attendance has already been finalized for this event')
+  }
+
+  const checkInResult = await persistentDataManager.checkInAttendee(event.id, userId, method, checkedInBy)
+  if (checkInResult.created) {
+    await recordTrustActivity({
+      userId,
+      type: 'event_attended',
+      subjectId: `event:${event.id}`,
+      payload: { method },
+      eventKey: `event:${event.id}:attended:${userId}`
+    })
+  }
+
+  return { eventId: event.id, userId, alreadyCheckedIn: !checkInResult.created, ...checkInResult }
+}
+
+/**
+ * Signed code for the event's QR, for the host to display at the door. The code expires
+ * after a few minutes; fetch a new one at expiresAt.
+ */
+export async function getCheckInCode(eventId: string, hostId: string) {
+  const event = await getHostedEvent(eventId, hostId)
+  return { ...createCheckInToken(event), status: checkInStatus(event, 'qr') }
+}
+
+/**
+ * Attendee scanned the event's QR code
+ */
+export async function checkInWithCode(eventId: string, userId: string, token: string) {
+  const event = await getEvent(eventId)
+  const { valid, reason } = verifyCheckInToken(token, event.id)
+  if (!valid) {
+    throw new Error(reason)
+  }
+  return checkIn(event, userId, 'qr', userId)
+}
+
+/**
+ * Host ticked an attendee off the roster
+ */
+export async function checkInFromRoster(eventId: string, hostId: string, userId: string) {
+  const event = await getHostedEvent(eventId, hostId)
+  return checkIn(event, userId, 'roster', hostId)
+}
+
+export async function getRoster(eventId: string, hostId: string) {
+  const event = await getHostedEvent(eventId, hostId)
+  const attendees = await persistentDataManager.getEventRoster(event.id)
+  return {
+    event,
+    checkInStatus: checkInStatus(event, 'roster'),
+    attendanceDeadline: attendanceDeadline(event).toISOString(),
+    review: await persistentDataManager.getAttendanceReview(event.id),
+    attendees
+  }
+}
+
+/**
+ * Host confirms the roster once the event is over, instead of waiting for the deadline
+ */
+export async function confirmAttendance(eventId: string, hostId: string) {
+  const event = await getHostedEvent(eventId, hostId)
+  if (Date.now() < eventEndsAt(event).getTime()) {
+    throw new Error('Attendance can only be confirmed after the event ends')
+  }
+
+  const finalized = await persistentDataManager.finalizeEventAttendance(event.id, hostId)
+  if (!finalized) {
+    throw new Error('Attendance has already been finalized for this event')
+  }
+  const penalized = await penalizePendingNoShows()
+  return { ...finalized, penalized: penalized.filter(noShow => noShow.eventId === event.id) }
+}
+
+// Record and penalize no-shows not yet processed. The penalty and marking the no-show
+// processed commit together, and the activity event key keeps a retried run from counting
+// it twice.
+async function penalizePendingNoShows() {
+  const pending: { eventId: string; userId: string; title: string }[] = await persistentDataManager.getPendingNoShows()
+  const penalized: { eventId: string; userId: string; violationId: number | null }[] = []
+
+  for (const { eventId, userId, title } of pending) {
+    try {
+      await recordTrustActivity({
+        userId,
+        type: 'event_no_show',
+        subjectId: `event:${eventId}`,
+        payload: { title },
+        eventKey: `event:${eventId}:no_show:${userId}`
+      })
+      const { violation } = await penalizeUser(userId, 'noShowEvent', { eventId }, { noShowEventId: eventId })
+      penalized.push({ eventId, userId, violationId: violation.id })
+    } catch (error) {
+      console.error(`❌ Failed to process no-show for user ${userId} at event ${eventId}:`, error)
+    }
+  }
+
+  return penalized
+}
+
+/**
+ * Job: finalize every event whose confirmation window has passed, then penalize its no-shows
+ */
+export async function processNoShows() {
+  const events: AttendanceEvent[] = await persistentDataManager.getEventsAwaitingAttendanceReview({
+    defaultDurationHours: DEFAULT_EVENT_DURATION_MS / HOUR_MS,
+    windowHours: HOST_CONFIRMATION_WINDOW_MS / HOUR_MS
+  })
+
+  const finalized: { eventId: string; attendedCount: number; noShowUserIds: string[] }[] = []
+  for (const event of events) {
+    const result = await persistentDataManager.finalizeEventAttendance(event.id)
+    if (result) finalized.push(result)
+  }
+
+  const penalized = await penalizePendingNoShows()
+
+  return {
+    finalized: finalized.length,
+    noShows: finalized.reduce((sum, result) => sum + result.noShowUserIds.length, 0),
+    penalized: penalized.length,
+    events: finalized
+  }
+}
@@ -0,0 +1,56 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  AttendanceEvent,
+  CHECK_IN_TOKEN_LIFETIME_MS,
+  checkInStatus,
+  createCheckInToken,
+  verifyCheckInToken
+} from './event-attendance'
+
+const HOUR_MS = 60 * 60 * 1000
+const SECRET = 'test-secret'
+
+const event: AttendanceEvent = {
+  id: '42',
+  creatorId: '1',
+  title: 'Board games',
+  startDate: '2026-06-01T18:00:00Z',
+  endDate: '2026-06-01T21:00:00Z'
+}
+
+const at = (iso: string) => new Date(iso)
+
+test('QR check-in closes when the event ends; roster check-in stays open for the host', () => {
+  assert.equal(checkInStatus(event, 'qr', at('2026-06-01T16:59:00Z')), 'not_open')
+  assert.equal(checkInStatus(event, 'qr', at('2026-06-01T17:00:00Z')), 'open')
+  assert.equal(checkInStatus(event, 'qr', at('2026-06-01T21:00:00Z')), 'closed')
+  assert.equal(checkInStatus(event, 'roster', at('2026-06-01T21:00:00Z')), 'open')
+  assert.equal(checkInStatus(event, 'roster', new Date(at('2026-06-01T21:00:00Z').getTime() + 24 * HOUR_MS)), 'closed')
+})
+
+test('a check-in token expires after its lifetime', () => {
+  const issuedAt = at('2026-06-01T18:30:00Z')
+  const { token, expiresAt } = createCheckInToken(event, issuedAt, SECRET)
+
+  assert.equal(new Date(expiresAt).getTime(), issuedAt.getTime() + CHECK_IN_TOKEN_LIFETIME_MS)
+  assert.deepEqual(verifyCheckInToken(token, '42', issuedAt, SECRET), { valid: true })
+  assert.equal(verifyCheckInToken(token, '42', new Date(expiresAt), SECRET).reason, 'Check-in code has expired')
+})
+
+test('a check-in token never outlives the event', () => {
+  const { token, expiresAt } = createCheckInToken(event, at('2026-06-01T20:58:00Z'), SECRET)
+
+  assert.equal(expiresAt, '2026-06-01T21:00:00.000Z')
+  assert.equal(verifyCheckInToken(token, '42', at('2026-06-01T21:00:00Z'), SECRET).valid, false)
+})
+
+test('tampered tokens and tokens for another event are rejected', () => {
+  const now = at('2026-06-01T18:30:00Z')
+  const { token } = createCheckInToken(event, now, SECRET)
+  const [id, expires, signature] = token.split('.')
+
+  assert.equal(verifyCheckInToken(`${id}.${Number(expires) + HOUR_MS}.${signature}`, '42', now, SECRET).reason, 'Invalid check-in code')
+  assert.equal(verifyCheckInToken(token, '43', now, SECRET).reason, 'Check-in code is for a different event')
+  assert.equal(verifyCheckInToken('garbage', '42', now, SECRET).reason, 'Malformed check-in code')
+})
@@ -0,0 +1,106 @@
+/**
+ * Event Attendance
+ * Check-in windows and QR check-in codes for events. Check-in opens an hour before the
+ * event starts. Attendees can scan the QR code until the event ends (events without an
+ * end_date are taken to last three hours); the host can still tick attendees off the
+ * roster until the host-confirmation window ends, 24 hours after the event. After that
+ * window, every `attending` RSVP without a check-in is a no-show.
+ *
+ * QR codes carry a signed token (event id and expiry, HMAC-SHA256 with
+ * EVENT_CHECKIN_SECRET), so attendees can check themselves in without a stored code.
+ * Each token lasts a few minutes and the host's screen fetches a fresh one when it
+ * expires, so a shared photo of the code stops working.
+ */
+
+import crypto from 'crypto'
+
+export type CheckInMethod = 'qr' | 'roster'
+
+export const CHECK_IN_METHODS: CheckInMethod[] = ['qr', 'roster']
+
+const HOUR_MS = 60 * 60 * 1000
+export const DEFAULT_EVENT_DURATION_MS = 3 * HOUR_MS
+export const CHECK_IN_OPENS_BEFORE_MS = HOUR_MS
+export const HOST_CONFIRMATION_WINDOW_MS = 24 * HOUR_MS
+export const CHECK_IN_TOKEN_LIFETIME_MS = 5 * 60 * 1000
+
+export interface AttendanceEvent {
+  id: string
+  creatorId: string | null
+  title: string
+  startDate: string | Date
+  endDate: string | Date | null
+}
+
+export function eventEndsAt(event: AttendanceEvent): Date {
+  return event.endDate
+    ? new Date(event.endDate)
+    : new Date(new Date(event.startDate).getTime() + DEFAULT_EVENT_DURATION_MS)
+}
+
+/**
+ * When unconfirmed RSVPs become no-shows
+ */
+export function attendanceDeadline(event: AttendanceEvent): Date {
+  return new Date(eventEndsAt(event).getTime() + HOST_CONFIRMATION_WINDOW_MS)
+}
+
+/**
+ * QR self check-in closes when the event ends; roster check-in stays open for the host
+ * until the attendance deadline
+ */
+export function checkInClosesAt(event: AttendanceEvent, method: CheckInMethod): Date {
+  return method === 'qr' ? eventEndsAt(event) : attendanceDeadline(event)
+}
+
+export function checkInStatus(event: AttendanceEvent, method: CheckInMethod, now: Date = new Date()): 'not_open' | 'open' | 'closed' {
+  const opensAt = new Date(event.startDate).getTime() - CHECK_IN_OPENS_BEFORE_MS
+  if (now.getTime() < opensAt) return 'not_open'
+  if (now.getTime() >= checkInClosesAt(event, method).getTime()) return 'closed'
+  return 'open'
+}
+
+function checkInSecret(): string {
+  const secret = process.env.EVENT_CHECKIN_SECRET
+  if (!secret) {
+    throw new Error('EVENT_CHECKIN_SECRET is not set')
+  }
+  return secret
+}
+
+function sign(payload: string, secret: string): string {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url')
+}
+
+/**
+ * Token for the event's QR code, valid for CHECK_IN_TOKEN_LIFETIME_MS and never past the
+ * end of the event
+ */
+export function createCheckInToken(
+  event: AttendanceEvent,
+  now: Date = new Date(),
+  secret: string = checkInSecret()
+): { token: string; expiresAt: string } {
+  const expiresAt = new Date(Math.min(now.getTime() + CHECK_IN_TOKEN_LIFETIME_MS, checkInClosesAt(event, 'qr').getTime()))
+  const payload = `${event.id}.${expiresAt.getTime()}`
+  return { token: `${payload}.${sign(payload, secret)}`, expiresAt: expiresAt.toISOString() }
+}
+
+export function verifyCheckInToken(
+  token: string,
+  eventId: string,
+  now: Date = new Date(),
+  secret: string = checkInSecret()
+): { valid: boolean; reason?: string } {
+  const [tokenEventId, expires, signature] = String(token || '').split('.')
+  if (!tokenEventId || !expires || !signature) return { valid: false, reason: 'Malformed check-in code' }
+
+  const expected = sign(`${tokenEventId}.${expires}`, secret)
+  const matches = expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+  if (!matches) return { valid: false, reason: 'Invalid check-in code' }
+  if (tokenEventId !== String(eventId)) return { valid: false, reason: 'Check-in code is for a different event' }
+  if (now.getTime() >= Number(expires)) return { valid: false, reason: 'Check-in code has expired' }
+
+  return { valid: true }
+}
@@ -0,0 +1,34 @@
+/**
+ * Moderation Analytics Service (server only)
+ * Moderation metrics for a date range, for the /analytics and /moderator pages. Tier
+ * movement uses the restriction tiers of the current penalty catalogue.
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+import { getPenaltySystem } from './trust-penalty-catalogue-service'
+import {
+  DateRange,
+  summarizeViolations,
+  appealOverturnRate,
+  summarizeTierMovement
+} from './moderation-analytics'
+
+export async function getModerationAnalytics({ from, to }: DateRange, { limit = 10 }: { limit?: number } = {}) {
+  const { system, version } = await getPenaltySystem()
+
+  const violations = summarizeViolations(await persistentDataManager.getViolationBreakdown(from, to), system)
+  const appeals = await persistentDataManager.getAppealOutcomes(from, to)
+  const resolutionTimes = await persistentDataManager.getResolutionTimes(from, to)
+  const mostFlagged = await persistentDataManager.getMostFlagged(from, to, limit)
+  const tierMovement = summarizeTierMovement(await persistentDataManager.getScoreTransitions(from, to), system)
+
+  return {
+    range: { from: from.toISOString(), to: to.toISOString() },
+    catalogueVersion: version,
+    violations,
+    appeals: { ...appeals, decided: appeals.upheld + appeals.overturned, overturnRate: appealOverturnRate(appeals) },
+    resolutionTimes,
+    mostFlagged,
+    tierMovement
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Moderation Analytics
+ * Summaries for the /analytics and /moderator dashboards over a date range: violations by
+ * category and severity, the appeal overturn rate, and how members moved between the
+ * penalty system's restriction tiers (tiers come from the configured catalogue).
+ */
+
+import { TrustScorePenaltySystem } from '../trust-score-penalty-system.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+export const DEFAULT_RANGE_DAYS = 30
+export const MAX_RANGE_DAYS = 366
+export const FULL_ACCESS_TIER = 'Full Access'
+
+export interface DateRange {
+  from: Date
+  to: Date
+}
+
+export interface ViolationBreakdownRow {
+  violationType: string
+  category: string | null
+  severity: string | null
+  points: number
+  count: number
+}
+
+export interface ScoreTransitionRow {
+  startScore: number
+  endScore: number
+  count: number
+}
+
+/**
+ * Range from query parameters (ISO dates). Defaults to the last 30 days; `to` is exclusive.
+ */
+export function parseDateRange(
+  fromParam: string | null,
+  toParam: string | null,
+  now: Date = new Date()
+): { valid: true; range: DateRange } | { valid: false; error: string } {
+  const to = toParam ? new Date(toParam) : now
+  const from = fromParam ? new Date(fromParam) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS)
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { valid: false, error: 'from and to must be ISO dates' }
+  }
+  if (from.getTime() >= to.getTime()) {
+    return { valid: false, error: 'from must be before to' }
+  }
+  if (to.getTime() - from.getTime() > MAX_RANGE_DAYS * DAY_MS) {
+    return { valid: false, error: `The range is limited to ${MAX_RANGE_DAYS} days` }
+  }
+  return { valid: true, range: { from, to } }
+}
+
+/**
+ * Totals by category (groupViolationsByCategory), severity and violation type
+ */
+export function summarizeViolations(rows: ViolationBreakdownRow[], system: TrustScorePenaltySystem) {
+  // groupViolationsByCategory counts one entry per violation
+  const violations = rows.flatMap(row => Array.from({ length: row.count }, () => ({ category: row.category || 'uncategorized' })))
+  const bySeverity: { [severity: string]: number } = {}
+  const byType: { [violationType: string]: { count: number; points: number } } = {}
+
+  for (const row of rows) {
+    const severity = row.severity || 'unknown'
+    bySeverity[severity] = (bySeverity[severity] || 0) + row.count
+    const type = byType[row.violationType] || { count: 0, points: 0 }
+    byType[row.violationType] = { count: type.count + row.count, points: type.points + row.points }
+  }
+
+  return {
+    total: violations.length,
+    pointsDeducted: rows.reduce((sum, row) => sum + row.points, 0),
+    byCategory: system.groupViolationsByCategory(violations) as { [category: string]: number },
+    bySeverity,
+    byType
+  }
+}
+
+export function appealOverturnRate({ upheld, overturned }: { upheld: number; overturned: number }): number | null {
+  const decided = upheld + overturned
+  return decided === 0 ? null : Math.round((overturned / decided) * 1000) / 1000
+}
+
+function tierName(system: TrustScorePenaltySystem, score: number): string {
+  return system.getUserRestrictions(score).name
+}
+
+// Tier names from the most restricted up to Full Access
+function tierOrder(system: TrustScorePenaltySystem): string[] {
+  const names = Object.keys(system.restrictionTiers)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(maxScore => system.restrictionTiers[maxScore].name)
+  return [...new Set([...names, FULL_ACCESS_TIER])]
+}
+
+/**
+ * Members per tier at the start and end of the range, and the moves between tiers
+ */
+export function summarizeTierMovement(rows: ScoreTransitionRow[], system: TrustScorePenaltySystem) {
+  const order = tierOrder(system)
+  const start: { [tier: string]: number } = Object.fromEntries(order.map(name => [name, 0]))
+  const end: { [tier: string]: number } = Object.fromEntries(order.map(name => [name, 0]))
+  const moves: { [move: string]: { from: string; to: string; count: number } } = {}
+  let improved = 0
+  let worsened = 0
+  let members = 0
+  let startTotal = 0
+  let endTotal = 0
+
+  for (const { startScore, endScore, count } of rows) {
+    const fromTier = tierName(system, startScore)
+    const toTier = tierName(system, endScore)
+    start[fromTier] = (start[fromTier] || 0) + count
+    end[toTier] = (end[toTier] || 0) + count
+    members += count
+    startTotal += startScore * count
+    endTotal += endScore * count
+
+    if (fromTier === toTier) continue
+    const key = `${fromTier} → ${toTier}`
+    moves[key] = { from: fromTier, to: toTier, count: (moves[key]?.count || 0) + count }
+    if (order.indexOf(toTier) > order.indexOf(fromTier)) improved += count
+    else worsened += count
+  }
+
+  return {
+    members,
+    averageScore: {
+      start: members ? Math.round((startTotal / members) * 10) / 10 : null,
+      end: members ? Math.round((endTotal / members) * 10) / 10 : null
+    },
+    tiers: order.map(name => ({ tier: name, start: start[name] || 0, end: end[name] || 0, change: (end[name] || 0) - (start[name] || 0) })),
+    moves: Object.values(moves).sort((a, b) => b.count - a.count),
+    improved,
+    worsened
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Notification Service (server only)
+ * In-app notifications stored in user_notifications. Services call notifyUser when
+ * something happens to a member that they should hear about.
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+
+export interface UserNotification {
+  id: number
+  userId: string
+  type: string
+  title: string
+  body: string | null
+  data: { [key: string]: any }
+  readAt: string | Date | null
+  createdAt: string | Date
+}
+
+export async function notifyUser(
+  userId: string,
+  type: string,
+  title: string,
+  body: string | null = null,
+  data: { [key: string]: any } = {}
+): Promise<UserNotification> {
+  return persistentDataManager.createNotification({ userId, type, title, body, data })
+}
+
+export async function getNotifications(
+  userId: string,
+  options: { unreadOnly?: boolean; limit?: number } = {}
+): Promise<UserNotification[]> {
+  return persistentDataManager.getNotifications(userId, options)
+}
+
+export async function markNotificationsRead(userId: string, notificationIds: number[]): Promise<number> {
+  if (notificationIds.length === 0) return 0
+  return persistentDataManager.markNotificationsRead(userId, notificationIds)
+}
@@ -0,0 +1,121 @@
+/**
+ * Trust Achievement Service (server only)
+ * Checks the achievement rules for a member and awards what they have newly earned: the
+ * badge is stored once with its date, its points go through trust_score_history as
+ * "achievement: <id>" and the member is notified. Checks run after trust activity and
+ * daily logins; trust-achievement-backfill.ts runs them for every existing member.
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+import { getStreaks } from './trust-streak-service'
+import { notifyUser } from './notification-service'
+import {
+  AchievementContext,
+  EarnedAchievement,
+  ACHIEVEMENTS,
+  CHAMPION_WINDOW_DAYS,
+  evaluateAchievements,
+  achievementProgress
+} from './trust-achievements'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export interface AchievementAward extends EarnedAchievement {
+  oldScore: number
+  newScore: number
+}
+
+export async function buildAchievementContext(userId: string, now: Date = new Date()): Promise<AchievementContext | null> {
+  const user = await persistentDataManager.getUserById(userId)
+  if (!user) return null
+
+  const { streaks } = await getStreaks(userId, now)
+  const best = (type: string) => streaks.find(streak => streak.type === type)?.best || 0
+  const state = await persistentDataManager.getTrustActivityState(userId)
+  const windowStart = new Date(now.getTime() - CHAMPION_WINDOW_DAYS * DAY_MS)
+
+  return {
+    bestStreaks: { daily_login: best('daily_login'), weekly_event: best('weekly_event'), monthly_content: best('monthly_content') },
+    counters: state?.counters || {},
+    trustScore: user.trustScore ?? 50,
+    topScoreThreshold: await persistentDataManager.getTrustScorePercentile(0.95),
+    lowestScoreInWindow: await persistentDataManager.getLowestTrustScoreSince(userId, windowStart),
+    accountAgeDays: user.created_at ? Math.floor((now.getTime() - new Date(user.created_at).getTime()) / DAY_MS) : 0
+  }
+}
+
+/**
+ * Award every badge the member has newly earned
+ */
+export async function checkAchievements(
+  userId: string,
+  { notify = true, now = new Date() }: { notify?: boolean; now?: Date } = {}
+): Promise<AchievementAward[]> {
+  const context = await buildAchievementContext(userId, now)
+  if (!context) return []
+
+  const earned: EarnedAchievement[] = await persistentDataManager.getUserAchievements(userId)
+  const awards: AchievementAward[] = []
+
+  for (const id of evaluateAchievements(context, earned.map(achievement => achievement.id))) {
+    const definition = ACHIEVEMENTS[id]
+    const award: AchievementAward | null = await persistentDataManager.awardAchievement(userId, id, definition.points)
+    if (!award) continue
+    awards.push(award)
+
+    if (notify) {
+      await notifyUser(
+        userId,
+        'achievement_earned',
+        `${definition.icon} You earned ${definition.name}`,
+        `${definition.description}. +${definition.points} trust points.`,
+        { achievementId: id, points: definition.points }
+      )
+    }
+  }
+
+  return awards
+}
+
+/**
+ * Every badge with whether the member has earned it and their progress towards it
+ */
+export async function getAchievements(userId: string) {
+  const earned: EarnedAchievement[] = await persistentDataManager.getUserAchievements(userId)
+  const context = await buildAchievementContext(userId)
+  return {
+    earned,
+    achievements: achievementProgress(earned, context)
+  }
+}
+
+/**
+ * Check every existing member, in id order. Backfilled badges are not notified by default.
+ */
+export async function backfillAchievements({ batchSize = 200, notify = false }: { batchSize?: number; notify?: boolean } = {}) {
+  let afterId = 0
+  let scanned = 0
+  const awarded: { userId: string; achievements: string[] }[] = []
+
+  let ids: number[] = await persistentDataManager.getUserIdsAfter(afterId, batchSize)
+  while (ids.length > 0) {
+    for (const id of ids) {
+      try {
+        const awards = await checkAchievements(String(id), { notify })
+        if (awards.length > 0) awarded.push({ userId: String(id), achievements: awards.map(award => award.id) })
+      } catch (error) {
+        console.error(`❌ Achievement backfill failed for user ${id}:`, error)
+      }
+      scanned++
+    }
+    afterId = ids[ids.length - 1]
+    ids = await persistentDataManager.getUserIdsAfter(afterId, batchSize)
+  }
+
+  return {
+    scanned,
+    members: awarded.length,
+    awarded: awarded.reduce((sum, entry) => sum + entry.achievements.length, 0),
+    awards: awarded
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Trust Achievements
+ * Rules for the TrustScoreGamification badges. Each badge is earned once; its points are
+ * added to the trust score when it is awarded. Rules read the member's best streaks, their
+ * activity counters and, for platform-champion, how their score compares with everyone's.
+ */
+
+import { TrustScoreGamification } from '../continuous-engagement-trust-system.js'
+
+export interface AchievementDefinition {
+  name: string
+  description: string
+  icon: string
+  points: number
+}
+
+export interface AchievementContext {
+  bestStreaks: { daily_login: number; weekly_event: number; monthly_content: number }
+  counters: { [counter: string]: number }
+  trustScore: number
+  topScoreThreshold: number | null // 95th percentile of member scores
+  lowestScoreInWindow: number | null // lowest score over the champion window
+  accountAgeDays: number
+}
+
+export interface EarnedAchievement {
+  id: string
+  earnedAt: string | Date
+  points: number
+}
+
+export const ACHIEVEMENTS: { [id: string]: AchievementDefinition } = new TrustScoreGamification().achievements
+
+export const MIN_RATED_INTERACTIONS = 20
+export const CHAMPION_WINDOW_DAYS = 182
+
+const counter = (context: AchievementContext, key: string) => Number(context.counters[key]) || 0
+
+// Progress towards each badge: earned once current reaches target
+export const ACHIEVEMENT_RULES: { [id: string]: (context: AchievementContext) => { current: number; target: number } } = {
+  'week-warrior': context => ({ current: context.bestStreaks.daily_login, target: 7 }),
+  'month-master': context => ({ current: context.bestStreaks.daily_login, target: 30 }),
+  'quarter-champion': context => ({ current: context.bestStreaks.daily_login, target: 90 }),
+  'event-enthusiast': context => ({ current: context.bestStreaks.weekly_event, target: 12 }),
+  'content-creator': context => ({ current: context.bestStreaks.monthly_content, target: 6 }),
+  'community-builder': context => ({ current: counter(context, 'helpedUsers'), target: 50 }),
+  // Mentoring sessions stand in for successful mentorships until outcomes are tracked
+  'trusted-mentor': context => ({ current: counter(context, 'mentoringSessions'), target: 10 }),
+  // 90% positive, over at least MIN_RATED_INTERACTIONS rated interactions (percent)
+  'quality-curator': context => {
+    const total = counter(context, 'totalInteractions')
+    const rate = total >= MIN_RATED_INTERACTIONS ? counter(context, 'positiveInteractions') / total : 0
+    return { current: Math.floor(rate * 100), target: 90 }
+  },
+  // Days of membership while never dropping below the current top 5% threshold
+  'platform-champion': context => {
+    const qualifies = context.topScoreThreshold !== null &&
+      context.lowestScoreInWindow !== null &&
+      context.trustScore >= context.topScoreThreshold &&
+      context.lowestScoreInWindow >= context.topScoreThreshold
+    return { current: qualifies ? Math.min(context.accountAgeDays, CHAMPION_WINDOW_DAYS) : 0, target: CHAMPION_WINDOW_DAYS }
+  }
+}
+
+/**
+ * Badges the member qualifies for but has not been awarded
+ */
+export function evaluateAchievements(context: AchievementContext, earnedIds: string[] = []): string[] {
+  return Object.keys(ACHIEVEMENTS).filter(id => {
+    const rule = ACHIEVEMENT_RULES[id]
+    if (!rule || earnedIds.includes(id)) return false
+    const { current, target } = rule(context)
+    return current >= target
+  })
+}
+
+/**
+ * Every badge with whether it is earned and, when the context is known, progress
+ */
+export function achievementProgress(earned: EarnedAchievement[], context: AchievementContext | null = null) {
+  return Object.entries(ACHIEVEMENTS).map(([id, definition]) => {
+    const award = earned.find(candidate => candidate.id === id)
+    const progress = context && ACHIEVEMENT_RULES[id] ? ACHIEVEMENT_RULES[id](context) : null
+    return {
+      id,
+      ...definition,
+      earned: Boolean(award),
+      earnedDate: award ? new Date(award.earnedAt).toISOString() : undefined,
+      progress: progress ? { current: Math.min(progress.current, progress.target), target: progress.target } : null
+    }
+  })
+}
+
+/**
+ * Earned badges in the TrustScoreResult.achievements shape. Accepts ids or awards.
+ */
+export function earnedAchievements(earned: (string | EarnedAchievement)[]) {
+  return earned
+    .map(entry => (typeof entry === 'string' ? { id: entry, earnedAt: undefined } : entry))
+    .filter(entry => ACHIEVEMENTS[entry.id])
+    .map(entry => ({
+      id: entry.id,
+      ...ACHIEVEMENTS[entry.id],
+      earned: true,
+      earnedDate: entry.earnedAt ? new Date(entry.earnedAt).toISOString() : undefined
+    }))
+}
@@ -0,0 +1,292 @@
+/**
+ * Trust Activity Log
+ * Typed activity events (friend_added, event_attended, post_flagged, review_received, ...)
+ * that move a member's trust score counters. Counters are folded from events one at a time,
+ * so a score can be updated incrementally or rebuilt at any point by replaying the log.
+ */
+
+import { trustScoreEngine, TrustScoreEngine, TrustScoreEngineResult, CalculateOptions } from './trust-score-engine'
+import { TRUST_SCORE_INPUTS } from './trust-score-inputs'
+
+export interface TrustActivityEvent {
+  id?: number
+  userId: string
+  type: string
+  subjectId?: string | null // friend, event, post or review the event is about
+  payload?: { [key: string]: any }
+  eventKey?: string | null // optional idempotency key
+  occurredAt?: string | Date
+}
+
+export interface TrustActivityState {
+  userId: string
+  counters: { [field: string]: any }
+  lastActivityDates: { [component: string]: string }
+  lastEventId: number
+  eventCount: number
+  score: number | null
+  modelId: string | null
+}
+
+interface TrustActivityEventType {
+  description: string
+  activity: boolean // false for things that happen to a member rather than things they do
+  apply: (counters: { [field: string]: any }, event: TrustActivityEvent) => void
+  validate?: (event: TrustActivityEvent) => string[]
+}
+
+function adjust(counters: { [field: string]: any }, field: string, delta: number): void {
+  counters[field] = Math.max(0, (Number(counters[field]) || 0) + delta)
+}
+
+function increments(...fields: string[]) {
+  return (counters: { [field: string]: any }) => fields.forEach(field => adjust(counters, field, 1))
+}
+
+function ratingBetween(min: number, max: number) {
+  return (event: TrustActivityEvent) => {
+    const rating = event.payload?.rating
+    if (rating === undefined) return []
+    return typeof rating === 'number' && rating >= min && rating <= max
+      ? []
+      : [`payload.rating must be a number from ${min} to ${max}`]
+  }
+}
+
+export const TRUST_ACTIVITY_EVENT_TYPES: { [type: string]: TrustActivityEventType } = {
+  // Social
+  friend_added: { description: 'A friendship was created', activity: true, apply: increments('friendsCount') },
+  friend_removed: {
+    description: 'A friendship was removed',
+    activity: false,
+    apply: (counters) => adjust(counters, 'friendsCount', -1)
+  },
+  reaction_given: { description: 'Reacted to someone else\'s content', activity: true, apply: increments('reactionsGiven', 'socialInteractions') },
+  post_shared: { description: 'Shared a post', activity: true, apply: increments('sharesCount') },
+
+  // Events
+  event_attended: { description: 'Checked in at an event', activity: true, apply: increments('eventsAttended') },
+  event_hosted: { description: 'Hosted an event', activity: true, apply: increments('eventsHosted', 'eventsCreated') },
+  event_no_show: { description: 'RSVP\'d but did not attend', activity: false, apply: increments('eventNoShows') },
+
+  // Content
+  post_created: { description: 'Published a post', activity: true, apply: increments('postsCount') },
+  comment_created: { description: 'Commented on a post', activity: true, apply: increments('commentsCount') },
+  upvote_received: { description: 'A post was upvoted', activity: true, apply: increments('contentUpvotes') },
+  post_flagged: { description: 'A post was flagged by another member', activity: false, apply: increments('contentReports') },
+  content_hidden: { description: 'Content was hidden pending review after community flags', activity: false, apply: increments('contentReports') },
+  content_restored: {
+    description: 'Hidden content was restored on review',
+    activity: false,
+    apply: (counters) => adjust(counters, 'contentReports', -1)
+  },
+
+  // Reviews
+  review_given: { description: 'Wrote a review', activity: true, apply: increments('reviewsGiven', 'reviewsCount') },
+  review_received: {
+    description: 'Was reviewed by another member (payload.rating 1-5 updates the average)',
+    activity: true,
+    validate: ratingBetween(1, 5),
+    apply: (counters, event) => {
+      const received = Number(counters.reviewsReceived) || 0
+      const rating = event.payload?.rating
+      if (typeof rating === 'number') {
+        // Running average over rated reviews only
+        const rated = Number(counters.ratedReviewsReceived) || 0
+        const average = Number(counters.averageRatingReceived) || 0
+        counters.averageRatingReceived = (average * rated + rating) / (rated + 1)
+        counters.ratedReviewsReceived = rated + 1
+      }
+      counters.reviewsReceived = received + 1
+    }
+  },
+  review_marked_helpful: { description: 'A review was marked helpful', activity: true, apply: increments('helpfulReviews', 'helpfulReviewVotes') },
+
+  // Interactions
+  helpful_vote_received: { description: 'Received a helpful vote', activity: true, apply: increments('helpfulVotes') },
+  thanks_received: { description: 'Was thanked by another member', activity: true, apply: increments('thanksReceived') },
+  interaction_rated: {
+    description: 'An interaction was rated (payload.positive)',
+    activity: true,
+    validate: (event) => (typeof event.payload?.positive === 'boolean' ? [] : ['payload.positive must be true or false']),
+    apply: (counters, event) => {
+      adjust(counters, 'totalInteractions', 1)
+      if (event.payload?.positive) adjust(counters, 'positiveInteractions', 1)
+    }
+  },
+  positive_feedback_received: { description: 'Received positive feedback', activity: true, apply: increments('positiveFeedback') },
+
+  // Moderation and contribution
+  flag_submitted: { description: 'Flagged content', activity: true, apply: increments('flagsSubmitted') },
+  flag_upheld: { description: 'A submitted flag was upheld', activity: true, apply: increments('accurateFlags') },
+  report_submitted: { description: 'Reported content or a member', activity: true, apply: increments('reports') },
+  report_upheld: { description: 'A submitted report was upheld', activity: true, apply: increments('accurateReports') },
+  feedback_submitted: { description: 'Sent product feedback', activity: true, apply: increments('feedbackSubmitted', 'feedback') },
+  member_helped: { description: 'Helped another member', activity: true, apply: increments('helpedUsers') },
+  mentoring_session: { description: 'Held a mentoring session', activity: true, apply: increments('mentoringSessions') },
+
+  // Verification
+  email_verified: { description: 'Verified an email address', activity: true, apply: (counters) => { counters.emailVerified = true } },
+  phone_verified: { description: 'Verified a phone number', activity: true, apply: (counters) => { counters.phoneVerified = true } },
+  account_connected: {
+    description: 'Connected a social account (payload.verified when the platform verified it)',
+    activity: true,
+    apply: (counters, event) => {
+      adjust(counters, 'connectedAccountsCount', 1)
+      adjust(counters, 'connectedSocialAccounts', 1)
+      if (event.payload?.verified) adjust(counters, 'verifiedAccounts', 1)
+    }
+  },
+  account_disconnected: {
+    description: 'Disconnected a social account (payload.verified when it was verified)',
+    activity: false,
+    apply: (counters, event) => {
+      adjust(counters, 'connectedAccountsCount', -1)
+      adjust(counters, 'connectedSocialAccounts', -1)
+      if (event.payload?.verified) adjust(counters, 'verifiedAccounts', -1)
+    }
+  }
+}
+
+export function validateTrustActivityEvent(event: any): { valid: boolean; errors: string[] } {
+  const errors: string[] = []
+
+  if (!event || typeof event !== 'object') {
+    return { valid: false, errors: ['Event must be an object'] }
+  }
+  if (!event.userId) errors.push('userId is required')
+
+  const type = TRUST_ACTIVITY_EVENT_TYPES[event.type]
+  if (!type) {
+    errors.push(`Unknown activity event type: ${event.type}`)
+  } else if (type.validate) {
+    errors.push(...type.validate(event))
+  }
+
+  if (event.occurredAt !== undefined && isNaN(new Date(event.occurredAt).getTime())) {
+    errors.push('occurredAt must be a valid date')
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+export function createTrustActivityState(userId: string): TrustActivityState {
+  return {
+    userId,
+    counters: {},
+    lastActivityDates: {},
+    lastEventId: 0,
+    eventCount: 0,
+    score: null,
+    modelId: null
+  }
+}
+
+/**
+ * The member's profile with the folded counters and last activity dates on top - what the
+ * engine scores
+ */
+export function scoringSubject(profile: any, state: TrustActivityState): any {
+  return {
+    ...(profile || {}),
+    ...state.counters,
+    lastActivityDates: { ...(profile?.lastActivityDates || {}), ...state.lastActivityDates }
+  }
+}
+
+// Components (in every registered model) whose inputs changed between two subjects
+function changedComponents(before: any, after: any, engine: TrustScoreEngine): string[] {
+  const keys = new Set<string>()
+  engine.listModels().forEach(({ id }) => {
+    Object.entries(engine.getModel(id).components).forEach(([key, component]) => {
+      if (component.inputs.some(input => TRUST_SCORE_INPUTS[input].resolve(before) !== TRUST_SCORE_INPUTS[input].resolve(after))) {
+        keys.add(key)
+      }
+    })
+  })
+  return Array.from(keys)
+}
+
+/**
+ * Fold one event into the state. Pure - returns a new state and never scores.
+ * Member-initiated events also refresh lastActivityDates for the components they feed.
+ */
+export function applyTrustActivityEvent(
+  state: TrustActivityState,
+  event: TrustActivityEvent,
+  profile: any = {},
+  engine: TrustScoreEngine = trustScoreEngine
+): TrustActivityState {
+  const type = TRUST_ACTIVITY_EVENT_TYPES[event.type]
+  if (!type) {
+    throw new Error(`Unknown activity event type: ${event.type}`)
+  }
+
+  const counters = { ...state.counters }
+  type.apply(counters, event)
+
+  const lastActivityDates = { ...state.lastActivityDates }
+  if (type.activity) {
+    const occurredAt = new Date(event.occurredAt || Date.now()).toISOString()
+    const next = { ...state, counters }
+    changedComponents(scoringSubject(profile, state), scoringSubject(profile, next), engine).forEach(key => {
+      if (!lastActivityDates[key] || lastActivityDates[key] < occurredAt) {
+        lastActivityDates[key] = occurredAt
+      }
+    })
+  }
+
+  return {
+    ...state,
+    counters,
+    lastActivityDates,
+    lastEventId: Math.max(state.lastEventId || 0, Number(event.id) || 0),
+    eventCount: state.eventCount + 1
+  }
+}
+
+export function applyTrustActivityEvents(
+  state: TrustActivityState,
+  events: TrustActivityEvent[],
+  profile: any = {},
+  engine: TrustScoreEngine = trustScoreEngine
+): TrustActivityState {
+  return events.reduce((folded, event) => applyTrustActivityEvent(folded, event, profile, engine), state)
+}
+
+/**
+ * Score the folded counters on top of the member's profile (name, bio, verification...)
+ */
+export function scoreTrustActivityState(
+  state: TrustActivityState,
+  profile: any = {},
+  options: CalculateOptions = {},
+  engine: TrustScoreEngine = trustScoreEngine
+): TrustScoreEngineResult {
+  return engine.calculate(scoringSubject(profile, state), {}, options)
+}
+
+/**
+ * Rebuild a member's counters and score from scratch by replaying their whole log.
+ * options.asOf replays only events up to that moment and scores as of then.
+ */
+export function replayTrustActivity(
+  userId: string,
+  events: TrustActivityEvent[],
+  profile: any = {},
+  options: CalculateOptions = {},
+  engine: TrustScoreEngine = trustScoreEngine
+): { state: TrustActivityState; result: TrustScoreEngineResult } {
+  const cutoff = options.asOf ? new Date(options.asOf).getTime() : Infinity
+  const ordered = events
+    .filter(event => !options.asOf || (event.occurredAt && new Date(event.occurredAt).getTime() <= cutoff))
+    .sort((a, b) => (Number(a.id) || 0) - (Number(b.id) || 0))
+
+  const folded = applyTrustActivityEvents(createTrustActivityState(userId), ordered, profile, engine)
+  const result = scoreTrustActivityState(folded, profile, options, engine)
+
+  return {
+    state: { ...folded, score: result.displayScore, modelId: result.modelId },
+    result
+  }
+}
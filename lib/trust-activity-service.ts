@@ -0,0 +1,149 @@
+/**
+ * Trust Activity Service (server only)
+ * Records activity events and keeps each member's trust score up to date incrementally.
+ * recordTrustActivity appends an event and folds it in straight away;
+ * processPendingTrustActivity is the unit of work for the trust score queue worker and
+ * folds whatever has not been applied yet. The stored score is the activity score plus
+ * the member's adjustments (penalties, appeal refunds and rewards), so those survive a
+ * rescore. Every score change is written to trust_score_history with the event types as
+ * the reason, and benefit gains or losses
+ * to trust_benefit_history. Peer vouching is read fresh from the member's friendships
+ * on every run, and events that are recovery actions count towards the member's active
+ * recovery plan. New events also count towards streaks and joined challenges, earn or
+ * reverse incentives, and trigger an achievement check; recording an event again runs
+ * whichever of those effects did not complete the first time.
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+import {
+  TrustActivityEvent,
+  TrustActivityState,
+  validateTrustActivityEvent,
+  createTrustActivityState,
+  applyTrustActivityEvents,
+  scoreTrustActivityState,
+  replayTrustActivity
+} from './trust-activity-log'
+import { TrustScoreEngineResult } from './trust-score-engine'
+import './trust-score-model-loader'
+import { syncMemberTrustBenefits } from './trust-benefit-service'
+import { withPeerVouching } from './trust-vouching-service'
+import { recordRecoveryActivity } from './trust-recovery-service'
+import { recordStreakActivityFromEvent } from './trust-streak-service'
+import { checkAchievements } from './trust-achievement-service'
+import { recordChallengeActivity } from './trust-challenge-service'
+import { recordIncentiveActivity } from './trust-incentive-service'
+
+export interface TrustActivityUpdate {
+  state: TrustActivityState
+  result: TrustScoreEngineResult
+  applied: number
+}
+
+function componentSnapshot(result: TrustScoreEngineResult): { [key: string]: number } {
+  const snapshot: { [key: string]: number } = {}
+  Object.entries(result.components).forEach(([key, component]) => {
+    snapshot[key] = Math.round(component.final * 100) / 100
+  })
+  return snapshot
+}
+
+async function writeScore(userId: string, result: TrustScoreEngineResult, reason: string): Promise<void> {
+  await persistentDataManager.updateActivityTrustScore(userId, result.displayScore, reason, {
+    modelId: result.modelId,
+    components: componentSnapshot(result)
+  })
+}
+
+/**
+ * Fold every event recorded since the last run. Returns null when another worker
+ * advanced this member's state first (their run covers these events).
+ */
+export async function processPendingTrustActivity(userId: string): Promise<TrustActivityUpdate | null> {
+  const stored = await persistentDataManager.getTrustActivityState(userId)
+  const state: TrustActivityState = stored || createTrustActivityState(userId)
+  const events: TrustActivityEvent[] = await persistentDataManager.getTrustActivityEvents(userId, state.lastEventId)
+  const profile = await withPeerVouching(userId, await persistentDataManager.getUserById(userId))
+
+  const folded = applyTrustActivityEvents(state, events, profile)
+  const result = scoreTrustActivityState(folded, profile)
+  const next = { ...folded, score: result.displayScore, modelId: result.modelId }
+
+  if (events.length === 0 && stored && stored.score === next.score) {
+    return { state: next, result, applied: 0 }
+  }
+
+  const saved = await persistentDataManager.saveTrustActivityState(next, state.lastEventId)
+  if (!saved) {
+    console.log(`⏭️ Trust activity for user ${userId} already processed by another worker`)
+    return null
+  }
+
+  const reason = events.length > 0
+    ? `activity: ${Array.from(new Set(events.map(event => event.type))).join(', ')}`
+    : 'activity: recalculated'
+  await writeScore(userId, result, reason)
+  await syncMemberTrustBenefits(userId, result.baseScore)
+
+  return { state: next, result, applied: events.length }
+}
+
+// What a new activity event counts towards. Each effect is marked on the event once it
+// has run, so recording the event again after a failure runs only the ones still missing.
+const ACTIVITY_EFFECTS: { [effect: string]: (event: TrustActivityEvent) => Promise<unknown> } = {
+  recovery: recordRecoveryActivity,
+  streaks: recordStreakActivityFromEvent,
+  challenges: recordChallengeActivity,
+  incentives: recordIncentiveActivity,
+  achievements: event => checkAchievements(event.userId)
+}
+
+/**
+ * Append an activity event and update the member's score from it
+ */
+export async function recordTrustActivity(event: TrustActivityEvent): Promise<TrustActivityUpdate | null> {
+  const { valid, errors } = validateTrustActivityEvent(event)
+  if (!valid) {
+    throw new Error(`Invalid trust activity event: ${errors.join('; ')}`)
+  }
+
+  const recorded = await persistentDataManager.appendTrustActivityEvent(event)
+  if (recorded.duplicate) {
+    console.log(`⏭️ Trust activity ${event.eventKey} already recorded`)
+  }
+
+  const update = await processPendingTrustActivity(event.userId)
+  const pending = Object.keys(ACTIVITY_EFFECTS).filter(effect => !recorded.effectsApplied.includes(effect))
+  for (const effect of pending) {
+    await ACTIVITY_EFFECTS[effect](recorded)
+    await persistentDataManager.markTrustActivityEffectApplied(recorded.id, effect)
+  }
+  if (pending.length > 0 && update) {
+    // rewards and the streak recorded above move the internal score too
+    await syncMemberTrustBenefits(event.userId, update.result.baseScore)
+  }
+  return update
+}
+
+/**
+ * Rebuild a member's counters and score by replaying their full activity log.
+ * With persist: false this is a dry run that only returns the rebuilt state.
+ */
+export async function rebuildTrustScoreFromActivity(
+  userId: string,
+  { persist = true }: { persist?: boolean } = {}
+): Promise<TrustActivityUpdate & { previousScore: number | null }> {
+  const events: TrustActivityEvent[] = await persistentDataManager.getTrustActivityEvents(userId, 0)
+  const profile = await withPeerVouching(userId, await persistentDataManager.getUserById(userId))
+  const { state, result } = replayTrustActivity(userId, events, profile)
+  const previousScore = profile?.trustScore ?? null
+
+  if (persist) {
+    await persistentDataManager.saveTrustActivityState(state)
+    await writeScore(userId, result, 'activity: replayed')
+    await syncMemberTrustBenefits(userId, result.baseScore)
+    console.log(`🔁 Rebuilt trust score for user ${userId} from ${events.length} events: ${result.displayScore}`)
+  }
+
+  return { state, result, applied: events.length, previousScore }
+}
@@ -0,0 +1,56 @@
+/**
+ * Trust Benefit Service (server only)
+ * Keeps trust_benefit_history in step with a member's internal score: every time the
+ * score is recalculated the active benefits are compared with the ones held before and
+ * each benefit gained or lost is recorded. The internal score is the engine base score
+ * plus the member's score adjustments and streak bonus, so it can pass 100 and reach
+ * the overflow bands.
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+import { getStreaks } from './trust-streak-service'
+import {
+  getActiveBenefits,
+  diffBenefits,
+  memberInternalScore,
+  BenefitChanges,
+  BenefitDefinition,
+  InternalScoreBonuses
+} from './trust-score-benefits'
+
+export async function getInternalScoreBonuses(userId: string): Promise<InternalScoreBonuses> {
+  const adjustments: number = await persistentDataManager.getTrustScoreAdjustmentTotal(userId)
+  const { continuousBonus } = await getStreaks(userId)
+  return { adjustments, streakBonus: continuousBonus }
+}
+
+/**
+ * Overflow internal score for a member with the given engine base score
+ */
+export async function getMemberInternalScore(userId: string, baseScore: number): Promise<number> {
+  return memberInternalScore(baseScore, await getInternalScoreBonuses(userId))
+}
+
+export async function syncTrustBenefits(
+  userId: string,
+  internalScore: number
+): Promise<BenefitChanges & { active: BenefitDefinition[] }> {
+  const active = getActiveBenefits(internalScore)
+  const previous: string[] = await persistentDataManager.getActiveBenefitIds(userId)
+  const changes = diffBenefits(previous, active.map(benefit => benefit.benefit))
+
+  await persistentDataManager.recordBenefitChanges(userId, changes.gained, changes.lost, internalScore)
+
+  return { ...changes, active }
+}
+
+/**
+ * Sync benefits against the member's overflow internal score
+ */
+export async function syncMemberTrustBenefits(userId: string, baseScore: number) {
+  return syncTrustBenefits(userId, await getMemberInternalScore(userId, baseScore))
+}
+
+export async function getTrustBenefitHistory(userId: string, limit: number = 100) {
+  return persistentDataManager.getBenefitHistory(userId, limit)
+}
@@ -0,0 +1,134 @@
+/**
+ * Trust Challenge Service (server only)
+ * Admins create seasonal challenges (from scratch or from a TrustScoreGamification
+ * template); members join the running ones. Trust activity counts towards every challenge
+ * the member has joined, and finishing one adds its points through trust_score_history as
+ * "challenge: <slug>", awards the badge and starts the reward multiplier. Challenges past
+ * their end date are closed by trust-challenge-expiry.ts.
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+import { notifyUser } from './notification-service'
+import {
+  Challenge,
+  ChallengeEnrollment,
+  ChallengeInput,
+  validateChallenge,
+  challengeFromTemplate,
+  isChallengeRunning,
+  applyChallengeActivity,
+  challengeSummary
+} from './trust-challenges'
+
+export async function createChallenge(input: ChallengeInput, adminId: string): Promise<Challenge> {
+  const { valid, errors } = validateChallenge(input)
+  if (!valid) {
+    throw new Error(`Invalid challenge: ${errors.join('; ')}`)
+  }
+  return persistentDataManager.createChallenge(input, adminId)
+}
+
+/**
+ * Run a TrustScoreGamification template (summer-social, content-marathon, mentor-month)
+ */
+export async function createChallengeFromTemplate(templateId: string, startsAt: Date, adminId: string, endsAt?: Date): Promise<Challenge> {
+  const input = challengeFromTemplate(templateId, startsAt, endsAt)
+  if (!input) {
+    throw new Error(`Challenge template not found: ${templateId}`)
+  }
+  return createChallenge(input, adminId)
+}
+
+export async function listChallenges(status?: 'open' | 'closed'): Promise<Challenge[]> {
+  return persistentDataManager.getChallenges({ status })
+}
+
+export async function joinChallenge(challengeId: number, userId: string) {
+  const challenge: Challenge | null = await persistentDataManager.getChallenge(challengeId)
+  if (!challenge) {
+    throw new Error(`Challenge not found: ${challengeId}`)
+  }
+  if (!isChallengeRunning(challenge)) {
+    throw new Error('This challenge is not running')
+  }
+
+  const enrollment: ChallengeEnrollment = await persistentDataManager.enrollInChallenge(challengeId, userId)
+  console.log(`🏁 User ${userId} joined challenge ${challenge.slug}`)
+  return challengeSummary(challenge, enrollment)
+}
+
+/**
+ * The member's challenges in the TrustScoreResult.currentChallenges shape
+ */
+export async function getUserChallenges(userId: string) {
+  const enrollments: { enrollment: ChallengeEnrollment; challenge: Challenge }[] =
+    await persistentDataManager.getChallengeEnrollments(userId)
+  return {
+    challenges: enrollments.map(({ challenge, enrollment }) => challengeSummary(challenge, enrollment)),
+    badges: enrollments
+      .filter(({ enrollment }) => enrollment.status === 'completed')
+      .map(({ challenge, enrollment }) => ({ badge: challenge.rewards.badge, challenge: challenge.slug, earnedAt: enrollment.completedAt })),
+    multiplier: await persistentDataManager.getActiveChallengeMultiplier(userId)
+  }
+}
+
+async function onChallengeCompleted(challenge: Challenge, enrollment: ChallengeEnrollment): Promise<void> {
+  const { points, badge, multiplier, multiplierDays } = challenge.rewards
+  await notifyUser(
+    enrollment.userId,
+    'challenge_completed',
+    `🏁 You completed ${challenge.title}`,
+    `You earned the ${badge} badge and +${points} trust points` +
+      (multiplierDays > 0 ? `, with a ${multiplier}x multiplier for ${multiplierDays} days.` : '.'),
+    { challengeId: challenge.id, badge, points, multiplier, multiplierEndsAt: enrollment.multiplierEndsAt }
+  )
+}
+
+/**
+ * Count a trust activity event towards the member's active challenges
+ */
+export async function recordChallengeActivity(event: { userId: string; type: string; occurredAt?: string | Date }) {
+  const occurredAt = event.occurredAt ? new Date(event.occurredAt) : new Date()
+  const active: { enrollment: ChallengeEnrollment; challenge: Challenge }[] =
+    await persistentDataManager.getChallengeEnrollments(event.userId, { status: 'active' })
+
+  for (const { challenge, enrollment } of active) {
+    const next = applyChallengeActivity(challenge, enrollment, event.type, occurredAt)
+    if (!next) continue
+
+    const completed = next.status === 'completed'
+    const saved = await persistentDataManager.saveChallengeProgress(
+      next,
+      completed ? challenge.rewards.points : 0,
+      `challenge: ${challenge.slug}`
+    )
+    if (!saved) {
+      console.log(`⏭️ Challenge ${challenge.id} progress for user ${event.userId} already updated by another worker`)
+      continue
+    }
+    if (completed) await onChallengeCompleted(challenge, saved.enrollment)
+  }
+}
+
+/**
+ * Job: close challenges past their end date and tell members who did not finish
+ */
+export async function closeExpiredChallenges() {
+  const { challenges, expired }: {
+    challenges: Challenge[]
+    expired: { challengeId: number; userId: string }[]
+  } = await persistentDataManager.closeExpiredChallenges()
+
+  for (const { challengeId, userId } of expired) {
+    const challenge = challenges.find(candidate => candidate.id === challengeId)!
+    await notifyUser(
+      userId,
+      'challenge_expired',
+      `⏰ ${challenge.title} has ended`,
+      'The challenge closed before you reached every target. Keep an eye out for the next one!',
+      { challengeId }
+    )
+  }
+
+  return { closed: challenges.length, expired: expired.length, challenges }
+}
@@ -0,0 +1,223 @@
+/**
+ * Trust Challenges
+ * Seasonal challenges in the TrustScoreGamification shape (targets, rewards.badge,
+ * rewards.points, rewards.multiplier), run between an admin-set start and end date.
+ * Members opt in; trust activity after they join counts towards each target metric.
+ * Finishing every target awards the badge and points and a temporary multiplier.
+ */
+
+import { TrustScoreGamification } from '../continuous-engagement-trust-system.js'
+
+export type ChallengeStatus = 'open' | 'closed'
+export type EnrollmentStatus = 'active' | 'completed' | 'expired'
+
+export interface ChallengeMetric {
+  description: string
+  activityTypes: string[]
+  distinctDays?: boolean // counts days with the activity rather than the activity
+}
+
+// What challenge targets can measure
+export const CHALLENGE_METRICS: { [metric: string]: ChallengeMetric } = {
+  friends: { description: 'New friends', activityTypes: ['friend_added'] },
+  events: { description: 'Events attended', activityTypes: ['event_attended'] },
+  hosted: { description: 'Events hosted', activityTypes: ['event_hosted'] },
+  posts: { description: 'Posts published', activityTypes: ['post_created'] },
+  days: { description: 'Days with a post', activityTypes: ['post_created'], distinctDays: true },
+  reviews: { description: 'Reviews written', activityTypes: ['review_given'] },
+  mentored: { description: 'Members helped', activityTypes: ['member_helped'] }
+}
+
+export const DEFAULT_MULTIPLIER_DAYS = 7
+export const MAX_CHALLENGE_DAYS = 120
+
+export interface ChallengeRewards {
+  points: number
+  badge: string
+  multiplier: number
+  multiplierDays: number
+}
+
+export interface Challenge {
+  id: number
+  slug: string
+  title: string
+  description: string
+  targets: { [metric: string]: number }
+  rewards: ChallengeRewards
+  startsAt: string | Date
+  endsAt: string | Date
+  status: ChallengeStatus
+  createdBy: string | null
+  createdAt: string | Date
+  closedAt: string | Date | null
+}
+
+export interface ChallengeEnrollment {
+  challengeId: number
+  userId: string
+  status: EnrollmentStatus
+  progress: { [metric: string]: number }
+  activeDays: string[] // dates counted for distinctDays metrics
+  enrolledAt: string | Date
+  completedAt: string | Date | null
+  multiplierEndsAt: string | Date | null
+  revision: number
+}
+
+export type ChallengeInput = Omit<Challenge, 'id' | 'status' | 'createdBy' | 'createdAt' | 'closedAt'>
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/
+
+/**
+ * The hardcoded TrustScoreGamification challenges, usable as templates
+ */
+export const CHALLENGE_TEMPLATES: { [slug: string]: any } = Object.fromEntries(
+  new TrustScoreGamification().generateSeasonalChallenges().map((template: any) => [template.id, template])
+)
+
+/**
+ * A challenge from a template, running for the template's duration from startsAt. Targets
+ * no metric measures (minQuality, successRate) are dropped.
+ */
+export function challengeFromTemplate(slug: string, startsAt: Date, endsAt?: Date): ChallengeInput | null {
+  const template = CHALLENGE_TEMPLATES[slug]
+  if (!template) return null
+
+  const days = parseInt(template.duration, 10) || 30
+  const targets = Object.fromEntries(
+    Object.entries(template.targets as { [metric: string]: number }).filter(([metric]) => CHALLENGE_METRICS[metric])
+  )
+  return {
+    slug: `${slug}-${startsAt.toISOString().slice(0, 10)}`,
+    title: template.title,
+    description: template.description,
+    targets,
+    rewards: { ...template.rewards, multiplierDays: DEFAULT_MULTIPLIER_DAYS },
+    startsAt: startsAt.toISOString(),
+    endsAt: (endsAt || new Date(startsAt.getTime() + days * DAY_MS)).toISOString()
+  }
+}
+
+export function validateChallenge(input: any): { valid: boolean; errors: string[] } {
+  const errors: string[] = []
+
+  if (!input || typeof input !== 'object') {
+    return { valid: false, errors: ['Challenge must be an object'] }
+  }
+  if (typeof input.slug !== 'string' || !SLUG_PATTERN.test(input.slug) || input.slug.length > 80) {
+    errors.push('slug must be lowercase words separated by hyphens')
+  }
+  for (const field of ['title', 'description']) {
+    if (typeof input[field] !== 'string' || !input[field].trim()) errors.push(`${field} is required`)
+  }
+
+  const targets = input.targets && typeof input.targets === 'object' ? input.targets : {}
+  if (Object.keys(targets).length === 0) errors.push('At least one target is required')
+  Object.entries(targets).forEach(([metric, target]) => {
+    if (!CHALLENGE_METRICS[metric]) {
+      errors.push(`targets.${metric}: metric must be one of ${Object.keys(CHALLENGE_METRICS).join(', ')}`)
+    } else if (!Number.isInteger(target) || (target as number) < 1) {
+      errors.push(`targets.${metric} must be a whole number of at least 1`)
+    }
+  })
+
+  const rewards = input.rewards || {}
+  if (!Number.isInteger(rewards.points) || rewards.points < 0 || rewards.points > 100) {
+    errors.push('rewards.points must be a whole number from 0 to 100')
+  }
+  if (typeof rewards.badge !== 'string' || !rewards.badge.trim()) errors.push('rewards.badge is required')
+  if (typeof rewards.multiplier !== 'number' || rewards.multiplier < 1 || rewards.multiplier > 2) {
+    errors.push('rewards.multiplier must be a number from 1 to 2')
+  }
+  if (!Number.isInteger(rewards.multiplierDays) || rewards.multiplierDays < 0 || rewards.multiplierDays > 90) {
+    errors.push('rewards.multiplierDays must be a whole number from 0 to 90')
+  }
+
+  const startsAt = new Date(input.startsAt).getTime()
+  const endsAt = new Date(input.endsAt).getTime()
+  if (Number.isNaN(startsAt) || Number.isNaN(endsAt)) {
+    errors.push('startsAt and endsAt must be dates')
+  } else if (endsAt <= startsAt) {
+    errors.push('endsAt must be after startsAt')
+  } else if (endsAt - startsAt > MAX_CHALLENGE_DAYS * DAY_MS) {
+    errors.push(`Challenges can run for at most ${MAX_CHALLENGE_DAYS} days`)
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+export function isChallengeRunning(challenge: Challenge, now: Date = new Date()): boolean {
+  return challenge.status === 'open' &&
+    new Date(challenge.startsAt).getTime() <= now.getTime() &&
+    now.getTime() < new Date(challenge.endsAt).getTime()
+}
+
+export function isChallengeComplete(challenge: Challenge, progress: { [metric: string]: number }): boolean {
+  return Object.entries(challenge.targets).every(([metric, target]) => (progress[metric] || 0) >= target)
+}
+
+/**
+ * Progress after an activity event. Returns null when the event does not count (wrong
+ * type, outside the challenge, before joining, or an already-counted day).
+ */
+export function applyChallengeActivity(
+  challenge: Challenge,
+  enrollment: ChallengeEnrollment,
+  activityType: string,
+  occurredAt: Date = new Date()
+): ChallengeEnrollment | null {
+  if (enrollment.status !== 'active' || !isChallengeRunning(challenge, occurredAt)) return null
+  if (occurredAt.getTime() < new Date(enrollment.enrolledAt).getTime()) return null
+
+  const day = occurredAt.toISOString().slice(0, 10) // UTC date
+  const progress = { ...enrollment.progress }
+  let changed = false
+  let countedDay = false
+
+  for (const [metric, target] of Object.entries(challenge.targets)) {
+    const definition = CHALLENGE_METRICS[metric]
+    if (!definition || !definition.activityTypes.includes(activityType)) continue
+    if (definition.distinctDays) {
+      if (enrollment.activeDays.includes(day)) continue
+      countedDay = true
+    }
+    progress[metric] = Math.min(target, (progress[metric] || 0) + 1)
+    changed = true
+  }
+  if (!changed) return null
+
+  const complete = isChallengeComplete(challenge, progress)
+  return {
+    ...enrollment,
+    progress,
+    activeDays: countedDay ? [...enrollment.activeDays, day] : enrollment.activeDays,
+    status: complete ? 'completed' : 'active',
+    completedAt: complete ? occurredAt.toISOString() : null,
+    multiplierEndsAt: complete ? new Date(occurredAt.getTime() + challenge.rewards.multiplierDays * DAY_MS).toISOString() : null
+  }
+}
+
+/**
+ * Challenge with the member's enrollment, in the TrustScoreResult.currentChallenges shape
+ */
+export function challengeSummary(challenge: Challenge, enrollment: ChallengeEnrollment | null = null) {
+  const days = Math.ceil((new Date(challenge.endsAt).getTime() - new Date(challenge.startsAt).getTime()) / DAY_MS)
+  return {
+    id: challenge.slug,
+    challengeId: challenge.id,
+    title: challenge.title,
+    description: challenge.description,
+    duration: `${days} days`,
+    startsAt: challenge.startsAt,
+    endsAt: challenge.endsAt,
+    status: challenge.status,
+    rewards: challenge.rewards,
+    targets: challenge.targets,
+    progress: Object.fromEntries(Object.keys(challenge.targets).map(metric => [metric, enrollment?.progress[metric] || 0])),
+    enrollment: enrollment
+      ? { status: enrollment.status, enrolledAt: enrollment.enrolledAt, completedAt: enrollment.completedAt, multiplierEndsAt: enrollment.multiplierEndsAt }
+      : null
+  }
+}
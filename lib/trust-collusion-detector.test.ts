@@ -0,0 +1,65 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { detectCollusion } from './trust-collusion-detector'
+
+const user = (id: number, createdAt: string) => ({ id, name: `Member ${id}`, trust_score: 60, created_at: createdAt })
+
+let postId = 0
+const review = (author: number, subject: number, rating: number) => ({ id: ++postId, author_id: author, review_for_id: subject, rating })
+
+test('a 5-star loop between accounts created the same week is a high-confidence ring', () => {
+  const report = detectCollusion({
+    users: [user(1, '2026-05-01'), user(2, '2026-05-02'), user(3, '2026-05-03')],
+    posts: [review(1, 2, 5), review(2, 3, 5), review(3, 1, 5)],
+    friendships: [{ user_id_1: 1, user_id_2: 2 }, { user_id_1: 2, user_id_2: 3 }]
+  })
+
+  assert.equal(report.clusters.length, 1)
+  assert.equal(report.clusters[0].kind, 'five_star_ring')
+  assert.deepEqual(report.clusters[0].members, ['1', '2', '3'])
+  assert.equal(report.clusters[0].confidence, 'high')
+  assert.deepEqual(report.flagged.map(flag => flag.confidence), ['high', 'high', 'high'])
+})
+
+test('a small 5-star loop between established accounts is not reported', () => {
+  const report = detectCollusion({
+    users: [user(1, '2024-01-01'), user(2, '2025-06-01')],
+    posts: [review(1, 2, 5), review(2, 1, 5)]
+  })
+
+  assert.deepEqual(report.clusters, [])
+  assert.deepEqual(report.flagged, [])
+})
+
+test('a dense group of mutual reviews that mostly review each other is a cluster', () => {
+  const report = detectCollusion({
+    users: [user(1, '2023-01-01'), user(2, '2024-01-01'), user(3, '2025-01-01')],
+    posts: [review(1, 2, 4), review(2, 1, 4), review(2, 3, 4), review(3, 2, 4), review(1, 3, 3), review(3, 1, 4)]
+  })
+
+  assert.deepEqual(report.clusters.map(cluster => cluster.kind), ['mutual_review_cluster'])
+  assert.equal(report.clusters[0].reviewDensity, 1)
+  assert.equal(report.clusters[0].insularity, 1)
+  assert.equal(report.clusters[0].confidence, 'medium')
+})
+
+test('mutual reviewers who are mostly reviewed by outsiders are left alone', () => {
+  const outsiders = [4, 5, 6, 7, 8, 9, 10].flatMap(author => [review(author, 1, 5), review(author, 2, 5), review(author, 3, 5)])
+  const report = detectCollusion({
+    users: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(id => user(id, '2024-01-01')),
+    posts: [review(1, 2, 4), review(2, 1, 4), review(2, 3, 4), review(3, 2, 4), review(1, 3, 4), review(3, 1, 4), ...outsiders]
+  })
+
+  assert.deepEqual(report.clusters, [])
+})
+
+test('ratings are read from review_received events when the post has none', () => {
+  const report = detectCollusion({
+    users: [user(1, '2026-05-01'), user(2, '2026-05-01')],
+    posts: [{ id: 100, author_id: 1, review_for_id: 2 }, { id: 101, author_id: 2, review_for_id: 1 }],
+    reviewRatings: [{ subject_id: 100, payload: { rating: 5 } }, { subject_id: 101, payload: '{"rating":5}' }]
+  })
+
+  assert.equal(report.reviews, 2)
+  assert.deepEqual(report.clusters.map(cluster => cluster.kind), ['five_star_ring'])
+})
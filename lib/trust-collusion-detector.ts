@@ -0,0 +1,319 @@
+/**
+ * Trust Collusion Detector
+ * Offline sybil / collusion scan over a PersistentDataManager.createBackup() snapshot.
+ * Small groups that friend and review each other can farm the addFriend and writeReview
+ * incentives; this looks at the review graph (posts.review_for_id), the friendship graph
+ * and account creation times and reports two patterns:
+ *   - five_star_ring: members who give each other 5-star reviews in a closed loop
+ *   - mutual_review_cluster: a dense group of mutual reviews that mostly review each other
+ * High-confidence members are meant for the collusionRing violation in the penalty system.
+ */
+
+import { rowsOf } from './trust-score-simulation'
+
+const DAY_MS = 1000 * 60 * 60 * 24
+
+export interface CollusionPolicy {
+  minRingSize: number // 5-star loops smaller than this need young, same-week accounts to count
+  minClusterSize: number
+  minReviewDensity: number // share of member pairs that reviewed each other
+  minInsularity: number // share of members' received reviews that came from inside the group
+  creationWindowDays: number // accounts created this close together look coordinated
+  minFriendDensity: number // share of member pairs that are friends, for high confidence
+}
+
+export const DEFAULT_COLLUSION_POLICY: CollusionPolicy = {
+  minRingSize: 3,
+  minClusterSize: 3,
+  minReviewDensity: 0.6,
+  minInsularity: 0.7,
+  creationWindowDays: 7,
+  minFriendDensity: 0.5
+}
+
+export type CollusionKind = 'five_star_ring' | 'mutual_review_cluster'
+
+export interface CollusionCluster {
+  id: string
+  kind: CollusionKind
+  members: string[]
+  reviewDensity: number
+  friendDensity: number
+  insularity: number
+  creationSpreadDays: number | null
+  confidence: 'high' | 'medium'
+  evidence: string[]
+}
+
+export interface CollusionFlag {
+  userId: string
+  name: string
+  trustScore: number | null
+  clusterIds: string[]
+  confidence: 'high' | 'medium'
+}
+
+export interface CollusionReport {
+  snapshotTakenAt: string | null
+  users: number
+  reviews: number
+  clusters: CollusionCluster[]
+  flagged: CollusionFlag[] // one entry per member, high confidence first
+}
+
+interface Review {
+  author: string
+  subject: string
+  rating: number | null
+}
+
+function pairKey(a: string, b: string): string {
+  return a < b ? `${a}:${b}` : `${b}:${a}`
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100
+}
+
+/**
+ * Review edges from review posts. posts has no rating column; a rating comes from
+ * post.rating when present, else from the review_received activity event whose
+ * subject_id is the review post (backup.reviewRatings).
+ */
+function collectReviews(backup: any): Review[] {
+  const ratings = new Map<string, number>()
+  rowsOf(backup?.reviewRatings).forEach(row => {
+    const payload = typeof row.payload === 'string' ? JSON.parse(row.payload) : (row.payload || {})
+    if (row.subject_id !== null && row.subject_id !== undefined && typeof payload.rating === 'number') {
+      ratings.set(String(row.subject_id), payload.rating)
+    }
+  })
+
+  return rowsOf(backup?.posts)
+    .filter(post => post.review_for_id !== null && post.review_for_id !== undefined && String(post.review_for_id) !== String(post.author_id))
+    .map(post => ({
+      author: String(post.author_id),
+      subject: String(post.review_for_id),
+      rating: typeof post.rating === 'number' ? post.rating : (ratings.get(String(post.id)) ?? null)
+    }))
+}
+
+// Strongly connected components (iterative Tarjan) - every member of a component both
+// reaches and is reached by every other member through the edges
+function stronglyConnected(nodes: string[], edges: Map<string, Set<string>>): string[][] {
+  const index = new Map<string, number>()
+  const low = new Map<string, number>()
+  const onStack = new Set<string>()
+  const stack: string[] = []
+  const components: string[][] = []
+  let counter = 0
+
+  nodes.forEach(root => {
+    if (index.has(root)) return
+    const work: { node: string; next: string[] }[] = [{ node: root, next: Array.from(edges.get(root) || []) }]
+    index.set(root, counter)
+    low.set(root, counter++)
+    stack.push(root)
+    onStack.add(root)
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1]
+      const target = frame.next.pop()
+      if (target !== undefined) {
+        if (!index.has(target)) {
+          index.set(target, counter)
+          low.set(target, counter++)
+          stack.push(target)
+          onStack.add(target)
+          work.push({ node: target, next: Array.from(edges.get(target) || []) })
+        } else if (onStack.has(target)) {
+          low.set(frame.node, Math.min(low.get(frame.node)!, index.get(target)!))
+        }
+        continue
+      }
+
+      work.pop()
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node
+        low.set(parent, Math.min(low.get(parent)!, low.get(frame.node)!))
+      }
+      if (low.get(frame.node) === index.get(frame.node)) {
+        const component: string[] = []
+        let member: string
+        do {
+          member = stack.pop()!
+          onStack.delete(member)
+          component.push(member)
+        } while (member !== frame.node)
+        components.push(component)
+      }
+    }
+  })
+
+  return components
+}
+
+function connectedComponents(nodes: string[], edges: Map<string, Set<string>>): string[][] {
+  const seen = new Set<string>()
+  const components: string[][] = []
+  nodes.forEach(start => {
+    if (seen.has(start)) return
+    const component: string[] = []
+    const queue = [start]
+    seen.add(start)
+    while (queue.length > 0) {
+      const node = queue.shift()!
+      component.push(node)
+      ;(edges.get(node) || new Set()).forEach(next => {
+        if (!seen.has(next)) {
+          seen.add(next)
+          queue.push(next)
+        }
+      })
+    }
+    components.push(component)
+  })
+  return components
+}
+
+function addEdge(edges: Map<string, Set<string>>, from: string, to: string): void {
+  if (!edges.has(from)) edges.set(from, new Set())
+  edges.get(from)!.add(to)
+}
+
+export function detectCollusion(
+  backup: any,
+  { policy = DEFAULT_COLLUSION_POLICY }: { policy?: CollusionPolicy } = {}
+): CollusionReport {
+  const users = new Map(rowsOf(backup?.users).map((row: any) => [String(row.id), row]))
+  const reviews = collectReviews(backup)
+
+  const friendPairs = new Set<string>()
+  rowsOf(backup?.friendships).forEach(row => friendPairs.add(pairKey(String(row.user_id_1), String(row.user_id_2))))
+
+  const reviewed = new Set<string>() // "author>subject"
+  const fiveStar = new Map<string, Set<string>>()
+  const received = new Map<string, string[]>() // subject -> authors, one per review
+  reviews.forEach(review => {
+    reviewed.add(`${review.author}>${review.subject}`)
+    if (review.rating === 5) addEdge(fiveStar, review.author, review.subject)
+    received.set(review.subject, [...(received.get(review.subject) || []), review.author])
+  })
+
+  const mutual = new Map<string, Set<string>>()
+  reviewed.forEach(edge => {
+    const [author, subject] = edge.split('>')
+    if (reviewed.has(`${subject}>${author}`)) addEdge(mutual, author, subject)
+  })
+
+  const measure = (members: string[]) => {
+    const pairs = (members.length * (members.length - 1)) / 2
+    let mutualPairs = 0
+    let friends = 0
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        if (mutual.get(members[i])?.has(members[j])) mutualPairs++
+        if (friendPairs.has(pairKey(members[i], members[j]))) friends++
+      }
+    }
+    const inside = new Set(members)
+    const receivedTotal = members.reduce((sum, member) => sum + (received.get(member) || []).length, 0)
+    const receivedInside = members.reduce((sum, member) => sum + (received.get(member) || []).filter(author => inside.has(author)).length, 0)
+    const created = members
+      .map(member => users.get(member)?.created_at)
+      .filter(Boolean)
+      .map((value: any) => new Date(value).getTime())
+    return {
+      reviewDensity: pairs > 0 ? round(mutualPairs / pairs) : 0,
+      friendDensity: pairs > 0 ? round(friends / pairs) : 0,
+      insularity: receivedTotal > 0 ? round(receivedInside / receivedTotal) : 0,
+      creationSpreadDays: created.length === members.length && created.length > 0
+        ? round((Math.max(...created) - Math.min(...created)) / DAY_MS)
+        : null
+    }
+  }
+
+  const clusters: CollusionCluster[] = []
+  const build = (kind: CollusionKind, members: string[], evidence: string[]) => {
+    const stats = measure(members)
+    const coordinated = stats.creationSpreadDays !== null && stats.creationSpreadDays <= policy.creationWindowDays
+    if (coordinated) evidence.push(`accounts created within ${stats.creationSpreadDays} days of each other`)
+    if (stats.friendDensity >= policy.minFriendDensity) evidence.push(`${Math.round(stats.friendDensity * 100)}% of member pairs are friends`)
+    clusters.push({
+      id: `${kind}-${clusters.length + 1}`,
+      kind,
+      members: [...members].sort(),
+      ...stats,
+      confidence: coordinated && stats.friendDensity >= policy.minFriendDensity ? 'high' : 'medium',
+      evidence
+    })
+  }
+
+  stronglyConnected(Array.from(fiveStar.keys()), fiveStar)
+    .filter(members => members.length >= 2)
+    .forEach(members => {
+      const stats = measure(members)
+      const young = stats.creationSpreadDays !== null && stats.creationSpreadDays <= policy.creationWindowDays
+      if (members.length < policy.minRingSize && !young) return
+      build('five_star_ring', members, [`${members.length} members give each other 5-star reviews in a closed loop`])
+    })
+
+  connectedComponents(Array.from(mutual.keys()), mutual)
+    .filter(members => members.length >= policy.minClusterSize)
+    .forEach(members => {
+      const stats = measure(members)
+      if (stats.reviewDensity < policy.minReviewDensity || stats.insularity < policy.minInsularity) return
+      build('mutual_review_cluster', members, [
+        `${Math.round(stats.reviewDensity * 100)}% of member pairs reviewed each other`,
+        `${Math.round(stats.insularity * 100)}% of reviews received came from inside the group`
+      ])
+    })
+
+  const flags = new Map<string, CollusionFlag>()
+  clusters.forEach(cluster => {
+    cluster.members.forEach(userId => {
+      const row: any = users.get(userId)
+      const flag: CollusionFlag = flags.get(userId) || {
+        userId,
+        name: row?.name || row?.username || userId,
+        trustScore: row?.trust_score ?? null,
+        clusterIds: [],
+        confidence: 'medium'
+      }
+      flag.clusterIds.push(cluster.id)
+      if (cluster.confidence === 'high') flag.confidence = 'high'
+      flags.set(userId, flag)
+    })
+  })
+
+  return {
+    snapshotTakenAt: backup?.timestamp || null,
+    users: users.size,
+    reviews: reviews.length,
+    clusters,
+    flagged: Array.from(flags.values()).sort((a, b) => (a.confidence === b.confidence ? 0 : a.confidence === 'high' ? -1 : 1))
+  }
+}
+
+export function formatCollusionReport(report: CollusionReport): string {
+  const lines: string[] = []
+
+  lines.push('🕸️ Trust score collusion scan')
+  lines.push(`   Snapshot: ${report.snapshotTakenAt || 'unknown time'} · ${report.users} users · ${report.reviews} reviews`)
+  lines.push('')
+  lines.push(`Suspicious groups: ${report.clusters.length}`)
+  if (report.clusters.length === 0) lines.push('  none')
+  report.clusters.forEach(cluster => {
+    lines.push(`  ${cluster.id} [${cluster.confidence}] members ${cluster.members.join(', ')}`)
+    cluster.evidence.forEach(line => lines.push(`    - ${line}`))
+  })
+
+  const high = report.flagged.filter(flag => flag.confidence === 'high').length
+  lines.push('')
+  lines.push(`Flagged users: ${report.flagged.length} (${high} high confidence, ${report.flagged.length - high} for manual review)`)
+  report.flagged.forEach(flag => {
+    lines.push(`  ${flag.name} (${flag.userId}) [${flag.confidence}] score ${flag.trustScore ?? '?'} · ${flag.clusterIds.join(', ')}`)
+  })
+
+  return lines.join('\n')
+}
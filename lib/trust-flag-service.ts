@@ -0,0 +1,216 @@
+/**
+ * Trust Flag Service (server only)
+ * Members flag posts, comments, events and profiles; flags on the same target are grouped
+ * into one moderator decision. Deciding a group updates every flagger's accuracy counters
+ * through the activity log (flag_submitted, plus flag_upheld when upheld), which feed the
+ * flaggingAccuracy component, and a rejected group gives each of its flaggers the
+ * falseFlagging penalty. Each flagger is marked settled as their outcome is applied.
+ *
+ * Flags are weighted when submitted; a post, comment or event whose weighted total crosses
+ * its threshold is hidden pending review, counted against the author (content_hidden) and
+ * the author is notified with the reasons. Rejecting the group restores the content and
+ * reverses the count (content_restored). The post and event readers in enhanced-dataStorage
+ * leave hidden content out.
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+import { recordTrustActivity } from './trust-activity-service'
+import { penalizeUser } from './trust-violation-service'
+import { notifyUser } from './notification-service'
+import { BENEFIT_CATALOGUE } from './trust-score-benefits'
+import {
+  FlagInput,
+  FlagGroup,
+  ContentFlag,
+  FlagDecision,
+  FlagGroupStatus,
+  FlagTargetType,
+  FLAG_DECISIONS,
+  FLAG_REASONS,
+  validateFlag,
+  flagContext,
+  calculateFlagWeight,
+  evaluateAutoHide
+} from './trust-flags'
+
+/**
+ * Weight of a member's next flag, from their score, flag record and benefits
+ */
+export async function getFlagWeight(userId: string): Promise<number> {
+  const user = await persistentDataManager.getUserById(userId)
+  const state = await persistentDataManager.getTrustActivityState(userId)
+  const benefitIds: string[] = await persistentDataManager.getActiveBenefitIds(userId)
+  const flagWeightPerk = BENEFIT_CATALOGUE
+    .filter(benefit => benefitIds.includes(benefit.benefit))
+    .reduce((best, benefit) => Math.max(best, benefit.perks.flagWeight || 1), 1)
+
+  return calculateFlagWeight({
+    trustScore: user?.trustScore ?? 50,
+    flagsSubmitted: Number(state?.counters?.flagsSubmitted) || 0,
+    accurateFlags: Number(state?.counters?.accurateFlags) || 0,
+    flagWeightPerk
+  })
+}
+
+function reasonSummary(reasons: { [reason: string]: number }): string {
+  return Object.entries(reasons)
+    .sort(([, a], [, b]) => b - a)
+    .map(([reason]) => FLAG_REASONS[reason] || reason)
+    .join(', ')
+}
+
+// Count the hidden content against its author and tell them why. Content hidden by an
+// upheld decision (rather than by the flag threshold) is not pending review any more.
+async function onContentHidden(group: FlagGroup, { upheld = false }: { upheld?: boolean } = {}): Promise<void> {
+  if (!group.ownerId) return
+
+  await recordTrustActivity({
+    userId: group.ownerId,
+    type: 'content_hidden',
+    subjectId: `${group.targetType}:${group.targetId}`,
+    payload: { flagGroupId: group.id },
+    eventKey: `flag-group:${group.id}:hidden`
+  })
+  await notifyUser(
+    group.ownerId,
+    'content_hidden',
+    upheld ? `Your ${group.targetType} has been removed` : `Your ${group.targetType} has been hidden pending review`,
+    upheld
+      ? `A moderator upheld flags for: ${reasonSummary(group.reasons)}.`
+      : `Members flagged it for: ${reasonSummary(group.reasons)}. A moderator will review it, and it will be restored if the flags are rejected.`,
+    { flagGroupId: group.id, targetType: group.targetType, targetId: group.targetId, reasons: group.reasons }
+  )
+}
+
+async function onContentRestored(group: FlagGroup): Promise<void> {
+  if (!group.ownerId) return
+
+  await recordTrustActivity({
+    userId: group.ownerId,
+    type: 'content_restored',
+    subjectId: `${group.targetType}:${group.targetId}`,
+    payload: { flagGroupId: group.id },
+    eventKey: `flag-group:${group.id}:restored`
+  })
+  await notifyUser(
+    group.ownerId,
+    'content_restored',
+    `Your ${group.targetType} has been restored`,
+    'A moderator reviewed the flags on it and rejected them.',
+    { flagGroupId: group.id, targetType: group.targetType, targetId: group.targetId }
+  )
+}
+
+export async function submitFlag(flaggerId: string, input: FlagInput) {
+  const { valid, errors } = validateFlag(input)
+  if (!valid) {
+    throw new Error(`Invalid flag: ${errors.join('; ')}`)
+  }
+
+  const { flag, group }: { flag: ContentFlag; group: FlagGroup } = await persistentDataManager.submitFlag({
+    flaggerId,
+    targetType: input.targetType,
+    targetId: String(input.targetId).trim(),
+    reason: input.reason,
+    details: input.details?.trim() || null,
+    weight: await getFlagWeight(flaggerId)
+  })
+
+  const current = (await persistentDataManager.getFlagGroup(group.id))!
+  const autoHide = evaluateAutoHide(current)
+  let hidden: FlagGroup | null = null
+  if (autoHide.shouldHide) {
+    hidden = await persistentDataManager.hideFlaggedContent(group.id)
+    if (hidden) await onContentHidden({ ...hidden, reasons: current.reasons })
+  }
+
+  return {
+    flag,
+    group: hidden ? { ...group, hiddenAt: hidden.hiddenAt } : group,
+    autoHide: { ...autoHide, hidden: Boolean(hidden) }
+  }
+}
+
+/**
+ * Feed filter: which of the given posts, comments or events are hidden
+ */
+export async function getHiddenContentIds(targetType: FlagTargetType, targetIds: string[]): Promise<string[]> {
+  if (targetIds.length === 0) return []
+  return persistentDataManager.getHiddenContentIds(targetType, targetIds)
+}
+
+/**
+ * An author's hidden content and the reasons it was flagged
+ */
+export async function getHiddenContentForOwner(ownerId: string): Promise<FlagGroup[]> {
+  return persistentDataManager.getHiddenContentForOwner(ownerId)
+}
+
+export async function listFlagGroups(
+  filters: { status?: FlagGroupStatus; targetType?: FlagTargetType; limit?: number } = {}
+): Promise<FlagGroup[]> {
+  return persistentDataManager.getFlagGroups(filters)
+}
+
+export async function getFlagGroup(groupId: number): Promise<FlagGroup | null> {
+  return persistentDataManager.getFlagGroup(groupId)
+}
+
+/**
+ * Apply a decided group's outcome to each flagger not yet settled. Every flagger is
+ * settled on their own (a rejected flag together with its penalty), so a run that stops
+ * part way can be finished by running it again.
+ */
+async function settleFlags(group: FlagGroup, decision: FlagDecision) {
+  const penalties: { flagId: number; userId: string; violationId: number }[] = []
+
+  for (const flag of (group.flags || []).filter(flag => !flag.settledAt)) {
+    // Keyed by flag so a retried decision never counts a flag twice
+    await recordTrustActivity({
+      userId: flag.flaggerId,
+      type: 'flag_submitted',
+      subjectId: String(flag.id),
+      eventKey: `flag:${flag.id}:submitted`
+    })
+
+    if (decision === 'upheld') {
+      await recordTrustActivity({
+        userId: flag.flaggerId,
+        type: 'flag_upheld',
+        subjectId: String(flag.id),
+        eventKey: `flag:${flag.id}:upheld`
+      })
+      await persistentDataManager.settleFlag(flag.id)
+    } else {
+      const { violation } = await penalizeUser(flag.flaggerId, 'falseFlagging', flagContext(group, flag), { flagId: flag.id })
+      penalties.push({ flagId: flag.id, userId: flag.flaggerId, violationId: violation.id })
+    }
+  }
+
+  return penalties
+}
+
+/**
+ * Decide a flag group and apply the outcome to each flagger. Deciding a group again with
+ * the same decision settles the flaggers an earlier attempt did not reach.
+ */
+export async function decideFlagGroup(groupId: number, moderatorId: string, decision: FlagDecision, note?: string) {
+  if (!FLAG_DECISIONS.includes(decision)) {
+    throw new Error(`Flag decision must be one of: ${FLAG_DECISIONS.join(', ')}`)
+  }
+
+  const decided: FlagGroup | null = await persistentDataManager.getFlagGroup(groupId)
+  if (decided && decided.status === decision) {
+    return { group: decided, penalties: await settleFlags(decided, decision) }
+  }
+
+  const group: FlagGroup & { wasHidden: boolean } = await persistentDataManager.decideFlagGroup(groupId, moderatorId, decision, note?.trim() || null)
+
+  if (group.restoredAt) {
+    await onContentRestored(group)
+  } else if (group.hiddenAt && !group.wasHidden) {
+    await onContentHidden({ ...group, reasons: (await persistentDataManager.getFlagGroup(groupId))!.reasons }, { upheld: true })
+  }
+
+  return { group, penalties: await settleFlags(group, decision) }
+}
@@ -0,0 +1,74 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { ContentFlag, FlagGroup, MAX_FLAG_WEIGHT, autoHideThreshold, calculateFlagWeight, evaluateAutoHide, validateFlag } from './trust-flags'
+
+let flagId = 0
+const flag = (reason: string, weight: number): ContentFlag => ({
+  id: ++flagId,
+  groupId: 1,
+  flaggerId: String(flagId),
+  reason,
+  details: null,
+  weight,
+  status: 'pending',
+  settledAt: null,
+  createdAt: '2026-06-01T00:00:00Z'
+})
+
+function group(flags: ContentFlag[], overrides: Partial<FlagGroup> = {}): FlagGroup & { flags: ContentFlag[] } {
+  return {
+    id: 1,
+    targetType: 'post',
+    targetId: '9',
+    ownerId: '5',
+    status: 'open',
+    flagCount: flags.length,
+    weightedTotal: 0,
+    reasons: {},
+    decidedBy: null,
+    decisionNote: null,
+    hiddenAt: null,
+    restoredAt: null,
+    createdAt: '2026-06-01T00:00:00Z',
+    updatedAt: '2026-06-01T00:00:00Z',
+    decidedAt: null,
+    ...overrides,
+    flags
+  }
+}
+
+test('flags need a known target type, a target, a known reason and details for other', () => {
+  assert.deepEqual(validateFlag({ targetType: 'post', targetId: '9', reason: 'spam' }), { valid: true, errors: [] })
+  assert.equal(validateFlag({ targetType: 'group', targetId: ' ', reason: 'rude' }).errors.length, 3)
+  assert.deepEqual(validateFlag({ targetType: 'post', targetId: '9', reason: 'other' }).errors, ['details are required when the reason is other'])
+})
+
+test('a member at score 50 with no decided flags counts 1', () => {
+  assert.equal(calculateFlagWeight({ trustScore: 50 }), 1)
+})
+
+test('flag weight follows trust score and accuracy and is capped', () => {
+  assert.equal(calculateFlagWeight({ trustScore: 25 }), 0.5)
+  assert.equal(calculateFlagWeight({ trustScore: 50, flagsSubmitted: 8, accurateFlags: 8 }), 1.8)
+  assert.equal(calculateFlagWeight({ trustScore: 50, flagsSubmitted: 8, accurateFlags: 0 }), 0.2)
+  assert.equal(calculateFlagWeight({ trustScore: 100, flagsSubmitted: 8, accurateFlags: 8, flagWeightPerk: 2 }), MAX_FLAG_WEIGHT)
+})
+
+test('the threshold averages reason thresholds by weight', () => {
+  assert.equal(autoHideThreshold([flag('hate_speech', 1), flag('other', 1)]), 6)
+  assert.equal(autoHideThreshold([flag('spam', 2), flag('misinformation', 1)]), 6.33)
+  assert.equal(autoHideThreshold([]), 8)
+})
+
+test('no single flagger can hide content alone', () => {
+  assert.equal(evaluateAutoHide(group([flag('hate_speech', MAX_FLAG_WEIGHT)])).shouldHide, false)
+})
+
+test('open posts are hidden once the weighted total reaches the threshold', () => {
+  const flags = [flag('hate_speech', 2), flag('harassment', 2)]
+
+  assert.deepEqual(evaluateAutoHide(group(flags)), { weightedTotal: 4, threshold: 4, shouldHide: true })
+  assert.equal(evaluateAutoHide(group(flags, { targetType: 'profile' })).shouldHide, false)
+  assert.equal(evaluateAutoHide(group(flags, { status: 'rejected' })).shouldHide, false)
+  assert.equal(evaluateAutoHide(group(flags, { hiddenAt: '2026-06-01T01:00:00Z' })).shouldHide, false)
+})
@@ -0,0 +1,167 @@
+/**
+ * Trust Flags
+ * Community flags on posts, comments, events and profiles. Flags on the same target are
+ * grouped so moderators decide each target once; the decision is applied to every flag in
+ * the group (upheld or rejected) and feeds the flaggers' accuracy counters.
+ *
+ * Each flag carries a weight from the flagger's trust score, flagging accuracy and the
+ * moderation_power flagWeight perk. A post, comment or event is hidden pending review once
+ * its group's weighted total reaches the threshold for the reasons it was flagged for.
+ */
+
+export type FlagTargetType = 'post' | 'comment' | 'event' | 'profile'
+export type FlagDecision = 'upheld' | 'rejected'
+export type FlagGroupStatus = 'open' | FlagDecision
+export type FlagStatus = 'pending' | FlagDecision
+
+export const FLAG_TARGET_TYPES: FlagTargetType[] = ['post', 'comment', 'event', 'profile']
+export const FLAG_DECISIONS: FlagDecision[] = ['upheld', 'rejected']
+
+export const FLAG_REASONS: { [reason: string]: string } = {
+  spam: 'Spam or advertising',
+  harassment: 'Harassment or bullying',
+  hate_speech: 'Hate speech',
+  misinformation: 'False or misleading information',
+  inappropriate: 'Inappropriate or explicit content',
+  fake_event: 'Fake or misleading event',
+  impersonation: 'Impersonating someone else',
+  other: 'Something else'
+}
+
+export const MAX_FLAG_DETAILS_LENGTH = 1000
+
+// Weighted total that hides content, by flag reason. Every threshold is above
+// MAX_FLAG_WEIGHT, so no single flagger can hide content alone.
+export const AUTO_HIDE_THRESHOLDS: { [reason: string]: number } = {
+  hate_speech: 4,
+  harassment: 4,
+  inappropriate: 5,
+  impersonation: 5,
+  fake_event: 5,
+  spam: 6,
+  misinformation: 7,
+  other: 8
+}
+
+export const AUTO_HIDE_TARGET_TYPES: FlagTargetType[] = ['post', 'comment', 'event']
+export const MAX_FLAG_WEIGHT = 3
+
+export interface FlagInput {
+  targetType: FlagTargetType
+  targetId: string
+  reason: string
+  details?: string | null
+}
+
+export interface ContentFlag {
+  id: number
+  groupId: number
+  flaggerId: string
+  reason: string
+  details: string | null
+  weight: number
+  status: FlagStatus
+  settledAt: string | Date | null // when the decision reached the flagger (counters, penalty)
+  createdAt: string | Date
+}
+
+export interface FlagGroup {
+  id: number
+  targetType: FlagTargetType
+  targetId: string
+  ownerId: string | null
+  status: FlagGroupStatus
+  flagCount: number
+  weightedTotal: number
+  reasons: { [reason: string]: number }
+  decidedBy: string | null
+  decisionNote: string | null
+  hiddenAt: string | Date | null
+  restoredAt: string | Date | null
+  createdAt: string | Date
+  updatedAt: string | Date
+  decidedAt: string | Date | null
+  flags?: ContentFlag[]
+}
+
+export function validateFlag(input: any): { valid: boolean; errors: string[] } {
+  const errors: string[] = []
+
+  if (!input || typeof input !== 'object') {
+    return { valid: false, errors: ['Flag must be an object'] }
+  }
+  if (!FLAG_TARGET_TYPES.includes(input.targetType)) {
+    errors.push(`targetType must be one of: ${FLAG_TARGET_TYPES.join(', ')}`)
+  }
+  if (input.targetId === undefined || input.targetId === null || String(input.targetId).trim() === '') {
+    errors.push('targetId is required')
+  }
+  if (!FLAG_REASONS[input.reason]) {
+    errors.push(`reason must be one of: ${Object.keys(FLAG_REASONS).join(', ')}`)
+  }
+  if (input.reason === 'other' && !(input.details || '').trim()) {
+    errors.push('details are required when the reason is other')
+  }
+  if (input.details && String(input.details).length > MAX_FLAG_DETAILS_LENGTH) {
+    errors.push(`details are limited to ${MAX_FLAG_DETAILS_LENGTH} characters`)
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+/**
+ * How much one flag counts. A member at score 50 with no decided flags counts 1. The trust
+ * score factor runs from 0 to 2 (score / 50); the accuracy factor from 0 to 2 (smoothed
+ * share of decided flags that were upheld); the flagWeight perk multiplies both.
+ */
+export function calculateFlagWeight({
+  trustScore,
+  flagsSubmitted = 0,
+  accurateFlags = 0,
+  flagWeightPerk = 1
+}: {
+  trustScore: number
+  flagsSubmitted?: number
+  accurateFlags?: number
+  flagWeightPerk?: number
+}): number {
+  const scoreFactor = Math.min(2, Math.max(0, trustScore / 50))
+  const accuracyFactor = 2 * (Math.min(accurateFlags, flagsSubmitted) + 1) / (flagsSubmitted + 2)
+  const weight = scoreFactor * accuracyFactor * Math.max(1, flagWeightPerk)
+  return Math.round(Math.min(MAX_FLAG_WEIGHT, weight) * 100) / 100
+}
+
+/**
+ * Threshold for a group: the reason thresholds averaged by the weight flagged for each
+ */
+export function autoHideThreshold(flags: Pick<ContentFlag, 'reason' | 'weight'>[]): number {
+  const total = flags.reduce((sum, flag) => sum + flag.weight, 0)
+  if (total <= 0) return AUTO_HIDE_THRESHOLDS.other
+  const weighted = flags.reduce((sum, flag) => sum + flag.weight * (AUTO_HIDE_THRESHOLDS[flag.reason] ?? AUTO_HIDE_THRESHOLDS.other), 0)
+  return Math.round((weighted / total) * 100) / 100
+}
+
+export function evaluateAutoHide(group: FlagGroup & { flags: ContentFlag[] }) {
+  const weightedTotal = Math.round(group.flags.reduce((sum, flag) => sum + flag.weight, 0) * 100) / 100
+  const threshold = autoHideThreshold(group.flags)
+  return {
+    weightedTotal,
+    threshold,
+    shouldHide: AUTO_HIDE_TARGET_TYPES.includes(group.targetType) &&
+      group.status === 'open' &&
+      !group.hiddenAt &&
+      weightedTotal >= threshold
+  }
+}
+
+/**
+ * Violation context naming the flagged target, in the keys linkedContentFrom understands
+ */
+export function flagContext(group: FlagGroup, flag: ContentFlag) {
+  return {
+    flagId: flag.id,
+    flagGroupId: group.id,
+    reason: flag.reason,
+    [`${group.targetType}Id`]: group.targetId
+  }
+}
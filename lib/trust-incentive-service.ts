@@ -0,0 +1,127 @@
+/**
+ * Trust Incentive Service (server only)
+ * Pays TrustScoreIncentiveSystem rewards through the incentive ledger: a grant adds its
+ * points as an "incentive: <action>" score adjustment and a reversal adds the matching
+ * negative one. Trust activity events earn and reverse incentives as they are recorded;
+ * milestones and profile completion are settled against the member's current counters
+ * after each one (and on request, after profile edits).
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+import { TrustActivityEvent } from './trust-activity-log'
+import { notifyUser } from './notification-service'
+import {
+  IncentiveLedgerEntry,
+  INCENTIVES,
+  MILESTONES,
+  MILESTONE_ACTION,
+  incentiveSubject,
+  incentiveForActivity,
+  milestoneMetrics,
+  milestoneCrossings,
+  milestoneProgress,
+  incentiveBalance
+} from './trust-incentives'
+
+/**
+ * Grant an incentive once. Returns null when the member already holds it.
+ */
+export async function grantIncentive(
+  userId: string,
+  action: string,
+  subject: string | null = null,
+  { notify = true }: { notify?: boolean } = {}
+) {
+  const definition = action === MILESTONE_ACTION ? MILESTONES[subject || ''] : INCENTIVES[action]
+  if (!definition) {
+    throw new Error(`Unknown incentive: ${action}${subject ? ` ${subject}` : ''}`)
+  }
+  const key = action === MILESTONE_ACTION ? subject! : incentiveSubject(action, subject)
+  if (key === null) {
+    throw new Error(`${action} requires a subject`)
+  }
+
+  const grant = await persistentDataManager.grantIncentive(userId, action, key, definition.points)
+  if (grant && notify) {
+    await notifyUser(userId, 'incentive_earned', definition.message, null, { action, subject: key, points: definition.points })
+  }
+  return grant
+}
+
+/**
+ * Claw back a granted incentive. Returns null when it is not held.
+ */
+export async function reverseIncentive(userId: string, action: string, subject: string | null, reason: string) {
+  const key = action === MILESTONE_ACTION ? subject || '' : incentiveSubject(action, subject)
+  if (key === null) {
+    throw new Error(`${action} requires a subject`)
+  }
+  return persistentDataManager.reverseIncentive(userId, action, key, reason)
+}
+
+async function incentiveProfile(userId: string) {
+  const user = await persistentDataManager.getUserById(userId)
+  if (!user) return null
+  const state = await persistentDataManager.getTrustActivityState(userId)
+  return { ...user, ...(state?.counters || {}) }
+}
+
+/**
+ * Grant milestones whose threshold the member has reached and reverse those they have
+ * dropped below. A complete profile earns completeProfile the same way.
+ */
+export async function syncIncentiveMilestones(userId: string) {
+  const profile = await incentiveProfile(userId)
+  if (!profile) return { reached: [], lost: [] }
+
+  const ledger: IncentiveLedgerEntry[] = await persistentDataManager.getIncentiveLedger(userId, { status: 'granted' })
+  const held = ledger.filter(entry => entry.action === MILESTONE_ACTION).map(entry => entry.subject)
+  const metrics = milestoneMetrics(profile)
+  const { reached, lost } = milestoneCrossings(metrics, held)
+
+  for (const id of reached) {
+    await grantIncentive(userId, MILESTONE_ACTION, id)
+  }
+  for (const id of lost) {
+    await reverseIncentive(userId, MILESTONE_ACTION, id, `below ${MILESTONES[id].metric} ${MILESTONES[id].threshold}`)
+  }
+
+  if (metrics.profileCompletion >= 100) {
+    await grantIncentive(userId, 'completeProfile')
+  } else {
+    await reverseIncentive(userId, 'completeProfile', null, 'profile no longer complete')
+  }
+
+  return { reached, lost }
+}
+
+/**
+ * Earn or reverse the incentive for a newly recorded trust activity event
+ */
+export async function recordIncentiveActivity(event: TrustActivityEvent) {
+  const incentive = incentiveForActivity(event)
+  if (!incentive) return null
+
+  const entry = incentive.reversal
+    ? await reverseIncentive(event.userId, incentive.action, incentive.subject, event.type)
+    : await grantIncentive(event.userId, incentive.action, incentive.subject)
+  await syncIncentiveMilestones(event.userId)
+  return entry
+}
+
+/**
+ * The member's ledger, held points and milestone progress
+ */
+export async function getIncentives(userId: string) {
+  const ledger: IncentiveLedgerEntry[] = await persistentDataManager.getIncentiveLedger(userId)
+  const profile = await incentiveProfile(userId)
+  const held = ledger
+    .filter(entry => entry.action === MILESTONE_ACTION && entry.status === 'granted')
+    .map(entry => entry.subject)
+
+  return {
+    balance: incentiveBalance(ledger),
+    ledger,
+    milestones: milestoneProgress(profile ? milestoneMetrics(profile) : {}, held)
+  }
+}
@@ -0,0 +1,81 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  IncentiveLedgerEntry,
+  MILESTONES,
+  incentiveBalance,
+  incentiveForActivity,
+  incentiveSubject,
+  milestoneCrossings,
+  milestoneMetrics,
+  milestoneProgress
+} from './trust-incentives'
+
+function entry(action: string, subject: string, points: number, status: 'granted' | 'reversed' = 'granted'): IncentiveLedgerEntry {
+  return { action, subject, points, status, grantedAt: '2026-06-01T00:00:00Z', reversedAt: null, reversalReason: null }
+}
+
+test('milestones are reached when their metric crosses the threshold', () => {
+  const { reached, lost } = milestoneCrossings({ friendsCount: 5, eventsAttended: 9 }, [])
+
+  assert.deepEqual(reached, ['first5Friends'])
+  assert.deepEqual(lost, [])
+})
+
+test('held milestones are not granted again', () => {
+  assert.deepEqual(milestoneCrossings({ friendsCount: 8 }, ['first5Friends']).reached, [])
+})
+
+test('milestones are reversed when their metric drops back below', () => {
+  const { reached, lost } = milestoneCrossings({ friendsCount: 4, eventsAttended: 10 }, ['first5Friends', 'first10Events'])
+
+  assert.deepEqual(reached, [])
+  assert.deepEqual(lost, ['first5Friends'])
+})
+
+test('milestone metrics read the profile counters', () => {
+  const metrics = milestoneMetrics({ friendsCount: 3, eventsAttended: 12, connectedAccounts: ['a', 'b'] })
+
+  assert.equal(metrics.friendsCount, 3)
+  assert.equal(metrics.eventsAttended, 12)
+  assert.equal(metrics.connectedAccounts, 2)
+  assert.equal(typeof metrics.profileCompletion, 'number')
+})
+
+test('milestone progress stops at the threshold', () => {
+  const progress = milestoneProgress({ eventsAttended: 14, friendsCount: 2 }, ['first10Events'])
+  const events = progress.find(milestone => milestone.id === 'first10Events')!
+  const friends = progress.find(milestone => milestone.id === 'first5Friends')!
+
+  assert.equal(progress.length, Object.keys(MILESTONES).length)
+  assert.deepEqual({ current: events.current, reached: events.reached }, { current: 10, reached: true })
+  assert.deepEqual({ current: friends.current, reached: friends.reached }, { current: 2, reached: false })
+})
+
+test('once-per-member incentives have no subject; per-subject ones need one', () => {
+  assert.equal(incentiveSubject('verifyPhone', 'anything'), '')
+  assert.equal(incentiveSubject('addFriend', '42'), '42')
+  assert.equal(incentiveSubject('addFriend', null), null)
+})
+
+test('activity events earn and reverse incentives keyed by subject', () => {
+  assert.deepEqual(incentiveForActivity({ type: 'friend_added', subjectId: '7' }), { action: 'addFriend', subject: '7', reversal: false })
+  assert.deepEqual(incentiveForActivity({ type: 'friend_removed', subjectId: '7' }), { action: 'addFriend', subject: '7', reversal: true })
+  assert.deepEqual(
+    incentiveForActivity({ type: 'account_connected', subjectId: '99', payload: { platform: 'github' } }),
+    { action: 'connectSocialAccount', subject: 'github', reversal: false }
+  )
+  assert.deepEqual(incentiveForActivity({ type: 'email_verified' }), { action: 'verifyEmail', subject: '', reversal: false })
+  assert.equal(incentiveForActivity({ type: 'friend_added' }), null)
+  assert.equal(incentiveForActivity({ type: 'post_created', subjectId: '1' }), null)
+})
+
+test('the balance counts granted entries only', () => {
+  const ledger = [
+    entry('addFriend', '1', 5),
+    entry('addFriend', '2', 5, 'reversed'),
+    entry('milestone', 'first5Friends', 25)
+  ]
+
+  assert.equal(incentiveBalance(ledger), 30)
+})
@@ -0,0 +1,139 @@
+/**
+ * Trust Incentives
+ * The TrustScoreIncentiveSystem rewards (verifyPhone, addFriend, connectSocialAccount, ...)
+ * as ledger entries keyed by member, action and subject, so each is paid once: once per
+ * member for verifications and profile completion, once per friend, event, review or
+ * platform otherwise. Undoing the action (unfriending, disconnecting an account) reverses
+ * the entry. Milestones are held while their metric is at or above the threshold and
+ * reversed when it drops back below.
+ */
+
+import { TrustScoreIncentiveSystem } from '../trust-score-incentive-system.js'
+
+export interface IncentiveDefinition {
+  points: number
+  message: string
+  perSubject: boolean // paid once per friend, event, review or platform rather than once
+}
+
+export interface MilestoneDefinition {
+  points: number
+  message: string
+  action: string
+  metric: string
+  threshold: number
+}
+
+export interface IncentiveLedgerEntry {
+  action: string
+  subject: string
+  points: number
+  status: 'granted' | 'reversed'
+  grantedAt: string | Date
+  reversedAt: string | Date | null
+  reversalReason: string | null
+}
+
+export interface IncentiveActivity {
+  action: string
+  subject: string
+  reversal: boolean
+}
+
+// Ledger action for milestone bonuses; the subject is the milestone id
+export const MILESTONE_ACTION = 'milestone'
+
+const incentiveSystem = new TrustScoreIncentiveSystem()
+const { milestones, ...actions } = incentiveSystem.incentives
+
+const ONCE_PER_MEMBER = ['verifyPhone', 'verifyEmail', 'completeProfile']
+
+export const INCENTIVES: { [action: string]: IncentiveDefinition } = Object.fromEntries(
+  Object.entries(actions as { [action: string]: { points: number; message: string } }).map(([action, incentive]) => [
+    action,
+    { ...incentive, perSubject: !ONCE_PER_MEMBER.includes(action) }
+  ])
+)
+
+export const MILESTONES: { [id: string]: MilestoneDefinition } = Object.fromEntries(
+  Object.entries(incentiveSystem.milestoneThresholds as { [id: string]: Omit<MilestoneDefinition, 'points' | 'message'> })
+    .map(([id, threshold]) => [id, { ...milestones[id], ...threshold }])
+)
+
+// Trust activity events that earn or reverse an incentive
+const INCENTIVE_ACTIVITY: { [type: string]: { action: string; reversal?: boolean } } = {
+  friend_added: { action: 'addFriend' },
+  friend_removed: { action: 'addFriend', reversal: true },
+  event_attended: { action: 'attendEvent' },
+  event_hosted: { action: 'createEvent' },
+  review_given: { action: 'writeReview' },
+  email_verified: { action: 'verifyEmail' },
+  phone_verified: { action: 'verifyPhone' },
+  account_connected: { action: 'connectSocialAccount' },
+  account_disconnected: { action: 'connectSocialAccount', reversal: true }
+}
+
+/**
+ * Ledger key for an action: no subject for once-per-member actions, null when a
+ * per-subject action has no subject to key it by
+ */
+export function incentiveSubject(action: string, subject: string | null | undefined): string | null {
+  if (!INCENTIVES[action]?.perSubject) return ''
+  return subject ? String(subject) : null
+}
+
+/**
+ * The incentive a trust activity event earns or reverses. Connected accounts are keyed by
+ * payload.platform when it is given.
+ */
+export function incentiveForActivity(event: { type: string; subjectId?: string | null; payload?: { [key: string]: any } }): IncentiveActivity | null {
+  const mapping = INCENTIVE_ACTIVITY[event.type]
+  if (!mapping) return null
+
+  const subject = incentiveSubject(mapping.action, event.payload?.platform || event.subjectId)
+  if (subject === null) return null
+  return { action: mapping.action, subject, reversal: Boolean(mapping.reversal) }
+}
+
+/**
+ * Milestone metrics (friendsCount, eventsAttended, connectedAccounts, profileCompletion)
+ * for a profile with its activity counters
+ */
+export function milestoneMetrics(profile: { [field: string]: any }): { [metric: string]: number } {
+  return Object.fromEntries(
+    Object.values(MILESTONES).map(({ metric }) => [metric, incentiveSystem.getMilestoneMetric(metric, profile)])
+  )
+}
+
+/**
+ * Milestones whose threshold was crossed since they were last settled: reached ones are
+ * not held yet, lost ones are held but their metric is back below the threshold
+ */
+export function milestoneCrossings(metrics: { [metric: string]: number }, held: string[]): { reached: string[]; lost: string[] } {
+  const ids = Object.keys(MILESTONES)
+  const atThreshold = (id: string) => (metrics[MILESTONES[id].metric] || 0) >= MILESTONES[id].threshold
+  return {
+    reached: ids.filter(id => atThreshold(id) && !held.includes(id)),
+    lost: ids.filter(id => !atThreshold(id) && held.includes(id))
+  }
+}
+
+/**
+ * Incentive points currently held
+ */
+export function incentiveBalance(ledger: IncentiveLedgerEntry[]): number {
+  return ledger
+    .filter(entry => entry.status === 'granted')
+    .reduce((sum, entry) => sum + entry.points, 0)
+}
+
+export function milestoneProgress(metrics: { [metric: string]: number }, held: string[]) {
+  return Object.entries(MILESTONES).map(([id, milestone]) => ({
+    id,
+    message: milestone.message,
+    points: milestone.points,
+    current: Math.min(metrics[milestone.metric] || 0, milestone.threshold),
+    threshold: milestone.threshold,
+    reached: held.includes(id)
+  }))
+}
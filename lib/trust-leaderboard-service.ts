@@ -0,0 +1,77 @@
+/**
+ * Trust Leaderboard Service (server only)
+ * Weekly, monthly and quarterly boards of trust gained, served from stored snapshots that
+ * are recomputed once they are more than a few minutes old (or by
+ * trust-leaderboard-snapshot.ts). Members who opt out are left off every board.
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+import {
+  LeaderboardPeriod,
+  LeaderboardScope,
+  LeaderboardEntry,
+  LEADERBOARDS,
+  LEADERBOARD_PERIODS,
+  leaderboardWindow,
+  leaderboardScopeKey,
+  normalizeCity,
+  rankLeaderboard,
+  isSnapshotFresh
+} from './trust-leaderboards'
+
+export async function getLeaderboard(
+  period: LeaderboardPeriod,
+  scope: LeaderboardScope = {},
+  { viewerId = null, refresh = false, now = new Date() }: { viewerId?: string | null; refresh?: boolean; now?: Date } = {}
+) {
+  const definition = LEADERBOARDS[period]
+  if (!definition) {
+    throw new Error(`Unknown leaderboard period: ${period}`)
+  }
+
+  const window = leaderboardWindow(period, now)
+  const scopeKey = leaderboardScopeKey(scope)
+  let snapshot: { entries: LeaderboardEntry[]; computedAt: string | Date } | null =
+    await persistentDataManager.getLeaderboardSnapshot(period, window.key, scopeKey)
+
+  if (refresh || !snapshot || !isSnapshotFresh(snapshot.computedAt, window, now)) {
+    const rows = await persistentDataManager.getLeaderboardGains(window.start, window.end, {
+      city: normalizeCity(scope.city),
+      friendsOf: scope.friendsOf || null,
+      limit: definition.participants
+    })
+    snapshot = await persistentDataManager.saveLeaderboardSnapshot(period, window.key, scopeKey, rankLeaderboard(rows, definition.participants))
+  }
+
+  return {
+    period,
+    title: definition.title,
+    participants: definition.participants,
+    window: { key: window.key, start: window.start.toISOString(), end: window.end.toISOString() },
+    scope: scopeKey,
+    computedAt: snapshot!.computedAt,
+    entries: snapshot!.entries,
+    viewer: viewerId ? snapshot!.entries.find(entry => entry.userId === String(viewerId)) || null : null
+  }
+}
+
+export async function getLeaderboardOptOut(userId: string): Promise<boolean> {
+  return persistentDataManager.getLeaderboardOptOut(userId)
+}
+
+export async function setLeaderboardOptOut(userId: string, optedOut: boolean): Promise<boolean> {
+  await persistentDataManager.setLeaderboardOptOut(userId, optedOut)
+  return optedOut
+}
+
+/**
+ * Job: recompute the global board for every period
+ */
+export async function refreshLeaderboards(now: Date = new Date()) {
+  const boards: { period: LeaderboardPeriod; window: string; entries: number }[] = []
+  for (const period of LEADERBOARD_PERIODS) {
+    const board = await getLeaderboard(period, {}, { refresh: true, now })
+    boards.push({ period, window: board.window.key, entries: board.entries.length })
+  }
+  return boards
+}
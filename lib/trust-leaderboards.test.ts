@@ -0,0 +1,67 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { LeaderboardRow, isSnapshotFresh, leaderboardScopeKey, leaderboardWindow, rankLeaderboard, SNAPSHOT_TTL_MS } from './trust-leaderboards'
+
+const row = (userId: string, gained: number, trustScore = 60): LeaderboardRow => ({
+  userId,
+  name: `Member ${userId}`,
+  avatar: null,
+  location: null,
+  trustScore,
+  gained
+})
+
+test('ties share a rank and the next rank skips past them', () => {
+  const ranked = rankLeaderboard([row('1', 5), row('2', 9), row('3', 5), row('4', 2)], 10)
+
+  assert.deepEqual(ranked.map(entry => [entry.userId, entry.rank]), [['2', 1], ['1', 2], ['3', 2], ['4', 4]])
+})
+
+test('tied members are ordered by trust score, then by id', () => {
+  const ranked = rankLeaderboard([row('7', 5, 60), row('3', 5, 80), row('2', 5, 60)], 10)
+
+  assert.deepEqual(ranked.map(entry => entry.userId), ['3', '2', '7'])
+  assert.deepEqual(ranked.map(entry => entry.rank), [1, 1, 1])
+})
+
+test('members who gained nothing are left out and the cap is kept', () => {
+  const ranked = rankLeaderboard([row('1', 0), row('2', -3), row('3', 4), row('4', 6), row('5', 1)], 2)
+
+  assert.deepEqual(ranked.map(entry => entry.userId), ['4', '3'])
+})
+
+test('weekly windows start on Monday in UTC', () => {
+  const sunday = leaderboardWindow('weekly', new Date('2026-06-07T23:59:00Z'))
+  assert.equal(sunday.key, '2026-06-01')
+  assert.equal(sunday.end.toISOString(), '2026-06-08T00:00:00.000Z')
+
+  const monday = leaderboardWindow('weekly', new Date('2026-06-08T00:00:00Z'))
+  assert.equal(monday.key, '2026-06-08')
+  assert.equal(monday.start.toISOString(), '2026-06-08T00:00:00.000Z')
+})
+
+test('monthly and quarterly windows follow the calendar', () => {
+  const march = leaderboardWindow('monthly', new Date('2026-03-31T23:00:00Z'))
+  assert.deepEqual([march.key, march.start.toISOString(), march.end.toISOString()], ['2026-03', '2026-03-01T00:00:00.000Z', '2026-04-01T00:00:00.000Z'])
+
+  const q1 = leaderboardWindow('quarterly', new Date('2026-03-31T23:59:59Z'))
+  assert.deepEqual([q1.key, q1.end.toISOString()], ['2026-Q1', '2026-04-01T00:00:00.000Z'])
+
+  const q4 = leaderboardWindow('quarterly', new Date('2026-10-01T00:00:00Z'))
+  assert.deepEqual([q4.key, q4.start.toISOString(), q4.end.toISOString()], ['2026-Q4', '2026-10-01T00:00:00.000Z', '2027-01-01T00:00:00.000Z'])
+})
+
+test('snapshots are fresh only within the window and the TTL', () => {
+  const now = new Date('2026-06-10T12:00:00Z')
+  const week = leaderboardWindow('weekly', now)
+
+  assert.equal(isSnapshotFresh(new Date(now.getTime() - 60 * 1000), week, now), true)
+  assert.equal(isSnapshotFresh(new Date(now.getTime() - SNAPSHOT_TTL_MS), week, now), false)
+  assert.equal(isSnapshotFresh('2026-06-07T23:59:00Z', week, new Date('2026-06-08T00:01:00Z')), false)
+})
+
+test('scope keys prefer friends, then the normalized city', () => {
+  assert.equal(leaderboardScopeKey({ friendsOf: '4', city: 'Berlin' }), 'friends:4')
+  assert.equal(leaderboardScopeKey({ city: ' Berlin, Germany' }), 'city:berlin')
+  assert.equal(leaderboardScopeKey({ city: '  ' }), 'global')
+})
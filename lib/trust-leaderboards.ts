@@ -0,0 +1,112 @@
+/**
+ * Trust Leaderboards
+ * The TrustScoreGamification boards (weekly, monthly, quarterly) rank members by the trust
+ * they gained within the current calendar window (UTC weeks start on Monday), not by their
+ * score. Each board keeps its participant cap. Boards can be scoped to a city (the part of
+ * the member's location before the first comma) or to a member and their friends.
+ */
+
+import { TrustScoreGamification } from '../continuous-engagement-trust-system.js'
+
+export type LeaderboardPeriod = 'weekly' | 'monthly' | 'quarterly'
+
+export interface LeaderboardDefinition {
+  title: string
+  participants: number
+}
+
+export interface LeaderboardScope {
+  city?: string | null
+  friendsOf?: string | null
+}
+
+export interface LeaderboardWindow {
+  period: LeaderboardPeriod
+  key: string // e.g. 2025-06-09, 2025-06, 2025-Q2
+  start: Date
+  end: Date
+}
+
+export interface LeaderboardRow {
+  userId: string
+  name: string | null
+  avatar: string | null
+  location: string | null
+  trustScore: number
+  gained: number
+}
+
+export interface LeaderboardEntry extends LeaderboardRow {
+  rank: number
+}
+
+export const LEADERBOARDS: { [period in LeaderboardPeriod]: LeaderboardDefinition } = new TrustScoreGamification().leaderboards
+export const LEADERBOARD_PERIODS = Object.keys(LEADERBOARDS) as LeaderboardPeriod[]
+
+// How long a stored snapshot is served before it is recomputed
+export const SNAPSHOT_TTL_MS = 10 * 60 * 1000
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export function leaderboardWindow(period: LeaderboardPeriod, now: Date = new Date()): LeaderboardWindow {
+  const year = now.getUTCFullYear()
+  const month = now.getUTCMonth()
+
+  if (period === 'weekly') {
+    const today = Date.UTC(year, month, now.getUTCDate())
+    const start = new Date(today - ((now.getUTCDay() + 6) % 7) * DAY_MS)
+    return { period, key: start.toISOString().slice(0, 10), start, end: new Date(start.getTime() + 7 * DAY_MS) }
+  }
+  if (period === 'monthly') {
+    return {
+      period,
+      key: `${year}-${String(month + 1).padStart(2, '0')}`,
+      start: new Date(Date.UTC(year, month, 1)),
+      end: new Date(Date.UTC(year, month + 1, 1))
+    }
+  }
+  const quarter = Math.floor(month / 3)
+  return {
+    period,
+    key: `${year}-Q${quarter + 1}`,
+    start: new Date(Date.UTC(year, quarter * 3, 1)),
+    end: new Date(Date.UTC(year, quarter * 3 + 3, 1))
+  }
+}
+
+export function normalizeCity(city: string | null | undefined): string | null {
+  const trimmed = (city || '').split(',')[0].trim().toLowerCase()
+  return trimmed || null
+}
+
+/**
+ * Snapshot key for a scope: global, city:<name> or friends:<userId>
+ */
+export function leaderboardScopeKey(scope: LeaderboardScope = {}): string {
+  if (scope.friendsOf) return `friends:${scope.friendsOf}`
+  const city = normalizeCity(scope.city)
+  return city ? `city:${city}` : 'global'
+}
+
+/**
+ * Rank members who gained trust, highest gain first, up to the board's cap. Ties share a
+ * rank (1, 2, 2, 4) and are ordered by current score.
+ */
+export function rankLeaderboard(rows: LeaderboardRow[], cap: number): LeaderboardEntry[] {
+  const sorted = rows
+    .filter(row => row.gained > 0)
+    .sort((a, b) => b.gained - a.gained || b.trustScore - a.trustScore || Number(a.userId) - Number(b.userId))
+    .slice(0, cap)
+
+  return sorted.map((row, index) => ({
+    ...row,
+    rank: index > 0 && sorted[index - 1].gained === row.gained
+      ? sorted.findIndex(candidate => candidate.gained === row.gained) + 1
+      : index + 1
+  }))
+}
+
+export function isSnapshotFresh(computedAt: string | Date, window: LeaderboardWindow, now: Date = new Date()): boolean {
+  const computed = new Date(computedAt).getTime()
+  return computed >= window.start.getTime() && now.getTime() - computed < SNAPSHOT_TTL_MS
+}
@@ -0,0 +1,103 @@
+/**
+ * Trust Moderation Service (server only)
+ * Turns TrustScorePenaltySystem.getRecommendedModeratorAction output into moderation cases.
+ * manual_review, account_suspension and enhanced_monitoring each open a case (or add to
+ * the member's unresolved case for the same action) with a priority, the risk level from
+ * calculateRiskLevel, the linked violations and content, and an audit trail. Moderators
+ * claim a case before resolving it; automated_handling never opens one.
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+import { imposeSanction } from './trust-sanction-service'
+import { SanctionType, parseSanctionDuration } from './trust-sanctions'
+import {
+  ACTION_PRIORITY,
+  LinkedContent,
+  MODERATION_RESOLUTIONS,
+  ModerationCaseStatus,
+  ModerationPriority,
+  ModerationResolution,
+  ModeratorRecommendation,
+  casePriority
+} from './trust-moderation'
+
+// Resolutions that put a timed sanction on the member
+const RESOLUTION_SANCTIONS: { [resolution: string]: SanctionType } = {
+  suspension: 'suspension',
+  enhanced_monitoring: 'enhanced_monitoring'
+}
+
+/**
+ * Open (or extend) a case for a recommendation. Returns null for automated_handling.
+ */
+export async function openCaseFromRecommendation(
+  userId: string,
+  recommendation: ModeratorRecommendation,
+  { riskLevel, violationIds = [], linkedContent = [] }: { riskLevel: string; violationIds?: number[]; linkedContent?: LinkedContent[] }
+) {
+  if (!ACTION_PRIORITY[recommendation.action]) return null
+
+  return persistentDataManager.openModerationCase({
+    userId,
+    recommendedAction: recommendation.action,
+    reason: recommendation.reason,
+    priority: casePriority(recommendation, riskLevel),
+    riskLevel,
+    recommendation,
+    violationIds,
+    linkedContent
+  })
+}
+
+export async function listModerationCases(
+  filters: { status?: ModerationCaseStatus; assigneeId?: string; priority?: ModerationPriority; limit?: number } = {}
+) {
+  return persistentDataManager.getModerationCases(filters)
+}
+
+/**
+ * A case with its audit trail and the member's full violation history
+ */
+export async function getModerationCaseDetails(caseId: number) {
+  const moderationCase = await persistentDataManager.getModerationCase(caseId)
+  if (!moderationCase) return null
+
+  const violations = await persistentDataManager.getViolations(moderationCase.userId)
+  return { ...moderationCase, violations }
+}
+
+export async function claimModerationCase(caseId: number, moderatorId: string) {
+  return persistentDataManager.claimModerationCase(caseId, moderatorId)
+}
+
+/**
+ * Resolve a claimed case. suspension and enhanced_monitoring also impose the matching timed
+ * sanction, for options.duration or else the duration in the case's recommendation.
+ */
+export async function resolveModerationCase(
+  caseId: number,
+  moderatorId: string,
+  resolution: ModerationResolution,
+  note?: string,
+  { duration }: { duration?: string } = {}
+) {
+  if (!MODERATION_RESOLUTIONS.includes(resolution)) {
+    throw new Error(`Resolution must be one of: ${MODERATION_RESOLUTIONS.join(', ')}`)
+  }
+  if (duration) parseSanctionDuration(duration) // reject a bad duration before the case is closed
+
+  const resolved = await persistentDataManager.resolveModerationCase(caseId, moderatorId, resolution, note?.trim() || null)
+  const sanctionType = RESOLUTION_SANCTIONS[resolution]
+  const sanction = sanctionType
+    ? await imposeSanction({
+      userId: resolved.userId,
+      type: sanctionType,
+      reason: note?.trim() || resolved.reason,
+      duration: duration || resolved.recommendation?.duration,
+      caseId,
+      createdBy: moderatorId
+    })
+    : null
+
+  return { ...resolved, sanction }
+}
@@ -0,0 +1,27 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { casePriority, linkedContentFrom } from './trust-moderation'
+
+const recommend = (action: string, priority?: string) => ({ action, reason: 'test', priority })
+
+test('a case starts at the priority of the recommended action', () => {
+  assert.equal(casePriority(recommend('account_suspension'), 'low'), 'critical')
+  assert.equal(casePriority(recommend('manual_review'), 'low'), 'high')
+  assert.equal(casePriority(recommend('enhanced_monitoring'), 'low'), 'medium')
+})
+
+test('the risk level or the recommendation\'s own priority can raise it but never lower it', () => {
+  assert.equal(casePriority(recommend('enhanced_monitoring'), 'critical'), 'critical')
+  assert.equal(casePriority(recommend('enhanced_monitoring', 'high'), 'low'), 'high')
+  assert.equal(casePriority(recommend('account_suspension', 'low'), 'medium'), 'critical')
+  assert.equal(casePriority(recommend('manual_review', 'urgent'), 'unknown'), 'high')
+})
+
+test('content ids in the violation context become linked content', () => {
+  assert.deepEqual(linkedContentFrom({ postId: 12, eventId: '7', reason: 'spam', commentId: null }), [
+    { type: 'post', id: '12' },
+    { type: 'event', id: '7' }
+  ])
+  assert.deepEqual(linkedContentFrom(null), [])
+  assert.deepEqual(linkedContentFrom('post 12'), [])
+})
@@ -0,0 +1,68 @@
+/**
+ * Trust Moderation
+ * Moderation case priorities and linked content. A case starts at the priority of the
+ * recommended action (account_suspension critical, manual_review high, enhanced_monitoring
+ * medium) and is raised by the recommendation's own priority or the member's risk level.
+ */
+
+export type ModerationPriority = 'low' | 'medium' | 'high' | 'critical'
+export type ModerationCaseStatus = 'open' | 'claimed' | 'resolved'
+
+export const MODERATION_RESOLUTIONS = ['no_action', 'warning', 'content_removed', 'enhanced_monitoring', 'suspension'] as const
+export type ModerationResolution = typeof MODERATION_RESOLUTIONS[number]
+
+export interface ModeratorRecommendation {
+  action: string
+  reason: string
+  priority?: string
+  duration?: string
+}
+
+export interface LinkedContent {
+  type: string
+  id: string
+}
+
+// Base priority for each recommended action; the risk level can raise it
+export const ACTION_PRIORITY: { [action: string]: ModerationPriority } = {
+  account_suspension: 'critical',
+  manual_review: 'high',
+  enhanced_monitoring: 'medium'
+}
+
+const RISK_PRIORITY: { [riskLevel: string]: ModerationPriority } = {
+  critical: 'critical',
+  high: 'high',
+  medium: 'medium'
+}
+
+const PRIORITY_RANK: ModerationPriority[] = ['low', 'medium', 'high', 'critical']
+
+// Violation context keys that point at content
+const CONTENT_KEYS: { [key: string]: string } = {
+  postId: 'post',
+  commentId: 'comment',
+  eventId: 'event',
+  reviewId: 'review',
+  profileId: 'profile',
+  contentId: 'content'
+}
+
+export function casePriority(recommendation: ModeratorRecommendation, riskLevel: string): ModerationPriority {
+  const candidates = [
+    ACTION_PRIORITY[recommendation.action],
+    recommendation.priority as ModerationPriority,
+    RISK_PRIORITY[riskLevel]
+  ].filter(priority => PRIORITY_RANK.includes(priority))
+  return candidates.reduce<ModerationPriority>(
+    (highest, priority) => (PRIORITY_RANK.indexOf(priority) > PRIORITY_RANK.indexOf(highest) ? priority : highest),
+    'low'
+  )
+}
+
+export function linkedContentFrom(context: any): LinkedContent[] {
+  if (!context || typeof context !== 'object') return []
+  return Object.entries(CONTENT_KEYS)
+    .filter(([key]) => context[key] !== undefined && context[key] !== null)
+    .map(([key, type]) => ({ type, id: String(context[key]) }))
+}
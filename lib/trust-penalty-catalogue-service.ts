@@ -0,0 +1,90 @@
+/**
+ * Trust Penalty Catalogue Service (server only)
+ * Loads the current penalty catalogue version (the built-in defaults until an admin saves
+ * one) and records edits as new versions with a list of what changed. Penalties are applied
+ * with the version current at the time, and each violation stores that version number, so
+ * an edit only affects violations recorded after it.
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+import { TrustScorePenaltySystem } from '../trust-score-penalty-system.js'
+import {
+  PenaltyCatalogueChanges,
+  PenaltyCatalogueVersion,
+  defaultPenaltyCatalogue,
+  validatePenaltyCatalogue,
+  mergePenaltyCatalogue,
+  diffPenaltyCatalogues,
+  createPenaltySystem
+} from './trust-penalty-catalogue'
+
+function defaultVersion(): PenaltyCatalogueVersion {
+  return {
+    version: 0,
+    catalogue: defaultPenaltyCatalogue(),
+    changes: [],
+    changeNote: 'Built-in defaults',
+    createdBy: null,
+    createdAt: new Date(0)
+  }
+}
+
+export async function getPenaltyCatalogue(): Promise<PenaltyCatalogueVersion> {
+  return (await persistentDataManager.getLatestPenaltyCatalogue()) || defaultVersion()
+}
+
+export async function getPenaltyCatalogueVersion(version: number): Promise<PenaltyCatalogueVersion | null> {
+  if (version === 0) return defaultVersion()
+  return persistentDataManager.getPenaltyCatalogueVersion(version)
+}
+
+export async function getPenaltyCatalogueHistory(limit: number = 50) {
+  const versions: Omit<PenaltyCatalogueVersion, 'catalogue'>[] = await persistentDataManager.getPenaltyCatalogueHistory(limit)
+  const { catalogue, ...defaults } = defaultVersion()
+  return [...versions, defaults]
+}
+
+/**
+ * A penalty system configured with the current catalogue (and the community's overrides)
+ */
+export async function getPenaltySystem(communityId?: string | null): Promise<{ system: TrustScorePenaltySystem; version: number }> {
+  const { version, catalogue } = await getPenaltyCatalogue()
+  return { system: createPenaltySystem(catalogue, communityId), version }
+}
+
+/**
+ * Save an edit as a new version. baseVersion is the version the admin was editing; the
+ * save is refused when someone else has saved since.
+ */
+export async function updatePenaltyCatalogue(
+  changes: PenaltyCatalogueChanges,
+  { adminId, note, baseVersion }: { adminId: string; note?: string; baseVersion?: number }
+): Promise<PenaltyCatalogueVersion> {
+  const current = await getPenaltyCatalogue()
+  if (baseVersion !== undefined && baseVersion !== current.version) {
+    throw new Error(`The penalty catalogue has changed since version ${baseVersion} (now ${current.version}); reload and try again`)
+  }
+
+  const next = mergePenaltyCatalogue(current.catalogue, changes)
+  const { valid, errors } = validatePenaltyCatalogue(next)
+  if (!valid) {
+    throw new Error(`Invalid penalty catalogue: ${errors.join('; ')}`)
+  }
+
+  const diff = diffPenaltyCatalogues(current.catalogue, next)
+  if (diff.length === 0) {
+    throw new Error('Invalid penalty catalogue: nothing changed')
+  }
+
+  const saved = await persistentDataManager.savePenaltyCatalogueVersion({
+    catalogue: next,
+    changes: diff,
+    changeNote: note?.trim() || null,
+    createdBy: adminId,
+    expectedVersion: current.version || null
+  })
+  if (!saved) {
+    throw new Error(`The penalty catalogue has changed since version ${current.version}; reload and try again`)
+  }
+  return saved
+}
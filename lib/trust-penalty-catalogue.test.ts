@@ -0,0 +1,82 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  createPenaltySystem,
+  defaultPenaltyCatalogue,
+  diffPenaltyCatalogues,
+  mergePenaltyCatalogue,
+  resolvePenaltyCatalogue,
+  validatePenaltyCatalogue
+} from './trust-penalty-catalogue'
+
+const base = defaultPenaltyCatalogue()
+
+test('the default catalogue matches the penalty system and is valid', () => {
+  assert.equal(base.penalties.flaggedPost.points, -15)
+  assert.equal(base.repeatOffenderMultiplier, 1.5)
+  assert.equal(base.penalties.repeatOffender, undefined)
+  assert.deepEqual(validatePenaltyCatalogue(base), { valid: true, errors: [] })
+})
+
+test('invalid penalties, tiers and overrides are reported', () => {
+  const { errors } = validatePenaltyCatalogue({
+    ...base,
+    penalties: { ...base.penalties, Spam: { points: 5, severity: 'extreme', message: 'x', category: 'content' } },
+    repeatOffenderMultiplier: 9,
+    restrictionTiers: { ...base.restrictionTiers, 0: { name: 'Gone', restrictions: ['no_breathing'] } },
+    communityOverrides: { berlin: { penalties: { unknownType: { points: -1 } } } }
+  })
+
+  assert.ok(errors.some(error => error.startsWith('penalties.Spam: violation types are camelCase')))
+  assert.ok(errors.includes('penalties.Spam.points must be a whole number from -100 to 0'))
+  assert.ok(errors.some(error => error.startsWith('penalties.Spam.severity must be one of')))
+  assert.ok(errors.includes('repeatOffenderMultiplier must be a number from 1 to 5'))
+  assert.ok(errors.includes('restrictionTiers.0: tiers are keyed by a whole score from 1 to 100'))
+  assert.ok(errors.includes('restrictionTiers.0: unknown restriction no_breathing'))
+  assert.ok(errors.includes('communityOverrides.berlin: unknown violation type unknownType'))
+})
+
+test('edits merge per penalty and are listed in the diff', () => {
+  const next = mergePenaltyCatalogue(base, {
+    penalties: {
+      flaggedPost: { points: -20 },
+      lateCancellation: { points: -5, severity: 'low', message: 'Cancelled late', category: 'events' }
+    },
+    repeatOffenderMultiplier: 2,
+    communityOverrides: { berlin: { repeatOffenderMultiplier: 3 } }
+  })
+
+  assert.equal(next.penalties.flaggedPost.points, -20)
+  assert.equal(next.penalties.flaggedPost.severity, base.penalties.flaggedPost.severity)
+  assert.deepEqual(diffPenaltyCatalogues(base, next), [
+    'flaggedPost.points: -15 → -20',
+    'added lateCancellation (-5, low)',
+    'repeatOffenderMultiplier: 1.5 → 2',
+    'added override for community berlin'
+  ])
+  assert.deepEqual(mergePenaltyCatalogue(next, { communityOverrides: { berlin: null } }).communityOverrides, {})
+})
+
+test('a community override applies only in that community', () => {
+  const catalogue = mergePenaltyCatalogue(base, {
+    communityOverrides: { berlin: { penalties: { flaggedPost: { points: -5 } }, repeatOffenderMultiplier: 2 } }
+  })
+
+  assert.equal(resolvePenaltyCatalogue(catalogue, 'berlin').penalties.flaggedPost.points, -5)
+  assert.equal(resolvePenaltyCatalogue(catalogue, 'berlin').repeatOffenderMultiplier, 2)
+  assert.equal(resolvePenaltyCatalogue(catalogue, 'paris').penalties.flaggedPost.points, -15)
+  assert.equal(resolvePenaltyCatalogue(catalogue).repeatOffenderMultiplier, 1.5)
+})
+
+test('the configured penalty system uses the community points and multiplier', () => {
+  const catalogue = mergePenaltyCatalogue(base, {
+    communityOverrides: { berlin: { penalties: { flaggedPost: { points: -10 } }, repeatOffenderMultiplier: 2 } }
+  })
+  const system = createPenaltySystem(catalogue, 'berlin')
+  const repeat = { trustScore: 80, violationHistory: [{ type: 'flaggedPost', timestamp: new Date().toISOString() }] }
+
+  assert.equal(system.applyPenalty({ trustScore: 80 }, 'flaggedPost')?.actualPenalty, -10)
+  assert.equal(system.applyPenalty(repeat, 'flaggedPost')?.actualPenalty, -20)
+  // Outside the community the base multiplier applies: -15 * 1.5 rounds to -22
+  assert.equal(createPenaltySystem(catalogue).applyPenalty(repeat, 'flaggedPost')?.actualPenalty, -22)
+})
@@ -0,0 +1,245 @@
+/**
+ * Trust Penalty Catalogue
+ * The configurable part of TrustScorePenaltySystem: violation types with their points,
+ * severity and category, the repeat-offender multiplier and the restriction tiers. The
+ * constructor's values are the defaults; edited catalogues are stored as numbered versions.
+ * A community can override individual penalties and the multiplier for violations recorded
+ * in it.
+ */
+
+import { TrustScorePenaltySystem } from '../trust-score-penalty-system.js'
+
+export type PenaltySeverity = 'low' | 'medium' | 'high' | 'critical'
+
+export const PENALTY_SEVERITIES: PenaltySeverity[] = ['low', 'medium', 'high', 'critical']
+
+// Restrictions TrustScorePenaltySystem.canUserPerformAction and the tier messages understand
+export const KNOWN_RESTRICTIONS = [
+  'no_event_creation',
+  'post_approval_required',
+  'no_posting',
+  'no_comments',
+  'limited_flagging',
+  'no_flagging',
+  'no_friend_requests',
+  'view_only',
+  'no_interactions'
+]
+
+export interface PenaltyDefinition {
+  points: number
+  message: string
+  category: string
+  severity: PenaltySeverity
+}
+
+export interface RestrictionTierDefinition {
+  name: string
+  color: string
+  restrictions: string[]
+  message: string
+}
+
+export interface CommunityPenaltyOverride {
+  penalties?: { [violationType: string]: Partial<PenaltyDefinition> }
+  repeatOffenderMultiplier?: number
+}
+
+export interface PenaltyCatalogue {
+  penalties: { [violationType: string]: PenaltyDefinition }
+  repeatOffenderMultiplier: number
+  restrictionTiers: { [maxScore: string]: RestrictionTierDefinition }
+  communityOverrides: { [communityId: string]: CommunityPenaltyOverride }
+}
+
+// An edit: penalties are merged per type (new types need every field), the other keys
+// replace what is there. A null community override removes it.
+export interface PenaltyCatalogueChanges {
+  penalties?: { [violationType: string]: Partial<PenaltyDefinition> }
+  repeatOffenderMultiplier?: number
+  restrictionTiers?: { [maxScore: string]: RestrictionTierDefinition }
+  communityOverrides?: { [communityId: string]: CommunityPenaltyOverride | null }
+}
+
+export interface PenaltyCatalogueVersion {
+  version: number
+  catalogue: PenaltyCatalogue
+  changes: string[]
+  changeNote: string | null
+  createdBy: string | null
+  createdAt: string | Date
+}
+
+const VIOLATION_TYPE_PATTERN = /^[a-z][a-zA-Z0-9]*$/
+const RESERVED_TYPES = ['repeatOffender']
+
+/**
+ * The catalogue as hardcoded in TrustScorePenaltySystem (version 0)
+ */
+export function defaultPenaltyCatalogue(): PenaltyCatalogue {
+  const system = new TrustScorePenaltySystem()
+  const { repeatOffender, ...penalties } = system.penalties as any
+  return {
+    penalties,
+    repeatOffenderMultiplier: repeatOffender.multiplier,
+    restrictionTiers: system.restrictionTiers,
+    communityOverrides: {}
+  }
+}
+
+function validatePenaltyFields(prefix: string, penalty: any, partial: boolean): string[] {
+  const errors: string[] = []
+  if (!penalty || typeof penalty !== 'object') return [`${prefix} must be an object`]
+
+  if (penalty.points !== undefined || !partial) {
+    if (!Number.isInteger(penalty.points) || penalty.points > 0 || penalty.points < -100) {
+      errors.push(`${prefix}.points must be a whole number from -100 to 0`)
+    }
+  }
+  if (penalty.severity !== undefined || !partial) {
+    if (!PENALTY_SEVERITIES.includes(penalty.severity)) {
+      errors.push(`${prefix}.severity must be one of: ${PENALTY_SEVERITIES.join(', ')}`)
+    }
+  }
+  for (const field of ['message', 'category']) {
+    if (penalty[field] !== undefined || !partial) {
+      if (typeof penalty[field] !== 'string' || !penalty[field].trim()) errors.push(`${prefix}.${field} is required`)
+    }
+  }
+  return errors
+}
+
+function validateMultiplier(prefix: string, multiplier: any): string[] {
+  return typeof multiplier === 'number' && multiplier >= 1 && multiplier <= 5
+    ? []
+    : [`${prefix} must be a number from 1 to 5`]
+}
+
+export function validatePenaltyCatalogue(catalogue: any): { valid: boolean; errors: string[] } {
+  const errors: string[] = []
+
+  if (!catalogue || typeof catalogue !== 'object') {
+    return { valid: false, errors: ['Catalogue must be an object'] }
+  }
+
+  const penalties = catalogue.penalties || {}
+  if (Object.keys(penalties).length === 0) errors.push('At least one penalty is required')
+  Object.entries(penalties).forEach(([type, penalty]) => {
+    if (!VIOLATION_TYPE_PATTERN.test(type) || RESERVED_TYPES.includes(type)) {
+      errors.push(`penalties.${type}: violation types are camelCase names (and not ${RESERVED_TYPES.join(', ')})`)
+    }
+    errors.push(...validatePenaltyFields(`penalties.${type}`, penalty, false))
+  })
+
+  errors.push(...validateMultiplier('repeatOffenderMultiplier', catalogue.repeatOffenderMultiplier))
+
+  const tiers = catalogue.restrictionTiers || {}
+  if (Object.keys(tiers).length === 0) errors.push('At least one restriction tier is required')
+  Object.entries(tiers).forEach(([maxScore, tier]: [string, any]) => {
+    const score = Number(maxScore)
+    if (!Number.isInteger(score) || score < 1 || score > 100) {
+      errors.push(`restrictionTiers.${maxScore}: tiers are keyed by a whole score from 1 to 100`)
+    }
+    if (!tier || typeof tier.name !== 'string' || !tier.name.trim()) errors.push(`restrictionTiers.${maxScore}.name is required`)
+    if (!Array.isArray(tier?.restrictions)) {
+      errors.push(`restrictionTiers.${maxScore}.restrictions must be a list`)
+    } else {
+      tier.restrictions
+        .filter((restriction: string) => !KNOWN_RESTRICTIONS.includes(restriction))
+        .forEach((restriction: string) => errors.push(`restrictionTiers.${maxScore}: unknown restriction ${restriction}`))
+    }
+  })
+
+  Object.entries(catalogue.communityOverrides || {}).forEach(([communityId, override]: [string, any]) => {
+    Object.entries(override?.penalties || {}).forEach(([type, penalty]) => {
+      if (!penalties[type]) errors.push(`communityOverrides.${communityId}: unknown violation type ${type}`)
+      errors.push(...validatePenaltyFields(`communityOverrides.${communityId}.penalties.${type}`, penalty, true))
+    })
+    if (override?.repeatOffenderMultiplier !== undefined) {
+      errors.push(...validateMultiplier(`communityOverrides.${communityId}.repeatOffenderMultiplier`, override.repeatOffenderMultiplier))
+    }
+  })
+
+  return { valid: errors.length === 0, errors }
+}
+
+export function mergePenaltyCatalogue(current: PenaltyCatalogue, changes: PenaltyCatalogueChanges): PenaltyCatalogue {
+  const penalties = { ...current.penalties }
+  Object.entries(changes.penalties || {}).forEach(([type, penalty]) => {
+    penalties[type] = { ...penalties[type], ...penalty } as PenaltyDefinition
+  })
+
+  const communityOverrides = { ...current.communityOverrides }
+  Object.entries(changes.communityOverrides || {}).forEach(([communityId, override]) => {
+    if (override === null) delete communityOverrides[communityId]
+    else communityOverrides[communityId] = override
+  })
+
+  return {
+    penalties,
+    repeatOffenderMultiplier: changes.repeatOffenderMultiplier ?? current.repeatOffenderMultiplier,
+    restrictionTiers: changes.restrictionTiers || current.restrictionTiers,
+    communityOverrides
+  }
+}
+
+/**
+ * Human-readable list of what changed between two versions
+ */
+export function diffPenaltyCatalogues(previous: PenaltyCatalogue, next: PenaltyCatalogue): string[] {
+  const changes: string[] = []
+
+  Object.entries(next.penalties).forEach(([type, penalty]) => {
+    const before = previous.penalties[type]
+    if (!before) {
+      changes.push(`added ${type} (${penalty.points}, ${penalty.severity})`)
+      return
+    }
+    const fields: (keyof PenaltyDefinition)[] = ['points', 'severity', 'category', 'message']
+    fields
+      .filter(field => before[field] !== penalty[field])
+      .forEach(field => changes.push(`${type}.${field}: ${before[field]} → ${penalty[field]}`))
+  })
+  Object.keys(previous.penalties)
+    .filter(type => !next.penalties[type])
+    .forEach(type => changes.push(`removed ${type}`))
+
+  if (previous.repeatOffenderMultiplier !== next.repeatOffenderMultiplier) {
+    changes.push(`repeatOffenderMultiplier: ${previous.repeatOffenderMultiplier} → ${next.repeatOffenderMultiplier}`)
+  }
+  if (JSON.stringify(previous.restrictionTiers) !== JSON.stringify(next.restrictionTiers)) {
+    changes.push('restrictionTiers changed')
+  }
+
+  const communities = new Set([...Object.keys(previous.communityOverrides), ...Object.keys(next.communityOverrides)])
+  communities.forEach(communityId => {
+    const before = previous.communityOverrides[communityId]
+    const after = next.communityOverrides[communityId]
+    if (!before) changes.push(`added override for community ${communityId}`)
+    else if (!after) changes.push(`removed override for community ${communityId}`)
+    else if (JSON.stringify(before) !== JSON.stringify(after)) changes.push(`changed override for community ${communityId}`)
+  })
+
+  return changes
+}
+
+/**
+ * Penalties and multiplier in force for a community (the base catalogue without one)
+ */
+export function resolvePenaltyCatalogue(catalogue: PenaltyCatalogue, communityId?: string | null) {
+  const override = communityId ? catalogue.communityOverrides[communityId] : undefined
+  const penalties = { ...catalogue.penalties }
+  Object.entries(override?.penalties || {}).forEach(([type, penalty]) => {
+    if (penalties[type]) penalties[type] = { ...penalties[type], ...penalty }
+  })
+
+  return {
+    penalties,
+    repeatOffenderMultiplier: override?.repeatOffenderMultiplier ?? catalogue.repeatOffenderMultiplier,
+    restrictionTiers: catalogue.restrictionTiers
+  }
+}
+
+export function createPenaltySystem(catalogue: PenaltyCatalogue, communityId?: string | null): TrustScorePenaltySystem {
+  return new TrustScorePenaltySystem().configure(resolvePenaltyCatalogue(catalogue, communityId))
+}
@@ -0,0 +1,221 @@
+/**
+ * Trust Permission Guard (server only)
+ * Shared authorization check for API routes. Resolves the caller from the session cookies,
+ * maps the route and method to an action (TRUST_ROUTE_ACTIONS) and rejects members whose
+ * current trust tier does not allow it with a structured 403 naming the tier and the
+ * recovery plan. Members under an active suspension get a 403 with the sanction and its
+ * countdown instead. Member routes outside TRUST_ROUTE_ACTIONS (signing in, joining
+ * challenges) use requireActiveMember for the same suspension check. Moderation and admin
+ * routes use requireStaffRole, which checks the caller's user_roles entry.
+ *
+ *   export async function POST(request: NextRequest) {
+ *     const denied = await requireTrustPermission(request)
+ *     if (denied) return denied
+ *     ...
+ *   }
+ */
+
+import { NextRequest, NextResponse } from 'next/server'
+import persistentDataManager from '../persistent-data-solution.js'
+import { TrustAction, resolveTrustAction, evaluateTrustPermission, TrustPermissionDecision } from './trust-permissions'
+import { TrustSanction, findBlockingSanction, sanctionCountdown } from './trust-sanctions'
+import { getActiveSanctions, getActiveSuspension } from './trust-sanction-service'
+import { getPenaltySystem } from './trust-penalty-catalogue-service'
+
+/**
+ * Caller id from the appSession cookie, else the user cookie when an authToken is present
+ * (the same order the events API uses)
+ */
+export function getRequestUserId(request: NextRequest): string | null {
+  const session = request.cookies.get('appSession')
+  if (session) {
+    try {
+      const parsed = JSON.parse(decodeURIComponent(session.value))
+      if (parsed.expiresAt > Date.now() && parsed.user?.id) return String(parsed.user.id)
+    } catch (error) {
+      console.log('🔍 TRUST GUARD: Failed to parse session cookie:', error)
+    }
+  }
+
+  const user = request.cookies.get('user')
+  if (user && request.cookies.get('authToken')) {
+    try {
+      const parsed = JSON.parse(decodeURIComponent(user.value))
+      if (parsed.id) return String(parsed.id)
+    } catch (error) {
+      console.log('🔍 TRUST GUARD: Failed to parse user cookie:', error)
+    }
+  }
+
+  return null
+}
+
+export type StaffRole = 'moderator' | 'admin'
+
+export type MemberCheck =
+  | { userId: string; denied: null }
+  | { userId: null; denied: NextResponse }
+
+export type StaffCheck =
+  | { userId: string; role: StaffRole | null; denied: null }
+  | { userId: null; role: null; denied: NextResponse }
+
+// Admins can do everything moderators can
+export function hasStaffRole(role: string | null, required: StaffRole): boolean {
+  return role === 'admin' || (required === 'moderator' && role === 'moderator')
+}
+
+function authenticationRequired(): NextResponse {
+  return NextResponse.json({ success: false, error: 'Authentication required' }, { status: 401 })
+}
+
+/**
+ * Resolves the caller and checks they hold the role. Use the returned userId as the
+ * acting moderator or admin, never an id from the request body.
+ *
+ *   const { userId: moderatorId, denied } = await requireStaffRole(request)
+ *   if (denied) return denied
+ */
+export async function requireStaffRole(request: NextRequest, required: StaffRole = 'moderator'): Promise<StaffCheck> {
+  const userId = getRequestUserId(request)
+  if (!userId) {
+    return { userId: null, role: null, denied: authenticationRequired() }
+  }
+
+  const role: StaffRole | null = await persistentDataManager.getUserRole(userId)
+  if (!hasStaffRole(role, required)) {
+    console.log(`⛔ TRUST GUARD: ${request.method} ${new URL(request.url).pathname} denied for user ${userId} - ${required} only`)
+    return {
+      userId: null,
+      role: null,
+      denied: NextResponse.json(
+        { success: false, error: `${required === 'admin' ? 'Admin' : 'Moderator'} access required`, code: 'STAFF_ONLY' },
+        { status: 403 }
+      )
+    }
+  }
+
+  return { userId, role, denied: null }
+}
+
+/**
+ * For reads about one member: the caller may see their own records (requestedUserId
+ * omitted or their own id); anyone else's need a moderator. Returns the member to read.
+ */
+export async function requireSelfOrModerator(request: NextRequest, requestedUserId: string | null = null): Promise<StaffCheck> {
+  const userId = getRequestUserId(request)
+  if (!userId) {
+    return { userId: null, role: null, denied: authenticationRequired() }
+  }
+  if (!requestedUserId || requestedUserId === userId) {
+    return { userId, role: null, denied: null }
+  }
+
+  const staff = await requireStaffRole(request, 'moderator')
+  return staff.denied ? staff : { userId: requestedUserId, role: staff.role, denied: null }
+}
+
+export function trustPermissionDenied(decision: TrustPermissionDecision, recoveryPlan: object | null = null): NextResponse {
+  return NextResponse.json(
+    {
+      success: false,
+      error: 'Trust score too low for this action',
+      code: 'TRUST_RESTRICTED',
+      action: decision.action,
+      reason: decision.reason,
+      trustScore: decision.trustScore,
+      requiredScore: decision.requiredScore,
+      tier: {
+        name: decision.tier.name,
+        restrictions: decision.tier.restrictions,
+        message: decision.tier.message
+      },
+      recoveryPlan
+    },
+    { status: 403 }
+  )
+}
+
+export function accountSuspended(sanction: TrustSanction, action: TrustAction | null = null): NextResponse {
+  return NextResponse.json(
+    {
+      success: false,
+      error: 'Account suspended',
+      code: 'ACCOUNT_SUSPENDED',
+      action,
+      sanction: {
+        type: sanction.type,
+        reason: sanction.reason,
+        startsAt: sanction.startsAt,
+        endsAt: sanction.endsAt,
+        countdown: sanctionCountdown(sanction.endsAt)
+      }
+    },
+    { status: 403 }
+  )
+}
+
+/**
+ * Resolves the caller and refuses them with a 403 (and the countdown) while a suspension
+ * is in force, so a suspended member cannot sign in or act until it ends.
+ *
+ *   const { userId, denied } = await requireActiveMember(request)
+ *   if (denied) return denied
+ */
+export async function requireActiveMember(request: NextRequest): Promise<MemberCheck> {
+  const userId = getRequestUserId(request)
+  if (!userId) {
+    return { userId: null, denied: authenticationRequired() }
+  }
+
+  const suspension = await getActiveSuspension(userId)
+  if (suspension) {
+    console.log(`⛔ TRUST GUARD: ${request.method} ${new URL(request.url).pathname} denied for user ${userId} - ${suspension.type} until ${new Date(suspension.endsAt).toISOString()}`)
+    return { userId: null, denied: accountSuspended(suspension) }
+  }
+
+  return { userId, denied: null }
+}
+
+/**
+ * Returns a response to send back when the caller may not perform the route's action,
+ * or null when the request may go ahead. Routes not listed in TRUST_ROUTE_ACTIONS need an
+ * explicit options.action; without one the request is refused with a 403.
+ */
+export async function requireTrustPermission(
+  request: NextRequest,
+  options: { action?: TrustAction; userId?: string } = {}
+): Promise<NextResponse | null> {
+  const pathname = new URL(request.url).pathname
+  const action = options.action || resolveTrustAction(request.method, pathname)
+  if (!action) {
+    console.error(`❌ TRUST GUARD: No trust action mapped for ${request.method} ${pathname} - request refused`)
+    return NextResponse.json(
+      { success: false, error: 'This action is not available', code: 'TRUST_ACTION_UNMAPPED' },
+      { status: 403 }
+    )
+  }
+
+  const userId = options.userId || getRequestUserId(request)
+  if (!userId) {
+    return authenticationRequired()
+  }
+
+  const user = await persistentDataManager.getUserById(userId)
+  if (!user) {
+    return NextResponse.json({ success: false, error: 'User not found' }, { status: 401 })
+  }
+
+  const sanction = findBlockingSanction(await getActiveSanctions(userId), action)
+  if (sanction) {
+    console.log(`⛔ TRUST GUARD: ${request.method} ${pathname} denied for user ${userId} - ${sanction.type} until ${new Date(sanction.endsAt).toISOString()}`)
+    return accountSuspended(sanction, action)
+  }
+
+  const { system } = await getPenaltySystem()
+  const decision = evaluateTrustPermission(user, action, system)
+  if (decision.allowed) return null
+
+  console.log(`⛔ TRUST GUARD: ${request.method} ${pathname} denied for user ${userId} - ${decision.reason}`)
+  return trustPermissionDenied(decision, system.generateRecoveryPlan(decision.trustScore))
+}
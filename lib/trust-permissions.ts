@@ -0,0 +1,119 @@
+/**
+ * Trust Permissions
+ * Maps API routes to platform actions and decides whether a member's trust score allows
+ * them. An action must be allowed both by the restriction tiers in
+ * TrustScorePenaltySystem.canUserPerformAction and by UltimateTrustScoreSystem.getUserPermissions;
+ * where the two disagree the stricter one wins.
+ */
+
+import { TrustScorePenaltySystem } from '../trust-score-penalty-system.js'
+import { ultimateTrustScoreSystem, PERMISSION_MINIMUM_SCORES } from './ultimate-trust-score-system'
+
+export type TrustAction =
+  | 'create_event'
+  | 'create_post'
+  | 'comment'
+  | 'flag_content'
+  | 'send_friend_request'
+  | 'upvote'
+  | 'attend_event'
+  | 'view_content'
+
+// The UserPermissions flag that covers each action (view_content is always allowed)
+const PERMISSION_FLAGS: { [action in TrustAction]?: keyof typeof PERMISSION_MINIMUM_SCORES } = {
+  create_event: 'canCreateEvents',
+  create_post: 'canCreatePosts',
+  comment: 'canComment',
+  flag_content: 'canFlag',
+  send_friend_request: 'canSendFriendRequests',
+  upvote: 'canUpvote',
+  attend_event: 'canAttendEvents'
+}
+
+/**
+ * Routes guarded by requireTrustPermission. [param] matches any single path segment.
+ * Add an entry here when a route starts calling the guard.
+ */
+export const TRUST_ROUTE_ACTIONS: { method: string; path: string; action: TrustAction }[] = [
+  { method: 'POST', path: '/api/events/[id]/check-in', action: 'attend_event' },
+  { method: 'POST', path: '/api/flags', action: 'flag_content' }
+]
+
+export interface RestrictionTier {
+  name: string
+  color: string
+  restrictions: string[]
+  message: string
+}
+
+export interface TrustPermissionDecision {
+  allowed: boolean
+  action: TrustAction
+  trustScore: number
+  tier: RestrictionTier
+  requiredScore: number | null // lowest score at which the action is allowed
+  reason: string
+}
+
+const penaltySystem = new TrustScorePenaltySystem()
+
+function pathMatches(pattern: string, pathname: string): boolean {
+  const expected = pattern.split('/').filter(Boolean)
+  const actual = pathname.replace(/\/+$/, '').split('/').filter(Boolean)
+  return expected.length === actual.length &&
+    expected.every((segment, index) => /^\[.+\]$/.test(segment) || segment === actual[index])
+}
+
+export function resolveTrustAction(method: string, pathname: string): TrustAction | null {
+  const route = TRUST_ROUTE_ACTIONS.find(entry => entry.method === method.toUpperCase() && pathMatches(entry.path, pathname))
+  return route ? route.action : null
+}
+
+function isAllowed(trustScore: number, action: TrustAction, system: TrustScorePenaltySystem): boolean {
+  const flag = PERMISSION_FLAGS[action]
+  const tierAllows = system.canUserPerformAction({ trustScore }, action).allowed
+  return tierAllows && (!flag || ultimateTrustScoreSystem.getUserPermissions(trustScore)[flag])
+}
+
+/**
+ * Lowest score (0-100) at which the action is allowed. A tier covers the scores above the
+ * next lower tier up to its own key and scores above the highest key have full access, so
+ * the answer can only change at 0, just above a tier key or at the permission's minimum.
+ */
+export function minimumScoreFor(action: TrustAction, system: TrustScorePenaltySystem = penaltySystem): number | null {
+  const flag = PERMISSION_FLAGS[action]
+  const candidates = [0, ...Object.keys(system.restrictionTiers).map(tier => Number(tier) + 1)]
+  if (flag) candidates.push(PERMISSION_MINIMUM_SCORES[flag])
+
+  return candidates
+    .filter(score => score <= 100)
+    .sort((a, b) => a - b)
+    .find(score => isAllowed(score, action, system)) ?? null
+}
+
+/**
+ * system defaults to the built-in restriction tiers; pass one from getPenaltySystem to use
+ * the configured catalogue
+ */
+export function evaluateTrustPermission(
+  user: { trustScore?: number | null },
+  action: TrustAction,
+  system: TrustScorePenaltySystem = penaltySystem
+): TrustPermissionDecision {
+  // Same default as the penalty system for members without a stored score
+  const trustScore = user.trustScore ?? 50
+  const tier: RestrictionTier = system.getUserRestrictions(trustScore)
+  const allowed = isAllowed(trustScore, action, system)
+  const requiredScore = minimumScoreFor(action, system)
+
+  return {
+    allowed,
+    action,
+    trustScore,
+    tier,
+    requiredScore,
+    reason: allowed
+      ? 'Action allowed'
+      : `${action.replace(/_/g, ' ')} needs a trust score of ${requiredScore ?? 'more than 100'} (currently ${trustScore}, ${tier.name})`
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Trust Recovery Service (server only)
+ * Applies the recovery plans the penalty system generates. A restricted member (below the
+ * plan's target score) gets a plan when a penalty takes them there or when the weekly job
+ * finds them; qualifying activity (event_attended, reaction_given, ...) then earns points
+ * within each action's limit, and trust-recovery-job.ts credits time_based_recovery for
+ * every full week without a violation. Each grant is written to trust_score_history as
+ * "recovery: <action>".
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+import { TrustScorePenaltySystem } from '../trust-score-penalty-system.js'
+import {
+  RecoveryPlan,
+  RECOVERY_ACTIVITY,
+  GOOD_BEHAVIOR_ACTION,
+  grantRecoveryAction,
+  goodBehaviorWeeks,
+  recoveryProgress
+} from './trust-recovery'
+
+const penaltySystem = new TrustScorePenaltySystem()
+
+export interface RecoveryGrantResult {
+  action: string
+  occurrences: number
+  points: number
+  plan: RecoveryPlan
+  oldScore?: number
+  newScore?: number
+}
+
+/**
+ * Start a plan for a member below the target score. Returns their active plan if they
+ * already have one, or null when they are not restricted.
+ */
+export async function startRecoveryPlan(userId: string, trustScore?: number): Promise<RecoveryPlan | null> {
+  const score = trustScore ?? (await persistentDataManager.getUserById(userId))?.trustScore
+  if (typeof score !== 'number') return null
+
+  if (score >= penaltySystem.recoveryTargetScore) return null
+  const generated = penaltySystem.generateRecoveryPlan(score)
+
+  return persistentDataManager.startRecoveryPlan({
+    userId,
+    startingScore: score,
+    targetScore: generated.targetScore,
+    maxPossibleRecovery: generated.maxPossibleRecovery,
+    actions: generated.actions.map(({ action, points, limit, period, message }) => ({ action, points, limit, period, message }))
+  })
+}
+
+async function applyGrant(
+  plan: RecoveryPlan,
+  action: string,
+  trustScore: number,
+  occurrences: number,
+  changes: Partial<RecoveryPlan> = {}
+): Promise<RecoveryGrantResult | null> {
+  const grant = grantRecoveryAction({ ...plan, ...changes }, action, trustScore, { occurrences })
+  const unchanged = grant.occurrences === 0 && grant.plan.status === plan.status && Object.keys(changes).length === 0
+  if (unchanged) return { ...grant }
+
+  const saved = await persistentDataManager.saveRecoveryGrant(grant.plan, grant.points, `recovery: ${action}`)
+  if (!saved) {
+    console.log(`⏭️ Recovery plan ${plan.id} already updated by another worker`)
+    return null
+  }
+  return { ...grant, ...saved }
+}
+
+/**
+ * Credit a recovery action (attend_events, positive_reactions, ...) to the member's
+ * active plan. Returns null when they have no active plan.
+ */
+export async function recordRecoveryAction(userId: string, action: string, occurrences: number = 1): Promise<RecoveryGrantResult | null> {
+  const plan: RecoveryPlan | null = await persistentDataManager.getActiveRecoveryPlan(userId)
+  if (!plan) return null
+
+  const user = await persistentDataManager.getUserById(userId)
+  return applyGrant(plan, action, user?.trustScore ?? plan.startingScore, occurrences)
+}
+
+/**
+ * Credit a trust activity event when it is one of the plan's recovery actions
+ */
+export async function recordRecoveryActivity(event: { userId: string; type: string }): Promise<RecoveryGrantResult | null> {
+  const action = RECOVERY_ACTIVITY[event.type]
+  if (!action) return null
+  return recordRecoveryAction(event.userId, action)
+}
+
+/**
+ * Weekly job: start plans for restricted members without one, then credit every active
+ * plan with its full weeks of good behavior. Plans whose member is already back at the
+ * target score are completed without a grant.
+ */
+export async function runWeeklyRecovery(now: Date = new Date()) {
+  const restricted = await persistentDataManager.getUsersWithoutRecoveryPlan(penaltySystem.recoveryTargetScore)
+  let started = 0
+  for (const { userId, trustScore } of restricted) {
+    if (await startRecoveryPlan(userId, trustScore)) started++
+  }
+
+  const grants: RecoveryGrantResult[] = []
+  const active = await persistentDataManager.getActiveRecoveryPlans()
+  for (const { plan, trustScore, lastViolationAt } of active) {
+    const { weeks, since } = goodBehaviorWeeks(plan, lastViolationAt, now)
+    const moved = new Date(since).getTime() !== new Date(plan.goodBehaviorSince).getTime()
+    const grant = await applyGrant(plan, GOOD_BEHAVIOR_ACTION, trustScore, weeks, moved ? { goodBehaviorSince: since.toISOString() } : {})
+    if (grant && (grant.points > 0 || grant.plan.status !== 'active')) grants.push(grant)
+  }
+
+  return {
+    started,
+    processed: active.length,
+    granted: grants.filter(grant => grant.points > 0).length,
+    completed: grants.filter(grant => grant.plan.status === 'completed').length,
+    exhausted: grants.filter(grant => grant.plan.status === 'exhausted').length,
+    grants
+  }
+}
+
+/**
+ * The member's active plan with progress per action, plus their finished plans
+ */
+export async function getRecoveryStatus(userId: string) {
+  const user = await persistentDataManager.getUserById(userId)
+  const plans: RecoveryPlan[] = await persistentDataManager.getRecoveryPlans(userId)
+  const active = plans.find(plan => plan.status === 'active') || null
+  const trustScore = user?.trustScore ?? active?.startingScore ?? null
+
+  return {
+    trustScore,
+    plan: active,
+    progress: active && trustScore !== null ? recoveryProgress(active, trustScore) : null,
+    history: plans.filter(plan => plan.status !== 'active')
+  }
+}
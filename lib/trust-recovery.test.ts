@@ -0,0 +1,78 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { RecoveryPlan, WEEK_MS, goodBehaviorWeeks, grantRecoveryAction, recoveryProgress } from './trust-recovery'
+
+const NOW = new Date('2026-06-01T00:00:00Z')
+
+function plan(overrides: Partial<RecoveryPlan> = {}): RecoveryPlan {
+  return {
+    id: 1,
+    userId: '1',
+    status: 'active',
+    startingScore: 20,
+    targetScore: 40,
+    maxPossibleRecovery: 30,
+    pointsGranted: 0,
+    actions: [
+      { action: 'attend_events', points: 5, limit: 3 },
+      { action: 'time_based_recovery', points: 2 }
+    ],
+    actionCounts: {},
+    goodBehaviorSince: '2026-05-01T00:00:00Z',
+    startedAt: '2026-05-01T00:00:00Z',
+    completedAt: null,
+    revision: 1,
+    ...overrides
+  }
+}
+
+test('an action earns its points up to its limit', () => {
+  const first = grantRecoveryAction(plan(), 'attend_events', 20, { occurrences: 2, now: NOW })
+  assert.equal(first.points, 10)
+  assert.deepEqual(first.plan.actionCounts, { attend_events: 2 })
+
+  const second = grantRecoveryAction(first.plan, 'attend_events', 30, { occurrences: 2, now: NOW })
+  assert.equal(second.occurrences, 1)
+  assert.equal(second.points, 5)
+
+  assert.equal(grantRecoveryAction(second.plan, 'attend_events', 35, { now: NOW }).points, 0)
+})
+
+test('grants stop at the target score and complete the plan', () => {
+  const grant = grantRecoveryAction(plan(), 'attend_events', 37, { now: NOW })
+
+  assert.equal(grant.points, 3)
+  assert.equal(grant.plan.status, 'completed')
+  assert.equal(grant.plan.completedAt, NOW.toISOString())
+})
+
+test('grants stop at maxPossibleRecovery and exhaust the plan', () => {
+  const grant = grantRecoveryAction(plan({ pointsGranted: 28 }), 'time_based_recovery', 10, { occurrences: 3, now: NOW })
+
+  assert.equal(grant.points, 2)
+  assert.equal(grant.plan.status, 'exhausted')
+  assert.equal(grantRecoveryAction(grant.plan, 'time_based_recovery', 12, { now: NOW }).points, 0)
+})
+
+test('actions outside the plan earn nothing', () => {
+  const grant = grantRecoveryAction(plan(), 'social_connections', 20, { now: NOW })
+  assert.deepEqual({ occurrences: grant.occurrences, points: grant.points }, { occurrences: 0, points: 0 })
+})
+
+test('good behavior counts full weeks since the later of the last credit and the last violation', () => {
+  const current = plan({ goodBehaviorSince: new Date(NOW.getTime() - 3.5 * WEEK_MS) })
+
+  assert.deepEqual(goodBehaviorWeeks(current, null, NOW), { weeks: 3, since: new Date(NOW.getTime() - 0.5 * WEEK_MS) })
+  assert.equal(goodBehaviorWeeks(current, new Date(NOW.getTime() - 1.5 * WEEK_MS), NOW).weeks, 1)
+  assert.equal(goodBehaviorWeeks(current, new Date(NOW.getTime() - 1000), NOW).weeks, 0)
+})
+
+test('progress lists what each action has earned and what is left', () => {
+  const progress = recoveryProgress(plan({ actionCounts: { attend_events: 1 }, pointsGranted: 5 }), 25)
+
+  assert.equal(progress.pointsNeeded, 15)
+  assert.deepEqual(progress.actions.map(action => [action.action, action.count, action.remaining]), [
+    ['attend_events', 1, 2],
+    ['time_based_recovery', 0, null]
+  ])
+})
@@ -0,0 +1,148 @@
+/**
+ * Trust Recovery
+ * Progress against a restricted member's recovery plan (TrustScorePenaltySystem.generateRecoveryPlan).
+ * Each recovery action earns its points up to its own limit; time_based_recovery has no limit
+ * and earns once per full week without a violation. Grants never take the member past the
+ * plan's target score or the plan past maxPossibleRecovery. A plan completes when the member
+ * is back at the target score and is exhausted once maxPossibleRecovery has been granted.
+ */
+
+export type RecoveryPlanStatus = 'active' | 'completed' | 'exhausted'
+
+export interface RecoveryAction {
+  action: string
+  points: number
+  limit?: number
+  period?: string
+  message?: string
+}
+
+export interface RecoveryPlan {
+  id: number
+  userId: string
+  status: RecoveryPlanStatus
+  startingScore: number
+  targetScore: number
+  maxPossibleRecovery: number
+  pointsGranted: number
+  actions: RecoveryAction[]
+  actionCounts: { [action: string]: number }
+  goodBehaviorSince: string | Date
+  startedAt: string | Date
+  completedAt: string | Date | null
+  revision: number // bumped on every save, for optimistic updates
+}
+
+export interface RecoveryGrant {
+  action: string
+  occurrences: number // occurrences credited, after the action's limit
+  points: number // points granted, after the target and maxPossibleRecovery caps
+  plan: RecoveryPlan // plan with counts, points and status updated
+}
+
+export const GOOD_BEHAVIOR_ACTION = 'time_based_recovery'
+export const WEEK_MS = 7 * 24 * 60 * 60 * 1000
+
+// Activity events that count towards a recovery action
+export const RECOVERY_ACTIVITY: { [eventType: string]: string } = {
+  event_attended: 'attend_events',
+  reaction_given: 'positive_reactions',
+  email_verified: 'profile_improvements',
+  phone_verified: 'profile_improvements',
+  account_connected: 'profile_improvements',
+  friend_added: 'social_connections'
+}
+
+/**
+ * How many more times an action can earn points under the plan (Infinity when unlimited)
+ */
+export function remainingOccurrences(plan: RecoveryPlan, action: string): number {
+  const definition = plan.actions.find(candidate => candidate.action === action)
+  if (!definition) return 0
+  if (!definition.limit) return Infinity
+  return Math.max(0, definition.limit - (plan.actionCounts[action] || 0))
+}
+
+function withStatus(plan: RecoveryPlan, currentScore: number, now: Date): RecoveryPlan {
+  if (currentScore >= plan.targetScore) {
+    return { ...plan, status: 'completed', completedAt: plan.completedAt || now.toISOString() }
+  }
+  if (plan.pointsGranted >= plan.maxPossibleRecovery) {
+    return { ...plan, status: 'exhausted', completedAt: plan.completedAt || now.toISOString() }
+  }
+  return plan
+}
+
+/**
+ * Credit occurrences of a recovery action to an active plan
+ */
+export function grantRecoveryAction(
+  plan: RecoveryPlan,
+  action: string,
+  currentScore: number,
+  { occurrences = 1, now = new Date() }: { occurrences?: number; now?: Date } = {}
+): RecoveryGrant {
+  if (plan.status !== 'active') {
+    return { action, occurrences: 0, points: 0, plan }
+  }
+  const definition = plan.actions.find(candidate => candidate.action === action)
+  if (!definition || occurrences <= 0) {
+    return { action, occurrences: 0, points: 0, plan: withStatus(plan, currentScore, now) }
+  }
+
+  const credited = Math.min(occurrences, remainingOccurrences(plan, action))
+  const points = Math.max(0, Math.min(
+    credited * definition.points,
+    plan.maxPossibleRecovery - plan.pointsGranted,
+    plan.targetScore - currentScore
+  ))
+
+  const next: RecoveryPlan = {
+    ...plan,
+    pointsGranted: plan.pointsGranted + points,
+    actionCounts: { ...plan.actionCounts, [action]: (plan.actionCounts[action] || 0) + credited }
+  }
+
+  return { action, occurrences: credited, points, plan: withStatus(next, currentScore + points, now) }
+}
+
+/**
+ * Full weeks without a violation since good behavior was last credited (or since the last
+ * violation, whichever is later), and the point to count the following weeks from
+ */
+export function goodBehaviorWeeks(
+  plan: RecoveryPlan,
+  lastViolationAt: string | Date | null,
+  now: Date = new Date()
+): { weeks: number; since: Date } {
+  const creditedUntil = new Date(plan.goodBehaviorSince).getTime()
+  const violationAt = lastViolationAt ? new Date(lastViolationAt).getTime() : 0
+  const anchor = Math.max(creditedUntil, violationAt)
+  const weeks = Math.max(0, Math.floor((now.getTime() - anchor) / WEEK_MS))
+  return { weeks, since: new Date(anchor + weeks * WEEK_MS) }
+}
+
+/**
+ * Each plan action with what has been earned and what is left
+ */
+export function recoveryProgress(plan: RecoveryPlan, currentScore: number) {
+  return {
+    status: plan.status,
+    currentScore,
+    targetScore: plan.targetScore,
+    pointsNeeded: Math.max(0, plan.targetScore - currentScore),
+    pointsGranted: plan.pointsGranted,
+    maxPossibleRecovery: plan.maxPossibleRecovery,
+    actions: plan.actions.map(definition => {
+      const count = plan.actionCounts[definition.action] || 0
+      return {
+        action: definition.action,
+        message: definition.message,
+        count,
+        points: definition.points,
+        limit: definition.limit ?? null,
+        remaining: definition.limit ? Math.max(0, definition.limit - count) : null
+      }
+    })
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Trust Sanction Service (server only)
+ * Imposes timed sanctions, answers "is this member sanctioned right now" for the API guard
+ * and login, and lifts sanctions once they end (trust-sanction-expiry.ts runs that on a
+ * schedule). Resolving a moderation case as suspension or enhanced_monitoring imposes the
+ * matching sanction for the duration the penalty system recommended.
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+import {
+  SANCTION_TYPES,
+  SanctionType,
+  TrustSanction,
+  parseSanctionDuration,
+  isSanctionActive,
+  sanctionCountdown
+} from './trust-sanctions'
+
+export async function imposeSanction({
+  userId,
+  type,
+  reason,
+  duration,
+  caseId = null,
+  createdBy = null
+}: {
+  userId: string
+  type: SanctionType
+  reason: string
+  duration?: string
+  caseId?: number | null
+  createdBy?: string | null
+}): Promise<TrustSanction> {
+  if (!SANCTION_TYPES[type]) {
+    throw new Error(`Unknown sanction type: ${type}`)
+  }
+  if (!reason || !reason.trim()) {
+    throw new Error('A sanction needs a reason')
+  }
+
+  const startsAt = new Date()
+  const endsAt = new Date(startsAt.getTime() + parseSanctionDuration(duration || SANCTION_TYPES[type].defaultDuration))
+
+  return persistentDataManager.createSanction({ userId, type, reason: reason.trim(), startsAt, endsAt, caseId, createdBy })
+}
+
+export async function getActiveSanctions(userId: string): Promise<TrustSanction[]> {
+  const sanctions: TrustSanction[] = await persistentDataManager.getActiveSanctions(userId)
+  return sanctions.filter(sanction => isSanctionActive(sanction))
+}
+
+/**
+ * For login: the suspension in force, or null when the member may sign in and act
+ */
+export async function getActiveSuspension(userId: string): Promise<TrustSanction | null> {
+  const sanctions = await getActiveSanctions(userId)
+  return sanctions.find(sanction => SANCTION_TYPES[sanction.type]?.blocksActions) || null
+}
+
+/**
+ * What the settings page shows: each active sanction with a countdown to its end
+ */
+export async function getSanctionStatus(userId: string) {
+  const active = await getActiveSanctions(userId)
+  return {
+    suspended: active.some(sanction => SANCTION_TYPES[sanction.type]?.blocksActions),
+    sanctions: active.map(sanction => ({
+      ...sanction,
+      label: SANCTION_TYPES[sanction.type]?.label || sanction.type,
+      countdown: sanctionCountdown(sanction.endsAt)
+    }))
+  }
+}
+
+export async function liftExpiredSanctions(): Promise<TrustSanction[]> {
+  return persistentDataManager.liftExpiredSanctions()
+}
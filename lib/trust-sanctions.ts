@@ -0,0 +1,91 @@
+/**
+ * Trust Sanctions
+ * Time-bounded restrictions on an account. A sanction has a start, an end and a reason and
+ * stops applying on its own once it ends; the expiry job only records that it was lifted.
+ * Suspensions block every action except viewing content; enhanced monitoring blocks nothing
+ * and only marks the account for closer oversight.
+ */
+
+import type { TrustAction } from './trust-permissions'
+
+export type SanctionType = 'suspension' | 'enhanced_monitoring'
+
+export const SANCTION_TYPES: { [type in SanctionType]: { label: string; blocksActions: boolean; defaultDuration: string } } = {
+  suspension: { label: 'Account suspended', blocksActions: true, defaultDuration: '7 days' },
+  enhanced_monitoring: { label: 'Enhanced monitoring', blocksActions: false, defaultDuration: '30 days' }
+}
+
+export interface TrustSanction {
+  id: number
+  userId: string
+  type: SanctionType
+  reason: string
+  startsAt: string | Date
+  endsAt: string | Date
+  caseId: number | null
+  createdBy: string | null
+  liftedAt: string | Date | null
+  liftReason: string | null
+}
+
+export interface SanctionCountdown {
+  endsAt: string
+  remainingMs: number
+  days: number
+  hours: number
+  minutes: number
+  seconds: number
+  label: string // "6d 23h left", "45m left", "ended"
+}
+
+const UNIT_MS: { [unit: string]: number } = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+}
+
+/**
+ * Durations as the penalty system writes them: "7 days", "30 days", "12 hours", "2 weeks"
+ */
+export function parseSanctionDuration(duration: string): number {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(minute|hour|day|week)s?\s*$/i.exec(duration || '')
+  if (!match) {
+    throw new Error(`Invalid sanction duration: ${duration}`)
+  }
+  return Number(match[1]) * UNIT_MS[match[2].toLowerCase()]
+}
+
+export function isSanctionActive(sanction: TrustSanction, now: Date = new Date()): boolean {
+  const time = now.getTime()
+  return !sanction.liftedAt &&
+    new Date(sanction.startsAt).getTime() <= time &&
+    new Date(sanction.endsAt).getTime() > time
+}
+
+/**
+ * The active sanction that stops a member performing an action, if any
+ */
+export function findBlockingSanction(sanctions: TrustSanction[], action: TrustAction, now: Date = new Date()): TrustSanction | null {
+  if (action === 'view_content') return null
+  return sanctions
+    .filter(sanction => SANCTION_TYPES[sanction.type]?.blocksActions && isSanctionActive(sanction, now))
+    .sort((a, b) => new Date(b.endsAt).getTime() - new Date(a.endsAt).getTime())[0] || null
+}
+
+export function sanctionCountdown(endsAt: string | Date, now: Date = new Date()): SanctionCountdown {
+  const end = new Date(endsAt)
+  const remainingMs = Math.max(0, end.getTime() - now.getTime())
+  const days = Math.floor(remainingMs / UNIT_MS.day)
+  const hours = Math.floor((remainingMs % UNIT_MS.day) / UNIT_MS.hour)
+  const minutes = Math.floor((remainingMs % UNIT_MS.hour) / UNIT_MS.minute)
+  const seconds = Math.floor((remainingMs % UNIT_MS.minute) / 1000)
+
+  let label = 'ended'
+  if (days > 0) label = `${days}d ${hours}h left`
+  else if (hours > 0) label = `${hours}h ${minutes}m left`
+  else if (minutes > 0) label = `${minutes}m left`
+  else if (seconds > 0) label = `${seconds}s left`
+
+  return { endsAt: end.toISOString(), remainingMs, days, hours, minutes, seconds, label }
+}
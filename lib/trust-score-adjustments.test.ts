@@ -0,0 +1,32 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { adjustedTrustScore } from './trust-score-adjustments'
+
+test('an adjustment moves the score of a member with no activity state', () => {
+  assert.deepEqual(
+    adjustedTrustScore({ storedScore: 50, activityScore: null, adjustments: 0, addedPoints: -15 }),
+    { score: 35, adjustments: -15 }
+  )
+})
+
+test('earlier adjustments are not counted twice without an activity state', () => {
+  // Stored 35 after a -15 penalty; an appeal refund of 15 brings it back to 50
+  assert.deepEqual(
+    adjustedTrustScore({ storedScore: 35, activityScore: null, adjustments: -15, addedPoints: 15 }),
+    { score: 50, adjustments: 0 }
+  )
+})
+
+test('adjustments are added on top of the activity score', () => {
+  assert.deepEqual(
+    adjustedTrustScore({ storedScore: 40, activityScore: 70, adjustments: -20, addedPoints: 5 }),
+    { score: 55, adjustments: -15 }
+  )
+  // A rescore with no new adjustment keeps the stored ones
+  assert.equal(adjustedTrustScore({ storedScore: 55, activityScore: 72, adjustments: -15 }).score, 57)
+})
+
+test('the score stays within 0-100', () => {
+  assert.equal(adjustedTrustScore({ storedScore: 90, activityScore: 90, adjustments: 0, addedPoints: 30 }).score, 100)
+  assert.equal(adjustedTrustScore({ storedScore: 10, activityScore: null, adjustments: 0, addedPoints: -60 }).score, 0)
+})
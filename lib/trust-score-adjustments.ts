@@ -0,0 +1,26 @@
+/**
+ * Trust Score Adjustments
+ * Penalties, appeal refunds and rewards are stored as adjustments on top of the activity
+ * score, so a rescore never loses them: the stored trust score is the activity score plus
+ * every adjustment, capped at 0-100. Members who have no activity score yet use their
+ * stored score less the adjustments already applied to it as the base.
+ */
+
+export const MIN_TRUST_SCORE = 0
+export const MAX_TRUST_SCORE = 100
+
+export interface AdjustedTrustScoreInput {
+  storedScore: number // users.trust_score before this change
+  activityScore: number | null // null when the member has no activity score yet
+  adjustments: number // total of the adjustments already stored
+  addedPoints?: number // adjustment being added now (not stored yet)
+}
+
+export function adjustedTrustScore({ storedScore, activityScore, adjustments, addedPoints = 0 }: AdjustedTrustScoreInput): { score: number; adjustments: number } {
+  const base = activityScore ?? storedScore - adjustments
+  const total = adjustments + addedPoints
+  return {
+    score: Math.max(MIN_TRUST_SCORE, Math.min(MAX_TRUST_SCORE, base + total)),
+    adjustments: total
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Trust Score Benefits
+ * One catalogue of perks keyed by internal-score band. Internal scores run to 200, so
+ * bands above 100 reward overflow points; those benefits stay hidden until earned.
+ */
+
+export const MAX_INTERNAL_SCORE = 200
+
+export interface BenefitPerks {
+  eventCapacityMultiplier?: number // applied to max_attendees for events the member hosts
+  discoverBoost?: number // ranking multiplier for the member's posts and events in Discover
+  vouchesPerMonth?: number // new members this member can vouch for
+  flagWeight?: number // weight of the member's content flags
+  promotionCredits?: number // free event promotions per month
+}
+
+export interface BenefitDefinition {
+  benefit: string
+  message: string
+  minInternalScore: number
+  hidden: boolean
+  perks: BenefitPerks
+}
+
+export interface BenefitChanges {
+  gained: string[]
+  lost: string[]
+}
+
+export const BENEFIT_CATALOGUE: BenefitDefinition[] = [
+  { benefit: 'priority_support', message: 'Priority support', minInternalScore: 50, hidden: false, perks: {} },
+  { benefit: 'premium_features', message: 'Premium features', minInternalScore: 75, hidden: false, perks: {} },
+  { benefit: 'elite_status', message: 'Elite member status', minInternalScore: 90, hidden: false, perks: {} },
+  { benefit: 'extra_event_capacity', message: '25% more spots at events you host', minInternalScore: 105, hidden: true, perks: { eventCapacityMultiplier: 1.25 } },
+  { benefit: 'priority_event_notifications', message: 'Priority event notifications', minInternalScore: 110, hidden: true, perks: {} },
+  { benefit: 'discover_priority', message: 'Priority placement in Discover', minInternalScore: 120, hidden: true, perks: { discoverBoost: 1.2 } },
+  { benefit: 'exclusive_events', message: 'Access to exclusive events', minInternalScore: 120, hidden: true, perks: {} },
+  { benefit: 'community_badge', message: 'Trusted Community Member badge', minInternalScore: 130, hidden: true, perks: {} },
+  { benefit: 'vouch_for_new_users', message: 'Vouch for up to 3 new members a month', minInternalScore: 130, hidden: true, perks: { vouchesPerMonth: 3 } },
+  { benefit: 'moderation_power', message: 'Enhanced flagging power', minInternalScore: 140, hidden: true, perks: { flagWeight: 1.5 } },
+  { benefit: 'event_promotions', message: 'Free event promotion credits', minInternalScore: 150, hidden: true, perks: { promotionCredits: 2 } },
+  { benefit: 'max_event_capacity', message: '50% more spots at events you host', minInternalScore: 170, hidden: true, perks: { eventCapacityMultiplier: 1.5 } }
+]
+
+/**
+ * Internal score with overflow: the base score (0-100) plus bonuses such as score
+ * adjustments and the streak bonus, capped at MAX_INTERNAL_SCORE
+ */
+export function overflowInternalScore(baseScore: number, bonus: number = 0): number {
+  return Math.max(0, Math.min(MAX_INTERNAL_SCORE, baseScore + bonus))
+}
+
+export interface InternalScoreBonuses {
+  adjustments: number // total of the member's stored score adjustments
+  streakBonus: number // continuous engagement bonus from the member's streaks
+}
+
+/**
+ * A member's internal score. UltimateTrustScoreSystem and the benefit service both use
+ * this, so the score shown and the benefits granted always agree.
+ */
+export function memberInternalScore(baseScore: number, { adjustments, streakBonus }: InternalScoreBonuses): number {
+  return overflowInternalScore(baseScore, adjustments + Math.max(0, streakBonus))
+}
+
+export function getActiveBenefits(internalScore: number, catalogue: BenefitDefinition[] = BENEFIT_CATALOGUE): BenefitDefinition[] {
+  return catalogue.filter(benefit => internalScore >= benefit.minInternalScore)
+}
+
+/**
+ * Combined perks of every active benefit; numeric perks take the best value
+ */
+export function getBenefitPerks(internalScore: number, catalogue: BenefitDefinition[] = BENEFIT_CATALOGUE): BenefitPerks {
+  const perks: BenefitPerks = {}
+  getActiveBenefits(internalScore, catalogue).forEach(benefit => {
+    (Object.entries(benefit.perks) as [keyof BenefitPerks, number][]).forEach(([perk, value]) => {
+      perks[perk] = Math.max(perks[perk] || 0, value)
+    })
+  })
+  return perks
+}
+
+/**
+ * Next benefit band above the score; hidden benefits are not named
+ */
+export function getNextBenefit(internalScore: number, catalogue: BenefitDefinition[] = BENEFIT_CATALOGUE): { target: number; pointsNeeded: number; benefit: string } | null {
+  const next = catalogue
+    .filter(benefit => benefit.minInternalScore > internalScore)
+    .sort((a, b) => a.minInternalScore - b.minInternalScore)[0]
+  if (!next) return null
+  return {
+    target: next.minInternalScore,
+    pointsNeeded: next.minInternalScore - internalScore,
+    benefit: next.hidden ? 'Hidden benefit' : next.message
+  }
+}
+
+export function diffBenefits(previous: string[], current: string[]): BenefitChanges {
+  return {
+    gained: current.filter(benefit => !previous.includes(benefit)),
+    lost: previous.filter(benefit => !current.includes(benefit))
+  }
+}
@@ -1,6 +1,8 @@
 // COMPLETELY NEW FILE: No dynamic indexing, no complex patterns
 // Different filename to avoid any cached issues
 
+import { trustScoreEngine } from './trust-score-engine';
+
 export class TrustScoreCalculator {
     private config = {
         weights: {
@@ -58,24 +60,22 @@ export class TrustScoreCalculator {
         return result;
     }
 
+    /**
+     * Scores come from the shared trust score engine so this class reports the same
+     * number as every other calculator. `components` keeps the legacy 5-component breakdown.
+     */
     calculateAdvancedScore(user: any, activityHistory: any = {}) {
         const components = this.calculateComponentsWithDepreciation(user);
-        
-        let totalScore = 0;
-        totalScore += components.eventOrganizing.current * this.config.weights.eventOrganizing;
-        totalScore += components.socialProof.current * this.config.weights.socialProof;
-        totalScore += components.longevity.current * this.config.weights.longevity;
-        totalScore += components.engagement.current * this.config.weights.engagement;
-        totalScore += components.reliability.current * this.config.weights.reliability;
-
-        const internalScore = Math.round(totalScore);
-        const displayScore = Math.min(this.config.displayCap, internalScore);
+        const result = trustScoreEngine.calculate(user);
+        const internalScore = result.internalScore;
+        const displayScore = Math.min(this.config.displayCap, result.displayScore);
 
         return {
             displayScore,
             internalScore,
             components,
-            overflow: Math.max(0, internalScore - this.config.displayCap)
+            overflow: Math.max(0, internalScore - this.config.displayCap),
+            modelId: result.modelId
         };
     }
-}
\ No newline at end of file
+}
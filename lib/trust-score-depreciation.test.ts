@@ -0,0 +1,45 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_DEPRECIATION, depreciateScore, getInactivePeriods } from './trust-score-depreciation'
+
+const DAY_MS = 1000 * 60 * 60 * 24
+const AS_OF = new Date('2026-06-01T00:00:00Z')
+
+function daysAgo(days: number): string {
+  return new Date(AS_OF.getTime() - days * DAY_MS).toISOString()
+}
+
+test('inactive periods count full periods since the last activity', () => {
+  const user = { created_at: daysAgo(400), lastActivityDates: { events: daysAgo(95) } }
+
+  assert.equal(getInactivePeriods(user, 'events', DEFAULT_DEPRECIATION, AS_OF), 3)
+  assert.equal(getInactivePeriods(user, 'events', { ...DEFAULT_DEPRECIATION, periodDays: 7 }, AS_OF), 13)
+})
+
+test('components without recorded activity do not depreciate', () => {
+  const user = { created_at: daysAgo(400), lastActivityDates: { events: daysAgo(95) } }
+
+  assert.equal(getInactivePeriods(user, 'reviews', DEFAULT_DEPRECIATION, AS_OF), 0)
+  assert.equal(getInactivePeriods({ created_at: daysAgo(400) }, 'events', DEFAULT_DEPRECIATION, AS_OF), 0)
+})
+
+test('new accounts are not depreciated inside the grace window', () => {
+  const user = { created_at: daysAgo(20), lastActivityDates: { events: daysAgo(20) } }
+
+  assert.equal(getInactivePeriods(user, 'events', DEFAULT_DEPRECIATION, AS_OF), 0)
+})
+
+test('the inactive clock starts when the grace window ends', () => {
+  // Joined 70 days ago and last active on day one: grace ends 40 days ago, so one period
+  const user = { joinDate: daysAgo(70), lastActivityDates: { events: daysAgo(70) } }
+
+  assert.equal(getInactivePeriods(user, 'events', DEFAULT_DEPRECIATION, AS_OF), 1)
+})
+
+test('depreciateScore compounds the rate per period down to the floor', () => {
+  assert.equal(depreciateScore(80, 0.5, 0), 80)
+  assert.equal(depreciateScore(80, 0, 4), 80)
+  assert.equal(depreciateScore(80, 0.5, 1), 40)
+  assert.equal(depreciateScore(80, 0.5, 5), 80 * DEFAULT_DEPRECIATION.floor)
+  assert.equal(depreciateScore(80, 0.5, 5, { ...DEFAULT_DEPRECIATION, floor: 0 }), 2.5)
+})
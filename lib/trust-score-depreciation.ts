@@ -0,0 +1,58 @@
+/**
+ * Trust Score Depreciation
+ * Activity components lose value while a member is inactive. Each full inactive period
+ * since the component's last activity (user.lastActivityDates[componentKey]) takes the
+ * component's rate off the score, down to a floor. New accounts are not depreciated until
+ * their grace window has passed, and the inactive clock never starts before it ends.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24
+
+export interface DepreciationPolicy {
+  periodDays: number // length of one inactive period
+  graceDays: number // account age before anything depreciates
+  floor: number // share of the score that is always kept (0-1)
+}
+
+export const DEFAULT_DEPRECIATION: DepreciationPolicy = {
+  periodDays: 30,
+  graceDays: 30,
+  floor: 0.3
+}
+
+function toTime(value: any): number | null {
+  if (!value) return null
+  const time = new Date(value).getTime()
+  return isNaN(time) ? null : time
+}
+
+/**
+ * Full inactive periods for one component. 0 when there is no recorded activity or the
+ * account is still inside its grace window.
+ */
+export function getInactivePeriods(
+  user: any,
+  componentKey: string,
+  policy: DepreciationPolicy = DEFAULT_DEPRECIATION,
+  asOf: Date = new Date()
+): number {
+  const lastActivity = toTime(user?.lastActivityDates?.[componentKey])
+  if (lastActivity === null) return 0
+
+  const now = asOf.getTime()
+  const joined = toTime(user.created_at || user.joinDate || user.createdAt)
+  const graceEnds = joined === null ? null : joined + policy.graceDays * DAY_MS
+  if (graceEnds !== null && now < graceEnds) return 0
+
+  const inactiveSince = graceEnds === null ? lastActivity : Math.max(lastActivity, graceEnds)
+  return Math.max(0, Math.floor((now - inactiveSince) / (policy.periodDays * DAY_MS)))
+}
+
+/**
+ * Decay a score by rate for every inactive period: score * (1 - rate) ^ periods
+ */
+export function depreciateScore(score: number, rate: number, inactivePeriods: number, policy: DepreciationPolicy = DEFAULT_DEPRECIATION): number {
+  if (inactivePeriods <= 0 || !rate) return score
+  const decayed = score * Math.pow(1 - rate, inactivePeriods)
+  return Math.max(score * policy.floor, decayed)
+}
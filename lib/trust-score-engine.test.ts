@@ -0,0 +1,123 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { TrustScoreEngine } from './trust-score-engine'
+import { BUILT_IN_MODELS, DEFAULT_MODEL_ID } from './trust-score-models'
+import { compileTrustScoreModel, TrustScoreModelDefinition } from './trust-score-model-schema'
+
+const DAY_MS = 1000 * 60 * 60 * 24
+const AS_OF = new Date('2026-06-01T00:00:00Z')
+
+function testModel(overrides: Partial<TrustScoreModelDefinition> = {}) {
+  return compileTrustScoreModel({
+    id: 'test-model',
+    version: '1.0',
+    name: 'Test model',
+    description: 'Two components for engine tests',
+    components: {
+      events: {
+        label: 'Events',
+        description: 'Events attended',
+        weight: 0.75,
+        depreciates: true,
+        rate: 0.5,
+        suggestion: 'Attend an event',
+        curve: { type: 'capped', input: 'eventsAttended', perUnit: 10, cap: 100 },
+        status: { template: '{eventsAttended} events' }
+      },
+      friends: {
+        label: 'Friends',
+        description: 'Friends on the platform',
+        weight: 0.25,
+        suggestion: 'Add a friend',
+        curve: { type: 'capped', input: 'friendsCount', perUnit: 20, cap: 100 },
+        status: { template: '{friendsCount} friends' }
+      }
+    },
+    ...overrides
+  })
+}
+
+test('calculate weights each component and rounds the base score', () => {
+  const engine = new TrustScoreEngine([testModel()], 'test-model')
+  const result = engine.calculate({ eventsAttended: 5, friendsCount: 1 }, {}, { asOf: AS_OF })
+
+  assert.equal(result.modelId, 'test-model')
+  assert.equal(result.components.events.final, 50)
+  assert.equal(result.components.events.status, '5 events')
+  assert.equal(result.components.friends.weighted, 20 * 0.25)
+  assert.equal(result.baseScore, Math.round(50 * 0.75 + 20 * 0.25))
+  assert.equal(result.displayScore, result.baseScore)
+  assert.equal(result.calculatedAt, AS_OF.toISOString())
+})
+
+test('additionalData overrides the matching user fields', () => {
+  const engine = new TrustScoreEngine([testModel()], 'test-model')
+  const result = engine.calculate({ eventsAttended: 1 }, { eventsAttended: 10 }, { asOf: AS_OF })
+
+  assert.equal(result.components.events.final, 100)
+})
+
+test('depreciating components decay per full inactive period', () => {
+  const engine = new TrustScoreEngine([testModel({ depreciation: { floor: 0.1 } })], 'test-model')
+  const user = {
+    eventsAttended: 10,
+    created_at: new Date(AS_OF.getTime() - 365 * DAY_MS).toISOString(),
+    lastActivityDates: {
+      events: new Date(AS_OF.getTime() - 65 * DAY_MS).toISOString(),
+      friends: new Date(AS_OF.getTime() - 65 * DAY_MS).toISOString()
+    }
+  }
+  const result = engine.calculate(user, {}, { asOf: AS_OF })
+
+  assert.equal(result.components.events.inactivePeriods, 2)
+  assert.equal(result.components.events.final, 100 * 0.5 * 0.5)
+  assert.equal(result.components.friends.inactivePeriods, 0)
+})
+
+test('components are capped at their max and the display score at the model cap', () => {
+  const engine = new TrustScoreEngine([testModel({ displayCap: 60 })], 'test-model')
+  const result = engine.calculate({ eventsAttended: 50, friendsCount: 50 }, {}, { asOf: AS_OF })
+
+  assert.equal(result.components.events.raw, 100)
+  assert.equal(result.baseScore, 100)
+  assert.equal(result.displayScore, 60)
+})
+
+test('options.modelId scores with another registered model', () => {
+  const engine = new TrustScoreEngine([...BUILT_IN_MODELS, testModel()])
+
+  assert.equal(engine.getActiveModelId(), DEFAULT_MODEL_ID)
+  assert.equal(engine.calculate({}, {}, { modelId: 'test-model', asOf: AS_OF }).modelId, 'test-model')
+  assert.equal(engine.calculate({}, {}, { asOf: AS_OF }).modelId, DEFAULT_MODEL_ID)
+})
+
+test('unknown models are rejected', () => {
+  const engine = new TrustScoreEngine([testModel()])
+
+  assert.throws(() => engine.setActiveModel('missing'), /Unknown trust score model: missing/)
+  assert.throws(() => engine.calculate({}, {}, { modelId: 'missing' }), /Unknown trust score model/)
+})
+
+test('a model source runs once on first use and a failing one keeps the bundled models', () => {
+  const engine = new TrustScoreEngine([testModel()], 'test-model')
+  let runs = 0
+  engine.loadModelsOnFirstUse(() => {
+    runs++
+    throw new Error('models directory unreadable')
+  })
+
+  assert.equal(engine.calculate({}, {}, { asOf: AS_OF }).modelId, 'test-model')
+  engine.calculate({}, {}, { asOf: AS_OF })
+  assert.equal(runs, 1)
+})
+
+test('every built-in model scores an empty profile within its caps', () => {
+  const engine = new TrustScoreEngine(BUILT_IN_MODELS)
+
+  BUILT_IN_MODELS.forEach(model => {
+    const result = engine.calculate({}, {}, { modelId: model.id, asOf: AS_OF })
+    assert.ok(result.internalScore >= 0 && result.internalScore <= model.internalCap, model.id)
+    assert.ok(result.displayScore <= model.displayCap, model.id)
+    assert.deepEqual(Object.keys(result.components), Object.keys(model.components))
+  })
+})
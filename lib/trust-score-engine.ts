@@ -0,0 +1,182 @@
+/**
+ * Trust Score Engine
+ * Single entry point for every trust score shown on the platform. Scores are computed by a
+ * named, versioned model; the active model can be switched with TRUST_SCORE_MODEL (or
+ * NEXT_PUBLIC_TRUST_SCORE_MODEL for client bundles) without touching callers.
+ */
+
+import { BUILT_IN_MODELS, DEFAULT_MODEL_ID, TrustScoreModel } from './trust-score-models'
+import { depreciateScore, getInactivePeriods } from './trust-score-depreciation'
+
+export type { TrustScoreModel, TrustScoreComponentDefinition } from './trust-score-models'
+
+export interface EngineComponentScore {
+  label: string
+  description: string
+  status: string
+  raw: number
+  depreciated: number
+  inactivePeriods: number
+  final: number
+  weight: number
+  weighted: number
+}
+
+export interface TrustScoreEngineResult {
+  modelId: string
+  modelVersion: string
+  displayScore: number
+  internalScore: number
+  baseScore: number
+  components: { [key: string]: EngineComponentScore }
+  calculatedAt: string
+}
+
+export interface CalculateOptions {
+  modelId?: string
+  asOf?: Date | string // score as of this moment (depreciation); defaults to now
+}
+
+// Registers extra models on an engine (the server's on-disk model loader)
+export type TrustScoreModelSource = (engine: TrustScoreEngine) => void
+
+export class TrustScoreEngine {
+  private models: Map<string, TrustScoreModel> = new Map()
+  private activeModelId: string = DEFAULT_MODEL_ID
+  private pendingModelSource: TrustScoreModelSource | null = null
+
+  constructor(models: TrustScoreModel[] = [], activeModelId?: string) {
+    models.forEach(model => this.registerModel(model))
+    if (activeModelId) this.setActiveModel(activeModelId)
+  }
+
+  registerModel(model: TrustScoreModel): void {
+    const totalWeight = Object.values(model.components).reduce((sum, component) => sum + component.weight, 0)
+    if (totalWeight <= 0) {
+      throw new Error(`Trust score model ${model.id} has no weighted components`)
+    }
+    this.models.set(model.id, model)
+  }
+
+  /**
+   * Run source the first time the engine is used. If it throws, the models registered
+   * so far (the bundled ones) stay in use.
+   */
+  loadModelsOnFirstUse(source: TrustScoreModelSource): void {
+    this.pendingModelSource = source
+  }
+
+  private loadPendingModels(): void {
+    const source = this.pendingModelSource
+    if (!source) return
+    this.pendingModelSource = null
+    try {
+      source(this)
+    } catch (error) {
+      console.error(`❌ Trust score models could not be loaded - using the bundled models: ${(error as Error).message}`)
+    }
+  }
+
+  getModel(modelId: string = this.activeModelId): TrustScoreModel {
+    this.loadPendingModels()
+    const model = this.models.get(modelId)
+    if (!model) {
+      throw new Error(`Unknown trust score model: ${modelId}`)
+    }
+    return model
+  }
+
+  listModels(): { id: string; version: string; name: string; active: boolean }[] {
+    this.loadPendingModels()
+    return Array.from(this.models.values()).map(model => ({
+      id: model.id,
+      version: model.version,
+      name: model.name,
+      active: model.id === this.activeModelId
+    }))
+  }
+
+  setActiveModel(modelId: string): void {
+    this.getModel(modelId)
+    this.activeModelId = modelId
+  }
+
+  getActiveModelId(): string {
+    this.loadPendingModels()
+    return this.activeModelId
+  }
+
+  /**
+   * Score a user with the active model (or options.modelId).
+   * additionalData carries counts that are not stored on the user record itself; its values
+   * override the matching user fields. Depreciating components decay per the model's
+   * depreciation policy using user.lastActivityDates.
+   */
+  calculate(user: any, additionalData: any = {}, options: CalculateOptions = {}): TrustScoreEngineResult {
+    const model = this.getModel(options.modelId)
+    const data = additionalData || {}
+    const subject = { ...(user || {}), ...data }
+    const asOf = options.asOf ? new Date(options.asOf) : new Date()
+    const components: { [key: string]: EngineComponentScore } = {}
+    let weightedSum = 0
+    let totalWeight = 0
+
+    Object.entries(model.components).forEach(([key, definition]) => {
+      const evaluation = definition.evaluate(subject, data)
+      const raw = Math.max(0, evaluation.score)
+      const inactivePeriods = definition.depreciates ? getInactivePeriods(subject, key, model.depreciation, asOf) : 0
+      const depreciated = depreciateScore(raw, definition.rate || 0, inactivePeriods, model.depreciation)
+      const final = Math.min(definition.max, depreciated)
+
+      components[key] = {
+        label: definition.label,
+        description: definition.description,
+        status: evaluation.status,
+        raw,
+        depreciated,
+        inactivePeriods,
+        final,
+        weight: definition.weight,
+        weighted: final * definition.weight
+      }
+
+      weightedSum += final * definition.weight
+      totalWeight += definition.weight
+    })
+
+    const baseScore = Math.round(weightedSum / totalWeight)
+    const internalScore = Math.max(0, Math.min(model.internalCap, baseScore))
+    const displayScore = Math.min(model.displayCap, internalScore)
+
+    return {
+      modelId: model.id,
+      modelVersion: model.version,
+      displayScore,
+      internalScore,
+      baseScore,
+      components,
+      calculatedAt: asOf.toISOString()
+    }
+  }
+}
+
+const configuredModelId = (typeof process !== 'undefined' && process.env)
+  ? (process.env.NEXT_PUBLIC_TRUST_SCORE_MODEL || process.env.TRUST_SCORE_MODEL)
+  : undefined
+
+// Shared engine used by all trust score wrappers
+export const trustScoreEngine = new TrustScoreEngine(BUILT_IN_MODELS)
+
+if (configuredModelId) {
+  try {
+    trustScoreEngine.setActiveModel(configuredModelId)
+  } catch (error) {
+    console.error(`❌ ${(error as Error).message} - falling back to ${DEFAULT_MODEL_ID}`)
+  }
+}
+
+export function calculateUserTrustScore(user: any, additionalData?: any, options?: CalculateOptions): TrustScoreEngineResult {
+  return trustScoreEngine.calculate(user, additionalData, options)
+}
+
+console.log(`⚖️ Trust Score Engine loaded - active model: ${trustScoreEngine.getActiveModelId()}`)
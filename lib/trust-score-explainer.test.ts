@@ -0,0 +1,112 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { explainTrustScore } from './trust-score-explainer'
+import { TrustScoreEngine } from './trust-score-engine'
+import { compileTrustScoreModel } from './trust-score-model-schema'
+
+const DAY_MS = 1000 * 60 * 60 * 24
+const AS_OF = new Date('2026-06-01T00:00:00Z')
+
+const engine = new TrustScoreEngine([
+  compileTrustScoreModel({
+    id: 'test-model',
+    version: '1.0',
+    name: 'Test model',
+    description: 'Two components for explainer tests',
+    depreciation: { floor: 0.1 },
+    components: {
+      events: {
+        label: 'Events',
+        description: 'Events attended',
+        weight: 0.75,
+        depreciates: true,
+        rate: 0.5,
+        suggestion: 'Attend an event',
+        curve: { type: 'linear', terms: { eventsAttended: 10 }, multiplyBy: 'eventReliability' },
+        status: { template: '{eventsAttended} events' }
+      },
+      friends: {
+        label: 'Friends',
+        description: 'Friends on the platform',
+        weight: 0.25,
+        suggestion: 'Add a friend',
+        curve: { type: 'capped', input: 'friendsCount', perUnit: 20, cap: 100 },
+        status: { template: '{friendsCount} friends' }
+      }
+    }
+  })
+], 'test-model')
+
+const explain = (user: any) => explainTrustScore(user, {}, { asOf: AS_OF }, engine)
+
+// 4 events with 1 no-show (reliability 0.75) and one friend: 30 * 0.75 + 20 * 0.25 = 27.5
+const member = { eventsAttended: 4, eventNoShows: 1, friendsCount: 1 }
+
+test('component contributions add up to the score', () => {
+  const explanation = explain(member)
+  const total = explanation.components.reduce((sum, component) => sum + component.weightedContribution, 0)
+
+  assert.equal(explanation.score, 28)
+  assert.equal(total, 27.5)
+  assert.deepEqual(explanation.components.map(component => component.key), ['events', 'friends'])
+  assert.equal(explanation.components[0].status, '4 events')
+})
+
+test('points lost to penalty inputs are reported per component', () => {
+  const [events, friends] = explain(member).components
+
+  // Without the no-show the events component would score 40 instead of 30
+  assert.equal(events.pointsLost.penalties, 7.5)
+  assert.equal(friends.pointsLost.penalties, 0)
+  assert.equal(friends.pointsLost.notYetEarned, (100 - 20) * 0.25)
+})
+
+test('actions are ranked by the score they would add', () => {
+  const explanation = explain(member)
+
+  assert.deepEqual(explanation.topActions.map(action => action.label), ['Attend an event', 'Add a friend'])
+  assert.deepEqual(explanation.bestAction, { input: 'eventsAttended', label: 'Attend an event', scoreGain: 7.5, newScore: 35 })
+  assert.equal(explanation.components[1].bestAction?.label, 'Add a friend')
+  assert.match(explanation.summary, /Best next step: Attend an event \(\+7\.5\)/)
+})
+
+test('stored adjustments are included in the score and in each action\'s new score', () => {
+  const penalized = explain({ ...member, scoreAdjustments: -10 })
+
+  assert.equal(penalized.activityScore, 28)
+  assert.equal(penalized.adjustments, -10)
+  assert.equal(penalized.score, 18)
+  assert.equal(penalized.bestAction?.newScore, 25)
+  assert.match(penalized.summary, /Your trust score is 18\. .*change it by -10 points/)
+
+  assert.equal(explain({ ...member, scoreAdjustments: 90 }).score, 100)
+  assert.equal(explain({ ...member, scoreAdjustments: -50 }).score, 0)
+})
+
+test('depreciation is reported and acting again wins it back', () => {
+  const inactive = explain({
+    eventsAttended: 4,
+    created_at: new Date(AS_OF.getTime() - 365 * DAY_MS).toISOString(),
+    lastActivityDates: { events: new Date(AS_OF.getTime() - 65 * DAY_MS).toISOString() }
+  })
+  const events = inactive.components[0]
+
+  // Two inactive periods at rate 0.5 leave 40 * 0.25 = 10
+  assert.equal(events.finalScore, 10)
+  assert.equal(events.pointsLost.depreciation, 30 * 0.75)
+  assert.equal(events.bestAction?.scoreGain, (50 - 10) * 0.75)
+})
+
+test('overturned violations are left out of the penalty summary', () => {
+  const explanation = explain({
+    ...member,
+    violationHistory: [
+      { points: -10, upheld: true },
+      { points: -5, upheld: false },
+      { points: -3, overturned: true },
+      { points: -2 }
+    ]
+  })
+
+  assert.deepEqual(explanation.violationPenalties, { points: 12, violations: 2 })
+})
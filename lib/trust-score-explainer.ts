@@ -0,0 +1,201 @@
+/**
+ * Trust Score Explainer
+ * Answers "why is my score 67?". Breaks a score down per component - the inputs that were
+ * read, raw score, weighted contribution and the points lost to depreciation or penalties -
+ * and ranks the single actions that would raise the score the most by re-scoring the user
+ * with each action applied. The score explained is the stored one: the activity score plus
+ * the member's score adjustments (user.scoreAdjustments).
+ */
+
+import { trustScoreEngine, TrustScoreEngine, TrustScoreEngineResult, CalculateOptions } from './trust-score-engine'
+import { TRUST_SCORE_INPUTS } from './trust-score-inputs'
+import { adjustedTrustScore } from './trust-score-adjustments'
+
+export interface ExplainedInput {
+  name: string
+  description: string
+  value: number
+}
+
+export interface ScoreAction {
+  input: string
+  label: string
+  scoreGain: number // points of overall score, before rounding
+  newScore: number
+}
+
+export interface ComponentExplanation {
+  key: string
+  label: string
+  description: string
+  status: string
+  inputs: ExplainedInput[]
+  rawScore: number
+  finalScore: number
+  maxScore: number
+  weight: number
+  weightedContribution: number // points this component adds to the overall score
+  maxContribution: number
+  pointsLost: {
+    depreciation: number
+    penalties: number
+    notYetEarned: number
+  }
+  bestAction: ScoreAction | null
+  suggestion: string
+}
+
+export interface TrustScoreExplanation {
+  modelId: string
+  modelVersion: string
+  score: number
+  activityScore: number // score from the components alone
+  adjustments: number // penalties, appeal refunds and rewards on top of the activity score
+  components: ComponentExplanation[]
+  violationPenalties: {
+    points: number
+    violations: number
+  }
+  bestAction: ScoreAction | null
+  topActions: ScoreAction[]
+  summary: string
+}
+
+const round2 = (value: number) => Math.round(value * 100) / 100
+
+function exactScore(result: TrustScoreEngineResult): number {
+  const components = Object.values(result.components)
+  const totalWeight = components.reduce((sum, component) => sum + component.weight, 0)
+  return components.reduce((sum, component) => sum + component.weighted, 0) / totalWeight
+}
+
+// Stored penalties from TrustScorePenaltySystem.trackViolation, minus any overturned on appeal
+function summarizeViolations(user: any): { points: number; violations: number } {
+  const active = (user.violationHistory || []).filter((violation: any) => violation.upheld !== false && !violation.overturned)
+  return {
+    points: round2(active.reduce((sum: number, violation: any) => sum + Math.abs(Number(violation.points) || 0), 0)),
+    violations: active.length
+  }
+}
+
+export function explainTrustScore(
+  user: any,
+  additionalData: any = {},
+  options: CalculateOptions = {},
+  engine: TrustScoreEngine = trustScoreEngine
+): TrustScoreExplanation {
+  const subject = { ...(user || {}), ...(additionalData || {}) }
+  const current = engine.calculate(subject, {}, options)
+  const model = engine.getModel(current.modelId)
+  const scoreOptions = { ...options, modelId: current.modelId }
+  const activityTime = new Date(current.calculatedAt).toISOString()
+  const totalWeight = Object.values(model.components).reduce((sum, component) => sum + component.weight, 0)
+  const baseline = exactScore(current)
+  const share = (points: number, weight: number) => round2((points * weight) / totalWeight)
+  const adjustments = Number(subject.scoreAdjustments) || 0
+  const withAdjustments = (activityScore: number) =>
+    adjustedTrustScore({ storedScore: activityScore, activityScore, adjustments }).score
+  const score = withAdjustments(current.displayScore)
+
+  // Re-score once per distinct action; several inputs can share a label
+  const simulations: { input: string; label: string; result: TrustScoreEngineResult; gain: number }[] = []
+  const usedInputs = new Set<string>()
+  Object.values(model.components).forEach(component => component.inputs.forEach(input => usedInputs.add(input)))
+
+  usedInputs.forEach(input => {
+    const action = TRUST_SCORE_INPUTS[input]?.action
+    if (!action || simulations.some(simulation => simulation.label === action.label)) return
+    // Taking an action counts as fresh activity for every component that reads the input
+    const acted = action.apply(subject)
+    const refreshed = { ...(subject.lastActivityDates || {}) }
+    Object.entries(model.components)
+      .filter(([, component]) => component.depreciates && component.inputs.includes(input))
+      .forEach(([key]) => { refreshed[key] = activityTime })
+    const result = engine.calculate({ ...acted, lastActivityDates: refreshed }, {}, scoreOptions)
+    simulations.push({ input, label: action.label, result, gain: exactScore(result) - baseline })
+  })
+
+  const toAction = (simulation: typeof simulations[number], gain: number): ScoreAction => ({
+    input: simulation.input,
+    label: simulation.label,
+    scoreGain: round2(gain),
+    newScore: withAdjustments(simulation.result.displayScore)
+  })
+
+  const components: ComponentExplanation[] = Object.entries(model.components).map(([key, definition]) => {
+    const scored = current.components[key]
+    const cappedRaw = Math.min(definition.max, scored.raw)
+
+    // Score this component would have if every penalty input it reads were cleared
+    const penaltyInputs = definition.inputs.filter(input => TRUST_SCORE_INPUTS[input]?.withoutPenalty)
+    let penaltyPoints = 0
+    if (penaltyInputs.length > 0) {
+      const cleared = penaltyInputs.reduce((withoutPenalties, input) => TRUST_SCORE_INPUTS[input].withoutPenalty!(withoutPenalties), subject)
+      penaltyPoints = Math.max(0, engine.calculate(cleared, {}, scoreOptions).components[key].final - scored.final)
+    }
+
+    let bestAction: ScoreAction | null = null
+    for (const simulation of simulations) {
+      const gain = (simulation.result.components[key].weighted - scored.weighted) / totalWeight
+      if (gain > 0 && (!bestAction || gain > bestAction.scoreGain)) {
+        bestAction = toAction(simulation, gain)
+      }
+    }
+
+    return {
+      key,
+      label: definition.label,
+      description: definition.description,
+      status: scored.status,
+      inputs: definition.inputs.map(name => ({
+        name,
+        description: TRUST_SCORE_INPUTS[name].description,
+        value: round2(TRUST_SCORE_INPUTS[name].resolve(subject))
+      })),
+      rawScore: round2(scored.raw),
+      finalScore: round2(scored.final),
+      maxScore: definition.max,
+      weight: definition.weight,
+      weightedContribution: share(scored.final, definition.weight),
+      maxContribution: share(definition.max, definition.weight),
+      pointsLost: {
+        depreciation: share(cappedRaw - Math.min(definition.max, scored.depreciated), definition.weight),
+        penalties: share(penaltyPoints, definition.weight),
+        notYetEarned: share(definition.max - scored.final, definition.weight)
+      },
+      bestAction,
+      suggestion: definition.suggestion
+    }
+  })
+
+  const topActions = simulations
+    .filter(simulation => simulation.gain > 0)
+    .sort((a, b) => b.gain - a.gain)
+    .slice(0, 5)
+    .map(simulation => toAction(simulation, simulation.gain))
+
+  const bestAction = topActions[0] || null
+  const strongest = [...components].sort((a, b) => b.weightedContribution - a.weightedContribution)[0]
+  const weakest = [...components].sort((a, b) => b.pointsLost.notYetEarned - a.pointsLost.notYetEarned)[0]
+
+  const summary = [
+    `Your trust score is ${score}.`,
+    adjustments !== 0 ? `Penalties and rewards change it by ${adjustments > 0 ? '+' : ''}${round2(adjustments)} points.` : '',
+    strongest ? `${strongest.label} adds the most (${strongest.weightedContribution} points).` : '',
+    weakest ? `${weakest.label} has the most room to grow (${weakest.pointsLost.notYetEarned} points).` : '',
+    bestAction ? `Best next step: ${bestAction.label} (+${bestAction.scoreGain}).` : ''
+  ].filter(Boolean).join(' ')
+
+  return {
+    modelId: current.modelId,
+    modelVersion: current.modelVersion,
+    score,
+    activityScore: current.displayScore,
+    adjustments: round2(adjustments),
+    components,
+    violationPenalties: summarizeViolations(subject),
+    bestAction,
+    topActions,
+    summary
+  }
+}
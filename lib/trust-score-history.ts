@@ -0,0 +1,146 @@
+/**
+ * Trust Score History
+ * Reads trust_score_history entries back into something chartable: a score timeline,
+ * component snapshots over time, the biggest gains and drops with their reasons and
+ * rolling 7- and 30-day trends.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24
+
+export interface TrustScoreHistoryEntry {
+  id?: number
+  oldScore: number | null
+  newScore: number
+  reason: string | null
+  componentScores?: any
+  createdAt: string | Date
+}
+
+export interface TimelinePoint {
+  at: string
+  score: number
+  change: number
+  reason: string | null
+}
+
+export interface ComponentSnapshot {
+  at: string
+  modelId: string | null
+  components: { [key: string]: number }
+}
+
+export interface DailyTrendPoint {
+  date: string // YYYY-MM-DD (UTC)
+  score: number // closing score for the day
+  change7d: number
+  change30d: number
+}
+
+export interface TrendSummary {
+  days: number
+  from: number
+  to: number
+  change: number
+  direction: 'up' | 'down' | 'flat'
+  changes: number // score changes inside the window
+}
+
+export interface TrustScoreHistoryAnalysis {
+  currentScore: number | null
+  timeline: TimelinePoint[]
+  componentSnapshots: ComponentSnapshot[]
+  biggestGains: TimelinePoint[]
+  biggestDrops: TimelinePoint[]
+  trends: { sevenDay: TrendSummary; thirtyDay: TrendSummary }
+  daily: DailyTrendPoint[]
+}
+
+function toIso(value: string | Date): string {
+  return new Date(value).toISOString()
+}
+
+// component_scores is { modelId, components } from the activity service, or a flat map
+function toSnapshot(entry: TrustScoreHistoryEntry): ComponentSnapshot | null {
+  const stored = entry.componentScores
+  if (!stored || typeof stored !== 'object') return null
+  const components = stored.components && typeof stored.components === 'object' ? stored.components : stored
+  const numeric: { [key: string]: number } = {}
+  Object.entries(components).forEach(([key, value]) => {
+    if (typeof value === 'number') numeric[key] = value
+  })
+  return { at: toIso(entry.createdAt), modelId: stored.modelId || null, components: numeric }
+}
+
+// Score in effect at a moment: the last change at or before it, else the first old score
+function scoreAt(timeline: TimelinePoint[], time: number, fallback: number): number {
+  let score = fallback
+  for (const point of timeline) {
+    if (new Date(point.at).getTime() > time) break
+    score = point.score
+  }
+  return score
+}
+
+function summarizeWindow(timeline: TimelinePoint[], days: number, now: number, startScore: number): TrendSummary {
+  const windowStart = now - days * DAY_MS
+  const from = scoreAt(timeline, windowStart, startScore)
+  const to = scoreAt(timeline, now, startScore)
+  const change = to - from
+  return {
+    days,
+    from,
+    to,
+    change,
+    direction: change > 0 ? 'up' : change < 0 ? 'down' : 'flat',
+    changes: timeline.filter(point => {
+      const time = new Date(point.at).getTime()
+      return time > windowStart && time <= now
+    }).length
+  }
+}
+
+export function analyzeTrustScoreHistory(
+  entries: TrustScoreHistoryEntry[],
+  { now = new Date(), days = 90, top = 5 }: { now?: Date; days?: number; top?: number } = {}
+): TrustScoreHistoryAnalysis {
+  const sorted = [...entries].sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime())
+  const timeline: TimelinePoint[] = sorted.map(entry => ({
+    at: toIso(entry.createdAt),
+    score: entry.newScore,
+    change: entry.newScore - (entry.oldScore ?? entry.newScore),
+    reason: entry.reason
+  }))
+  const startScore = sorted.length > 0 ? (sorted[0].oldScore ?? sorted[0].newScore) : 0
+  const nowTime = now.getTime()
+
+  const daily: DailyTrendPoint[] = []
+  if (timeline.length > 0) {
+    const firstDay = Math.max(
+      Math.floor(new Date(timeline[0].at).getTime() / DAY_MS),
+      Math.floor(nowTime / DAY_MS) - days + 1
+    )
+    for (let day = firstDay; day <= Math.floor(nowTime / DAY_MS); day++) {
+      const close = (day + 1) * DAY_MS - 1
+      const score = scoreAt(timeline, close, startScore)
+      daily.push({
+        date: new Date(day * DAY_MS).toISOString().slice(0, 10),
+        score,
+        change7d: score - scoreAt(timeline, close - 7 * DAY_MS, startScore),
+        change30d: score - scoreAt(timeline, close - 30 * DAY_MS, startScore)
+      })
+    }
+  }
+
+  return {
+    currentScore: timeline.length > 0 ? timeline[timeline.length - 1].score : null,
+    timeline,
+    componentSnapshots: sorted.map(toSnapshot).filter((snapshot): snapshot is ComponentSnapshot => snapshot !== null),
+    biggestGains: timeline.filter(point => point.change > 0).sort((a, b) => b.change - a.change).slice(0, top),
+    biggestDrops: timeline.filter(point => point.change < 0).sort((a, b) => a.change - b.change).slice(0, top),
+    trends: {
+      sevenDay: summarizeWindow(timeline, 7, nowTime, startScore),
+      thirtyDay: summarizeWindow(timeline, 30, nowTime, startScore)
+    },
+    daily
+  }
+}
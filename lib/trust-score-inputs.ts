@@ -0,0 +1,206 @@
+/**
+ * Trust Score Inputs
+ * Named numeric inputs that model definitions may reference. A model file can only use
+ * inputs listed here - anything else is rejected when the model is validated.
+ */
+
+export interface TrustScoreInputAction {
+  label: string
+  apply: (user: any) => any // returns a copy of the user after taking the action once
+}
+
+export interface TrustScoreInput {
+  description: string
+  resolve: (user: any) => number
+  action?: TrustScoreInputAction
+  withoutPenalty?: (user: any) => any // for inputs that only count against a member
+}
+
+const DAY_MS = 1000 * 60 * 60 * 24
+
+export function calculateProfileCompleteness(user: any): number {
+  let completeness = 0
+  const factors = [
+    user.name,
+    user.email,
+    user.phone,
+    user.bio,
+    user.location,
+    user.avatar && user.avatar !== '/default-avatar.png',
+    user.username,
+    user.website,
+    user.occupation,
+    user.company
+  ]
+
+  const filledFactors = factors.filter(Boolean).length
+  completeness = (filledFactors / factors.length) * 100
+
+  return Math.round(completeness)
+}
+
+export function calculateAccountAge(createdAt: string): number {
+  if (!createdAt) return 0
+  const created = new Date(createdAt)
+  const now = new Date()
+  const diffTime = Math.abs(now.getTime() - created.getTime())
+  const diffDays = Math.ceil(diffTime / DAY_MS)
+  return diffDays
+}
+
+function count(field: string, description: string, action?: string): TrustScoreInput {
+  return {
+    description,
+    resolve: (user) => Number(user[field]) || 0,
+    action: action ? { label: action, apply: (user) => increment(user, field) } : undefined
+  }
+}
+
+function penaltyCount(field: string, description: string): TrustScoreInput {
+  return {
+    description,
+    resolve: (user) => Number(user[field]) || 0,
+    withoutPenalty: (user) => ({ ...user, [field]: 0 })
+  }
+}
+
+function numberWithDefault(field: string, fallback: number, description: string): TrustScoreInput {
+  return { description, resolve: (user) => Number(user[field]) || fallback }
+}
+
+function flag(description: string, test: (user: any) => any, action?: string, apply?: (user: any) => any): TrustScoreInput {
+  return {
+    description,
+    resolve: (user) => (test(user) ? 1 : 0),
+    action: action && apply ? { label: action, apply } : undefined
+  }
+}
+
+function increment(user: any, ...fields: string[]): any {
+  const updated = { ...user }
+  fields.forEach(field => {
+    updated[field] = (Number(user[field]) || 0) + 1
+  })
+  return updated
+}
+
+// A successful ratio action raises both sides of the ratio
+function ratioAction(numerator: string, denominator: string, description: string, action: string): TrustScoreInput {
+  return {
+    description,
+    resolve: (user) => Number(user[numerator]) || 0,
+    action: { label: action, apply: (user) => increment(user, numerator, denominator) }
+  }
+}
+
+export const TRUST_SCORE_INPUTS: { [name: string]: TrustScoreInput } = {
+  // Verification
+  emailVerified: flag('1 when the email address is verified', user => user.emailVerified || user.email_verified,
+    'Verify your email address', user => ({ ...user, emailVerified: true })),
+  phoneVerified: flag('1 when the phone number is verified', user => user.phoneVerified || user.phone_verified,
+    'Verify your phone number', user => ({ ...user, phoneVerified: true })),
+  connectedAccountsCount: {
+    description: 'Number of linked social accounts (explicit count, else connectedAccounts length)',
+    resolve: (user) => Number(user.connectedAccountsCount ?? user.connectedAccounts?.length) || 0,
+    action: {
+      label: 'Connect a social account',
+      apply: (user) => ({ ...user, connectedAccountsCount: TRUST_SCORE_INPUTS.connectedAccountsCount.resolve(user) + 1 })
+    }
+  },
+  connectedSocialAccounts: count('connectedSocialAccounts', 'Connected social accounts (activity profile)', 'Connect a social account'),
+  verifiedAccounts: count('verifiedAccounts', 'Connected accounts verified by the platform', 'Verify one of your connected accounts'),
+
+  // Profile
+  profileCompletenessPct: {
+    description: 'Share of the 10 basic profile fields filled in (0-100)',
+    resolve: (user) => calculateProfileCompleteness(user)
+  },
+  hasName: flag('1 when a name is set', user => user.name, 'Add your name', user => ({ ...user, name: user.name || 'name' })),
+  hasBio: flag('1 when a bio is set', user => user.bio, 'Write a bio', user => ({ ...user, bio: user.bio || 'bio' })),
+  hasLocation: flag('1 when a location is set', user => user.location, 'Add your location', user => ({ ...user, location: user.location || 'location' })),
+  hasCustomAvatar: flag('1 when the avatar is not a default image', user => user.avatar && user.avatar !== 'default-avatar.jpg' && user.avatar !== '/default-avatar.png',
+    'Upload a profile photo', user => ({ ...user, avatar: 'custom-avatar.jpg' })),
+  hasJoinDate: flag('1 when the account has a join date', user => user.created_at || user.joinDate),
+  hasOccupation: flag('1 when an occupation is set', user => user.occupation, 'Add your occupation', user => ({ ...user, occupation: user.occupation || 'occupation' })),
+  hasInterests: flag('1 when at least one interest is set', user => user.interests && user.interests.length > 0,
+    'Add an interest', user => ({ ...user, interests: [...(user.interests || []), 'interest'] })),
+  hasWebsite: flag('1 when a website is set', user => user.website, 'Add your website', user => ({ ...user, website: user.website || 'website' })),
+  hasProfilePicture: flag('1 when a profile picture is uploaded', user => user.profilePicture, 'Upload a profile picture', user => ({ ...user, profilePicture: true })),
+  hasSocialLinks: flag('1 when social links are set', user => user.socialLinks, 'Add links to your social profiles', user => ({ ...user, socialLinks: true })),
+
+  // Account age
+  daysOnPlatform: {
+    description: 'Whole days since joinDate / created_at',
+    resolve: (user) => {
+      const joinDate = new Date(user.joinDate || user.created_at || new Date())
+      return Math.floor((Date.now() - joinDate.getTime()) / DAY_MS)
+    }
+  },
+  accountAgeDays: {
+    description: 'Days since created_at / createdAt, rounded up',
+    resolve: (user) => calculateAccountAge(user.created_at || user.createdAt)
+  },
+  accountAgeInDays: count('accountAgeInDays', 'Precomputed account age in days'),
+
+  // Social
+  friendsCount: count('friendsCount', 'Number of friends', 'Add a friend'),
+  socialInteractions: count('socialInteractions', 'Likes, replies and other social interactions', 'Like or reply to a friend\'s post'),
+  sharesCount: count('sharesCount', 'Posts shared', 'Share a post'),
+  peerVouchScore: count('peerVouchScore', 'Vouching points from trusted, long-standing friends (0-100, see trust-score-vouching)'),
+  vouchingFriends: count('vouchingFriends', 'Friends whose vouch counts towards peerVouchScore'),
+
+  // Events
+  eventsAttended: count('eventsAttended', 'Events attended', 'Attend an event'),
+  eventsHosted: count('eventsHosted', 'Events hosted', 'Host an event'),
+  eventsCreated: count('eventsCreated', 'Events created', 'Create an event'),
+  eventNoShows: penaltyCount('eventNoShows', 'RSVPs the user did not show up for'),
+  eventReliability: {
+    description: '1 - noShows / attended, floored at 0',
+    resolve: (user) => {
+      const attended = Number(user.eventsAttended) || 0
+      const noShows = Number(user.eventNoShows) || 0
+      return Math.max(0, 1 - (noShows / Math.max(1, attended)))
+    },
+    withoutPenalty: (user) => ({ ...user, eventNoShows: 0 })
+  },
+
+  // Content and reviews
+  postsCount: count('postsCount', 'Posts written', 'Write a post'),
+  commentsCount: count('commentsCount', 'Comments written', 'Comment on a post'),
+  reactionsGiven: count('reactionsGiven', 'Reactions given to other content', 'React to a post'),
+  reviewsCount: count('reviewsCount', 'Reviews written (platform counter)', 'Write a review'),
+  reviewsGiven: count('reviewsGiven', 'Reviews written for others', 'Write a review'),
+  reviewsReceived: count('reviewsReceived', 'Reviews written about the user', 'Ask someone you know for a review'),
+  averageContentRating: numberWithDefault('averageContentRating', 3.5, 'Average rating of posts (1-5, default 3.5)'),
+  averageRatingReceived: numberWithDefault('averageRatingReceived', 3, 'Average rating received (1-5, default 3)'),
+  contentQualityScore: numberWithDefault('contentQualityScore', 50, 'Moderation quality score (default 50)'),
+  contentUpvotes: count('contentUpvotes', 'Upvotes on the user\'s content', 'Post something others upvote'),
+  contentReports: penaltyCount('contentReports', 'Reports against the user\'s content'),
+  helpfulReviews: count('helpfulReviews', 'Reviews marked helpful', 'Write a review others mark helpful'),
+  helpfulReviewVotes: count('helpfulReviewVotes', 'Helpful votes on reviews', 'Write a review others mark helpful'),
+
+  // Interactions
+  totalInteractions: count('totalInteractions', 'All rated interactions'),
+  positiveInteractions: ratioAction('positiveInteractions', 'totalInteractions', 'Interactions rated positive', 'Have a positive interaction'),
+  helpfulVotes: count('helpfulVotes', 'Helpful votes received', 'Give advice others vote helpful'),
+  positiveFeedback: count('positiveFeedback', 'Positive feedback received', 'Earn positive feedback'),
+  thanksReceived: count('thanksReceived', 'Thanks received', 'Help someone who thanks you'),
+
+  // Moderation and contribution
+  flagsSubmitted: count('flagsSubmitted', 'Flags submitted'),
+  accurateFlags: ratioAction('accurateFlags', 'flagsSubmitted', 'Flags upheld by moderators', 'Flag content that breaks the rules'),
+  accurateReports: ratioAction('accurateReports', 'reports', 'Reports upheld by moderators', 'Report content that breaks the rules'),
+  reports: count('reports', 'Reports submitted'),
+  feedback: count('feedback', 'Product feedback submitted', 'Send product feedback'),
+  feedbackSubmitted: count('feedbackSubmitted', 'Feedback submitted', 'Send product feedback'),
+  helpedUsers: count('helpedUsers', 'Members helped', 'Help another member'),
+  mentoringSessions: count('mentoringSessions', 'Mentoring sessions held', 'Mentor a new member')
+}
+
+export function resolveInput(name: string, user: any): number {
+  const input = TRUST_SCORE_INPUTS[name]
+  if (!input) {
+    throw new Error(`Unknown trust score input: ${name}`)
+  }
+  return input.resolve(user)
+}
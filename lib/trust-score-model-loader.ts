@@ -0,0 +1,73 @@
+/**
+ * Trust Score Model Loader (server only)
+ * Reads JSON model definitions from disk at runtime so weights and curves can be tuned
+ * without a deploy. Point TRUST_SCORE_MODELS_DIR at a directory of *.json model files;
+ * invalid files are reported and skipped, leaving the previously registered model in place.
+ * Importing this module loads them into the shared engine the first time it is used.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { trustScoreEngine, TrustScoreEngine } from './trust-score-engine'
+import { compileTrustScoreModel, TrustScoreModel } from './trust-score-model-schema'
+
+export interface ModelLoadReport {
+  loaded: string[]
+  errors: { file: string; error: string }[]
+}
+
+export function loadTrustScoreModelFile(filePath: string): TrustScoreModel {
+  const definition = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  return compileTrustScoreModel(definition)
+}
+
+export function loadTrustScoreModelsFromDirectory(directory: string, engine: TrustScoreEngine = trustScoreEngine): ModelLoadReport {
+  const report: ModelLoadReport = { loaded: [], errors: [] }
+
+  if (!fs.existsSync(directory)) {
+    report.errors.push({ file: directory, error: 'Directory not found' })
+    return report
+  }
+
+  fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      try {
+        const model = loadTrustScoreModelFile(path.join(directory, file))
+        engine.registerModel(model)
+        report.loaded.push(model.id)
+      } catch (error) {
+        report.errors.push({ file, error: (error as Error).message })
+      }
+    })
+
+  return report
+}
+
+/**
+ * Load TRUST_SCORE_MODELS_DIR (if set) into the shared engine and re-apply TRUST_SCORE_MODEL.
+ * Safe to call again to pick up edited files.
+ */
+export function loadConfiguredTrustScoreModels(): ModelLoadReport {
+  const directory = process.env.TRUST_SCORE_MODELS_DIR
+  if (!directory) return { loaded: [], errors: [] }
+
+  const report = loadTrustScoreModelsFromDirectory(path.resolve(directory))
+
+  report.errors.forEach(({ file, error }) => {
+    console.error(`❌ Trust score model ${file} rejected: ${error}`)
+  })
+
+  const activeModelId = process.env.TRUST_SCORE_MODEL
+  if (activeModelId && report.loaded.includes(activeModelId)) {
+    trustScoreEngine.setActiveModel(activeModelId)
+  }
+
+  console.log(`✅ Loaded ${report.loaded.length} trust score model(s) from ${directory}`)
+  return report
+}
+
+trustScoreEngine.loadModelsOnFirstUse(() => {
+  loadConfiguredTrustScoreModels()
+})
@@ -0,0 +1,123 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  ComponentSpec,
+  TrustScoreModelDefinition,
+  compileTrustScoreModel,
+  getComponentInputs,
+  validateTrustScoreModelDefinition
+} from './trust-score-model-schema'
+import { BUILT_IN_MODEL_DEFINITIONS } from './trust-score-models'
+import { DEFAULT_DEPRECIATION } from './trust-score-depreciation'
+
+function component(overrides: Partial<ComponentSpec> = {}): ComponentSpec {
+  return {
+    label: 'Events',
+    description: 'Events attended',
+    weight: 1,
+    suggestion: 'Attend an event',
+    curve: { type: 'capped', input: 'eventsAttended', perUnit: 10, cap: 100 },
+    status: { template: '{score} points' },
+    ...overrides
+  }
+}
+
+function definition(components: { [key: string]: ComponentSpec }, overrides: Partial<TrustScoreModelDefinition> = {}): TrustScoreModelDefinition {
+  return { id: 'schema-test', version: '1.0', name: 'Schema test', description: 'Schema tests', components, ...overrides }
+}
+
+function evaluate(spec: ComponentSpec, user: any) {
+  return compileTrustScoreModel(definition({ only: spec })).components.only.evaluate(user, {})
+}
+
+test('the built-in model files are valid', () => {
+  BUILT_IN_MODEL_DEFINITIONS.forEach(model => {
+    assert.deepEqual(validateTrustScoreModelDefinition(model), { valid: true, errors: [] }, model.id)
+  })
+})
+
+test('validation reports every problem at once', () => {
+  const { valid, errors } = validateTrustScoreModelDefinition({
+    id: 'broken',
+    name: 'Broken',
+    depreciation: { floor: 2 },
+    components: {
+      events: component({ weight: 0.5, depreciates: true }),
+      friends: component({ curve: { type: 'linear', terms: { notAnInput: 1 } }, weight: 0.2 }),
+      rating: component({ weight: 0.1, status: { by: 'score', labels: [[50, 'High'], [10, 'Low']] } })
+    }
+  })
+
+  assert.equal(valid, false)
+  assert.deepEqual(errors, [
+    'version is required',
+    'depreciation.floor must be between 0 and 1',
+    'components.events.rate must be between 0 and 1 for a depreciating component',
+    'components.friends uses unknown input "notAnInput"',
+    'components.rating.status.labels must be in ascending order of minimum',
+    'component weights must add up to 1 (got 0.8)'
+  ])
+})
+
+test('compiling an invalid definition throws with its id', () => {
+  assert.throws(() => compileTrustScoreModel(definition({})), /Invalid trust score model schema-test: components must define at least one component/)
+})
+
+test('compiled models default their caps and depreciation policy', () => {
+  const model = compileTrustScoreModel(definition({ events: component() }, { depreciation: { graceDays: 7 } }))
+
+  assert.equal(model.displayCap, 100)
+  assert.equal(model.internalCap, 100)
+  assert.deepEqual(model.depreciation, { ...DEFAULT_DEPRECIATION, graceDays: 7 })
+  assert.equal(model.components.events.max, 100)
+  assert.deepEqual(model.components.events.inputs, ['eventsAttended'])
+})
+
+test('linear curves cap individual terms and multiply the total', () => {
+  const spec = component({
+    curve: { type: 'linear', base: 10, terms: { friendsCount: { coefficient: 5, cap: 20 }, eventsAttended: 2 }, multiplyBy: 'emailVerified' },
+    status: { template: '{friendsCount} friends' }
+  })
+
+  assert.deepEqual(evaluate(spec, { friendsCount: 10, eventsAttended: 3, emailVerified: true }), { score: 36, status: '10 friends' })
+  assert.equal(evaluate(spec, { friendsCount: 10, eventsAttended: 3 }).score, 0)
+})
+
+test('step curves and status labels pick the highest threshold reached', () => {
+  const spec = component({
+    curve: { type: 'step', input: ['eventsAttended', 'eventsHosted'], steps: [[0, 10], [5, 50], [10, 90]] },
+    status: { by: 'score', labels: [[0, 'New'], [50, 'Regular'], [90, 'Pillar']] }
+  })
+
+  assert.deepEqual(evaluate(spec, { eventsAttended: 2 }), { score: 10, status: 'New' })
+  assert.deepEqual(evaluate(spec, { eventsAttended: 3, eventsHosted: 2 }), { score: 50, status: 'Regular' })
+  assert.deepEqual(evaluate(spec, { eventsAttended: 12 }), { score: 90, status: 'Pillar' })
+})
+
+test('ratio curves fall back to whenEmpty without a denominator', () => {
+  const spec = component({
+    curve: { type: 'ratio', numerator: 'eventsAttended', denominator: 'eventsCreated', whenEmpty: 40, round: true },
+    status: { by: 'ratio', labels: [[0, 'Unreliable'], [0.8, 'Reliable']], whenEmpty: 'No history' }
+  })
+
+  assert.deepEqual(evaluate(spec, {}), { score: 40, status: 'No history' })
+  assert.deepEqual(evaluate(spec, { eventsAttended: 9, eventsCreated: 10 }), { score: 90, status: 'Reliable' })
+})
+
+test('whenZero short-circuits the curve', () => {
+  const spec = component({
+    curve: { type: 'capped', base: 50, input: 'eventsAttended', perUnit: 10, cap: 50, whenZero: { input: 'friendsCount', score: 5 } }
+  })
+
+  assert.equal(evaluate(spec, { eventsAttended: 2 }).score, 5)
+  assert.equal(evaluate(spec, { eventsAttended: 2, friendsCount: 1 }).score, 70)
+})
+
+test('getComponentInputs lists curve and status inputs once, in order', () => {
+  const spec = component({
+    curve: { type: 'linear', terms: { friendsCount: 1, eventsAttended: 1 }, multiplyBy: 'friendsCount' },
+    status: { template: '{eventsHosted} hosted, {score} points' }
+  })
+
+  assert.deepEqual(getComponentInputs(spec), ['friendsCount', 'eventsAttended', 'eventsHosted'])
+})
@@ -0,0 +1,346 @@
+/**
+ * Trust Score Model Schema
+ * Declarative (JSON) model definitions: components, weights, inputs, curves and status
+ * labels. Definitions are validated and compiled into TrustScoreModel objects that the
+ * TrustScoreEngine evaluates.
+ */
+
+import { TRUST_SCORE_INPUTS, resolveInput } from './trust-score-inputs'
+import { DEFAULT_DEPRECIATION, DepreciationPolicy } from './trust-score-depreciation'
+
+// [minimum value, score] or [minimum value, label] pairs, ascending by minimum
+export type Threshold<T> = [number, T]
+
+export interface TermSpec {
+  coefficient: number
+  cap?: number // bounds the absolute contribution of this term
+}
+
+export type CurveSpec =
+  | { type: 'linear'; base?: number; terms: { [input: string]: number | TermSpec }; multiplyBy?: string; round?: boolean; whenZero?: ZeroGuard }
+  | { type: 'capped'; base?: number; input: string; perUnit: number; cap: number; round?: boolean; whenZero?: ZeroGuard }
+  | { type: 'step'; input: InputSelector; steps: Threshold<number>[]; whenZero?: ZeroGuard }
+  | { type: 'ratio'; numerator: string; denominator: string; scale?: number; whenEmpty: number; round?: boolean; whenZero?: ZeroGuard }
+
+export interface ZeroGuard {
+  input: string
+  score: number
+}
+
+// A single input, a list of inputs to add up, or { input: coefficient } for a weighted sum
+export type InputSelector = string | string[] | { [input: string]: number }
+
+export type StatusSpec =
+  | { template: string }
+  | { by: InputSelector; labels: Threshold<string>[]; whenEmpty?: string }
+
+export interface ComponentSpec {
+  label: string
+  description: string
+  weight: number
+  max?: number
+  depreciates?: boolean
+  rate?: number
+  suggestion: string
+  curve: CurveSpec
+  status: StatusSpec
+}
+
+export interface TrustScoreModelDefinition {
+  id: string
+  version: string
+  name: string
+  description: string
+  displayCap?: number
+  internalCap?: number
+  depreciation?: Partial<DepreciationPolicy>
+  components: { [key: string]: ComponentSpec }
+}
+
+export interface ComponentEvaluation {
+  score: number
+  status: string
+}
+
+export interface TrustScoreComponentDefinition {
+  label: string
+  description: string
+  weight: number
+  max: number
+  depreciates?: boolean
+  rate?: number
+  suggestion: string
+  inputs: string[]
+  evaluate: (user: any, data: any) => ComponentEvaluation
+}
+
+export interface TrustScoreModel {
+  id: string
+  version: string
+  name: string
+  description: string
+  displayCap: number
+  internalCap: number
+  depreciation: DepreciationPolicy
+  components: { [key: string]: TrustScoreComponentDefinition }
+  definition: TrustScoreModelDefinition
+}
+
+const WEIGHT_TOLERANCE = 0.0001
+const CURVE_TYPES = ['linear', 'capped', 'step', 'ratio']
+// Placeholders that status templates may use besides input names
+const TEMPLATE_VALUES = ['score']
+
+function selectorInputs(selector: InputSelector): string[] {
+  if (typeof selector === 'string') return [selector]
+  return Array.isArray(selector) ? selector : Object.keys(selector)
+}
+
+/**
+ * Every input a component reads, in the order it appears in the definition
+ */
+export function getComponentInputs(spec: ComponentSpec): string[] {
+  const inputs: string[] = []
+  const add = (name?: string) => {
+    if (name && !inputs.includes(name)) inputs.push(name)
+  }
+  const curve: any = spec.curve || {}
+
+  if (curve.terms) Object.keys(curve.terms).forEach(add)
+  if (curve.type === 'capped') add(curve.input)
+  if (curve.type === 'step' && curve.input) selectorInputs(curve.input).forEach(add)
+  if (curve.type === 'ratio') {
+    add(curve.numerator)
+    add(curve.denominator)
+  }
+  add(curve.multiplyBy)
+  add(curve.whenZero?.input)
+
+  const status: any = spec.status || {}
+  if (status.by && status.by !== 'score' && status.by !== 'ratio') selectorInputs(status.by).forEach(add)
+  if (status.template) {
+    (status.template.match(/\{(\w+)\}/g) || [])
+      .map((placeholder: string) => placeholder.slice(1, -1))
+      .filter((name: string) => !TEMPLATE_VALUES.includes(name))
+      .forEach(add)
+  }
+
+  return inputs
+}
+
+function validateThresholds(thresholds: any, path: string, errors: string[]): void {
+  if (!Array.isArray(thresholds) || thresholds.length === 0) {
+    errors.push(`${path} must be a non-empty list of [minimum, value] pairs`)
+    return
+  }
+  thresholds.forEach((entry: any, index: number) => {
+    if (!Array.isArray(entry) || entry.length !== 2 || typeof entry[0] !== 'number') {
+      errors.push(`${path}[${index}] must be a [minimum, value] pair`)
+    } else if (index > 0 && Array.isArray(thresholds[index - 1]) && entry[0] <= thresholds[index - 1][0]) {
+      errors.push(`${path} must be in ascending order of minimum`)
+    }
+  })
+}
+
+/**
+ * Check a model definition. Returns every problem found rather than stopping at the first.
+ */
+export function validateTrustScoreModelDefinition(definition: any): { valid: boolean; errors: string[] } {
+  const errors: string[] = []
+
+  if (!definition || typeof definition !== 'object') {
+    return { valid: false, errors: ['Model definition must be an object'] }
+  }
+
+  ;['id', 'version', 'name'].forEach(field => {
+    if (typeof definition[field] !== 'string' || !definition[field]) {
+      errors.push(`${field} is required`)
+    }
+  })
+
+  const depreciation = definition.depreciation
+  if (depreciation !== undefined) {
+    if (typeof depreciation !== 'object' || depreciation === null) {
+      errors.push('depreciation must be an object')
+    } else {
+      if (depreciation.periodDays !== undefined && !(typeof depreciation.periodDays === 'number' && depreciation.periodDays > 0)) {
+        errors.push('depreciation.periodDays must be a positive number')
+      }
+      if (depreciation.graceDays !== undefined && !(typeof depreciation.graceDays === 'number' && depreciation.graceDays >= 0)) {
+        errors.push('depreciation.graceDays must be zero or more')
+      }
+      if (depreciation.floor !== undefined && !(typeof depreciation.floor === 'number' && depreciation.floor >= 0 && depreciation.floor <= 1)) {
+        errors.push('depreciation.floor must be between 0 and 1')
+      }
+    }
+  }
+
+  const components = definition.components
+  if (!components || typeof components !== 'object' || Object.keys(components).length === 0) {
+    errors.push('components must define at least one component')
+    return { valid: false, errors }
+  }
+
+  let totalWeight = 0
+
+  Object.entries(components).forEach(([key, spec]: [string, any]) => {
+    const path = `components.${key}`
+
+    if (typeof spec.label !== 'string') errors.push(`${path}.label is required`)
+    if (typeof spec.weight !== 'number' || spec.weight < 0) {
+      errors.push(`${path}.weight must be a non-negative number`)
+    } else {
+      totalWeight += spec.weight
+    }
+    if (spec.max !== undefined && (typeof spec.max !== 'number' || spec.max <= 0)) {
+      errors.push(`${path}.max must be a positive number`)
+    }
+    if (spec.depreciates && !(typeof spec.rate === 'number' && spec.rate > 0 && spec.rate <= 1)) {
+      errors.push(`${path}.rate must be between 0 and 1 for a depreciating component`)
+    }
+
+    const curve = spec.curve
+    if (!curve || !CURVE_TYPES.includes(curve.type)) {
+      errors.push(`${path}.curve.type must be one of ${CURVE_TYPES.join(', ')}`)
+    } else if ((curve.type === 'linear') && (!curve.terms || Object.keys(curve.terms).length === 0)) {
+      errors.push(`${path}.curve.terms must list at least one input`)
+    } else if (curve.type === 'linear') {
+      Object.entries(curve.terms).forEach(([input, term]: [string, any]) => {
+        const coefficient = typeof term === 'number' ? term : term?.coefficient
+        if (typeof coefficient !== 'number') errors.push(`${path}.curve.terms.${input} must be a number or { coefficient, cap }`)
+      })
+    } else if (curve.type === 'capped') {
+      if (typeof curve.perUnit !== 'number' || typeof curve.cap !== 'number') {
+        errors.push(`${path}.curve needs numeric perUnit and cap`)
+      }
+    } else if (curve.type === 'step') {
+      validateThresholds(curve.steps, `${path}.curve.steps`, errors)
+    } else if (curve.type === 'ratio') {
+      if (typeof curve.whenEmpty !== 'number') errors.push(`${path}.curve.whenEmpty must be a number`)
+    }
+
+    const status = spec.status
+    if (!status || (typeof status.template !== 'string' && !status.by)) {
+      errors.push(`${path}.status needs a template or by/labels`)
+    } else if (status.by) {
+      validateThresholds(status.labels, `${path}.status.labels`, errors)
+      if (status.by === 'ratio' && curve?.type !== 'ratio') {
+        errors.push(`${path}.status.by "ratio" requires a ratio curve`)
+      }
+    }
+
+    getComponentInputs(spec).forEach(input => {
+      if (!TRUST_SCORE_INPUTS[input]) errors.push(`${path} uses unknown input "${input}"`)
+    })
+  })
+
+  if (Math.abs(totalWeight - 1) > WEIGHT_TOLERANCE) {
+    errors.push(`component weights must add up to 1 (got ${Number(totalWeight.toFixed(4))})`)
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+function pickThreshold<T>(thresholds: Threshold<T>[], value: number): T {
+  let picked = thresholds[0][1]
+  thresholds.forEach(([minimum, result]) => {
+    if (value >= minimum) picked = result
+  })
+  return picked
+}
+
+function selectValue(selector: InputSelector, user: any): number {
+  if (typeof selector === 'string') return resolveInput(selector, user)
+  if (Array.isArray(selector)) return selector.reduce((sum, name) => sum + resolveInput(name, user), 0)
+  return Object.entries(selector).reduce((sum, [name, coefficient]) => sum + coefficient * resolveInput(name, user), 0)
+}
+
+function evaluateCurve(curve: CurveSpec, user: any): { score: number; ratio?: number } {
+  if (curve.whenZero && resolveInput(curve.whenZero.input, user) === 0) {
+    return { score: curve.whenZero.score }
+  }
+
+  switch (curve.type) {
+    case 'linear': {
+      let score = curve.base || 0
+      Object.entries(curve.terms).forEach(([input, term]) => {
+        const coefficient = typeof term === 'number' ? term : term.coefficient
+        let contribution = coefficient * resolveInput(input, user)
+        if (typeof term !== 'number' && term.cap !== undefined) {
+          contribution = Math.sign(contribution) * Math.min(term.cap, Math.abs(contribution))
+        }
+        score += contribution
+      })
+      if (curve.multiplyBy) score *= resolveInput(curve.multiplyBy, user)
+      return { score: curve.round ? Math.round(score) : score }
+    }
+    case 'capped': {
+      const score = (curve.base || 0) + Math.min(curve.cap, curve.perUnit * resolveInput(curve.input, user))
+      return { score: curve.round ? Math.round(score) : score }
+    }
+    case 'step':
+      return { score: pickThreshold(curve.steps, selectValue(curve.input, user)) }
+    case 'ratio': {
+      const denominator = resolveInput(curve.denominator, user)
+      if (denominator === 0) return { score: curve.whenEmpty }
+      const ratio = resolveInput(curve.numerator, user) / denominator
+      const score = ratio * (curve.scale || 100)
+      return { score: curve.round ? Math.round(score) : score, ratio }
+    }
+  }
+}
+
+function evaluateStatus(status: StatusSpec, user: any, score: number, ratio?: number): string {
+  if ('template' in status) {
+    return status.template.replace(/\{(\w+)\}/g, (_match, name) => (
+      String(name === 'score' ? Math.round(score) : resolveInput(name, user))
+    ))
+  }
+
+  if (status.by === 'score') return pickThreshold(status.labels, score)
+  if (status.by === 'ratio') {
+    return ratio === undefined ? (status.whenEmpty || status.labels[0][1]) : pickThreshold(status.labels, ratio)
+  }
+  return pickThreshold(status.labels, selectValue(status.by, user))
+}
+
+/**
+ * Validate a definition and turn it into an engine model. Throws listing every problem.
+ */
+export function compileTrustScoreModel(definition: TrustScoreModelDefinition): TrustScoreModel {
+  const { valid, errors } = validateTrustScoreModelDefinition(definition)
+  if (!valid) {
+    throw new Error(`Invalid trust score model ${definition?.id || '(no id)'}: ${errors.join('; ')}`)
+  }
+
+  const components: { [key: string]: TrustScoreComponentDefinition } = {}
+
+  Object.entries(definition.components).forEach(([key, spec]) => {
+    components[key] = {
+      label: spec.label,
+      description: spec.description,
+      weight: spec.weight,
+      max: spec.max || 100,
+      depreciates: spec.depreciates,
+      rate: spec.rate,
+      suggestion: spec.suggestion,
+      inputs: getComponentInputs(spec),
+      evaluate: (user) => {
+        const { score, ratio } = evaluateCurve(spec.curve, user)
+        return { score, status: evaluateStatus(spec.status, user, score, ratio) }
+      }
+    }
+  })
+
+  return {
+    id: definition.id,
+    version: definition.version,
+    name: definition.name,
+    description: definition.description,
+    displayCap: definition.displayCap || 100,
+    internalCap: definition.internalCap || definition.displayCap || 100,
+    depreciation: { ...DEFAULT_DEPRECIATION, ...(definition.depreciation || {}) },
+    components,
+    definition
+  }
+}
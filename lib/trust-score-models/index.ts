@@ -0,0 +1,18 @@
+/**
+ * Built-in Trust Score Models
+ * Model definitions live in the JSON files next to this module so weights, curves and
+ * status labels can be tuned without touching code. Each file is validated on load.
+ */
+
+import { compileTrustScoreModel, TrustScoreModel, TrustScoreModelDefinition } from '../trust-score-model-schema'
+import v3ElevenComponent from './v3-11-component.json'
+import v4Enhanced from './v4-enhanced-11-component.json'
+import v5Ultimate from './v5-ultimate.json'
+
+export type { TrustScoreModel, TrustScoreComponentDefinition, TrustScoreModelDefinition } from '../trust-score-model-schema'
+
+export const BUILT_IN_MODEL_DEFINITIONS = [v3ElevenComponent, v4Enhanced, v5Ultimate] as unknown as TrustScoreModelDefinition[]
+
+export const BUILT_IN_MODELS: TrustScoreModel[] = BUILT_IN_MODEL_DEFINITIONS.map(compileTrustScoreModel)
+
+export const DEFAULT_MODEL_ID = 'v3-11-component'
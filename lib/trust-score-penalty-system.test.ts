@@ -0,0 +1,34 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { TrustScorePenaltySystem } from '../trust-score-penalty-system.js'
+
+const system = new TrustScorePenaltySystem()
+
+test('the tightest restriction tier at or above the score applies', () => {
+  assert.equal(system.getUserRestrictions(5).name, 'Account Under Review')
+  assert.equal(system.getUserRestrictions(10).name, 'Account Under Review')
+  assert.equal(system.getUserRestrictions(11).name, 'Severe Restrictions')
+  assert.equal(system.getUserRestrictions(25).name, 'Restricted User')
+  assert.equal(system.getUserRestrictions(40).name, 'Limited Access')
+  assert.equal(system.getUserRestrictions(50).name, 'Probation')
+  assert.equal(system.getUserRestrictions(51).name, 'Full Access')
+})
+
+test('tiers apply in score order whatever order they are configured in', () => {
+  const configured = new TrustScorePenaltySystem().configure({
+    restrictionTiers: {
+      45: { name: 'Watched', color: 'yellow', restrictions: [], message: '' },
+      15: { name: 'Locked', color: 'black', restrictions: ['view_only'], message: '' }
+    }
+  })
+
+  assert.equal(configured.getUserRestrictions(12).name, 'Locked')
+  assert.equal(configured.getUserRestrictions(30).name, 'Watched')
+})
+
+test('actions follow the restrictions of the member\'s tier', () => {
+  assert.equal(system.canUserPerformAction({ trustScore: 35 }, 'create_event').allowed, false)
+  assert.equal(system.canUserPerformAction({ trustScore: 35 }, 'create_post').allowed, true)
+  assert.equal(system.canUserPerformAction({ trustScore: 25 }, 'comment').allowed, false)
+  assert.equal(system.canUserPerformAction({ trustScore: 80 }, 'create_event').allowed, true)
+})
@@ -0,0 +1,52 @@
+/**
+ * Trust Score Profile Service (server only)
+ * Loads everything UltimateTrustScoreSystem.calculateTrustScore and the score explainer
+ * read for a member: their stored profile with the folded activity counters and last
+ * activity dates, peer vouching, violations, earned achievements, joined challenges, the
+ * bonuses that make up the internal score and the benefits they held after the previous
+ * calculation.
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+import './trust-score-model-loader'
+import { scoringSubject } from './trust-activity-log'
+import { withPeerVouching } from './trust-vouching-service'
+import { getInternalScoreBonuses } from './trust-benefit-service'
+import { getUserChallenges } from './trust-challenge-service'
+import { calculateTrustScore, TrustScoreResult, User } from './ultimate-trust-score-system'
+import { explainTrustScore, TrustScoreExplanation } from './trust-score-explainer'
+
+export async function loadTrustScoreProfile(userId: string): Promise<User | null> {
+  const user = await persistentDataManager.getUserById(userId)
+  if (!user) return null
+
+  const state = await persistentDataManager.getTrustActivityState(userId)
+  const profile = await withPeerVouching(userId, user)
+  const { adjustments, streakBonus } = await getInternalScoreBonuses(userId)
+
+  return {
+    ...(state ? scoringSubject(profile, state) : profile),
+    violationHistory: await persistentDataManager.getViolations(userId),
+    achievements: await persistentDataManager.getUserAchievements(userId),
+    challenges: (await getUserChallenges(userId)).challenges,
+    scoreAdjustments: adjustments,
+    streakBonus,
+    activeBenefitIds: await persistentDataManager.getActiveBenefitIds(userId)
+  }
+}
+
+/**
+ * The member's full trust score result, or null for an unknown member
+ */
+export async function calculateMemberTrustScore(userId: string): Promise<TrustScoreResult | null> {
+  const profile = await loadTrustScoreProfile(userId)
+  return profile ? calculateTrustScore(profile) : null
+}
+
+/**
+ * Why the member's score is what it is, or null for an unknown member
+ */
+export async function explainMemberTrustScore(userId: string): Promise<TrustScoreExplanation | null> {
+  const profile = await loadTrustScoreProfile(userId)
+  return profile ? explainTrustScore(profile) : null
+}
@@ -0,0 +1,323 @@
+/**
+ * Trust Score Simulation
+ * Scores every user in an offline snapshot (PersistentDataManager.createBackup() JSON)
+ * under two models and reports who moves: score distribution, tier changes from
+ * AdvancedTrustScoreDynamics.determineTier and permission thresholds crossed in
+ * UltimateTrustScoreSystem.getUserPermissions. Needs nothing but the snapshot.
+ */
+
+import { TrustScoreEngine } from './trust-score-engine'
+import { AdvancedTrustScoreDynamics } from './advanced-trust-score-dynamics'
+import { ultimateTrustScoreSystem, UserPermissions } from './ultimate-trust-score-system'
+import { calculatePeerVouching, VouchingFriend } from './trust-score-vouching'
+
+export interface SnapshotUser {
+  id: string
+  name: string
+  profile: any // user fields plus counters derived from the rest of the snapshot
+}
+
+export interface ScoreDistribution {
+  count: number
+  mean: number
+  median: number
+  p10: number
+  p90: number
+  min: number
+  max: number
+  histogram: { range: string; count: number }[]
+}
+
+export interface UserScoreChange {
+  id: string
+  name: string
+  baselineScore: number
+  candidateScore: number
+  delta: number
+  baselineTier: string
+  candidateTier: string
+  permissionsLost: string[]
+  permissionsGained: string[]
+}
+
+export interface SimulationReport {
+  snapshotTakenAt: string | null
+  baselineModelId: string
+  candidateModelId: string
+  users: number
+  distribution: { baseline: ScoreDistribution; candidate: ScoreDistribution }
+  deltas: { mean: number; raised: number; lowered: number; unchanged: number }
+  tierChanges: { from: string; to: string; count: number }[]
+  permissionCrossings: { permission: string; lost: number; gained: number }[]
+  changes: UserScoreChange[] // every user whose score, tier or permissions changed, worst first
+}
+
+// createBackup() stores raw pg results ({ rows }); plain arrays are accepted too
+export function rowsOf(table: any): any[] {
+  if (!table) return []
+  return Array.isArray(table) ? table : (table.rows || [])
+}
+
+function countBy(rows: any[], key: (row: any) => any): Map<string, number> {
+  const counts = new Map<string, number>()
+  rows.forEach(row => {
+    const value = key(row)
+    if (value === null || value === undefined) return
+    counts.set(String(value), (counts.get(String(value)) || 0) + 1)
+  })
+  return counts
+}
+
+/**
+ * Turn a backup into scoreable user profiles. Counters the model needs are derived from
+ * friendships, posts, events, attendance and connected accounts; peer vouching uses the
+ * friends' stored trust scores. Stored activity-log counters (trust_activity_state) take
+ * precedence where present.
+ */
+export function buildSnapshotUsers(backup: any): { takenAt: string | null; users: SnapshotUser[] } {
+  const takenAt = backup?.timestamp || null
+  const cutoff = takenAt ? new Date(takenAt).getTime() : Date.now()
+  const friendships = rowsOf(backup?.friendships)
+  const posts = rowsOf(backup?.posts)
+  const events = rowsOf(backup?.events)
+  const attendees = rowsOf(backup?.eventAttendees)
+  const accounts = rowsOf(backup?.connectedAccounts)
+  const activityState = new Map(rowsOf(backup?.trustActivityState).map((row: any) => [String(row.user_id), row]))
+
+  const storedScores = new Map(rowsOf(backup?.users).map((row: any) => [String(row.id), row.trust_score]))
+  const friends = new Map<string, VouchingFriend[]>()
+  friendships.forEach(row => {
+    const pair = [String(row.user_id_1), String(row.user_id_2)]
+    pair.forEach((id, index) => {
+      const friendId = pair[1 - index]
+      const list = friends.get(id) || []
+      list.push({ id: friendId, trustScore: storedScores.get(friendId), friendsSince: row.created_at })
+      friends.set(id, list)
+    })
+  })
+  const postsWritten = countBy(posts.filter(post => !post.review_for_id), post => post.author_id)
+  const reviewsWritten = countBy(posts.filter(post => post.review_for_id), post => post.author_id)
+  const reviewsReceived = countBy(posts, post => post.review_for_id)
+  const eventsCreated = countBy(events, event => event.creator_id)
+  const pastEvents = new Set(events.filter(event => new Date(event.start_date).getTime() <= cutoff).map(event => String(event.id)))
+  const eventsAttended = countBy(
+    attendees.filter(row => row.status === 'attending' && pastEvents.has(String(row.event_id))),
+    row => row.user_id
+  )
+  const connected = countBy(accounts, row => row.user_id)
+  const verified = countBy(accounts.filter(row => row.is_verified), row => row.user_id)
+
+  const users = rowsOf(backup?.users).map((row: any) => {
+    const id = String(row.id)
+    const state = activityState.get(id)
+    const vouching = calculatePeerVouching(friends.get(id) || [], { now: new Date(cutoff) })
+    const profile = {
+      id,
+      name: row.name,
+      username: row.username,
+      email: row.email,
+      phone: row.phone,
+      avatar: row.avatar_url,
+      bio: row.bio,
+      location: row.location,
+      website: row.website,
+      occupation: row.occupation,
+      company: row.company,
+      interests: typeof row.interests === 'string' ? JSON.parse(row.interests) : (row.interests || []),
+      created_at: row.created_at,
+      trustScore: row.trust_score,
+      friendsCount: (friends.get(id) || []).length,
+      peerVouchScore: vouching.peerVouchScore,
+      vouchingFriends: vouching.vouchingFriends,
+      postsCount: postsWritten.get(id) || 0,
+      reviewsGiven: reviewsWritten.get(id) || 0,
+      reviewsCount: reviewsWritten.get(id) || 0,
+      reviewsReceived: reviewsReceived.get(id) || 0,
+      eventsCreated: eventsCreated.get(id) || 0,
+      eventsHosted: eventsCreated.get(id) || 0,
+      eventsAttended: eventsAttended.get(id) || 0,
+      connectedAccountsCount: connected.get(id) || 0,
+      connectedSocialAccounts: connected.get(id) || 0,
+      verifiedAccounts: verified.get(id) || 0,
+      ...(state?.counters || {}),
+      lastActivityDates: state?.last_activity_dates || {}
+    }
+    return { id, name: row.name || row.username || id, profile }
+  })
+
+  return { takenAt, users }
+}
+
+function percentile(sorted: number[], share: number): number {
+  if (sorted.length === 0) return 0
+  return sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))]
+}
+
+export function describeDistribution(scores: number[]): ScoreDistribution {
+  const sorted = [...scores].sort((a, b) => a - b)
+  const histogram = Array.from({ length: 10 }, (_, bucket) => ({
+    range: bucket === 9 ? '90-100' : `${bucket * 10}-${bucket * 10 + 9}`,
+    count: sorted.filter(score => Math.min(9, Math.floor(score / 10)) === bucket).length
+  }))
+
+  return {
+    count: sorted.length,
+    mean: sorted.length ? Math.round((sorted.reduce((sum, score) => sum + score, 0) / sorted.length) * 10) / 10 : 0,
+    median: percentile(sorted, 0.5),
+    p10: percentile(sorted, 0.1),
+    p90: percentile(sorted, 0.9),
+    min: sorted[0] ?? 0,
+    max: sorted[sorted.length - 1] ?? 0,
+    histogram
+  }
+}
+
+function permissionDiff(before: UserPermissions, after: UserPermissions): { lost: string[]; gained: string[] } {
+  const lost: string[] = []
+  const gained: string[] = []
+  // viewOnly is the absence of every other permission, so it is not reported separately
+  ;(Object.keys(before) as (keyof UserPermissions)[])
+    .filter(permission => permission !== 'viewOnly')
+    .forEach(permission => {
+      if (before[permission] && !after[permission]) lost.push(permission)
+      if (!before[permission] && after[permission]) gained.push(permission)
+    })
+  return { lost, gained }
+}
+
+/**
+ * Score every user under both models. Scores are taken as of the snapshot time so
+ * depreciation matches what users saw when the backup was made.
+ */
+export function simulateModelChange(
+  snapshot: { takenAt: string | null; users: SnapshotUser[] },
+  baselineModelId: string,
+  candidateModelId: string,
+  engine: TrustScoreEngine
+): SimulationReport {
+  const dynamics = new AdvancedTrustScoreDynamics()
+  const asOf = snapshot.takenAt || undefined
+  const tierCounts = new Map<string, number>()
+  const permissionCounts = new Map<string, { lost: number; gained: number }>()
+  const baselineScores: number[] = []
+  const candidateScores: number[] = []
+  const changes: UserScoreChange[] = []
+  let raised = 0
+  let lowered = 0
+
+  snapshot.users.forEach(user => {
+    const baseline = engine.calculate(user.profile, {}, { modelId: baselineModelId, asOf })
+    const candidate = engine.calculate(user.profile, {}, { modelId: candidateModelId, asOf })
+    baselineScores.push(baseline.displayScore)
+    candidateScores.push(candidate.displayScore)
+
+    const delta = candidate.displayScore - baseline.displayScore
+    if (delta > 0) raised++
+    if (delta < 0) lowered++
+
+    const baselineTier = dynamics.determineTier(baseline.internalScore)
+    const candidateTier = dynamics.determineTier(candidate.internalScore)
+    if (baselineTier !== candidateTier) {
+      const key = `${baselineTier}→${candidateTier}`
+      tierCounts.set(key, (tierCounts.get(key) || 0) + 1)
+    }
+
+    const { lost, gained } = permissionDiff(
+      ultimateTrustScoreSystem.getUserPermissions(baseline.displayScore),
+      ultimateTrustScoreSystem.getUserPermissions(candidate.displayScore)
+    )
+    lost.forEach(permission => {
+      const counts = permissionCounts.get(permission) || { lost: 0, gained: 0 }
+      permissionCounts.set(permission, { ...counts, lost: counts.lost + 1 })
+    })
+    gained.forEach(permission => {
+      const counts = permissionCounts.get(permission) || { lost: 0, gained: 0 }
+      permissionCounts.set(permission, { ...counts, gained: counts.gained + 1 })
+    })
+
+    if (delta !== 0 || baselineTier !== candidateTier || lost.length > 0 || gained.length > 0) {
+      changes.push({
+        id: user.id,
+        name: user.name,
+        baselineScore: baseline.displayScore,
+        candidateScore: candidate.displayScore,
+        delta,
+        baselineTier,
+        candidateTier,
+        permissionsLost: lost,
+        permissionsGained: gained
+      })
+    }
+  })
+
+  const totalDelta = candidateScores.reduce((sum, score, index) => sum + score - baselineScores[index], 0)
+
+  return {
+    snapshotTakenAt: snapshot.takenAt,
+    baselineModelId,
+    candidateModelId,
+    users: snapshot.users.length,
+    distribution: {
+      baseline: describeDistribution(baselineScores),
+      candidate: describeDistribution(candidateScores)
+    },
+    deltas: {
+      mean: snapshot.users.length ? Math.round((totalDelta / snapshot.users.length) * 10) / 10 : 0,
+      raised,
+      lowered,
+      unchanged: snapshot.users.length - raised - lowered
+    },
+    tierChanges: Array.from(tierCounts.entries())
+      .map(([key, count]) => {
+        const [from, to] = key.split('→')
+        return { from, to, count }
+      })
+      .sort((a, b) => b.count - a.count),
+    permissionCrossings: Array.from(permissionCounts.entries())
+      .map(([permission, counts]) => ({ permission, ...counts }))
+      .sort((a, b) => b.lost - a.lost || b.gained - a.gained),
+    changes: changes.sort((a, b) => b.permissionsLost.length - a.permissionsLost.length || a.delta - b.delta)
+  }
+}
+
+export function formatSimulationReport(report: SimulationReport, top: number = 20): string {
+  const lines: string[] = []
+  const { baseline, candidate } = report.distribution
+
+  lines.push(`📊 Trust score what-if: ${report.baselineModelId} → ${report.candidateModelId}`)
+  lines.push(`   Snapshot: ${report.snapshotTakenAt || 'unknown time'} · ${report.users} users`)
+  lines.push('')
+  lines.push('Distribution            baseline   candidate')
+  ;(['mean', 'median', 'p10', 'p90', 'min', 'max'] as const).forEach(stat => {
+    lines.push(`  ${stat.padEnd(20)} ${String(baseline[stat]).padStart(8)}   ${String(candidate[stat]).padStart(9)}`)
+  })
+  baseline.histogram.forEach((bucket, index) => {
+    lines.push(`  ${bucket.range.padEnd(20)} ${String(bucket.count).padStart(8)}   ${String(candidate.histogram[index].count).padStart(9)}`)
+  })
+  lines.push('')
+  lines.push(`Score changes: ${report.deltas.raised} up, ${report.deltas.lowered} down, ${report.deltas.unchanged} unchanged (mean ${report.deltas.mean >= 0 ? '+' : ''}${report.deltas.mean})`)
+
+  lines.push('')
+  lines.push('Tier changes')
+  if (report.tierChanges.length === 0) lines.push('  none')
+  report.tierChanges.forEach(change => lines.push(`  ${change.from} → ${change.to}: ${change.count}`))
+
+  lines.push('')
+  lines.push('Permission thresholds crossed')
+  if (report.permissionCrossings.length === 0) lines.push('  none')
+  report.permissionCrossings.forEach(crossing => {
+    lines.push(`  ${crossing.permission.padEnd(22)} lost ${crossing.lost}, gained ${crossing.gained}`)
+  })
+
+  const hurt = report.changes.filter(change => change.delta < 0 || change.permissionsLost.length > 0).slice(0, top)
+  lines.push('')
+  lines.push(`Most affected users (top ${top})`)
+  if (hurt.length === 0) lines.push('  none')
+  hurt.forEach(change => {
+    const tier = change.baselineTier === change.candidateTier ? change.baselineTier : `${change.baselineTier} → ${change.candidateTier}`
+    const lost = change.permissionsLost.length ? ` · loses ${change.permissionsLost.join(', ')}` : ''
+    lines.push(`  ${change.name} (${change.id}): ${change.baselineScore} → ${change.candidateScore} (${change.delta}) · ${tier}${lost}`)
+  })
+
+  return lines.join('\n')
+}
@@ -0,0 +1,63 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_VOUCHING_POLICY, calculatePeerVouching } from './trust-score-vouching'
+
+const DAY_MS = 1000 * 60 * 60 * 24
+const NOW = new Date('2026-06-01T00:00:00Z')
+
+function friend(id: string, trustScore: number | null, days: number | null) {
+  return { id, trustScore, friendsSince: days === null ? null : new Date(NOW.getTime() - days * DAY_MS).toISOString() }
+}
+
+test('a friend at 100 with full tenure vouches the full points', () => {
+  const result = calculatePeerVouching([friend('1', 100, 365)], { now: NOW })
+
+  assert.equal(result.peerVouchScore, DEFAULT_VOUCHING_POLICY.pointsPerVoucher)
+  assert.equal(result.vouchingFriends, 1)
+  assert.deepEqual(result.vouches[0], {
+    friendId: '1',
+    trustScore: 100,
+    friendshipDays: 365,
+    trustWeight: 1,
+    tenureWeight: 1,
+    points: 25
+  })
+})
+
+test('vouches scale with the friend score above the minimum and with tenure', () => {
+  // (75 - 50) / 50 = 0.5 trust weight, 90 / 180 = 0.5 tenure weight
+  const result = calculatePeerVouching([friend('1', 75, 90)], { now: NOW })
+
+  assert.equal(result.vouches[0].points, 25 * 0.5 * 0.5)
+  assert.equal(result.peerVouchScore, 6)
+})
+
+test('low-trust, new and undated friendships do not vouch', () => {
+  const result = calculatePeerVouching([
+    friend('low', 49, 365),
+    friend('new', 100, 13),
+    friend('undated', 100, null),
+    friend('unscored', null, 365)
+  ], { now: NOW })
+
+  assert.equal(result.peerVouchScore, 0)
+  assert.equal(result.vouchingFriends, 0)
+  assert.equal(result.vouches.length, 4)
+  assert.ok(result.vouches.every(vouch => vouch.points === 0))
+})
+
+test('only the strongest vouches count, up to the cap', () => {
+  const friends = Array.from({ length: 10 }, (_, index) => friend(String(index), 100 - index, 365))
+  const result = calculatePeerVouching(friends, { now: NOW })
+
+  assert.equal(result.vouchingFriends, DEFAULT_VOUCHING_POLICY.maxVouchers)
+  assert.equal(result.vouches[0].friendId, '0')
+  assert.equal(result.peerVouchScore, DEFAULT_VOUCHING_POLICY.cap)
+
+  const capped = calculatePeerVouching(friends.slice(0, 3), { now: NOW, policy: { ...DEFAULT_VOUCHING_POLICY, cap: 30 } })
+  assert.equal(capped.peerVouchScore, 30)
+})
+
+test('members without friends get no vouching', () => {
+  assert.deepEqual(calculatePeerVouching([], { now: NOW }), { peerVouchScore: 0, vouchingFriends: 0, vouches: [] })
+})
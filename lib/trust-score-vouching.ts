@@ -0,0 +1,86 @@
+/**
+ * Peer Vouching
+ * Turns a member's friendships into vouching points. Each friend vouches in proportion
+ * to their own trust score and how long the friendship has lasted, so a friend at 95
+ * who has known you for a year counts for far more than a week-old friend at 20.
+ * Friends below minFriendScore do not vouch at all and only the strongest maxVouchers
+ * count, which keeps rings of low-trust accounts from inflating each other.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24
+
+export interface VouchingPolicy {
+  minFriendScore: number // friends below this score do not vouch
+  minFriendshipDays: number // friendships younger than this do not vouch
+  fullWeightDays: number // friendship age at which a vouch reaches full weight
+  pointsPerVoucher: number // points from one friend at 100 with full tenure
+  maxVouchers: number // only the strongest vouches count
+  cap: number
+}
+
+export const DEFAULT_VOUCHING_POLICY: VouchingPolicy = {
+  minFriendScore: 50,
+  minFriendshipDays: 14,
+  fullWeightDays: 180,
+  pointsPerVoucher: 25,
+  maxVouchers: 8,
+  cap: 100
+}
+
+// Shape returned by PersistentDataManager.getFriendships
+export interface VouchingFriend {
+  id: string
+  trustScore?: number | null
+  friendsSince?: string | Date | null
+}
+
+export interface Vouch {
+  friendId: string
+  trustScore: number
+  friendshipDays: number
+  trustWeight: number
+  tenureWeight: number
+  points: number
+}
+
+export interface PeerVouching {
+  peerVouchScore: number // 0 - cap
+  vouchingFriends: number // friends whose vouch counted
+  vouches: Vouch[] // every friend, strongest first
+}
+
+export function calculatePeerVouching(
+  friends: VouchingFriend[],
+  { now = new Date(), policy = DEFAULT_VOUCHING_POLICY }: { now?: Date; policy?: VouchingPolicy } = {}
+): PeerVouching {
+  const vouches: Vouch[] = (friends || []).map(friend => {
+    const trustScore = Math.max(0, Math.min(100, Number(friend.trustScore) || 0))
+    const since = friend.friendsSince ? new Date(friend.friendsSince).getTime() : NaN
+    const friendshipDays = isNaN(since) ? 0 : Math.max(0, Math.floor((now.getTime() - since) / DAY_MS))
+
+    const trustWeight = trustScore < policy.minFriendScore
+      ? 0
+      : (trustScore - policy.minFriendScore) / Math.max(1, 100 - policy.minFriendScore)
+    const tenureWeight = friendshipDays < policy.minFriendshipDays
+      ? 0
+      : Math.min(1, friendshipDays / policy.fullWeightDays)
+
+    return {
+      friendId: String(friend.id),
+      trustScore,
+      friendshipDays,
+      trustWeight,
+      tenureWeight,
+      points: Math.round(policy.pointsPerVoucher * trustWeight * tenureWeight * 100) / 100
+    }
+  }).sort((a, b) => b.points - a.points)
+
+  const counted = vouches.filter(vouch => vouch.points > 0).slice(0, policy.maxVouchers)
+  const total = counted.reduce((sum, vouch) => sum + vouch.points, 0)
+
+  return {
+    peerVouchScore: Math.round(Math.min(policy.cap, total)),
+    vouchingFriends: counted.length,
+    vouches
+  }
+}
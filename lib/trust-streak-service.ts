@@ -0,0 +1,90 @@
+/**
+ * Trust Streak Service (server only)
+ * Records streak activity and feeds the streaks to ContinuousEngagementTrustSystem.
+ * Logins are recorded by the app once per session (POST /api/trust-score/streaks); event
+ * and content streaks follow the trust activity log (event_attended, event_hosted,
+ * post_created). Periods are keyed in the member's timezone at the time of the activity.
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+import { ContinuousEngagementTrustSystem } from '../continuous-engagement-trust-system.js'
+import {
+  StreakType,
+  StreakSummary,
+  STREAK_DEFINITIONS,
+  STREAK_TYPES,
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  periodKey,
+  calculateStreak,
+  streakActivityHistory,
+  streakTypesForActivity
+} from './trust-streaks'
+
+const engagementSystem = new ContinuousEngagementTrustSystem()
+const MAX_MULTIPLIER = 2.5 // calculateStreakMultiplier's own cap
+
+export async function getStreakTimezone(userId: string): Promise<string> {
+  return (await persistentDataManager.getStreakTimezone(userId)) || DEFAULT_TIMEZONE
+}
+
+export async function setStreakTimezone(userId: string, timezone: string): Promise<string> {
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Invalid timezone: ${timezone}`)
+  }
+  await persistentDataManager.setStreakTimezone(userId, timezone)
+  return timezone
+}
+
+/**
+ * Count activity towards a streak. Returns false when its period was already counted.
+ */
+export async function recordStreakActivity(userId: string, type: StreakType, occurredAt: Date = new Date()): Promise<boolean> {
+  const timezone = await getStreakTimezone(userId)
+  const key = periodKey(occurredAt, STREAK_DEFINITIONS[type].period, timezone)
+  return persistentDataManager.recordStreakPeriod(userId, type, key, occurredAt)
+}
+
+export async function recordDailyLogin(userId: string, occurredAt: Date = new Date()): Promise<boolean> {
+  return recordStreakActivity(userId, 'daily_login', occurredAt)
+}
+
+/**
+ * Count a trust activity event towards the streaks it qualifies for
+ */
+export async function recordStreakActivityFromEvent(event: { userId: string; type: string; occurredAt?: string | Date }) {
+  const occurredAt = event.occurredAt ? new Date(event.occurredAt) : new Date()
+  for (const type of streakTypesForActivity(event.type)) {
+    await recordStreakActivity(event.userId, type, occurredAt)
+  }
+}
+
+/**
+ * Current and best streaks with the multiplier and bonus they earn. The multiplier
+ * includes any completed challenge's reward multiplier while it lasts (capped at 2.5).
+ */
+export async function getStreaks(userId: string, now: Date = new Date()) {
+  const timezone = await getStreakTimezone(userId)
+  const periods: { [type: string]: string[] } = await persistentDataManager.getStreakPeriods(userId)
+  const streaks: StreakSummary[] = STREAK_TYPES.map(type => calculateStreak(type, periods[type] || [], { now, timezone }))
+  const activityHistory = streakActivityHistory(streaks)
+  const streakMultiplier = engagementSystem.calculateStreakMultiplier(activityHistory)
+  const challengeMultiplier: number = await persistentDataManager.getActiveChallengeMultiplier(userId)
+
+  return {
+    timezone,
+    streaks,
+    activityHistory,
+    streakMultiplier,
+    challengeMultiplier,
+    multiplier: Math.min(MAX_MULTIPLIER, Math.round(streakMultiplier * challengeMultiplier * 100) / 100),
+    continuousBonus: engagementSystem.calculateContinuousBonus({}, activityHistory)
+  }
+}
+
+/**
+ * Streak multiplier for ContinuousEngagementTrustSystem, with challenge rewards (1.0 to 2.5)
+ */
+export async function getStreakMultiplier(userId: string): Promise<number> {
+  return (await getStreaks(userId)).multiplier
+}
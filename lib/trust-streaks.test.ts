@@ -0,0 +1,95 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { calculateStreak, isValidTimezone, periodKey, streakActivityHistory, streakTypesForActivity } from './trust-streaks'
+
+const NOW = new Date('2026-06-01T12:00:00Z')
+
+test('period keys follow the member timezone', () => {
+  const lateEvening = new Date('2026-06-01T03:00:00Z')
+
+  assert.equal(periodKey(lateEvening, 'day'), '2026-06-01')
+  assert.equal(periodKey(lateEvening, 'day', 'America/Los_Angeles'), '2026-05-31')
+  assert.equal(periodKey(lateEvening, 'month', 'America/Los_Angeles'), '2026-05')
+  assert.equal(periodKey(new Date('2026-05-31T23:30:00Z'), 'day', 'Asia/Tokyo'), '2026-06-01')
+})
+
+test('week keys are the Monday of the local week', () => {
+  assert.equal(periodKey(new Date('2026-06-03T12:00:00Z'), 'week'), '2026-06-01')
+  assert.equal(periodKey(new Date('2026-06-07T23:00:00Z'), 'week'), '2026-06-01')
+  // Monday morning in Tokyo is still Sunday in UTC
+  assert.equal(periodKey(new Date('2026-06-07T23:00:00Z'), 'week', 'Asia/Tokyo'), '2026-06-08')
+})
+
+test('invalid timezones fall back to UTC', () => {
+  assert.equal(isValidTimezone('Europe/Berlin'), true)
+  assert.equal(isValidTimezone('Mars/Olympus_Mons'), false)
+  assert.equal(periodKey(new Date('2026-06-01T03:00:00Z'), 'day', 'Mars/Olympus_Mons'), '2026-06-01')
+})
+
+test('one missed day is absorbed by the daily grace', () => {
+  const streak = calculateStreak('daily_login', ['2026-05-28', '2026-05-29', '2026-05-31'], { now: NOW })
+
+  assert.equal(streak.current, 3)
+  assert.equal(streak.best, 3)
+  assert.equal(streak.lastPeriod, '2026-05-31')
+  assert.equal(streak.activeThisPeriod, false)
+  assert.equal(streak.graceRemaining, 1)
+})
+
+test('two missed days break the streak', () => {
+  const broken = calculateStreak('daily_login', ['2026-05-26', '2026-05-27', '2026-05-30'], { now: NOW })
+  assert.equal(broken.best, 2)
+  assert.equal(broken.current, 1)
+  assert.equal(broken.graceRemaining, 0)
+
+  const lapsed = calculateStreak('daily_login', ['2026-05-27', '2026-05-28'], { now: NOW })
+  assert.equal(lapsed.best, 2)
+  assert.equal(lapsed.current, 0)
+})
+
+test('the current period only counts as missed once it is over', () => {
+  const streak = calculateStreak('weekly_event', ['2026-05-18', '2026-05-25'], { now: NOW })
+
+  assert.equal(streak.current, 2)
+  assert.equal(streak.activeThisPeriod, false)
+  assert.equal(streak.graceRemaining, 0)
+
+  const active = calculateStreak('weekly_event', ['2026-05-18', '2026-05-25', '2026-06-01'], { now: NOW })
+  assert.equal(active.current, 3)
+  assert.equal(active.activeThisPeriod, true)
+})
+
+test('weekly streaks have no grace unless one is given', () => {
+  const keys = ['2026-05-11', '2026-05-25']
+
+  assert.equal(calculateStreak('weekly_event', keys, { now: NOW }).best, 1)
+  assert.equal(calculateStreak('weekly_event', keys, { now: NOW, grace: 1 }).best, 2)
+})
+
+test('the streak is judged in the member timezone', () => {
+  // 05:00 UTC on 2 June is still 1 June in Los Angeles, so yesterday's login keeps the streak going
+  const now = new Date('2026-06-02T05:00:00Z')
+  const keys = ['2026-05-30', '2026-05-31']
+
+  assert.equal(calculateStreak('daily_login', keys, { now, timezone: 'America/Los_Angeles', grace: 0 }).current, 2)
+  assert.equal(calculateStreak('daily_login', keys, { now, grace: 0 }).current, 0)
+})
+
+test('periods after now and duplicates are ignored', () => {
+  const streak = calculateStreak('monthly_content', ['2026-04', '2026-05', '2026-05', '2026-09'], { now: NOW })
+
+  assert.equal(streak.current, 2)
+  assert.equal(streak.best, 2)
+})
+
+test('streaks map to the engagement history and activity types', () => {
+  const history = streakActivityHistory([
+    calculateStreak('daily_login', ['2026-05-31', '2026-06-01'], { now: NOW }),
+    calculateStreak('weekly_event', [], { now: NOW })
+  ])
+
+  assert.deepEqual(history, { dailyLoginStreak: 2, weeklyEventStreak: 0 })
+  assert.deepEqual(streakTypesForActivity('event_hosted'), ['weekly_event'])
+  assert.deepEqual(streakTypesForActivity('post_created'), ['monthly_content'])
+  assert.deepEqual(streakTypesForActivity('friend_added'), [])
+})
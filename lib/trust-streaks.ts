@@ -0,0 +1,143 @@
+/**
+ * Trust Streaks
+ * Daily login, weekly event and monthly content streaks for ContinuousEngagementTrustSystem.
+ * Qualifying activity is recorded once per period (day, week starting Monday, or month) in
+ * the member's own timezone. A streak counts consecutive active periods; up to `grace`
+ * missed periods in a row are forgiven (they keep the streak alive but do not add to it).
+ * The current period not being active yet never breaks a streak.
+ */
+
+export type StreakType = 'daily_login' | 'weekly_event' | 'monthly_content'
+export type StreakPeriod = 'day' | 'week' | 'month'
+
+export interface StreakDefinition {
+  period: StreakPeriod
+  activityTypes: string[] // trust activity events that count (daily_login is recorded directly)
+  grace: number // missed periods in a row that do not break the streak
+  historyKey: 'dailyLoginStreak' | 'weeklyEventStreak' | 'monthlyContentStreak'
+}
+
+export const STREAK_DEFINITIONS: { [type in StreakType]: StreakDefinition } = {
+  daily_login: { period: 'day', activityTypes: [], grace: 1, historyKey: 'dailyLoginStreak' },
+  weekly_event: { period: 'week', activityTypes: ['event_attended', 'event_hosted'], grace: 0, historyKey: 'weeklyEventStreak' },
+  monthly_content: { period: 'month', activityTypes: ['post_created'], grace: 0, historyKey: 'monthlyContentStreak' }
+}
+
+export const STREAK_TYPES = Object.keys(STREAK_DEFINITIONS) as StreakType[]
+export const DEFAULT_TIMEZONE = 'UTC'
+
+export interface StreakSummary {
+  type: StreakType
+  period: StreakPeriod
+  current: number
+  best: number
+  lastPeriod: string | null
+  activeThisPeriod: boolean
+  graceRemaining: number // missed periods the current streak can still absorb
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export function isValidTimezone(timezone: string): boolean {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Calendar date (YYYY-MM-DD) of an instant in a timezone
+function localDate(at: Date, timezone: string): string {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(at)
+  const part = (type: string) => parts.find(candidate => candidate.type === type)!.value
+  return `${part('year')}-${part('month')}-${part('day')}`
+}
+
+function dateToUtcMs(date: string): number {
+  const [year, month, day] = date.split('-').map(Number)
+  return Date.UTC(year, month - 1, day)
+}
+
+/**
+ * Key of the period an instant falls in, in the member's timezone: the date for days, the
+ * Monday for weeks, YYYY-MM for months
+ */
+export function periodKey(at: Date, period: StreakPeriod, timezone: string = DEFAULT_TIMEZONE): string {
+  const date = localDate(at, timezone)
+  if (period === 'month') return date.slice(0, 7)
+  if (period === 'day') return date
+
+  const ms = dateToUtcMs(date)
+  const sinceMonday = (new Date(ms).getUTCDay() + 6) % 7
+  return new Date(ms - sinceMonday * DAY_MS).toISOString().slice(0, 10)
+}
+
+// Index of a period key on a continuous scale, so consecutive periods differ by 1
+function periodIndex(key: string, period: StreakPeriod): number {
+  if (period === 'month') {
+    const [year, month] = key.split('-').map(Number)
+    return year * 12 + (month - 1)
+  }
+  const days = Math.round(dateToUtcMs(key) / DAY_MS)
+  return period === 'week' ? Math.round(days / 7) : days
+}
+
+/**
+ * Current and best streak from the periods with qualifying activity
+ */
+export function calculateStreak(
+  type: StreakType,
+  periodKeys: string[],
+  { now = new Date(), timezone = DEFAULT_TIMEZONE, grace }: { now?: Date; timezone?: string; grace?: number } = {}
+): StreakSummary {
+  const { period, grace: defaultGrace } = STREAK_DEFINITIONS[type]
+  const allowed = Math.max(0, grace ?? defaultGrace)
+  const indexes = [...new Set(periodKeys.map(key => periodIndex(key, period)))].sort((a, b) => a - b)
+  const currentKey = periodKey(now, period, timezone)
+  const currentIndex = periodIndex(currentKey, period)
+
+  let best = 0
+  let run = 0
+  let previous: number | null = null
+  for (const index of indexes.filter(candidate => candidate <= currentIndex)) {
+    const missed = previous === null ? 0 : index - previous - 1
+    run = previous !== null && missed <= allowed ? run + 1 : 1
+    best = Math.max(best, run)
+    previous = index
+  }
+
+  // The current period only counts as missed once it is over
+  const missedSinceLast = previous === null ? Infinity : Math.max(0, currentIndex - previous - 1)
+  const current = missedSinceLast <= allowed ? run : 0
+  const lastKey = indexes.length ? periodKeys.find(key => periodIndex(key, period) === previous) ?? null : null
+
+  return {
+    type,
+    period,
+    current,
+    best,
+    lastPeriod: lastKey,
+    activeThisPeriod: previous === currentIndex,
+    graceRemaining: current > 0 ? Math.max(0, allowed - missedSinceLast) : allowed
+  }
+}
+
+/**
+ * Streaks in the activityHistory shape ContinuousEngagementTrustSystem reads
+ */
+export function streakActivityHistory(summaries: StreakSummary[]): { [historyKey: string]: number } {
+  return Object.fromEntries(summaries.map(summary => [STREAK_DEFINITIONS[summary.type].historyKey, summary.current]))
+}
+
+/**
+ * Streak types a trust activity event counts towards
+ */
+export function streakTypesForActivity(activityType: string): StreakType[] {
+  return STREAK_TYPES.filter(type => STREAK_DEFINITIONS[type].activityTypes.includes(activityType))
+}
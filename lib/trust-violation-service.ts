@@ -0,0 +1,119 @@
+/**
+ * Trust Violation Service (server only)
+ * Persists penalties from TrustScorePenaltySystem in the trust_violations ledger and runs
+ * the appeals flow: the member files an appeal with a statement, a moderator upholds or
+ * overturns it, and an overturned penalty gives back exactly its actualPenalty with a
+ * trust_score_history entry. The stored ledger is the member's violationHistory, so repeat
+ * offences and violation patterns survive restarts, every penalty whose pattern calls
+ * for a moderator opens a moderation case, and a penalty that leaves the member restricted
+ * starts their recovery plan.
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+import { TrustScorePenaltySystem } from '../trust-score-penalty-system.js'
+import { getPenaltySystem } from './trust-penalty-catalogue-service'
+import { openCaseFromRecommendation } from './trust-moderation-service'
+import { linkedContentFrom } from './trust-moderation'
+import { startRecoveryPlan } from './trust-recovery-service'
+
+export type AppealDecision = 'upheld' | 'overturned'
+
+export const APPEAL_DECISIONS: AppealDecision[] = ['upheld', 'overturned']
+export const MAX_APPEAL_STATEMENT_LENGTH = 2000
+
+const penaltySystem = new TrustScorePenaltySystem()
+
+/**
+ * Apply a penalty to a member and record it in the ledger. Points come from the current
+ * penalty catalogue version, with the overrides of context.communityId if it has any.
+ * settles names the record the penalty is for (a no-show or a rejected flag), marked done
+ * with it atomically.
+ */
+export async function penalizeUser(
+  userId: string,
+  violationType: string,
+  context: any = {},
+  settles: { noShowEventId?: string; flagId?: number } | null = null
+) {
+  const user = await persistentDataManager.getUserById(userId)
+  if (!user) {
+    throw new Error(`User not found: ${userId}`)
+  }
+
+  const violationHistory = await persistentDataManager.getViolations(userId)
+  const { system, version } = await getPenaltySystem(context.communityId)
+  const applied = system.applyPenalty({ ...user, violationHistory }, violationType, context)
+  if (!applied) {
+    throw new Error(`Unknown violation type: ${violationType}`)
+  }
+
+  const penalty = { ...applied, catalogueVersion: version }
+  const violation = await persistentDataManager.recordViolation(userId, penalty, settles)
+  const history = [violation, ...violationHistory]
+  const patterns = penaltySystem.detectViolationPatterns(history)
+  const riskLevel = penaltySystem.calculateRiskLevel(history)
+  const recommendedAction = penaltySystem.getRecommendedModeratorAction(patterns)
+
+  const moderationCase = await openCaseFromRecommendation(userId, recommendedAction, {
+    riskLevel,
+    violationIds: [violation.id],
+    linkedContent: linkedContentFrom(context)
+  })
+
+  const recoveryPlan = await startRecoveryPlan(userId, violation.newScore)
+
+  return {
+    violation,
+    penalty,
+    patterns,
+    riskLevel,
+    recommendedAction,
+    moderationCase,
+    recoveryPlan
+  }
+}
+
+export async function getUserViolations(userId: string) {
+  const violations = await persistentDataManager.getViolations(userId)
+  return {
+    violations,
+    patterns: penaltySystem.detectViolationPatterns(violations),
+    riskLevel: penaltySystem.calculateRiskLevel(violations)
+  }
+}
+
+export async function fileViolationAppeal(userId: string, violationId: number, statement: string) {
+  const trimmed = (statement || '').trim()
+  if (!trimmed) {
+    throw new Error('An appeal needs a statement')
+  }
+  if (trimmed.length > MAX_APPEAL_STATEMENT_LENGTH) {
+    throw new Error(`Appeal statements are limited to ${MAX_APPEAL_STATEMENT_LENGTH} characters`)
+  }
+  return persistentDataManager.fileViolationAppeal(violationId, userId, trimmed)
+}
+
+export async function resolveViolationAppeal(appealId: number, moderatorId: string, decision: AppealDecision, note?: string) {
+  if (!APPEAL_DECISIONS.includes(decision)) {
+    throw new Error(`Appeal decision must be one of: ${APPEAL_DECISIONS.join(', ')}`)
+  }
+  return persistentDataManager.resolveViolationAppeal(appealId, moderatorId, decision, note?.trim() || null)
+}
+
+/**
+ * A member's appeals, open ones first, with the result of every resolved one
+ */
+export async function getUserAppeals(userId: string) {
+  const appeals = await persistentDataManager.getViolationAppeals({ userId })
+  return {
+    open: appeals.filter(appeal => appeal.status === 'open'),
+    resolved: appeals.filter(appeal => appeal.status !== 'open')
+  }
+}
+
+/**
+ * Moderator queue - open appeals, oldest first
+ */
+export async function getOpenAppeals(limit: number = 100) {
+  return persistentDataManager.getViolationAppeals({ status: 'open', limit })
+}
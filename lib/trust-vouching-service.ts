@@ -0,0 +1,21 @@
+/**
+ * Trust Vouching Service (server only)
+ * Loads a member's friendships and turns them into the peerVouchScore and
+ * vouchingFriends inputs the trust score models read.
+ */
+
+import persistentDataManager from '../persistent-data-solution.js'
+import { calculatePeerVouching, PeerVouching } from './trust-score-vouching'
+
+export async function getPeerVouching(userId: string, now: Date = new Date()): Promise<PeerVouching> {
+  const friendships = await persistentDataManager.getFriendships(userId)
+  return calculatePeerVouching(friendships, { now })
+}
+
+/**
+ * Profile with the vouching inputs filled in, ready to be scored
+ */
+export async function withPeerVouching(userId: string, profile: any): Promise<any> {
+  const { peerVouchScore, vouchingFriends } = await getPeerVouching(userId)
+  return { ...(profile || {}), peerVouchScore, vouchingFriends }
+}
@@ -3,6 +3,9 @@
  * Updated to support 11-component system with scores up to 100
  */
 
+import { trustScoreEngine } from './trust-score-engine'
+import { calculateProfileCompleteness, calculateAccountAge } from './trust-score-inputs'
+
 export interface TrustScoreFactors {
   // Verification factors (40% weight)
   phoneVerified: boolean
@@ -34,6 +37,7 @@ export interface TrustScoreComponents {
   socialConnections: { score: number; status: string; weight: number }
   profileCompleteness: { score: number; status: string; weight: number }
   communityEngagement: { score: number; status: string; weight: number }
+  peerVouching: { score: number; status: string; weight: number }
   eventParticipation: { score: number; status: string; weight: number }
   reviewsGiven: { score: number; status: string; weight: number }
   reviewsReceived: { score: number; status: string; weight: number }
@@ -63,103 +67,26 @@ const TRUST_SCORE_WEIGHTS = {
   flaggedContent: -2 // -2 points per flag (negative)
 }
 
-const ENHANCED_COMPONENT_WEIGHTS = {
-  phoneVerification: 0.12,
-  emailVerification: 0.10,
-  socialConnections: 0.15,
-  profileCompleteness: 0.08,
-  communityEngagement: 0.10,
-  eventParticipation: 0.12,
-  reviewsGiven: 0.09,
-  reviewsReceived: 0.08,
-  accountAge: 0.06,
-  platformContribution: 0.05,
-  positiveInteractions: 0.05
-}
-
+/**
+ * Component breakdown under the v4 enhanced model. The component math lives in
+ * trust-score-models/v4-enhanced-11-component.json; this keeps the TrustScoreComponents shape.
+ */
 export function calculateTrustScoreComponents(user: any, additionalData?: any): TrustScoreComponents {
-  const connectedAccounts = additionalData?.connectedAccountsCount || 0
-  const friendsCount = additionalData?.friendsCount || user.friendsCount || 0
-  const eventsAttended = additionalData?.eventsAttended || user.eventsAttended || 0
-  const reviewsGiven = additionalData?.reviewsGiven || 0
-  const reviewsReceived = additionalData?.reviewsReceived || 0
-  const accountAge = calculateAccountAge(user.created_at || user.createdAt)
-  const profileCompleteness = calculateProfileCompleteness(user)
-  
-  return {
-    phoneVerification: {
-      score: user.phone_verified || user.phoneVerified ? 95 : 15,
-      status: user.phone_verified || user.phoneVerified ? "Verified" : "Not verified",
-      weight: ENHANCED_COMPONENT_WEIGHTS.phoneVerification
-    },
-    emailVerification: {
-      score: user.email_verified || user.emailVerified ? 85 : 20,
-      status: user.email_verified || user.emailVerified ? "Verified" : "Not verified",
-      weight: ENHANCED_COMPONENT_WEIGHTS.emailVerification
-    },
-    socialConnections: {
-      score: Math.min(100, 35 + (connectedAccounts * 15)),
-      status: connectedAccounts === 0 ? "No connections" : connectedAccounts < 3 ? "Limited connections" : "Well connected",
-      weight: ENHANCED_COMPONENT_WEIGHTS.socialConnections
-    },
-    profileCompleteness: {
-      score: profileCompleteness,
-      status: profileCompleteness < 60 ? "Incomplete profile" : profileCompleteness < 85 ? "Good profile" : "Complete profile",
-      weight: ENHANCED_COMPONENT_WEIGHTS.profileCompleteness
-    },
-    communityEngagement: {
-      score: Math.min(100, 35 + (friendsCount * 3)),
-      status: friendsCount === 0 ? "Building network" : friendsCount < 10 ? "Growing network" : "Connected member",
-      weight: ENHANCED_COMPONENT_WEIGHTS.communityEngagement
-    },
-    eventParticipation: {
-      score: Math.min(100, 30 + (eventsAttended * 8)),
-      status: eventsAttended === 0 ? "No events attended" : eventsAttended < 5 ? "Some participation" : "Active participant",
-      weight: ENHANCED_COMPONENT_WEIGHTS.eventParticipation
-    },
-    reviewsGiven: {
-      score: Math.min(100, 40 + (reviewsGiven * 5)),
-      status: reviewsGiven === 0 ? "No reviews given" : reviewsGiven < 5 ? "Few reviews" : "Active reviewer",
-      weight: ENHANCED_COMPONENT_WEIGHTS.reviewsGiven
-    },
-    reviewsReceived: {
-      score: Math.min(100, 45 + (reviewsReceived * 6)),
-      status: reviewsReceived === 0 ? "No reviews received" : reviewsReceived < 3 ? "Some feedback" : "Well reviewed",
-      weight: ENHANCED_COMPONENT_WEIGHTS.reviewsReceived
-    },
-    accountAge: {
-      score: Math.min(100, 40 + (accountAge * 0.2)),
-      status: accountAge < 30 ? "New member" : accountAge < 180 ? "Regular member" : "Veteran member",
-      weight: ENHANCED_COMPONENT_WEIGHTS.accountAge
-    },
-    platformContribution: {
-      score: Math.min(100, 50 + ((additionalData?.reports || 0) * 8) + ((additionalData?.feedback || 0) * 3)),
-      status: "Contributing member",
-      weight: ENHANCED_COMPONENT_WEIGHTS.platformContribution
-    },
-    positiveInteractions: {
-      score: Math.min(100, 50 + ((additionalData?.positiveFeedback || 0) * 10)),
-      status: "Positive interactions",
-      weight: ENHANCED_COMPONENT_WEIGHTS.positiveInteractions
-    }
-  }
+  const result = trustScoreEngine.calculate(user, additionalData, { modelId: 'v4-enhanced-11-component' })
+  const components: any = {}
+
+  Object.entries(result.components).forEach(([key, component]) => {
+    components[key] = { score: component.final, status: component.status, weight: component.weight }
+  })
+
+  return components as TrustScoreComponents
 }
 
+/**
+ * Overall score from the shared engine's active model
+ */
 export function calculateEnhancedTrustScore(user: any, additionalData?: any): number {
-  const components = calculateTrustScoreComponents(user, additionalData)
-  
-  let weightedSum = 0
-  let totalWeight = 0
-  
-  Object.values(components).forEach(component => {
-    weightedSum += component.score * component.weight
-    totalWeight += component.weight
-  })
-  
-  const finalScore = Math.round(weightedSum / totalWeight)
-  
-  // Ensure score is between 0 and 100 (now allowing 100!)
-  return Math.max(0, Math.min(100, finalScore))
+  return trustScoreEngine.calculate(user, additionalData).displayScore
 }
 
 export function calculateTrustScore(factors: TrustScoreFactors): number {
@@ -183,35 +110,7 @@ export function calculateTrustScore(factors: TrustScoreFactors): number {
   return calculateEnhancedTrustScore(mockUser, additionalData)
 }
 
-export function calculateProfileCompleteness(user: any): number {
-  let completeness = 0
-  const factors = [
-    user.name,
-    user.email,
-    user.phone,
-    user.bio,
-    user.location,
-    user.avatar && user.avatar !== '/default-avatar.png',
-    user.username,
-    user.website,
-    user.occupation,
-    user.company
-  ]
-
-  const filledFactors = factors.filter(Boolean).length
-  completeness = (filledFactors / factors.length) * 100
-
-  return Math.round(completeness)
-}
-
-export function calculateAccountAge(createdAt: string): number {
-  if (!createdAt) return 0
-  const created = new Date(createdAt)
-  const now = new Date()
-  const diffTime = Math.abs(now.getTime() - created.getTime())
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24))
-  return diffDays
-}
+export { calculateProfileCompleteness, calculateAccountAge }
 
 export function getUserTrustScore(user: any, additionalData?: {
   reviewsReceived?: number
@@ -0,0 +1,61 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { calculateTrustScore } from './ultimate-trust-score-system'
+import { memberInternalScore } from './trust-score-benefits'
+
+const DAY_MS = 1000 * 60 * 60 * 24
+
+function member(lastEventDaysAgo: number) {
+  const now = Date.now()
+  return {
+    id: '1',
+    eventsAttended: 5,
+    created_at: new Date(now - (lastEventDaysAgo + 365) * DAY_MS).toISOString(),
+    lastActivityDates: { eventsParticipation: new Date(now - lastEventDaysAgo * DAY_MS).toISOString() }
+  }
+}
+
+test('the default model depreciates activity components after a period of inactivity', () => {
+  const active = calculateTrustScore(member(1)).componentScores.eventsParticipation
+  const inactive = calculateTrustScore(member(95)).componentScores.eventsParticipation
+
+  assert.equal(active.inactivePeriods, 0)
+  assert.equal(active.final, active.raw)
+  assert.equal(inactive.inactivePeriods, 3)
+  assert.equal(inactive.final, inactive.raw * Math.pow(0.9, 3))
+})
+
+test('depreciation lowers the score and keeps the floor', () => {
+  assert.ok(calculateTrustScore(member(95)).baseScore < calculateTrustScore(member(1)).baseScore)
+
+  const dormant = calculateTrustScore(member(3650)).componentScores.eventsParticipation
+  assert.equal(dormant.final, dormant.raw * 0.3)
+})
+
+test('verification and profile components never depreciate', () => {
+  const result = calculateTrustScore({
+    ...member(1),
+    emailVerified: true,
+    lastActivityDates: { accountVerification: new Date(Date.now() - 365 * DAY_MS).toISOString() }
+  })
+
+  assert.equal(result.componentScores.accountVerification.inactivePeriods, 0)
+  assert.equal(result.componentScores.accountVerification.final, result.componentScores.accountVerification.raw)
+})
+
+test('the internal score adds the stored adjustments and streak bonus like the benefit service', () => {
+  const profile = { ...member(1), scoreAdjustments: 40, streakBonus: 25, trustScore: 90 }
+  const result = calculateTrustScore(profile)
+
+  assert.equal(result.internalScore, memberInternalScore(result.baseScore, { adjustments: 40, streakBonus: 25 }))
+  assert.equal(result.internalScore, result.baseScore + 65)
+  assert.equal(calculateTrustScore({ ...profile, scoreAdjustments: -200 }).internalScore, 0)
+})
+
+test('benefit changes are measured against the benefits held before', () => {
+  const result = calculateTrustScore({ ...member(1), scoreAdjustments: 100, activeBenefitIds: ['priority_support', 'max_event_capacity'] })
+
+  assert.ok(result.benefitChanges.gained.includes('premium_features'))
+  assert.ok(!result.benefitChanges.gained.includes('priority_support'))
+  assert.deepEqual(result.benefitChanges.lost, ['max_event_capacity'])
+})
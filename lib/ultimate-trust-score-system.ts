@@ -15,6 +15,11 @@
  * Ready for Production Deployment
  */
 
+import { trustScoreEngine } from './trust-score-engine'
+import { explainTrustScore, TrustScoreExplanation } from './trust-score-explainer'
+import { getActiveBenefits, getNextBenefit, diffBenefits, memberInternalScore, MAX_INTERNAL_SCORE, BenefitChanges, BenefitPerks } from './trust-score-benefits'
+import { earnedAchievements, EarnedAchievement } from './trust-achievements'
+
 export interface User {
   id: string
   name?: string
@@ -31,6 +36,8 @@ export interface User {
   phoneVerified?: boolean
   emailVerified?: boolean
   friendsCount?: number
+  peerVouchScore?: number
+  vouchingFriends?: number
   eventsAttended?: number
   eventsHosted?: number
   eventNoShows?: number
@@ -66,10 +73,14 @@ export interface User {
   accountAgeInDays?: number
   profilePicture?: boolean
   socialLinks?: boolean
-  achievements?: string[]
+  achievements?: (string | EarnedAchievement)[] // badge ids, or awards with their dates
+  challenges?: Challenge[] // joined challenges with progress
   weeklyRewards?: { [key: string]: number }
   streaks?: { [key: string]: number }
+  streakBonus?: number // continuous engagement bonus from the member's streaks
+  scoreAdjustments?: number // total of the member's stored score adjustments
   lastActivityDates?: { [key: string]: string }
+  activeBenefitIds?: string[] // benefits held after the previous calculation
   trustScore?: number
 }
 
@@ -78,10 +89,12 @@ export interface TrustScoreResult {
   internalScore: number
   overflowPoints: number
   baseScore: number
+  /** @deprecated Always 0 - incentive points now reach the score as stored adjustments (see User.scoreAdjustments) */
   incentiveBonus: number
   streakBonus: number
   componentScores: { [key: string]: ComponentScore }
   activeBenefits: OverflowBenefit[]
+  benefitChanges: BenefitChanges
   restrictions: RestrictionTier
   canPerform: UserPermissions
   nextMilestone: Milestone
@@ -94,6 +107,7 @@ export interface TrustScoreResult {
 interface ComponentScore {
   raw: number
   depreciated: number
+  inactivePeriods: number
   final: number
   weight: number
   weighted: number
@@ -102,6 +116,8 @@ interface ComponentScore {
 interface OverflowBenefit {
   benefit: string
   message: string
+  minInternalScore: number
+  perks: BenefitPerks
 }
 
 interface RestrictionTier {
@@ -110,7 +126,7 @@ interface RestrictionTier {
   message: string
 }
 
-interface UserPermissions {
+export interface UserPermissions {
   canCreateEvents: boolean
   canCreatePosts: boolean
   canComment: boolean
@@ -132,6 +148,8 @@ interface ImprovementSuggestion {
   currentScore: number
   description: string
   suggestion: string
+  bestAction?: string
+  potentialGain?: number
 }
 
 interface Achievement {
@@ -156,6 +174,7 @@ interface Challenge {
   }
   progress: { [key: string]: number }
   targets: { [key: string]: number }
+  enrollment?: { status: string } | null
 }
 
 interface RecoveryPlan {
@@ -176,177 +195,77 @@ interface RecoveryAction {
   totalPossible: number
 }
 
-export class UltimateTrustScoreSystem {
-  private components = {
-    accountAge: { weight: 0.15, max: 100, description: "Account longevity and history" },
-    profileCompletion: { weight: 0.12, max: 100, description: "Profile completeness and verification" },
-    eventsParticipation: { weight: 0.18, max: 100, description: "Event attendance and hosting", depreciates: true, rate: 0.1 },
-    communityActivity: { weight: 0.10, max: 100, description: "Posts, comments, engagement", depreciates: true, rate: 0.15 },
-    socialEngagement: { weight: 0.08, max: 100, description: "Likes, shares, interactions", depreciates: true, rate: 0.1 },
-    reviewsRatings: { weight: 0.07, max: 100, description: "Quality of reviews given/received" },
-    contentQuality: { weight: 0.06, max: 100, description: "Quality of posts and content", depreciates: true, rate: 0.2 },
-    platformContribution: { weight: 0.05, max: 100, description: "Reports, feedback, contributions", depreciates: true, rate: 0.15 },
-    connectedAccounts: { weight: 0.08, max: 100, description: "Social media verifications", depreciates: true, rate: 0.05 },
-    positiveInteractions: { weight: 0.06, max: 100, description: "Helpful votes, positive feedback", depreciates: true, rate: 0.1 },
-    flaggingAccuracy: { weight: 0.05, max: 100, description: "Accuracy of content flagging", depreciates: true, rate: 0.2 }
-  }
+// Lowest trust score for each permission; below 10 a member is view-only
+export const PERMISSION_MINIMUM_SCORES: { [permission in Exclude<keyof UserPermissions, 'viewOnly'>]: number } = {
+  canCreateEvents: 40,
+  canCreatePosts: 30,
+  canComment: 20,
+  canFlag: 50,
+  canSendFriendRequests: 30,
+  canUpvote: 10,
+  canAttendEvents: 10
+}
 
+export class UltimateTrustScoreSystem {
   /**
    * 🏆 MAIN TRUST SCORE CALCULATION
+   * Component scores come from the shared trust score engine's active model, which also
+   * applies time-based depreciation from userProfile.lastActivityDates
    */
   calculateTrustScore(userProfile: User): TrustScoreResult {
+    const engineResult = trustScoreEngine.calculate(userProfile)
     const scores: { [key: string]: ComponentScore } = {}
-    let weightedSum = 0
-    let totalWeight = 0
 
-    // Calculate each component score
-    Object.entries(this.components).forEach(([key, config]) => {
-      const rawScore = this.calculateComponentScore(key, userProfile)
-      const depreciatedScore = this.applyDepreciation(key, rawScore, userProfile)
-      const finalScore = Math.min(config.max, depreciatedScore)
-      
+    Object.entries(engineResult.components).forEach(([key, component]) => {
       scores[key] = {
-        raw: rawScore,
-        depreciated: depreciatedScore,
-        final: finalScore,
-        weight: config.weight,
-        weighted: finalScore * config.weight
+        raw: component.raw,
+        depreciated: component.depreciated,
+        inactivePeriods: component.inactivePeriods,
+        final: component.final,
+        weight: component.weight,
+        weighted: component.weighted
       }
-
-      weightedSum += finalScore * config.weight
-      totalWeight += config.weight
     })
 
     // Calculate base score (0-100)
-    const baseScore = Math.round((weightedSum / totalWeight))
+    const baseScore = engineResult.baseScore
     
-    // Apply incentives and bonuses
-    const incentiveBonus = this.calculateIncentiveBonus(userProfile)
+    // Apply bonuses (penalties and rewards reach the score as stored adjustments)
     const streakBonus = this.calculateStreakBonus(userProfile)
     
     // Calculate internal score (can exceed 100)
-    const internalScore = Math.min(200, baseScore + incentiveBonus + streakBonus)
+    const internalScore = memberInternalScore(baseScore, { adjustments: userProfile.scoreAdjustments || 0, streakBonus })
     
     // Calculate display score (capped at 100)
     const displayScore = Math.min(100, internalScore)
     
     // Determine overflow benefits
     const overflowPoints = Math.max(0, internalScore - 100)
+    const activeBenefits = getActiveBenefits(internalScore)
+      .map(({ benefit, message, minInternalScore, perks }) => ({ benefit, message, minInternalScore, perks }))
 
     return {
       displayScore,
       internalScore,
       overflowPoints,
       baseScore,
-      incentiveBonus,
+      incentiveBonus: 0,
       streakBonus,
       componentScores: scores,
-      activeBenefits: [],
+      activeBenefits,
+      benefitChanges: diffBenefits(userProfile.activeBenefitIds || [], activeBenefits.map(benefit => benefit.benefit)),
       restrictions: this.getUserRestrictions(displayScore),
       canPerform: this.getUserPermissions(displayScore),
       nextMilestone: this.getNextMilestone(internalScore),
-      improvementSuggestions: this.getImprovementSuggestions(scores),
-      achievements: [],
-      currentChallenges: [],
+      improvementSuggestions: this.getImprovementSuggestions(userProfile),
+      achievements: earnedAchievements(userProfile.achievements || []),
+      currentChallenges: (userProfile.challenges || []).filter(challenge => challenge.enrollment?.status !== 'expired'),
       recoveryPlan: displayScore < 40 ? this.generateRecoveryPlan(displayScore) : undefined
     }
   }
 
-  /**
-   * 📊 COMPONENT SCORE CALCULATIONS
-   */
-  private calculateComponentScore(component: string, userProfile: User): number {
-    const calculations: { [key: string]: () => number } = {
-      accountAge: () => {
-        const ageInDays = userProfile.accountAgeInDays || 0
-        return Math.min(100, (ageInDays / 365) * 40 + 10)
-      },
-      
-      profileCompletion: () => {
-        const fields = ['profilePicture', 'bio', 'location', 'interests', 'socialLinks']
-        const completed = fields.filter(field => userProfile[field as keyof User]).length
-        return (completed / fields.length) * 100
-      },
-      
-      eventsParticipation: () => {
-        const attended = userProfile.eventsAttended || 0
-        const hosted = userProfile.eventsHosted || 0
-        const noShows = userProfile.eventNoShows || 0
-        const reliability = Math.max(0, 1 - (noShows / Math.max(1, attended)))
-        return Math.min(100, (attended * 3 + hosted * 8) * reliability)
-      },
-      
-      communityActivity: () => {
-        const posts = userProfile.postsCount || 0
-        const comments = userProfile.commentsCount || 0
-        const reactions = userProfile.reactionsGiven || 0
-        return Math.min(100, posts * 2 + comments * 0.5 + reactions * 0.1)
-      },
-      
-      socialEngagement: () => {
-        const friends = userProfile.friendsCount || 0
-        const interactions = userProfile.socialInteractions || 0
-        const shares = userProfile.sharesCount || 0
-        return Math.min(100, friends * 3 + interactions * 0.2 + shares * 2)
-      },
-      
-      reviewsRatings: () => {
-        const reviews = userProfile.reviewsGiven || 0
-        const avgRating = userProfile.averageRatingReceived || 3
-        const helpfulVotes = userProfile.helpfulReviewVotes || 0
-        return Math.min(100, reviews * 5 + (avgRating - 3) * 20 + helpfulVotes * 2)
-      },
-      
-      contentQuality: () => {
-        const quality = userProfile.contentQualityScore || 50
-        const upvotes = userProfile.contentUpvotes || 0
-        const reports = userProfile.contentReports || 0
-        const penalty = Math.min(50, reports * 10)
-        return Math.max(0, Math.min(100, quality + upvotes * 0.5 - penalty))
-      },
-      
-      platformContribution: () => {
-        const reports = userProfile.accurateReports || 0
-        const feedback = userProfile.feedbackSubmitted || 0
-        const helps = userProfile.helpedUsers || 0
-        return Math.min(100, reports * 8 + feedback * 3 + helps * 5)
-      },
-      
-      connectedAccounts: () => {
-        const accounts = userProfile.connectedSocialAccounts || 0
-        const verified = userProfile.verifiedAccounts || 0
-        return Math.min(100, accounts * 15 + verified * 25)
-      },
-      
-      positiveInteractions: () => {
-        const helpful = userProfile.helpfulVotes || 0
-        const positive = userProfile.positiveFeedback || 0
-        const thanks = userProfile.thanksReceived || 0
-        return Math.min(100, helpful * 2 + positive * 3 + thanks * 4)
-      },
-      
-      flaggingAccuracy: () => {
-        const flags = userProfile.flagsSubmitted || 0
-        const accurate = userProfile.accurateFlags || 0
-        if (flags === 0) return 50
-        const accuracy = accurate / flags
-        return Math.min(100, accuracy * 100)
-      }
-    }
-
-    return calculations[component] ? calculations[component]() : 50
-  }
-
-  private applyDepreciation(component: string, score: number, userProfile: User): number {
-    return score // Simplified for now
-  }
-
-  private calculateIncentiveBonus(userProfile: User): number {
-    return 0 // Simplified for now
-  }
-
   private calculateStreakBonus(userProfile: User): number {
-    return 0 // Simplified for now
+    return Math.max(0, userProfile.streakBonus || 0)
   }
 
   private getUserRestrictions(trustScore: number): RestrictionTier {
@@ -356,61 +275,56 @@ export class UltimateTrustScoreSystem {
     return { name: 'Limited Access', restrictions: ['post_approval_required'], message: '⚠️ Limited access' }
   }
 
-  private getUserPermissions(trustScore: number): UserPermissions {
+  getUserPermissions(trustScore: number): UserPermissions {
+    const minimum = PERMISSION_MINIMUM_SCORES
     return {
-      canCreateEvents: trustScore >= 40,
-      canCreatePosts: trustScore >= 30,
-      canComment: trustScore >= 20,
-      canFlag: trustScore >= 50,
-      canSendFriendRequests: trustScore >= 30,
-      canUpvote: trustScore >= 10,
-      canAttendEvents: trustScore >= 10,
-      viewOnly: trustScore < 10
+      canCreateEvents: trustScore >= minimum.canCreateEvents,
+      canCreatePosts: trustScore >= minimum.canCreatePosts,
+      canComment: trustScore >= minimum.canComment,
+      canFlag: trustScore >= minimum.canFlag,
+      canSendFriendRequests: trustScore >= minimum.canSendFriendRequests,
+      canUpvote: trustScore >= minimum.canUpvote,
+      canAttendEvents: trustScore >= minimum.canAttendEvents,
+      viewOnly: trustScore < minimum.canUpvote
     }
   }
 
   private getNextMilestone(internalScore: number): Milestone {
-    return {
-      target: 100,
-      pointsNeeded: Math.max(0, 100 - internalScore),
-      benefit: 'Full platform access'
+    if (internalScore < 100) {
+      return {
+        target: 100,
+        pointsNeeded: Math.max(0, 100 - internalScore),
+        benefit: 'Full platform access'
+      }
     }
+    return getNextBenefit(internalScore) || { target: MAX_INTERNAL_SCORE, pointsNeeded: 0, benefit: 'Maximum trust level achieved' }
   }
 
-  private getImprovementSuggestions(componentScores: { [key: string]: ComponentScore }): ImprovementSuggestion[] {
-    const suggestions: ImprovementSuggestion[] = []
-    
-    Object.entries(componentScores).forEach(([component, data]) => {
-      if (data.final < 60) {
-        const componentConfig = this.components[component as keyof typeof this.components]
-        suggestions.push({
-          component,
-          currentScore: data.final,
-          description: componentConfig.description,
-          suggestion: this.getComponentSuggestion(component)
-        })
-      }
-    })
-
-    return suggestions.sort((a, b) => a.currentScore - b.currentScore).slice(0, 3)
+  /**
+   * 🔍 SCORE EXPLANATION
+   * Per-component inputs, contributions, points lost and the best next action
+   */
+  explainTrustScore(userProfile: User): TrustScoreExplanation {
+    return explainTrustScore(userProfile)
   }
 
-  private getComponentSuggestion(component: string): string {
-    const suggestions: { [key: string]: string } = {
-      accountAge: "Your account will naturally improve over time",
-      profileCompletion: "Complete your profile - add photo, bio, and social links",
-      eventsParticipation: "Attend more events and consider hosting your own",
-      communityActivity: "Post more content and engage with others' posts",
-      socialEngagement: "Connect with more friends and interact socially",
-      reviewsRatings: "Write helpful reviews and maintain good ratings",
-      contentQuality: "Focus on creating high-quality, valuable posts",
-      platformContribution: "Submit accurate reports and provide helpful feedback",
-      connectedAccounts: "Link and verify your social media accounts",
-      positiveInteractions: "Give helpful votes and positive feedback",
-      flaggingAccuracy: "Only flag content that genuinely violates guidelines"
-    }
-    
-    return suggestions[component] || "Continue positive engagement"
+  private getImprovementSuggestions(userProfile: User): ImprovementSuggestion[] {
+    const explanation = this.explainTrustScore(userProfile)
+
+    return explanation.components
+      .filter(component => component.finalScore < 60)
+      .map(component => ({
+        component: component.key,
+        currentScore: component.finalScore,
+        description: component.description,
+        suggestion: component.bestAction
+          ? `${component.bestAction.label} (+${component.bestAction.scoreGain} points)`
+          : component.suggestion,
+        bestAction: component.bestAction?.label,
+        potentialGain: component.bestAction?.scoreGain
+      }))
+      .sort((a, b) => (b.potentialGain || 0) - (a.potentialGain || 0) || a.currentScore - b.currentScore)
+      .slice(0, 3)
   }
 
   private generateRecoveryPlan(currentScore: number): RecoveryPlan {
@@ -16,6 +16,7 @@ import { Pool } from 'pg';
 import Redis from 'redis';
 import fs from 'fs';
 import path from 'path';
+import { adjustedTrustScore } from './lib/trust-score-adjustments';
 
 // Database Configuration
 const DB_CONFIG = {
@@ -232,6 +233,17 @@ class PersistentDataManager {
         new_score INTEGER,
         change_reason VARCHAR(255),
         component_scores JSONB,
+        adjustment_points INTEGER, -- set when the change came from a score adjustment
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Points added to or taken from the activity score (penalties, refunds, rewards).
+      // trust_score is always the activity score plus their sum, capped at 0-100.
+      `CREATE TABLE IF NOT EXISTS trust_score_adjustments (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        points INTEGER NOT NULL,
+        reason VARCHAR(255) NOT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )`,
 
@@ -258,6 +270,318 @@ class PersistentDataManager {
         account_data JSONB,
         connected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         UNIQUE(user_id, platform)
+      )`,
+
+      // Trust activity log (append-only events that move trust score counters)
+      `CREATE TABLE IF NOT EXISTS trust_activity_events (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        event_type VARCHAR(50) NOT NULL,
+        subject_id VARCHAR(255),
+        payload JSONB DEFAULT '{}',
+        event_key VARCHAR(255) UNIQUE,
+        occurred_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        effects_applied JSONB DEFAULT '[]', -- side effects (streaks, challenges...) that have counted it
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Trust score counters folded from the activity log, per user
+      `CREATE TABLE IF NOT EXISTS trust_activity_state (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        counters JSONB DEFAULT '{}',
+        last_activity_dates JSONB DEFAULT '{}',
+        last_event_id INTEGER DEFAULT 0,
+        event_count INTEGER DEFAULT 0,
+        score INTEGER,
+        model_id VARCHAR(100),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Benefit history (when each trust score benefit was gained or lost)
+      `CREATE TABLE IF NOT EXISTS trust_benefit_history (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        benefit VARCHAR(100) NOT NULL,
+        change VARCHAR(10) NOT NULL CHECK (change IN ('gained', 'lost')),
+        internal_score INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Violation ledger (penalties applied by TrustScorePenaltySystem)
+      `CREATE TABLE IF NOT EXISTS trust_violations (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        violation_type VARCHAR(50) NOT NULL,
+        severity VARCHAR(20),
+        category VARCHAR(50),
+        original_penalty INTEGER NOT NULL,
+        actual_penalty INTEGER NOT NULL,
+        repeat_offense BOOLEAN DEFAULT false,
+        old_score INTEGER,
+        new_score INTEGER,
+        context JSONB DEFAULT '{}',
+        appealable BOOLEAN DEFAULT true,
+        appealed BOOLEAN DEFAULT false,
+        upheld BOOLEAN,
+        catalogue_version INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Appeals against violations - at most one per violation
+      `CREATE TABLE IF NOT EXISTS trust_violation_appeals (
+        id SERIAL PRIMARY KEY,
+        violation_id INTEGER UNIQUE REFERENCES trust_violations(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        statement TEXT NOT NULL,
+        status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'upheld', 'overturned')),
+        moderator_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        resolution_note TEXT,
+        points_restored INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        resolved_at TIMESTAMP
+      )`,
+
+      // Moderation cases opened from getRecommendedModeratorAction
+      `CREATE TABLE IF NOT EXISTS moderation_cases (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        recommended_action VARCHAR(50) NOT NULL,
+        reason TEXT,
+        priority VARCHAR(20) DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'critical')),
+        status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'claimed', 'resolved')),
+        assignee_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        risk_level VARCHAR(20),
+        recommendation JSONB DEFAULT '{}',
+        violation_ids JSONB DEFAULT '[]',
+        linked_content JSONB DEFAULT '[]',
+        resolution VARCHAR(50),
+        resolution_note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        claimed_at TIMESTAMP,
+        resolved_at TIMESTAMP
+      )`,
+
+      // Audit trail for moderation cases (actor_id NULL = system)
+      `CREATE TABLE IF NOT EXISTS moderation_case_events (
+        id SERIAL PRIMARY KEY,
+        case_id INTEGER REFERENCES moderation_cases(id) ON DELETE CASCADE,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        event_type VARCHAR(50) NOT NULL,
+        details JSONB DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Time-bounded sanctions (suspensions, enhanced monitoring); lifted_at is set once expired
+      `CREATE TABLE IF NOT EXISTS trust_sanctions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        sanction_type VARCHAR(50) NOT NULL,
+        reason TEXT NOT NULL,
+        starts_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        ends_at TIMESTAMP NOT NULL,
+        case_id INTEGER REFERENCES moderation_cases(id) ON DELETE SET NULL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        lifted_at TIMESTAMP,
+        lift_reason VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (ends_at > starts_at)
+      )`,
+
+      // Recovery plans for restricted members - at most one active plan per member
+      `CREATE TABLE IF NOT EXISTS trust_recovery_plans (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'completed', 'exhausted')),
+        starting_score INTEGER NOT NULL,
+        target_score INTEGER NOT NULL,
+        max_recovery INTEGER NOT NULL,
+        points_granted INTEGER DEFAULT 0,
+        actions JSONB NOT NULL,
+        action_counts JSONB DEFAULT '{}',
+        good_behavior_since TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revision INTEGER DEFAULT 0,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+      )`,
+
+      // Community flags, grouped per target - at most one open group per target
+      `CREATE TABLE IF NOT EXISTS content_flag_groups (
+        id SERIAL PRIMARY KEY,
+        target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('post', 'comment', 'event', 'profile')),
+        target_id VARCHAR(255) NOT NULL,
+        owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'upheld', 'rejected')),
+        flag_count INTEGER DEFAULT 0,
+        weighted_total NUMERIC(8,2) DEFAULT 0,
+        decided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        decision_note TEXT,
+        hidden_at TIMESTAMP,
+        restored_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        decided_at TIMESTAMP
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS content_flags (
+        id SERIAL PRIMARY KEY,
+        group_id INTEGER REFERENCES content_flag_groups(id) ON DELETE CASCADE,
+        flagger_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        reason VARCHAR(50) NOT NULL,
+        details TEXT,
+        weight NUMERIC(6,2) DEFAULT 1,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'upheld', 'rejected')),
+        settled_at TIMESTAMP,
+        violation_id INTEGER REFERENCES trust_violations(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(group_id, flagger_id)
+      )`,
+
+      // In-app notifications
+      `CREATE TABLE IF NOT EXISTS user_notifications (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        notification_type VARCHAR(50) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        body TEXT,
+        data JSONB DEFAULT '{}',
+        read_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Penalty catalogue - every edit is a new version; violations record the version they used
+      `CREATE TABLE IF NOT EXISTS penalty_catalogue_versions (
+        version SERIAL PRIMARY KEY,
+        catalogue JSONB NOT NULL,
+        changes JSONB DEFAULT '[]',
+        change_note TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Event check-ins (QR code or host roster) and attendance reviews
+      `CREATE TABLE IF NOT EXISTS event_check_ins (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        method VARCHAR(20) NOT NULL CHECK (method IN ('qr', 'roster')),
+        checked_in_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        checked_in_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(event_id, user_id)
+      )`,
+
+      // One row per event once attendance is final (host confirmation or deadline)
+      `CREATE TABLE IF NOT EXISTS event_attendance_reviews (
+        event_id INTEGER PRIMARY KEY REFERENCES events(id) ON DELETE CASCADE,
+        confirmed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        attended_count INTEGER DEFAULT 0,
+        no_show_count INTEGER DEFAULT 0,
+        finalized_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // No-shows found when attendance was finalized; violation_id is set once penalized
+      `CREATE TABLE IF NOT EXISTS event_no_shows (
+        event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        violation_id INTEGER REFERENCES trust_violations(id) ON DELETE SET NULL,
+        processed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (event_id, user_id)
+      )`,
+
+      // Periods (day, week or month key in the member's timezone) with streak activity
+      `CREATE TABLE IF NOT EXISTS user_streak_periods (
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        streak_type VARCHAR(30) NOT NULL,
+        period_key VARCHAR(10) NOT NULL,
+        first_activity_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, streak_type, period_key)
+      )`,
+
+      // Timezone streak periods are counted in
+      `CREATE TABLE IF NOT EXISTS user_streak_settings (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Achievement badges, each awarded at most once per member
+      `CREATE TABLE IF NOT EXISTS user_achievements (
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        achievement_id VARCHAR(50) NOT NULL,
+        points INTEGER DEFAULT 0,
+        earned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, achievement_id)
+      )`,
+
+      // Seasonal challenges defined by admins
+      `CREATE TABLE IF NOT EXISTS trust_challenges (
+        id SERIAL PRIMARY KEY,
+        slug VARCHAR(80) UNIQUE NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        description TEXT,
+        targets JSONB NOT NULL,
+        rewards JSONB NOT NULL,
+        starts_at TIMESTAMP NOT NULL,
+        ends_at TIMESTAMP NOT NULL,
+        status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        closed_at TIMESTAMP
+      )`,
+
+      // Members who opted in to a challenge, with their progress (revision guards updates)
+      `CREATE TABLE IF NOT EXISTS trust_challenge_enrollments (
+        challenge_id INTEGER REFERENCES trust_challenges(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'completed', 'expired')),
+        progress JSONB DEFAULT '{}',
+        active_days JSONB DEFAULT '[]',
+        revision INTEGER DEFAULT 0,
+        enrolled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        multiplier_ends_at TIMESTAMP,
+        PRIMARY KEY (challenge_id, user_id)
+      )`,
+
+      // Members who opted out of leaderboards
+      `CREATE TABLE IF NOT EXISTS user_leaderboard_settings (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        opted_out BOOLEAN DEFAULT false,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Computed leaderboards per period window and scope (global, city:<name>, friends:<id>)
+      `CREATE TABLE IF NOT EXISTS leaderboard_snapshots (
+        period VARCHAR(20) NOT NULL,
+        window_key VARCHAR(20) NOT NULL,
+        scope VARCHAR(150) NOT NULL,
+        entries JSONB NOT NULL DEFAULT '[]',
+        computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (period, window_key, scope)
+      )`,
+
+      // Incentive rewards, granted at most once per member, action and subject
+      `CREATE TABLE IF NOT EXISTS incentive_ledger (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        action VARCHAR(50) NOT NULL,
+        subject VARCHAR(255) NOT NULL DEFAULT '',
+        points INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'granted',
+        granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        reversed_at TIMESTAMP,
+        reversal_reason TEXT,
+        UNIQUE(user_id, action, subject)
+      )`,
+
+      // Staff roles (moderator, admin); granted directly in the database
+      `CREATE TABLE IF NOT EXISTS user_roles (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL,
+        granted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )`
     ];
 
@@ -275,6 +599,30 @@ class PersistentDataManager {
       'CREATE INDEX IF NOT EXISTS idx_events_location ON events USING GIST(coordinates)',
       'CREATE INDEX IF NOT EXISTS idx_event_attendees ON event_attendees(event_id, user_id)',
       'CREATE INDEX IF NOT EXISTS idx_trust_score_history ON trust_score_history(user_id, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_trust_score_history_created ON trust_score_history(created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_trust_score_adjustments_user ON trust_score_adjustments(user_id)',
+      'CREATE INDEX IF NOT EXISTS idx_trust_activity_events ON trust_activity_events(user_id, id)',
+      'CREATE INDEX IF NOT EXISTS idx_trust_benefit_history ON trust_benefit_history(user_id, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_trust_violations_user ON trust_violations(user_id, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_trust_violations_created ON trust_violations(created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_trust_violation_appeals_user ON trust_violation_appeals(user_id, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_trust_violation_appeals_status ON trust_violation_appeals(status, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_moderation_cases_status ON moderation_cases(status, priority, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_moderation_cases_user ON moderation_cases(user_id, status)',
+      'CREATE INDEX IF NOT EXISTS idx_moderation_case_events ON moderation_case_events(case_id, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_trust_sanctions_user ON trust_sanctions(user_id, ends_at)',
+      'CREATE INDEX IF NOT EXISTS idx_trust_sanctions_unlifted ON trust_sanctions(ends_at) WHERE lifted_at IS NULL',
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_trust_recovery_plans_active ON trust_recovery_plans(user_id) WHERE status = 'active'",
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_content_flag_groups_open ON content_flag_groups(target_type, target_id) WHERE status = 'open'",
+      'CREATE INDEX IF NOT EXISTS idx_content_flag_groups_status ON content_flag_groups(status, flag_count DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_content_flags_flagger ON content_flags(flagger_id, created_at DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_content_flags_created ON content_flags(created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_content_flag_groups_hidden ON content_flag_groups(target_type, target_id) WHERE hidden_at IS NOT NULL AND restored_at IS NULL',
+      'CREATE INDEX IF NOT EXISTS idx_user_notifications_user ON user_notifications(user_id, created_at DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_event_no_shows_pending ON event_no_shows(created_at) WHERE processed_at IS NULL',
+      "CREATE INDEX IF NOT EXISTS idx_trust_challenges_open ON trust_challenges(ends_at) WHERE status = 'open'",
+      'CREATE INDEX IF NOT EXISTS idx_trust_challenge_enrollments_user ON trust_challenge_enrollments(user_id, status)',
+      "CREATE INDEX IF NOT EXISTS idx_incentive_ledger_granted ON incentive_ledger(user_id) WHERE status = 'granted'",
       'CREATE INDEX IF NOT EXISTS idx_sessions_token ON user_sessions(session_token)',
       'CREATE INDEX IF NOT EXISTS idx_sessions_user ON user_sessions(user_id)'
     ];
@@ -470,6 +818,22 @@ class PersistentDataManager {
     }
   }
 
+  async getFriendshipId(userId1, userId2) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      return null;
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT id FROM friendships
+       WHERE (user_id_1 = $1 AND user_id_2 = $2)
+       OR (user_id_1 = $2 AND user_id_2 = $1)`,
+      [userId1, userId2]
+    );
+    return result.rows[0]?.id ?? null;
+  }
+
   async removeFriendship(userId1, userId2) {
     await this.initialize();
 
@@ -562,6 +926,2984 @@ class PersistentDataManager {
     }
   }
 
+  async getUserById(userId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('getUserById requires PostgreSQL');
+    }
+
+    const result = await this.pgPool.query('SELECT * FROM users WHERE id = $1', [userId]);
+    const row = result.rows[0];
+    if (!row) return null;
+
+    return {
+      id: String(row.id),
+      authId: row.auth_id,
+      name: row.name,
+      username: row.username,
+      email: row.email,
+      phone: row.phone,
+      avatar: row.avatar_url,
+      bio: row.bio,
+      location: row.location,
+      website: row.website,
+      occupation: row.occupation,
+      company: row.company,
+      interests: row.interests || [],
+      trustScore: row.trust_score,
+      created_at: row.created_at
+    };
+  }
+
+  /**
+   * Staff role (moderator or admin) of a member, or null for regular members
+   */
+  async getUserRole(userId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('getUserRole requires PostgreSQL');
+    }
+
+    const result = await this.pgPool.query('SELECT role FROM user_roles WHERE user_id = $1', [userId]);
+    return result.rows[0]?.role || null;
+  }
+
+  /**
+   * Trust score updates - every change is recorded in trust_score_history
+   * @param {object|null} [componentScores] stored as-is in component_scores
+   */
+  async updateUserTrustScore(userId, newScore, reason, componentScores = null) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Trust score updates require PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query('SELECT trust_score FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      if (current.rows.length === 0) {
+        throw new Error(`User not found: ${userId}`);
+      }
+      const oldScore = current.rows[0].trust_score;
+
+      await client.query(
+        'UPDATE users SET trust_score = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [newScore, userId]
+      );
+      const history = await client.query(
+        `INSERT INTO trust_score_history (user_id, old_score, new_score, change_reason, component_scores)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, created_at`,
+        [userId, oldScore, newScore, reason, componentScores ? JSON.stringify(componentScores) : null]
+      );
+
+      await client.query('COMMIT');
+
+      if (this.redisClient) {
+        await this.redisClient.del(`user:${userId}`);
+      }
+
+      console.log(`📊 Trust score updated: user ${userId} ${oldScore} → ${newScore} (${reason})`);
+      return { oldScore, newScore, historyId: history.rows[0].id, createdAt: history.rows[0].created_at };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in updateUserTrustScore:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Score a member from their activity score and adjustments (see adjustedTrustScore).
+   * addedPoints is an adjustment the caller stores after this call. Runs inside the
+   * caller's transaction.
+   * @param {number|null} activityScore null to keep the stored activity score
+   * @param {object|null} [componentScores]
+   * @param {number} [addedPoints]
+   */
+  async rescoreWithAdjustments(client, userId, activityScore, reason, componentScores = null, addedPoints = 0) {
+    // Lock first so the totals below include every adjustment committed before us
+    const locked = await client.query('SELECT trust_score FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    if (locked.rows.length === 0) {
+      throw new Error(`User not found: ${userId}`);
+    }
+
+    const current = await client.query(
+      `SELECT (SELECT score FROM trust_activity_state WHERE user_id = $1) AS activity_score,
+              (SELECT COALESCE(SUM(points), 0) FROM trust_score_adjustments WHERE user_id = $1) AS adjustments`,
+      [userId]
+    );
+
+    const oldScore = locked.rows[0].trust_score;
+    const { score: newScore, adjustments } = adjustedTrustScore({
+      storedScore: oldScore,
+      activityScore: activityScore ?? current.rows[0].activity_score,
+      adjustments: Number(current.rows[0].adjustments),
+      addedPoints
+    });
+
+    if (newScore !== oldScore) {
+      await client.query(
+        'UPDATE users SET trust_score = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [newScore, userId]
+      );
+      await client.query(
+        `INSERT INTO trust_score_history (user_id, old_score, new_score, change_reason, component_scores, adjustment_points)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [userId, oldScore, newScore, reason, componentScores ? JSON.stringify(componentScores) : null, addedPoints || null]
+      );
+    }
+
+    return { oldScore, newScore, adjustments };
+  }
+
+  /**
+   * Add an adjustment (negative for penalties) and rescore the member, inside the
+   * caller's transaction. Returns the score before and after.
+   */
+  async applyTrustScoreAdjustment(client, userId, points, reason) {
+    const scored = await this.rescoreWithAdjustments(client, userId, null, reason, null, points);
+    await client.query(
+      'INSERT INTO trust_score_adjustments (user_id, points, reason) VALUES ($1, $2, $3)',
+      [userId, points, reason]
+    );
+    return scored;
+  }
+
+  /**
+   * Store a freshly computed activity score. The adjustments are added on top, so
+   * penalties and rewards survive every rescore. Returns the scores and the adjustment total.
+   * @param {object|null} [componentScores] stored as-is in component_scores
+   */
+  async updateActivityTrustScore(userId, activityScore, reason, componentScores = null) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Trust score updates require PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+      const scored = await this.rescoreWithAdjustments(client, userId, activityScore, reason, componentScores);
+      await client.query('COMMIT');
+
+      if (this.redisClient && scored.newScore !== scored.oldScore) {
+        await this.redisClient.del(`user:${userId}`);
+      }
+
+      if (scored.newScore !== scored.oldScore) {
+        console.log(`📊 Trust score updated: user ${userId} ${scored.oldScore} → ${scored.newScore} (${reason})`);
+      }
+      return scored;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in updateActivityTrustScore:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Trust score history, oldest first
+   * @param {string} userId
+   * @param {{ since?: string|null, limit?: number }} [options]
+   */
+  async getTrustScoreHistory(userId, { since = null, limit = 1000 } = {}) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Trust score history requires PostgreSQL');
+    }
+
+    // Newest rows within the limit, returned oldest first
+    const result = await this.pgPool.query(
+      `SELECT * FROM (
+         SELECT id, old_score, new_score, change_reason, component_scores, created_at
+         FROM trust_score_history
+         WHERE user_id = $1 AND ($2::timestamp IS NULL OR created_at >= $2)
+         ORDER BY created_at DESC, id DESC
+         LIMIT $3
+       ) recent
+       ORDER BY created_at ASC, id ASC`,
+      [userId, since, limit]
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      oldScore: row.old_score,
+      newScore: row.new_score,
+      reason: row.change_reason,
+      componentScores: row.component_scores,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Trust activity log - events are appended once and folded into trust_activity_state
+   */
+  async appendTrustActivityEvent(event) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('The trust activity log requires PostgreSQL');
+    }
+
+    try {
+      const result = await this.pgPool.query(
+        `INSERT INTO trust_activity_events (user_id, event_type, subject_id, payload, event_key, occurred_at)
+         VALUES ($1, $2, $3, $4, $5, COALESCE($6, CURRENT_TIMESTAMP))
+         RETURNING id, occurred_at`,
+        [
+          event.userId,
+          event.type,
+          event.subjectId || null,
+          JSON.stringify(event.payload || {}),
+          event.eventKey || null,
+          event.occurredAt || null
+        ]
+      );
+      return { ...event, id: result.rows[0].id, occurredAt: result.rows[0].occurred_at, duplicate: false, effectsApplied: [] };
+    } catch (error) {
+      if (error.code === '23505') { // Same event_key already recorded
+        const existing = await this.pgPool.query(
+          'SELECT id, occurred_at, effects_applied FROM trust_activity_events WHERE event_key = $1',
+          [event.eventKey]
+        );
+        const row = existing.rows[0];
+        return { ...event, id: row.id, occurredAt: row.occurred_at, duplicate: true, effectsApplied: row.effects_applied || [] };
+      }
+      console.error('❌ Database error in appendTrustActivityEvent:', error);
+      throw error;
+    }
+  }
+
+  async markTrustActivityEffectApplied(eventId, effect) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('The trust activity log requires PostgreSQL');
+    }
+
+    await this.pgPool.query(
+      `UPDATE trust_activity_events SET effects_applied = effects_applied || jsonb_build_array($2::text)
+       WHERE id = $1 AND NOT (effects_applied ? $2)`,
+      [eventId, effect]
+    );
+  }
+
+  async getTrustActivityEvents(userId, afterId = 0) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('The trust activity log requires PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT id, user_id, event_type, subject_id, payload, event_key, occurred_at
+       FROM trust_activity_events
+       WHERE user_id = $1 AND id > $2
+       ORDER BY id ASC`,
+      [userId, afterId || 0]
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      userId: String(row.user_id),
+      type: row.event_type,
+      subjectId: row.subject_id,
+      payload: row.payload || {},
+      eventKey: row.event_key,
+      occurredAt: row.occurred_at
+    }));
+  }
+
+  async getTrustActivityState(userId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('The trust activity log requires PostgreSQL');
+    }
+
+    const result = await this.pgPool.query('SELECT * FROM trust_activity_state WHERE user_id = $1', [userId]);
+    const row = result.rows[0];
+    if (!row) return null;
+
+    return {
+      userId: String(row.user_id),
+      counters: row.counters || {},
+      lastActivityDates: row.last_activity_dates || {},
+      lastEventId: row.last_event_id,
+      eventCount: row.event_count,
+      score: row.score,
+      modelId: row.model_id,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Save folded counters. With expectedLastEventId the write only succeeds if nobody else
+   * has advanced the state since it was read; returns false when it lost that race.
+   */
+  async saveTrustActivityState(state, expectedLastEventId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('The trust activity log requires PostgreSQL');
+    }
+
+    const guard = expectedLastEventId === undefined
+      ? ''
+      : 'WHERE trust_activity_state.last_event_id = $8';
+    const values = [
+      state.userId,
+      JSON.stringify(state.counters || {}),
+      JSON.stringify(state.lastActivityDates || {}),
+      state.lastEventId || 0,
+      state.eventCount || 0,
+      state.score,
+      state.modelId
+    ];
+    if (expectedLastEventId !== undefined) values.push(expectedLastEventId || 0);
+
+    const result = await this.pgPool.query(
+      `INSERT INTO trust_activity_state (user_id, counters, last_activity_dates, last_event_id, event_count, score, model_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (user_id)
+       DO UPDATE SET
+         counters = $2, last_activity_dates = $3, last_event_id = $4, event_count = $5,
+         score = $6, model_id = $7, updated_at = CURRENT_TIMESTAMP
+       ${guard}`,
+      values
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Sum of a member's score adjustments (may take the internal score past 100)
+   */
+  async getTrustScoreAdjustmentTotal(userId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Trust score adjustments require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      'SELECT COALESCE(SUM(points), 0) AS total FROM trust_score_adjustments WHERE user_id = $1',
+      [userId]
+    );
+    return Number(result.rows[0].total);
+  }
+
+  /**
+   * Trust score benefits - the latest change per benefit decides whether it is held
+   */
+  async getActiveBenefitIds(userId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Benefit history requires PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT benefit FROM (
+         SELECT DISTINCT ON (benefit) benefit, change
+         FROM trust_benefit_history
+         WHERE user_id = $1
+         ORDER BY benefit, created_at DESC, id DESC
+       ) latest
+       WHERE change = 'gained'`,
+      [userId]
+    );
+    return result.rows.map(row => row.benefit);
+  }
+
+  async recordBenefitChanges(userId, gained, lost, internalScore) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Benefit history requires PostgreSQL');
+    }
+
+    const changes = [
+      ...gained.map(benefit => [benefit, 'gained']),
+      ...lost.map(benefit => [benefit, 'lost'])
+    ];
+    for (const [benefit, change] of changes) {
+      await this.pgPool.query(
+        'INSERT INTO trust_benefit_history (user_id, benefit, change, internal_score) VALUES ($1, $2, $3, $4)',
+        [userId, benefit, change, internalScore]
+      );
+    }
+
+    if (changes.length > 0) {
+      console.log(`🎁 Benefits for user ${userId}: +[${gained.join(', ')}] -[${lost.join(', ')}]`);
+    }
+    return changes.length;
+  }
+
+  async getBenefitHistory(userId, limit = 100) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Benefit history requires PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT benefit, change, internal_score, created_at
+       FROM trust_benefit_history
+       WHERE user_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      [userId, limit]
+    );
+    return result.rows.map(row => ({
+      benefit: row.benefit,
+      change: row.change,
+      internalScore: row.internal_score,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Violation ledger - penalties from TrustScorePenaltySystem.applyPenalty and their appeals
+   * @param {{ noShowEventId?: string, flagId?: number } | null} [settles] - no-show or rejected flag
+   *   the penalty is for; it is marked processed in the same transaction, and one already
+   *   processed rolls the penalty back
+   */
+  async recordViolation(userId, penalty, settles = null) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Violation ledger requires PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const violation = await client.query(
+        `INSERT INTO trust_violations
+           (user_id, violation_type, severity, category, original_penalty, actual_penalty, repeat_offense,
+            old_score, new_score, context, appealable, catalogue_version)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING *`,
+        [
+          userId,
+          penalty.violationType,
+          penalty.severity,
+          penalty.category,
+          penalty.originalPenalty,
+          penalty.actualPenalty,
+          Boolean(penalty.repeatOffense),
+          penalty.oldScore,
+          penalty.newScore,
+          JSON.stringify(penalty.context || {}),
+          penalty.appealable !== false,
+          penalty.catalogueVersion ?? null
+        ]
+      );
+      if (settles?.noShowEventId) {
+        const noShow = await client.query(
+          `UPDATE event_no_shows SET processed_at = CURRENT_TIMESTAMP, violation_id = $3
+           WHERE event_id = $1 AND user_id = $2 AND processed_at IS NULL`,
+          [settles.noShowEventId, userId, violation.rows[0].id]
+        );
+        if (noShow.rowCount === 0) {
+          throw new Error(`No-show already processed: user ${userId} at event ${settles.noShowEventId}`);
+        }
+      }
+      if (settles?.flagId) {
+        const flag = await client.query(
+          `UPDATE content_flags SET settled_at = CURRENT_TIMESTAMP, violation_id = $2
+           WHERE id = $1 AND settled_at IS NULL`,
+          [settles.flagId, violation.rows[0].id]
+        );
+        if (flag.rowCount === 0) {
+          throw new Error(`Flag already settled: ${settles.flagId}`);
+        }
+      }
+      const { oldScore, newScore } = await this.applyTrustScoreAdjustment(
+        client,
+        userId,
+        penalty.actualPenalty,
+        `penalty: ${penalty.violationType} (#${violation.rows[0].id})`
+      );
+      // The ledger keeps the scores the member actually had
+      const recorded = await client.query(
+        'UPDATE trust_violations SET old_score = $1, new_score = $2 WHERE id = $3 RETURNING *',
+        [oldScore, newScore, violation.rows[0].id]
+      );
+
+      await client.query('COMMIT');
+
+      if (this.redisClient) {
+        await this.redisClient.del(`user:${userId}`);
+      }
+
+      console.log(`🚨 Violation recorded: user ${userId} ${penalty.violationType} ${penalty.actualPenalty} (${oldScore} → ${newScore})`);
+      return this.formatViolation(recorded.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in recordViolation:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Same shape as TrustScorePenaltySystem.trackViolation records, plus scores and the appeal
+  formatViolation(row) {
+    return {
+      id: row.id,
+      userId: String(row.user_id),
+      type: row.violation_type,
+      severity: row.severity,
+      category: row.category,
+      points: row.actual_penalty,
+      originalPenalty: row.original_penalty,
+      repeatOffense: row.repeat_offense,
+      oldScore: row.old_score,
+      newScore: row.new_score,
+      context: row.context || {},
+      appealable: row.appealable,
+      appealed: row.appealed,
+      upheld: row.upheld,
+      catalogueVersion: row.catalogue_version,
+      timestamp: row.created_at,
+      appeal: row.appeal_id ? {
+        id: row.appeal_id,
+        status: row.appeal_status,
+        statement: row.appeal_statement,
+        resolutionNote: row.appeal_resolution_note,
+        pointsRestored: row.appeal_points_restored,
+        createdAt: row.appeal_created_at,
+        resolvedAt: row.appeal_resolved_at
+      } : null
+    };
+  }
+
+  async getViolations(userId, limit = 100) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Violation ledger requires PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT v.*,
+              a.id AS appeal_id, a.status AS appeal_status, a.statement AS appeal_statement,
+              a.resolution_note AS appeal_resolution_note, a.points_restored AS appeal_points_restored,
+              a.created_at AS appeal_created_at, a.resolved_at AS appeal_resolved_at
+       FROM trust_violations v
+       LEFT JOIN trust_violation_appeals a ON a.violation_id = v.id
+       WHERE v.user_id = $1
+       ORDER BY v.created_at DESC, v.id DESC
+       LIMIT $2`,
+      [userId, limit]
+    );
+    return result.rows.map(row => this.formatViolation(row));
+  }
+
+  formatAppeal(row) {
+    return {
+      id: row.id,
+      violationId: row.violation_id,
+      userId: String(row.user_id),
+      statement: row.statement,
+      status: row.status,
+      moderatorId: row.moderator_id ? String(row.moderator_id) : null,
+      resolutionNote: row.resolution_note,
+      pointsRestored: row.points_restored,
+      violationType: row.violation_type,
+      severity: row.severity,
+      penalty: row.actual_penalty,
+      violationContext: row.context || {},
+      violationCreatedAt: row.violation_created_at,
+      createdAt: row.created_at,
+      resolvedAt: row.resolved_at
+    };
+  }
+
+  async fileViolationAppeal(violationId, userId, statement) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Violation appeals require PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const violation = await client.query('SELECT * FROM trust_violations WHERE id = $1 FOR UPDATE', [violationId]);
+      if (violation.rows.length === 0 || String(violation.rows[0].user_id) !== String(userId)) {
+        throw new Error(`Violation not found: ${violationId}`);
+      }
+      if (!violation.rows[0].appealable) {
+        throw new Error(`Violation ${violationId} is not appealable`);
+      }
+      if (violation.rows[0].appealed) {
+        throw new Error(`Violation ${violationId} has already been appealed`);
+      }
+
+      const appeal = await client.query(
+        `INSERT INTO trust_violation_appeals (violation_id, user_id, statement)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [violationId, userId, statement]
+      );
+      await client.query('UPDATE trust_violations SET appealed = true WHERE id = $1', [violationId]);
+
+      await client.query('COMMIT');
+
+      console.log(`📝 Appeal ${appeal.rows[0].id} filed by user ${userId} against violation ${violationId}`);
+      const row = violation.rows[0];
+      return this.formatAppeal({ ...row, ...appeal.rows[0], violation_created_at: row.created_at });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in fileViolationAppeal:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * @param {{ userId?: string|null, status?: string|null, limit?: number }} [filters]
+   */
+  async getViolationAppeals({ userId = null, status = null, limit = 100 } = {}) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Violation appeals require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT a.*, v.violation_type, v.severity, v.actual_penalty, v.context, v.created_at AS violation_created_at
+       FROM trust_violation_appeals a
+       JOIN trust_violations v ON v.id = a.violation_id
+       WHERE ($1::integer IS NULL OR a.user_id = $1)
+         AND ($2::varchar IS NULL OR a.status = $2)
+       ORDER BY a.created_at ${status === 'open' ? 'ASC' : 'DESC'}, a.id
+       LIMIT $3`,
+      [userId, status, limit]
+    );
+    return result.rows.map(row => this.formatAppeal(row));
+  }
+
+  /**
+   * Uphold or overturn an open appeal. Overturning adds back exactly the violation's
+   * actual_penalty as a score adjustment and records the refund in trust_score_history.
+   * @param {string|null} [note]
+   */
+  async resolveViolationAppeal(appealId, moderatorId, decision, note = null) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Violation appeals require PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const found = await client.query(
+        `SELECT a.*, v.violation_type, v.severity, v.actual_penalty, v.context, v.created_at AS violation_created_at
+         FROM trust_violation_appeals a
+         JOIN trust_violations v ON v.id = a.violation_id
+         WHERE a.id = $1
+         FOR UPDATE OF a, v`,
+        [appealId]
+      );
+      if (found.rows.length === 0) {
+        throw new Error(`Appeal not found: ${appealId}`);
+      }
+      const appeal = found.rows[0];
+      if (appeal.status !== 'open') {
+        throw new Error(`Appeal ${appealId} was already ${appeal.status}`);
+      }
+
+      const overturned = decision === 'overturned';
+      const pointsRestored = overturned ? -appeal.actual_penalty : 0;
+
+      const resolved = await client.query(
+        `UPDATE trust_violation_appeals
+         SET status = $1, moderator_id = $2, resolution_note = $3, points_restored = $4, resolved_at = CURRENT_TIMESTAMP
+         WHERE id = $5
+         RETURNING *`,
+        [decision, moderatorId, note, pointsRestored, appealId]
+      );
+      await client.query('UPDATE trust_violations SET upheld = $1 WHERE id = $2', [!overturned, appeal.violation_id]);
+
+      if (overturned) {
+        await this.applyTrustScoreAdjustment(
+          client,
+          appeal.user_id,
+          pointsRestored,
+          `appeal overturned: ${appeal.violation_type} (#${appeal.violation_id})`
+        );
+      }
+
+      await client.query('COMMIT');
+
+      if (overturned && this.redisClient) {
+        await this.redisClient.del(`user:${appeal.user_id}`);
+      }
+
+      console.log(`⚖️ Appeal ${appealId} ${decision} by moderator ${moderatorId}${overturned ? ` (+${pointsRestored} restored)` : ''}`);
+      return this.formatAppeal({ ...appeal, ...resolved.rows[0] });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in resolveViolationAppeal:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Moderation cases - opened from getRecommendedModeratorAction, every change audited
+   */
+  formatModerationCase(row) {
+    return {
+      id: row.id,
+      userId: String(row.user_id),
+      userName: row.user_name || null,
+      recommendedAction: row.recommended_action,
+      reason: row.reason,
+      priority: row.priority,
+      status: row.status,
+      assigneeId: row.assignee_id ? String(row.assignee_id) : null,
+      riskLevel: row.risk_level,
+      recommendation: row.recommendation || {},
+      violationIds: row.violation_ids || [],
+      linkedContent: row.linked_content || [],
+      resolution: row.resolution,
+      resolutionNote: row.resolution_note,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      claimedAt: row.claimed_at,
+      resolvedAt: row.resolved_at
+    };
+  }
+
+  async addModerationCaseEvent(client, caseId, actorId, eventType, details = {}) {
+    await client.query(
+      'INSERT INTO moderation_case_events (case_id, actor_id, event_type, details) VALUES ($1, $2, $3, $4)',
+      [caseId, actorId, eventType, JSON.stringify(details)]
+    );
+  }
+
+  /**
+   * Open a case, or fold the new violation into the member's unresolved case for the
+   * same action (keeping the higher priority and the latest risk level)
+   * @param {{ userId: string, recommendedAction: string, reason: string, priority: string, riskLevel: string,
+   *   recommendation?: object, violationIds?: number[], linkedContent?: object[] }} details
+   */
+  async openModerationCase({ userId, recommendedAction, reason, priority, riskLevel, recommendation, violationIds = [], linkedContent = [] }) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Moderation cases require PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        `SELECT * FROM moderation_cases
+         WHERE user_id = $1 AND recommended_action = $2 AND status <> 'resolved'
+         ORDER BY created_at DESC LIMIT 1
+         FOR UPDATE`,
+        [userId, recommendedAction]
+      );
+
+      let row;
+      if (existing.rows.length > 0) {
+        const current = existing.rows[0];
+        const ranks = ['low', 'medium', 'high', 'critical'];
+        const mergedPriority = ranks.indexOf(priority) > ranks.indexOf(current.priority) ? priority : current.priority;
+        const updated = await client.query(
+          `UPDATE moderation_cases
+           SET priority = $1, risk_level = $2, reason = $3, recommendation = $4,
+               violation_ids = violation_ids || $5::jsonb, linked_content = linked_content || $6::jsonb,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $7
+           RETURNING *`,
+          [mergedPriority, riskLevel, reason, JSON.stringify(recommendation || {}), JSON.stringify(violationIds), JSON.stringify(linkedContent), current.id]
+        );
+        row = updated.rows[0];
+        await this.addModerationCaseEvent(client, row.id, null, 'violation_linked', { violationIds, priority: mergedPriority, riskLevel });
+      } else {
+        const inserted = await client.query(
+          `INSERT INTO moderation_cases
+             (user_id, recommended_action, reason, priority, risk_level, recommendation, violation_ids, linked_content)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING *`,
+          [userId, recommendedAction, reason, priority, riskLevel, JSON.stringify(recommendation || {}), JSON.stringify(violationIds), JSON.stringify(linkedContent)]
+        );
+        row = inserted.rows[0];
+        await this.addModerationCaseEvent(client, row.id, null, 'opened', { recommendedAction, priority, riskLevel, violationIds });
+      }
+
+      await client.query('COMMIT');
+
+      console.log(`🗂️ Moderation case ${row.id} (${recommendedAction}, ${row.priority}) for user ${userId}`);
+      return this.formatModerationCase(row);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in openModerationCase:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Cases by status, most urgent first
+   * @param {{ status?: string|null, assigneeId?: string|null, priority?: string|null, limit?: number }} [filters]
+   */
+  async getModerationCases({ status = null, assigneeId = null, priority = null, limit = 100 } = {}) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Moderation cases require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT c.*, u.name AS user_name
+       FROM moderation_cases c
+       LEFT JOIN users u ON u.id = c.user_id
+       WHERE ($1::varchar IS NULL OR c.status = $1)
+         AND ($2::integer IS NULL OR c.assignee_id = $2)
+         AND ($3::varchar IS NULL OR c.priority = $3)
+       ORDER BY CASE c.priority WHEN 'critical' THEN 0 WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END,
+                c.created_at ASC
+       LIMIT $4`,
+      [status, assigneeId, priority, limit]
+    );
+    return result.rows.map(row => this.formatModerationCase(row));
+  }
+
+  async getModerationCase(caseId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Moderation cases require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT c.*, u.name AS user_name
+       FROM moderation_cases c
+       LEFT JOIN users u ON u.id = c.user_id
+       WHERE c.id = $1`,
+      [caseId]
+    );
+    if (result.rows.length === 0) return null;
+
+    const events = await this.pgPool.query(
+      'SELECT * FROM moderation_case_events WHERE case_id = $1 ORDER BY created_at ASC, id ASC',
+      [caseId]
+    );
+    return {
+      ...this.formatModerationCase(result.rows[0]),
+      auditTrail: events.rows.map(row => ({
+        id: row.id,
+        actorId: row.actor_id ? String(row.actor_id) : null,
+        eventType: row.event_type,
+        details: row.details || {},
+        createdAt: row.created_at
+      }))
+    };
+  }
+
+  async claimModerationCase(caseId, moderatorId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Moderation cases require PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const claimed = await client.query(
+        `UPDATE moderation_cases
+         SET status = 'claimed', assignee_id = $2, claimed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'open'
+         RETURNING *`,
+        [caseId, moderatorId]
+      );
+      if (claimed.rows.length === 0) {
+        const found = await client.query('SELECT status, assignee_id FROM moderation_cases WHERE id = $1', [caseId]);
+        if (found.rows.length === 0) throw new Error(`Moderation case not found: ${caseId}`);
+        throw new Error(`Moderation case ${caseId} is already ${found.rows[0].status}${found.rows[0].assignee_id ? ` by ${found.rows[0].assignee_id}` : ''}`);
+      }
+      await this.addModerationCaseEvent(client, caseId, moderatorId, 'claimed');
+
+      await client.query('COMMIT');
+
+      console.log(`🙋 Moderation case ${caseId} claimed by moderator ${moderatorId}`);
+      return this.formatModerationCase(claimed.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in claimModerationCase:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Resolve a case. Only the moderator who claimed it can resolve it.
+   * @param {string|null} [note]
+   */
+  async resolveModerationCase(caseId, moderatorId, resolution, note = null) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Moderation cases require PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const found = await client.query('SELECT * FROM moderation_cases WHERE id = $1 FOR UPDATE', [caseId]);
+      if (found.rows.length === 0) {
+        throw new Error(`Moderation case not found: ${caseId}`);
+      }
+      const current = found.rows[0];
+      if (current.status !== 'claimed' || String(current.assignee_id) !== String(moderatorId)) {
+        throw new Error(`Moderation case ${caseId} must be claimed by moderator ${moderatorId} before it is resolved`);
+      }
+
+      const resolved = await client.query(
+        `UPDATE moderation_cases
+         SET status = 'resolved', resolution = $2, resolution_note = $3, resolved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [caseId, resolution, note]
+      );
+      await this.addModerationCaseEvent(client, caseId, moderatorId, 'resolved', { resolution, note });
+
+      await client.query('COMMIT');
+
+      console.log(`✅ Moderation case ${caseId} resolved by moderator ${moderatorId}: ${resolution}`);
+      return this.formatModerationCase(resolved.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in resolveModerationCase:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Timed sanctions - suspensions and enhanced monitoring that end on their own
+   */
+  formatSanction(row) {
+    return {
+      id: row.id,
+      userId: String(row.user_id),
+      type: row.sanction_type,
+      reason: row.reason,
+      startsAt: row.starts_at,
+      endsAt: row.ends_at,
+      caseId: row.case_id,
+      createdBy: row.created_by ? String(row.created_by) : null,
+      liftedAt: row.lifted_at,
+      liftReason: row.lift_reason
+    };
+  }
+
+  /**
+   * @param {{ userId: string, type: string, reason: string, startsAt?: Date, endsAt: Date,
+   *   caseId?: number|null, createdBy?: string|null }} sanction
+   */
+  async createSanction({ userId, type, reason, startsAt = new Date(), endsAt, caseId = null, createdBy = null }) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Sanctions require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `INSERT INTO trust_sanctions (user_id, sanction_type, reason, starts_at, ends_at, case_id, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [userId, type, reason, startsAt, endsAt, caseId, createdBy]
+    );
+
+    if (this.redisClient) {
+      await this.redisClient.del(`sanctions:${userId}`);
+    }
+
+    console.log(`⏳ Sanction ${result.rows[0].id}: ${type} for user ${userId} until ${new Date(endsAt).toISOString()}`);
+    return this.formatSanction(result.rows[0]);
+  }
+
+  /**
+   * Sanctions in force right now (not lifted, started, not yet ended)
+   */
+  async getActiveSanctions(userId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Sanctions require PostgreSQL');
+    }
+
+    const cacheKey = `sanctions:${userId}`;
+    if (this.redisClient) {
+      const cached = await this.redisClient.get(cacheKey);
+      if (cached) {
+        return JSON.parse(cached);
+      }
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT * FROM trust_sanctions
+       WHERE user_id = $1 AND lifted_at IS NULL
+         AND starts_at <= CURRENT_TIMESTAMP AND ends_at > CURRENT_TIMESTAMP
+       ORDER BY ends_at DESC`,
+      [userId]
+    );
+    const sanctions = result.rows.map(row => this.formatSanction(row));
+
+    if (this.redisClient) {
+      await this.redisClient.setex(cacheKey, 60, JSON.stringify(sanctions)); // 1 min cache
+    }
+    return sanctions;
+  }
+
+  async getSanctions(userId, limit = 50) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Sanctions require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      'SELECT * FROM trust_sanctions WHERE user_id = $1 ORDER BY starts_at DESC, id DESC LIMIT $2',
+      [userId, limit]
+    );
+    return result.rows.map(row => this.formatSanction(row));
+  }
+
+  /**
+   * Mark every sanction that has ended as lifted and record it in trust_score_history.
+   * Safe to run from several workers at once (rows are claimed with SKIP LOCKED).
+   */
+  async liftExpiredSanctions(limit = 500) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Sanctions require PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const expired = await client.query(
+        `SELECT s.*, u.trust_score
+         FROM trust_sanctions s
+         JOIN users u ON u.id = s.user_id
+         WHERE s.lifted_at IS NULL AND s.ends_at <= CURRENT_TIMESTAMP
+         ORDER BY s.ends_at ASC
+         LIMIT $1
+         FOR UPDATE OF s SKIP LOCKED`,
+        [limit]
+      );
+
+      for (const row of expired.rows) {
+        await client.query(
+          "UPDATE trust_sanctions SET lifted_at = CURRENT_TIMESTAMP, lift_reason = 'expired' WHERE id = $1",
+          [row.id]
+        );
+        await client.query(
+          `INSERT INTO trust_score_history (user_id, old_score, new_score, change_reason)
+           VALUES ($1, $2, $2, $3)`,
+          [row.user_id, row.trust_score, `sanction expired: ${row.sanction_type} (#${row.id})`]
+        );
+      }
+
+      await client.query('COMMIT');
+
+      if (this.redisClient) {
+        for (const row of expired.rows) {
+          await this.redisClient.del(`sanctions:${row.user_id}`);
+        }
+      }
+
+      if (expired.rows.length > 0) {
+        console.log(`🔓 Lifted ${expired.rows.length} expired sanctions`);
+      }
+      return expired.rows.map(row => this.formatSanction({ ...row, lift_reason: 'expired' }));
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in liftExpiredSanctions:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Recovery plans - restricted members earning their way back to the target score
+   */
+  formatRecoveryPlan(row) {
+    return {
+      id: row.id,
+      userId: String(row.user_id),
+      status: row.status,
+      startingScore: row.starting_score,
+      targetScore: row.target_score,
+      maxPossibleRecovery: row.max_recovery,
+      pointsGranted: row.points_granted,
+      actions: row.actions || [],
+      actionCounts: row.action_counts || {},
+      goodBehaviorSince: row.good_behavior_since,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      revision: row.revision
+    };
+  }
+
+  async getActiveRecoveryPlan(userId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Recovery plans require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      "SELECT * FROM trust_recovery_plans WHERE user_id = $1 AND status = 'active'",
+      [userId]
+    );
+    return result.rows.length > 0 ? this.formatRecoveryPlan(result.rows[0]) : null;
+  }
+
+  async getRecoveryPlans(userId, limit = 20) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Recovery plans require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      'SELECT * FROM trust_recovery_plans WHERE user_id = $1 ORDER BY started_at DESC, id DESC LIMIT $2',
+      [userId, limit]
+    );
+    return result.rows.map(row => this.formatRecoveryPlan(row));
+  }
+
+  /**
+   * Start a plan, or return the member's active one if they already have it
+   * @param {{ userId: string, startingScore: number, targetScore: number,
+   *   maxPossibleRecovery: number, actions: object[] }} plan
+   */
+  async startRecoveryPlan({ userId, startingScore, targetScore, maxPossibleRecovery, actions }) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Recovery plans require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `INSERT INTO trust_recovery_plans (user_id, starting_score, target_score, max_recovery, actions)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id) WHERE status = 'active' DO NOTHING
+       RETURNING *`,
+      [userId, startingScore, targetScore, maxPossibleRecovery, JSON.stringify(actions)]
+    );
+
+    if (result.rows.length === 0) {
+      return this.getActiveRecoveryPlan(userId);
+    }
+
+    console.log(`🌱 Recovery plan ${result.rows[0].id} started for user ${userId}: ${startingScore} → ${targetScore}`);
+    return this.formatRecoveryPlan(result.rows[0]);
+  }
+
+  /**
+   * Save a plan after a grant and add the granted points to the member's score as an
+   * adjustment. Returns null when another worker saved the plan first
+   * (plan.revision no longer matches), in which case nothing is written.
+   */
+  async saveRecoveryGrant(plan, points, reason) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Recovery plans require PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const saved = await client.query(
+        `UPDATE trust_recovery_plans
+         SET status = $2, points_granted = $3, action_counts = $4, good_behavior_since = $5,
+             completed_at = $6, revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND revision = $7 AND status = 'active'
+         RETURNING *`,
+        [
+          plan.id,
+          plan.status,
+          plan.pointsGranted,
+          JSON.stringify(plan.actionCounts || {}),
+          plan.goodBehaviorSince,
+          plan.completedAt,
+          plan.revision
+        ]
+      );
+      if (saved.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      let scoreChange = null;
+      if (points > 0) {
+        const { oldScore, newScore } = await this.applyTrustScoreAdjustment(client, plan.userId, points, reason);
+        scoreChange = { oldScore, newScore };
+      }
+
+      await client.query('COMMIT');
+
+      if (this.redisClient && points > 0) {
+        await this.redisClient.del(`user:${plan.userId}`);
+      }
+
+      if (scoreChange) {
+        console.log(`🌱 Recovery: user ${plan.userId} ${scoreChange.oldScore} → ${scoreChange.newScore} (${reason})`);
+      }
+      if (saved.rows[0].status !== 'active') {
+        console.log(`🏁 Recovery plan ${plan.id} for user ${plan.userId} ${saved.rows[0].status}`);
+      }
+      return { plan: this.formatRecoveryPlan(saved.rows[0]), ...scoreChange };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in saveRecoveryGrant:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Active plans with the member's current score and latest violation, for the weekly job
+   */
+  async getActiveRecoveryPlans(limit = 1000) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Recovery plans require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT p.*, u.trust_score,
+              (SELECT MAX(v.created_at) FROM trust_violations v WHERE v.user_id = p.user_id) AS last_violation_at
+       FROM trust_recovery_plans p
+       JOIN users u ON u.id = p.user_id
+       WHERE p.status = 'active'
+       ORDER BY p.updated_at ASC
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows.map(row => ({
+      plan: this.formatRecoveryPlan(row),
+      trustScore: row.trust_score,
+      lastViolationAt: row.last_violation_at
+    }));
+  }
+
+  /**
+   * Members below a score with no active recovery plan
+   */
+  async getUsersWithoutRecoveryPlan(belowScore, limit = 1000) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Recovery plans require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT u.id, u.trust_score FROM users u
+       WHERE u.trust_score < $1
+         AND NOT EXISTS (SELECT 1 FROM trust_recovery_plans p WHERE p.user_id = u.id AND p.status = 'active')
+       ORDER BY u.id
+       LIMIT $2`,
+      [belowScore, limit]
+    );
+    return result.rows.map(row => ({ userId: String(row.id), trustScore: row.trust_score }));
+  }
+
+  /**
+   * Community flags - grouped per target, decided once per group by a moderator
+   */
+  formatFlagGroup(row) {
+    return {
+      id: row.id,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      ownerId: row.owner_id ? String(row.owner_id) : null,
+      status: row.status,
+      flagCount: row.flag_count,
+      weightedTotal: Number(row.weighted_total) || 0,
+      reasons: row.reasons || {},
+      decidedBy: row.decided_by ? String(row.decided_by) : null,
+      decisionNote: row.decision_note,
+      hiddenAt: row.hidden_at,
+      restoredAt: row.restored_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      decidedAt: row.decided_at
+    };
+  }
+
+  formatFlag(row) {
+    return {
+      id: row.id,
+      groupId: row.group_id,
+      flaggerId: String(row.flagger_id),
+      reason: row.reason,
+      details: row.details,
+      weight: Number(row.weight) || 0,
+      status: row.status,
+      settledAt: row.settled_at,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Owner of a flag target (post author, event creator, the profile itself); null for comments
+   */
+  async getFlagTargetOwner(client, targetType, targetId) {
+    const queries = {
+      post: 'SELECT author_id AS owner_id FROM posts WHERE id::text = $1',
+      event: 'SELECT creator_id AS owner_id FROM events WHERE id::text = $1',
+      profile: 'SELECT id AS owner_id FROM users WHERE id::text = $1'
+    };
+    if (!queries[targetType]) return null;
+
+    const result = await client.query(queries[targetType], [String(targetId)]);
+    if (result.rows.length === 0) {
+      throw new Error(`Flag target not found: ${targetType} ${targetId}`);
+    }
+    return result.rows[0].owner_id;
+  }
+
+  /**
+   * Add a flag to the target's open group, opening the group if needed
+   * @param {{ flaggerId: string, targetType: string, targetId: string, reason: string, details?: string|null,
+   *   weight?: number }} flag
+   */
+  async submitFlag({ flaggerId, targetType, targetId, reason, details = null, weight = 1 }) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Flags require PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const ownerId = await this.getFlagTargetOwner(client, targetType, targetId);
+      if (ownerId !== null && String(ownerId) === String(flaggerId)) {
+        throw new Error('You cannot flag your own content');
+      }
+
+      await client.query(
+        `INSERT INTO content_flag_groups (target_type, target_id, owner_id)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (target_type, target_id) WHERE status = 'open' DO NOTHING`,
+        [targetType, String(targetId), ownerId]
+      );
+      const group = await client.query(
+        "SELECT * FROM content_flag_groups WHERE target_type = $1 AND target_id = $2 AND status = 'open' FOR UPDATE",
+        [targetType, String(targetId)]
+      );
+      const groupId = group.rows[0].id;
+
+      const inserted = await client.query(
+        `INSERT INTO content_flags (group_id, flagger_id, reason, details, weight)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (group_id, flagger_id) DO NOTHING
+         RETURNING *`,
+        [groupId, flaggerId, reason, details, weight]
+      );
+      if (inserted.rows.length === 0) {
+        throw new Error('You have already flagged this');
+      }
+
+      const updated = await client.query(
+        `UPDATE content_flag_groups
+         SET flag_count = flag_count + 1, weighted_total = weighted_total + $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [groupId, weight]
+      );
+
+      await client.query('COMMIT');
+
+      console.log(`🚩 Flag ${inserted.rows[0].id}: user ${flaggerId} flagged ${targetType} ${targetId} (${reason}, weight ${weight}), ${updated.rows[0].flag_count} flags`);
+      return { flag: this.formatFlag(inserted.rows[0]), group: this.formatFlagGroup(updated.rows[0]) };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in submitFlag:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Flag groups by status, most flagged first, with a count per reason
+   * @param {{ status?: string|null, targetType?: string|null, limit?: number }} [filters]
+   */
+  async getFlagGroups({ status = null, targetType = null, limit = 100 } = {}) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Flags require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT g.*,
+              (SELECT jsonb_object_agg(reason, total)
+               FROM (SELECT reason, COUNT(*) AS total FROM content_flags WHERE group_id = g.id GROUP BY reason) r) AS reasons
+       FROM content_flag_groups g
+       WHERE ($1::varchar IS NULL OR g.status = $1)
+         AND ($2::varchar IS NULL OR g.target_type = $2)
+       ORDER BY g.flag_count DESC, g.created_at ASC
+       LIMIT $3`,
+      [status, targetType, limit]
+    );
+    return result.rows.map(row => this.formatFlagGroup(row));
+  }
+
+  async getFlagGroup(groupId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Flags require PostgreSQL');
+    }
+
+    const group = await this.pgPool.query('SELECT * FROM content_flag_groups WHERE id = $1', [groupId]);
+    if (group.rows.length === 0) return null;
+
+    const flags = await this.pgPool.query(
+      'SELECT * FROM content_flags WHERE group_id = $1 ORDER BY created_at ASC',
+      [groupId]
+    );
+    const reasons = {};
+    flags.rows.forEach(row => {
+      reasons[row.reason] = (reasons[row.reason] || 0) + 1;
+    });
+
+    return {
+      ...this.formatFlagGroup({ ...group.rows[0], reasons }),
+      flags: flags.rows.map(row => this.formatFlag(row))
+    };
+  }
+
+  /**
+   * Decide an open group: every flag in it takes the decision
+   * @param {number} groupId
+   * @param {string} moderatorId
+   * @param {string} decision
+   * @param {string|null} [note]
+   */
+  async decideFlagGroup(groupId, moderatorId, decision, note = null) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Flags require PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const group = await client.query('SELECT * FROM content_flag_groups WHERE id = $1 FOR UPDATE', [groupId]);
+      if (group.rows.length === 0) {
+        throw new Error(`Flag group not found: ${groupId}`);
+      }
+      if (group.rows[0].status !== 'open') {
+        throw new Error(`Flag group ${groupId} is already ${group.rows[0].status}`);
+      }
+
+      // Upheld content stays hidden (or is hidden now); rejecting a hidden group restores it
+      const decided = await client.query(
+        `UPDATE content_flag_groups
+         SET status = $1, decided_by = $2, decision_note = $3, decided_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+             hidden_at = CASE WHEN $1 = 'upheld' AND target_type <> 'profile' THEN COALESCE(hidden_at, CURRENT_TIMESTAMP) ELSE hidden_at END,
+             restored_at = CASE WHEN $1 = 'rejected' AND hidden_at IS NOT NULL THEN CURRENT_TIMESTAMP ELSE restored_at END
+         WHERE id = $4
+         RETURNING *`,
+        [decision, moderatorId, note, groupId]
+      );
+      const flags = await client.query(
+        'UPDATE content_flags SET status = $1 WHERE group_id = $2 RETURNING *',
+        [decision, groupId]
+      );
+
+      await client.query('COMMIT');
+
+      console.log(`⚖️ Flag group ${groupId} ${decision} by moderator ${moderatorId} (${flags.rows.length} flags)`);
+      return {
+        ...this.formatFlagGroup(decided.rows[0]),
+        flags: flags.rows.map(row => this.formatFlag(row)),
+        wasHidden: group.rows[0].hidden_at !== null
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in decideFlagGroup:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Mark a decided flag as settled without a penalty. Returns false if it already was.
+   */
+  async settleFlag(flagId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Flags require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      'UPDATE content_flags SET settled_at = CURRENT_TIMESTAMP WHERE id = $1 AND settled_at IS NULL',
+      [flagId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Hide an open group's content pending review. Returns null if it is already hidden.
+   */
+  async hideFlaggedContent(groupId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Flags require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `UPDATE content_flag_groups SET hidden_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'open' AND hidden_at IS NULL
+       RETURNING *`,
+      [groupId]
+    );
+    if (result.rows.length === 0) return null;
+
+    const row = result.rows[0];
+    console.log(`🙈 ${row.target_type} ${row.target_id} hidden pending review (flag group ${groupId}, weight ${row.weighted_total})`);
+    return this.formatFlagGroup(row);
+  }
+
+  /**
+   * Which of the given targets are hidden right now (pending review or upheld)
+   */
+  async getHiddenContentIds(targetType, targetIds) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Flags require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT DISTINCT target_id FROM content_flag_groups
+       WHERE target_type = $1 AND target_id = ANY($2::varchar[])
+         AND hidden_at IS NOT NULL AND restored_at IS NULL AND status <> 'rejected'`,
+      [targetType, targetIds.map(String)]
+    );
+    return result.rows.map(row => row.target_id);
+  }
+
+  /**
+   * A member's hidden content with the reasons it was flagged
+   */
+  async getHiddenContentForOwner(ownerId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Flags require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT g.*,
+              (SELECT jsonb_object_agg(reason, total)
+               FROM (SELECT reason, COUNT(*) AS total FROM content_flags WHERE group_id = g.id GROUP BY reason) r) AS reasons
+       FROM content_flag_groups g
+       WHERE g.owner_id = $1 AND g.hidden_at IS NOT NULL AND g.restored_at IS NULL AND g.status <> 'rejected'
+       ORDER BY g.hidden_at DESC`,
+      [ownerId]
+    );
+    return result.rows.map(row => this.formatFlagGroup(row));
+  }
+
+  /**
+   * In-app notifications
+   * @param {{ userId: string, type: string, title: string, body?: string|null, data?: object }} notification
+   */
+  async createNotification({ userId, type, title, body = null, data = {} }) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Notifications require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `INSERT INTO user_notifications (user_id, notification_type, title, body, data)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [userId, type, title, body, JSON.stringify(data)]
+    );
+    return this.formatNotification(result.rows[0]);
+  }
+
+  formatNotification(row) {
+    return {
+      id: row.id,
+      userId: String(row.user_id),
+      type: row.notification_type,
+      title: row.title,
+      body: row.body,
+      data: row.data || {},
+      readAt: row.read_at,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * @param {string} userId
+   * @param {{ unreadOnly?: boolean, limit?: number }} [options]
+   */
+  async getNotifications(userId, { unreadOnly = false, limit = 50 } = {}) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Notifications require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT * FROM user_notifications
+       WHERE user_id = $1 AND ($2::boolean = false OR read_at IS NULL)
+       ORDER BY created_at DESC
+       LIMIT $3`,
+      [userId, unreadOnly, limit]
+    );
+    return result.rows.map(row => this.formatNotification(row));
+  }
+
+  async markNotificationsRead(userId, notificationIds) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Notifications require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `UPDATE user_notifications SET read_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND id = ANY($2::integer[]) AND read_at IS NULL`,
+      [userId, notificationIds]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Penalty catalogue versions
+   */
+  formatPenaltyCatalogueVersion(row) {
+    return {
+      version: row.version,
+      catalogue: row.catalogue,
+      changes: row.changes || [],
+      changeNote: row.change_note,
+      createdBy: row.created_by ? String(row.created_by) : null,
+      createdAt: row.created_at
+    };
+  }
+
+  async getLatestPenaltyCatalogue() {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('The penalty catalogue requires PostgreSQL');
+    }
+
+    const cacheKey = 'penalty_catalogue:latest';
+    if (this.redisClient) {
+      const cached = await this.redisClient.get(cacheKey);
+      if (cached) {
+        return JSON.parse(cached);
+      }
+    }
+
+    const result = await this.pgPool.query('SELECT * FROM penalty_catalogue_versions ORDER BY version DESC LIMIT 1');
+    const latest = result.rows.length > 0 ? this.formatPenaltyCatalogueVersion(result.rows[0]) : null;
+
+    if (this.redisClient && latest) {
+      await this.redisClient.setex(cacheKey, 60, JSON.stringify(latest)); // 1 min cache
+    }
+    return latest;
+  }
+
+  async getPenaltyCatalogueVersion(version) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('The penalty catalogue requires PostgreSQL');
+    }
+
+    const result = await this.pgPool.query('SELECT * FROM penalty_catalogue_versions WHERE version = $1', [version]);
+    return result.rows.length > 0 ? this.formatPenaltyCatalogueVersion(result.rows[0]) : null;
+  }
+
+  /**
+   * Version history, newest first, without the catalogues themselves
+   */
+  async getPenaltyCatalogueHistory(limit = 50) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('The penalty catalogue requires PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT version, changes, change_note, created_by, created_at
+       FROM penalty_catalogue_versions
+       ORDER BY version DESC
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows.map(row => this.formatPenaltyCatalogueVersion(row));
+  }
+
+  /**
+   * Save a new version. expectedVersion is the version the edit was based on (null for the
+   * first one); returns null when someone else saved a newer version in the meantime.
+   * @param {{ catalogue: object, changes?: string[], changeNote?: string|null, createdBy?: string|null,
+   *   expectedVersion: number|null }} version
+   */
+  async savePenaltyCatalogueVersion({ catalogue, changes = [], changeNote = null, createdBy = null, expectedVersion }) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('The penalty catalogue requires PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+      // Serialise editors so two saves cannot both build on the same version
+      await client.query('LOCK TABLE penalty_catalogue_versions IN SHARE ROW EXCLUSIVE MODE');
+
+      const latest = await client.query('SELECT MAX(version) AS version FROM penalty_catalogue_versions');
+      const latestVersion = latest.rows[0].version;
+      if ((latestVersion ?? null) !== (expectedVersion ?? null)) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO penalty_catalogue_versions (catalogue, changes, change_note, created_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [JSON.stringify(catalogue), JSON.stringify(changes), changeNote, createdBy]
+      );
+
+      await client.query('COMMIT');
+
+      if (this.redisClient) {
+        await this.redisClient.del('penalty_catalogue:latest');
+      }
+
+      console.log(`📘 Penalty catalogue version ${inserted.rows[0].version} saved (${changes.length} changes)`);
+      return this.formatPenaltyCatalogueVersion(inserted.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in savePenaltyCatalogueVersion:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Event attendance - check-ins, host confirmation and no-shows
+   */
+  formatAttendanceEvent(row) {
+    return {
+      id: String(row.id),
+      creatorId: row.creator_id ? String(row.creator_id) : null,
+      title: row.title,
+      startDate: row.start_date,
+      endDate: row.end_date
+    };
+  }
+
+  async getAttendanceEvent(eventId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Event attendance requires PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      'SELECT id, creator_id, title, start_date, end_date FROM events WHERE id = $1',
+      [eventId]
+    );
+    return result.rows.length > 0 ? this.formatAttendanceEvent(result.rows[0]) : null;
+  }
+
+  /**
+   * RSVPs with their check-in, if any
+   */
+  async getEventRoster(eventId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Event attendance requires PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT a.user_id, a.status, a.rsvp_date, u.name, u.avatar_url,
+              c.method, c.checked_in_at, c.checked_in_by,
+              (n.user_id IS NOT NULL) AS no_show
+       FROM event_attendees a
+       JOIN users u ON u.id = a.user_id
+       LEFT JOIN event_check_ins c ON c.event_id = a.event_id AND c.user_id = a.user_id
+       LEFT JOIN event_no_shows n ON n.event_id = a.event_id AND n.user_id = a.user_id
+       WHERE a.event_id = $1
+       ORDER BY u.name ASC`,
+      [eventId]
+    );
+    return result.rows.map(row => ({
+      userId: String(row.user_id),
+      name: row.name,
+      avatarUrl: row.avatar_url,
+      rsvpStatus: row.status,
+      rsvpDate: row.rsvp_date,
+      checkedIn: row.checked_in_at !== null,
+      checkInMethod: row.method,
+      checkedInAt: row.checked_in_at,
+      checkedInBy: row.checked_in_by ? String(row.checked_in_by) : null,
+      noShow: row.no_show
+    }));
+  }
+
+  /**
+   * Check in an attendee with an `attending` RSVP. Returns { created: false } when they
+   * were already checked in.
+   * @param {string | null} [checkedInBy]
+   */
+  async checkInAttendee(eventId, userId, method, checkedInBy = null) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Event attendance requires PostgreSQL');
+    }
+
+    const rsvp = await this.pgPool.query(
+      "SELECT 1 FROM event_attendees WHERE event_id = $1 AND user_id = $2 AND status = 'attending'",
+      [eventId, userId]
+    );
+    if (rsvp.rows.length === 0) {
+      throw new Error(`User ${userId} has no attending RSVP for event ${eventId}`);
+    }
+
+    const inserted = await this.pgPool.query(
+      `INSERT INTO event_check_ins (event_id, user_id, method, checked_in_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (event_id, user_id) DO NOTHING
+       RETURNING *`,
+      [eventId, userId, method, checkedInBy]
+    );
+    if (inserted.rows.length === 0) {
+      const existing = await this.pgPool.query(
+        'SELECT * FROM event_check_ins WHERE event_id = $1 AND user_id = $2',
+        [eventId, userId]
+      );
+      return { created: false, checkedInAt: existing.rows[0].checked_in_at, method: existing.rows[0].method };
+    }
+
+    console.log(`✅ Check-in: user ${userId} at event ${eventId} (${method})`);
+    return { created: true, checkedInAt: inserted.rows[0].checked_in_at, method };
+  }
+
+  async getAttendanceReview(eventId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Event attendance requires PostgreSQL');
+    }
+
+    const result = await this.pgPool.query('SELECT * FROM event_attendance_reviews WHERE event_id = $1', [eventId]);
+    if (result.rows.length === 0) return null;
+    const row = result.rows[0];
+    return {
+      eventId: String(row.event_id),
+      confirmedBy: row.confirmed_by ? String(row.confirmed_by) : null,
+      attendedCount: row.attended_count,
+      noShowCount: row.no_show_count,
+      finalizedAt: row.finalized_at
+    };
+  }
+
+  /**
+   * Events whose end plus the confirmation window has passed and that are not finalized
+   * @param {{ defaultDurationHours: number, windowHours: number, limit?: number }} options
+   */
+  async getEventsAwaitingAttendanceReview({ defaultDurationHours, windowHours, limit = 200 }) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Event attendance requires PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT e.id, e.creator_id, e.title, e.start_date, e.end_date
+       FROM events e
+       WHERE COALESCE(e.end_date, e.start_date + make_interval(hours => $1::int)) + make_interval(hours => $2::int) <= CURRENT_TIMESTAMP
+         AND NOT EXISTS (SELECT 1 FROM event_attendance_reviews r WHERE r.event_id = e.id)
+       ORDER BY e.start_date ASC
+       LIMIT $3`,
+      [defaultDurationHours, windowHours, limit]
+    );
+    return result.rows.map(row => this.formatAttendanceEvent(row));
+  }
+
+  /**
+   * Make attendance final: every attending RSVP without a check-in becomes a no-show.
+   * Returns null when the event was already finalized.
+   * @param {string | null} [confirmedBy]
+   */
+  async finalizeEventAttendance(eventId, confirmedBy = null) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Event attendance requires PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const claimed = await client.query(
+        `INSERT INTO event_attendance_reviews (event_id, confirmed_by)
+         VALUES ($1, $2)
+         ON CONFLICT (event_id) DO NOTHING
+         RETURNING event_id`,
+        [eventId, confirmedBy]
+      );
+      if (claimed.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const noShows = await client.query(
+        `INSERT INTO event_no_shows (event_id, user_id)
+         SELECT a.event_id, a.user_id FROM event_attendees a
+         WHERE a.event_id = $1 AND a.status = 'attending'
+           AND NOT EXISTS (SELECT 1 FROM event_check_ins c WHERE c.event_id = a.event_id AND c.user_id = a.user_id)
+         RETURNING user_id`,
+        [eventId]
+      );
+      const attended = await client.query('SELECT COUNT(*) AS total FROM event_check_ins WHERE event_id = $1', [eventId]);
+
+      await client.query(
+        'UPDATE event_attendance_reviews SET attended_count = $2, no_show_count = $3 WHERE event_id = $1',
+        [eventId, Number(attended.rows[0].total), noShows.rows.length]
+      );
+
+      await client.query('COMMIT');
+
+      console.log(`📋 Attendance finalized for event ${eventId}: ${attended.rows[0].total} attended, ${noShows.rows.length} no-shows`);
+      return {
+        eventId: String(eventId),
+        attendedCount: Number(attended.rows[0].total),
+        noShowUserIds: noShows.rows.map(row => String(row.user_id))
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in finalizeEventAttendance:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getPendingNoShows(limit = 500) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Event attendance requires PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT n.event_id, n.user_id, e.title
+       FROM event_no_shows n
+       JOIN events e ON e.id = n.event_id
+       WHERE n.processed_at IS NULL
+       ORDER BY n.created_at ASC
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows.map(row => ({ eventId: String(row.event_id), userId: String(row.user_id), title: row.title }));
+  }
+
+  /**
+   * Moderation analytics - aggregates over a date range (from inclusive, to exclusive)
+   */
+  async getViolationBreakdown(from, to) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Moderation analytics require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT violation_type, category, severity, SUM(actual_penalty) AS points, COUNT(*) AS total
+       FROM trust_violations
+       WHERE created_at >= $1 AND created_at < $2
+       GROUP BY violation_type, category, severity`,
+      [from, to]
+    );
+    return result.rows.map(row => ({
+      violationType: row.violation_type,
+      category: row.category,
+      severity: row.severity,
+      points: Number(row.points),
+      count: Number(row.total)
+    }));
+  }
+
+  /**
+   * Appeals decided in the range, by outcome
+   */
+  async getAppealOutcomes(from, to) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Moderation analytics require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE status = 'upheld') AS upheld,
+         COUNT(*) FILTER (WHERE status = 'overturned') AS overturned,
+         COALESCE(SUM(points_restored), 0) AS points_restored
+       FROM trust_violation_appeals
+       WHERE resolved_at >= $1 AND resolved_at < $2`,
+      [from, to]
+    );
+    const row = result.rows[0];
+    return {
+      upheld: Number(row.upheld),
+      overturned: Number(row.overturned),
+      pointsRestored: Number(row.points_restored)
+    };
+  }
+
+  /**
+   * Median and 90th percentile hours from opening to resolution for cases, appeals and
+   * flag groups resolved in the range
+   */
+  async getResolutionTimes(from, to) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Moderation analytics require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `WITH durations AS (
+         SELECT 'cases' AS kind, EXTRACT(EPOCH FROM (resolved_at - created_at)) / 3600 AS hours
+         FROM moderation_cases WHERE resolved_at >= $1 AND resolved_at < $2
+         UNION ALL
+         SELECT 'appeals', EXTRACT(EPOCH FROM (resolved_at - created_at)) / 3600
+         FROM trust_violation_appeals WHERE resolved_at >= $1 AND resolved_at < $2
+         UNION ALL
+         SELECT 'flags', EXTRACT(EPOCH FROM (decided_at - created_at)) / 3600
+         FROM content_flag_groups WHERE decided_at >= $1 AND decided_at < $2
+       )
+       SELECT kind, COUNT(*) AS total,
+              percentile_cont(0.5) WITHIN GROUP (ORDER BY hours) AS median_hours,
+              percentile_cont(0.9) WITHIN GROUP (ORDER BY hours) AS p90_hours
+       FROM durations
+       GROUP BY kind`,
+      [from, to]
+    );
+
+    const times = {};
+    for (const kind of ['cases', 'appeals', 'flags']) {
+      const row = result.rows.find(candidate => candidate.kind === kind);
+      times[kind] = {
+        resolved: row ? Number(row.total) : 0,
+        medianHours: row ? Math.round(Number(row.median_hours) * 10) / 10 : null,
+        p90Hours: row ? Math.round(Number(row.p90_hours) * 10) / 10 : null
+      };
+    }
+    return times;
+  }
+
+  /**
+   * Members whose content drew the most flags in the range, and the most-flagged targets
+   */
+  async getMostFlagged(from, to, limit = 10) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Moderation analytics require PostgreSQL');
+    }
+
+    const users = await this.pgPool.query(
+      `SELECT g.owner_id, u.name, u.trust_score,
+              COUNT(f.id) AS flags, COUNT(DISTINCT g.id) AS targets,
+              COUNT(DISTINCT g.id) FILTER (WHERE g.status = 'upheld') AS upheld
+       FROM content_flags f
+       JOIN content_flag_groups g ON g.id = f.group_id
+       JOIN users u ON u.id = g.owner_id
+       WHERE f.created_at >= $1 AND f.created_at < $2
+       GROUP BY g.owner_id, u.name, u.trust_score
+       ORDER BY flags DESC, targets DESC
+       LIMIT $3`,
+      [from, to, limit]
+    );
+
+    const content = await this.pgPool.query(
+      `SELECT g.id, g.target_type, g.target_id, g.owner_id, g.status, g.hidden_at,
+              COUNT(f.id) AS flags, SUM(f.weight) AS weight
+       FROM content_flags f
+       JOIN content_flag_groups g ON g.id = f.group_id
+       WHERE f.created_at >= $1 AND f.created_at < $2
+       GROUP BY g.id
+       ORDER BY flags DESC, weight DESC
+       LIMIT $3`,
+      [from, to, limit]
+    );
+
+    return {
+      users: users.rows.map(row => ({
+        userId: String(row.owner_id),
+        name: row.name,
+        trustScore: row.trust_score,
+        flags: Number(row.flags),
+        targets: Number(row.targets),
+        upheldTargets: Number(row.upheld)
+      })),
+      content: content.rows.map(row => ({
+        flagGroupId: row.id,
+        targetType: row.target_type,
+        targetId: row.target_id,
+        ownerId: row.owner_id ? String(row.owner_id) : null,
+        status: row.status,
+        hidden: row.hidden_at !== null,
+        flags: Number(row.flags),
+        weightedTotal: Number(row.weight)
+      }))
+    };
+  }
+
+  /**
+   * Members counted by (score at the start of the range, score at the end). A score at a
+   * point in time is the last history entry before it, else the first entry's old score
+   * after it, else the current score.
+   */
+  async getScoreTransitions(from, to) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Moderation analytics require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `WITH scores AS (
+         SELECT
+           COALESCE(
+             (SELECT h.new_score FROM trust_score_history h WHERE h.user_id = u.id AND h.created_at < $1 ORDER BY h.created_at DESC, h.id DESC LIMIT 1),
+             (SELECT h.old_score FROM trust_score_history h WHERE h.user_id = u.id AND h.created_at >= $1 ORDER BY h.created_at ASC, h.id ASC LIMIT 1),
+             u.trust_score
+           ) AS start_score,
+           COALESCE(
+             (SELECT h.new_score FROM trust_score_history h WHERE h.user_id = u.id AND h.created_at < $2 ORDER BY h.created_at DESC, h.id DESC LIMIT 1),
+             (SELECT h.old_score FROM trust_score_history h WHERE h.user_id = u.id AND h.created_at >= $2 ORDER BY h.created_at ASC, h.id ASC LIMIT 1),
+             u.trust_score
+           ) AS end_score
+         FROM users u
+         WHERE u.created_at < $2
+       )
+       SELECT start_score, end_score, COUNT(*) AS total
+       FROM scores
+       WHERE start_score IS NOT NULL AND end_score IS NOT NULL
+       GROUP BY start_score, end_score`,
+      [from, to]
+    );
+    return result.rows.map(row => ({
+      startScore: Number(row.start_score),
+      endScore: Number(row.end_score),
+      count: Number(row.total)
+    }));
+  }
+
+  /**
+   * Streaks - one row per period with qualifying activity
+   */
+  async getStreakTimezone(userId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Streaks require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query('SELECT timezone FROM user_streak_settings WHERE user_id = $1', [userId]);
+    return result.rows.length > 0 ? result.rows[0].timezone : null;
+  }
+
+  async setStreakTimezone(userId, timezone) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Streaks require PostgreSQL');
+    }
+
+    await this.pgPool.query(
+      `INSERT INTO user_streak_settings (user_id, timezone)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id) DO UPDATE SET timezone = $2, updated_at = CURRENT_TIMESTAMP`,
+      [userId, timezone]
+    );
+    await this.invalidateStreakCache(userId);
+  }
+
+  /**
+   * Record activity for a period. Returns false when the period was already recorded.
+   * @param {Date} [occurredAt]
+   */
+  async recordStreakPeriod(userId, streakType, periodKey, occurredAt = new Date()) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Streaks require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `INSERT INTO user_streak_periods (user_id, streak_type, period_key, first_activity_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id, streak_type, period_key) DO NOTHING
+       RETURNING period_key`,
+      [userId, streakType, periodKey, occurredAt]
+    );
+    if (result.rows.length > 0) {
+      await this.invalidateStreakCache(userId);
+    }
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Period keys by streak type
+   */
+  async getStreakPeriods(userId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Streaks require PostgreSQL');
+    }
+
+    const cacheKey = `streak_periods:${userId}`;
+    if (this.redisClient) {
+      const cached = await this.redisClient.get(cacheKey);
+      if (cached) return JSON.parse(cached);
+    }
+
+    const result = await this.pgPool.query(
+      'SELECT streak_type, period_key FROM user_streak_periods WHERE user_id = $1 ORDER BY period_key ASC',
+      [userId]
+    );
+    const periods = {};
+    for (const row of result.rows) {
+      (periods[row.streak_type] = periods[row.streak_type] || []).push(row.period_key);
+    }
+
+    if (this.redisClient) {
+      await this.redisClient.setex(cacheKey, 60, JSON.stringify(periods));
+    }
+    return periods;
+  }
+
+  async invalidateStreakCache(userId) {
+    if (this.redisClient) {
+      await this.redisClient.del(`streak_periods:${userId}`);
+    }
+  }
+
+  /**
+   * Achievements
+   */
+  async getUserAchievements(userId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Achievements require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      'SELECT achievement_id, points, earned_at FROM user_achievements WHERE user_id = $1 ORDER BY earned_at ASC',
+      [userId]
+    );
+    return result.rows.map(row => ({ id: row.achievement_id, points: row.points, earnedAt: row.earned_at }));
+  }
+
+  /**
+   * Award a badge and add its points to the trust score as an adjustment. Returns null
+   * when the member already has it.
+   */
+  async awardAchievement(userId, achievementId, points) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Achievements require PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const awarded = await client.query(
+        `INSERT INTO user_achievements (user_id, achievement_id, points)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, achievement_id) DO NOTHING
+         RETURNING earned_at`,
+        [userId, achievementId, points]
+      );
+      if (awarded.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const { oldScore, newScore } = await this.applyTrustScoreAdjustment(client, userId, points, `achievement: ${achievementId}`);
+
+      await client.query('COMMIT');
+
+      if (this.redisClient && newScore !== oldScore) {
+        await this.redisClient.del(`user:${userId}`);
+      }
+
+      console.log(`🏅 Achievement: user ${userId} earned ${achievementId} (${oldScore} → ${newScore})`);
+      return { id: achievementId, points, earnedAt: awarded.rows[0].earned_at, oldScore, newScore };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in awardAchievement:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Trust score at a percentile (0-1) across all members
+   */
+  async getTrustScorePercentile(percentile) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Achievements require PostgreSQL');
+    }
+
+    const cacheKey = `trust_score_percentile:${percentile}`;
+    if (this.redisClient) {
+      const cached = await this.redisClient.get(cacheKey);
+      if (cached) return JSON.parse(cached);
+    }
+
+    const result = await this.pgPool.query(
+      'SELECT percentile_cont($1) WITHIN GROUP (ORDER BY trust_score) AS score FROM users WHERE trust_score IS NOT NULL',
+      [percentile]
+    );
+    const score = result.rows[0].score === null ? null : Number(result.rows[0].score);
+
+    if (this.redisClient) {
+      await this.redisClient.setex(cacheKey, 60, JSON.stringify(score));
+    }
+    return score;
+  }
+
+  /**
+   * Lowest trust score a member has had since a date, including the score they had then
+   */
+  async getLowestTrustScoreSince(userId, since) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Achievements require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT LEAST(
+         u.trust_score,
+         (SELECT MIN(h.new_score) FROM trust_score_history h WHERE h.user_id = u.id AND h.created_at >= $2),
+         COALESCE(
+           (SELECT h.new_score FROM trust_score_history h WHERE h.user_id = u.id AND h.created_at < $2 ORDER BY h.created_at DESC, h.id DESC LIMIT 1),
+           (SELECT h.old_score FROM trust_score_history h WHERE h.user_id = u.id AND h.created_at >= $2 ORDER BY h.created_at ASC, h.id ASC LIMIT 1)
+         )
+       ) AS lowest
+       FROM users u
+       WHERE u.id = $1`,
+      [userId, since]
+    );
+    return result.rows.length > 0 && result.rows[0].lowest !== null ? Number(result.rows[0].lowest) : null;
+  }
+
+  /**
+   * Member ids in id order, for jobs that walk every member
+   */
+  async getUserIdsAfter(afterId = 0, limit = 500) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('getUserIdsAfter requires PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      'SELECT id FROM users WHERE id > $1 ORDER BY id ASC LIMIT $2',
+      [afterId, limit]
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Seasonal challenges
+   */
+  formatChallenge(row) {
+    return {
+      id: row.id,
+      slug: row.slug,
+      title: row.title,
+      description: row.description,
+      targets: row.targets || {},
+      rewards: row.rewards || {},
+      startsAt: row.starts_at,
+      endsAt: row.ends_at,
+      status: row.status,
+      createdBy: row.created_by ? String(row.created_by) : null,
+      createdAt: row.created_at,
+      closedAt: row.closed_at
+    };
+  }
+
+  formatChallengeEnrollment(row) {
+    return {
+      challengeId: row.challenge_id,
+      userId: String(row.user_id),
+      status: row.status,
+      progress: row.progress || {},
+      activeDays: row.active_days || [],
+      enrolledAt: row.enrolled_at,
+      completedAt: row.completed_at,
+      multiplierEndsAt: row.multiplier_ends_at,
+      revision: row.revision
+    };
+  }
+
+  /**
+   * @param {{ slug: string, title: string, description: string, targets: object, rewards: object, startsAt: string | Date, endsAt: string | Date }} challenge
+   * @param {string | null} [createdBy]
+   */
+  async createChallenge({ slug, title, description, targets, rewards, startsAt, endsAt }, createdBy = null) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Challenges require PostgreSQL');
+    }
+
+    try {
+      const result = await this.pgPool.query(
+        `INSERT INTO trust_challenges (slug, title, description, targets, rewards, starts_at, ends_at, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [slug, title, description, JSON.stringify(targets), JSON.stringify(rewards), startsAt, endsAt, createdBy]
+      );
+      console.log(`🏁 Challenge created: ${slug}`);
+      return this.formatChallenge(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(`A challenge with slug ${slug} already exists`);
+      }
+      console.error('❌ Database error in createChallenge:', error);
+      throw error;
+    }
+  }
+
+  async getChallenge(challengeId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Challenges require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query('SELECT * FROM trust_challenges WHERE id = $1', [challengeId]);
+    return result.rows.length > 0 ? this.formatChallenge(result.rows[0]) : null;
+  }
+
+  /**
+   * @param {{ status?: string, limit?: number }} [options]
+   */
+  async getChallenges({ status, limit = 100 } = {}) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Challenges require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT * FROM trust_challenges
+       WHERE ($1::text IS NULL OR status = $1)
+       ORDER BY starts_at DESC
+       LIMIT $2`,
+      [status || null, limit]
+    );
+    return result.rows.map(row => this.formatChallenge(row));
+  }
+
+  async enrollInChallenge(challengeId, userId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Challenges require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `INSERT INTO trust_challenge_enrollments (challenge_id, user_id)
+       VALUES ($1, $2)
+       ON CONFLICT (challenge_id, user_id) DO NOTHING
+       RETURNING *`,
+      [challengeId, userId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error(`User ${userId} has already joined challenge ${challengeId}`);
+    }
+    return this.formatChallengeEnrollment(result.rows[0]);
+  }
+
+  /**
+   * A member's enrollments with their challenges, newest first
+   * @param {{ status?: string }} [options]
+   */
+  async getChallengeEnrollments(userId, { status } = {}) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Challenges require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT e.*, row_to_json(c.*) AS challenge
+       FROM trust_challenge_enrollments e
+       JOIN trust_challenges c ON c.id = e.challenge_id
+       WHERE e.user_id = $1 AND ($2::text IS NULL OR e.status = $2)
+       ORDER BY e.enrolled_at DESC`,
+      [userId, status || null]
+    );
+    return result.rows.map(row => ({
+      enrollment: this.formatChallengeEnrollment(row),
+      challenge: this.formatChallenge(row.challenge)
+    }));
+  }
+
+  /**
+   * Save progress if nobody else has since it was read. A completed enrollment also adds
+   * the challenge points to the trust score as an adjustment. Returns null when it lost the race.
+   * @param {string | null} [reason]
+   */
+  async saveChallengeProgress(enrollment, points = 0, reason = null) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Challenges require PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const saved = await client.query(
+        `UPDATE trust_challenge_enrollments
+         SET status = $3, progress = $4, active_days = $5, completed_at = $6, multiplier_ends_at = $7,
+             revision = revision + 1
+         WHERE challenge_id = $1 AND user_id = $2 AND revision = $8 AND status = 'active'
+         RETURNING *`,
+        [
+          enrollment.challengeId,
+          enrollment.userId,
+          enrollment.status,
+          JSON.stringify(enrollment.progress || {}),
+          JSON.stringify(enrollment.activeDays || []),
+          enrollment.completedAt,
+          enrollment.multiplierEndsAt,
+          enrollment.revision
+        ]
+      );
+      if (saved.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      let scoreChange = null;
+      if (enrollment.status === 'completed' && points > 0) {
+        const { oldScore, newScore } = await this.applyTrustScoreAdjustment(client, enrollment.userId, points, reason);
+        scoreChange = { oldScore, newScore };
+      }
+
+      await client.query('COMMIT');
+
+      if (this.redisClient && scoreChange && scoreChange.newScore !== scoreChange.oldScore) {
+        await this.redisClient.del(`user:${enrollment.userId}`);
+      }
+      if (scoreChange) {
+        console.log(`🏁 Challenge ${enrollment.challengeId} completed by user ${enrollment.userId} (${scoreChange.oldScore} → ${scoreChange.newScore})`);
+      }
+
+      return { enrollment: this.formatChallengeEnrollment(saved.rows[0]), ...scoreChange };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in saveChallengeProgress:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Highest multiplier from challenges completed within their multiplier window
+   */
+  async getActiveChallengeMultiplier(userId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Challenges require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT MAX((c.rewards->>'multiplier')::numeric) AS multiplier
+       FROM trust_challenge_enrollments e
+       JOIN trust_challenges c ON c.id = e.challenge_id
+       WHERE e.user_id = $1 AND e.status = 'completed' AND e.multiplier_ends_at > CURRENT_TIMESTAMP`,
+      [userId]
+    );
+    return result.rows[0].multiplier === null ? 1 : Number(result.rows[0].multiplier);
+  }
+
+  /**
+   * Close open challenges past their end date and expire their unfinished enrollments
+   */
+  async closeExpiredChallenges() {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Challenges require PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const closed = await client.query(
+        `UPDATE trust_challenges SET status = 'closed', closed_at = CURRENT_TIMESTAMP
+         WHERE status = 'open' AND ends_at <= CURRENT_TIMESTAMP
+         RETURNING *`
+      );
+      const ids = closed.rows.map(row => row.id);
+      const expired = ids.length > 0
+        ? await client.query(
+          `UPDATE trust_challenge_enrollments SET status = 'expired', revision = revision + 1
+           WHERE challenge_id = ANY($1) AND status = 'active'
+           RETURNING challenge_id, user_id`,
+          [ids]
+        )
+        : { rows: [] };
+
+      await client.query('COMMIT');
+
+      return {
+        challenges: closed.rows.map(row => this.formatChallenge(row)),
+        expired: expired.rows.map(row => ({ challengeId: row.challenge_id, userId: String(row.user_id) }))
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in closeExpiredChallenges:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Leaderboards - trust gained per window, stored as snapshots
+   */
+  async getLeaderboardOptOut(userId) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Leaderboards require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query('SELECT opted_out FROM user_leaderboard_settings WHERE user_id = $1', [userId]);
+    return result.rows.length > 0 && result.rows[0].opted_out;
+  }
+
+  /**
+   * Opting in or out drops the stored snapshots so no board keeps a stale entry
+   */
+  async setLeaderboardOptOut(userId, optedOut) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Leaderboards require PostgreSQL');
+    }
+
+    await this.pgPool.query(
+      `INSERT INTO user_leaderboard_settings (user_id, opted_out)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id) DO UPDATE SET opted_out = $2, updated_at = CURRENT_TIMESTAMP`,
+      [userId, optedOut]
+    );
+    await this.pgPool.query('DELETE FROM leaderboard_snapshots');
+    console.log(`🏆 Leaderboards: user ${userId} opted ${optedOut ? 'out' : 'in'}`);
+  }
+
+  /**
+   * Net trust gained per member between two dates, excluding members who opted out.
+   * Only activity counts: adjustments (penalties, refunds, recovery grants, rewards) are
+   * left out. Ties are ordered like rankLeaderboard so the LIMIT keeps the same members.
+   * @param {Date} start
+   * @param {Date} end
+   * @param {{ city?: string | null, friendsOf?: string | null, limit?: number }} [options]
+   */
+  async getLeaderboardGains(start, end, { city = null, friendsOf = null, limit = 200 } = {}) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Leaderboards require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT u.id, u.name, u.avatar_url, u.location, u.trust_score,
+              SUM(h.new_score - COALESCE(h.old_score, h.new_score)) AS gained
+       FROM trust_score_history h
+       JOIN users u ON u.id = h.user_id
+       LEFT JOIN user_leaderboard_settings s ON s.user_id = u.id
+       WHERE h.created_at >= $1 AND h.created_at < $2
+         AND h.adjustment_points IS NULL
+         AND COALESCE(s.opted_out, false) = false
+         AND ($3::text IS NULL OR LOWER(TRIM(split_part(u.location, ',', 1))) = $3)
+         AND ($4::int IS NULL OR u.id = $4 OR u.id IN (
+           SELECT CASE WHEN f.user_id_1 = $4 THEN f.user_id_2 ELSE f.user_id_1 END
+           FROM friendships f
+           WHERE (f.user_id_1 = $4 OR f.user_id_2 = $4) AND f.status = 'accepted'
+         ))
+       GROUP BY u.id, u.name, u.avatar_url, u.location, u.trust_score
+       HAVING SUM(h.new_score - COALESCE(h.old_score, h.new_score)) > 0
+       ORDER BY gained DESC, u.trust_score DESC, u.id ASC
+       LIMIT $5`,
+      [start, end, city, friendsOf, limit]
+    );
+    return result.rows.map(row => ({
+      userId: String(row.id),
+      name: row.name,
+      avatar: row.avatar_url,
+      location: row.location,
+      trustScore: row.trust_score,
+      gained: Number(row.gained)
+    }));
+  }
+
+  async getLeaderboardSnapshot(period, windowKey, scope) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Leaderboards require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      'SELECT entries, computed_at FROM leaderboard_snapshots WHERE period = $1 AND window_key = $2 AND scope = $3',
+      [period, windowKey, scope]
+    );
+    if (result.rows.length === 0) return null;
+    return { entries: result.rows[0].entries || [], computedAt: result.rows[0].computed_at };
+  }
+
+  async saveLeaderboardSnapshot(period, windowKey, scope, entries) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Leaderboards require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `INSERT INTO leaderboard_snapshots (period, window_key, scope, entries)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (period, window_key, scope)
+       DO UPDATE SET entries = $4, computed_at = CURRENT_TIMESTAMP
+       RETURNING computed_at`,
+      [period, windowKey, scope, JSON.stringify(entries)]
+    );
+    return { entries, computedAt: result.rows[0].computed_at };
+  }
+
+  /**
+   * Grant an incentive and add its points to the trust score as an adjustment. Returns
+   * null when the member already holds it; a reversed entry is granted again.
+   */
+  async grantIncentive(userId, action, subject, points) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Incentives require PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const granted = await client.query(
+        `INSERT INTO incentive_ledger (user_id, action, subject, points)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, action, subject) DO UPDATE
+         SET status = 'granted', points = $4, granted_at = CURRENT_TIMESTAMP, reversed_at = NULL, reversal_reason = NULL
+         WHERE incentive_ledger.status = 'reversed'
+         RETURNING granted_at`,
+        [userId, action, subject, points]
+      );
+      if (granted.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const { oldScore, newScore } = await this.applyTrustScoreAdjustment(
+        client,
+        userId,
+        points,
+        `incentive: ${action}${subject ? ` ${subject}` : ''}`
+      );
+
+      await client.query('COMMIT');
+
+      if (this.redisClient && newScore !== oldScore) {
+        await this.redisClient.del(`user:${userId}`);
+      }
+
+      console.log(`🎯 Incentive: user ${userId} granted ${action}${subject ? ` (${subject})` : ''} (${oldScore} → ${newScore})`);
+      return { action, subject, points, grantedAt: granted.rows[0].granted_at, oldScore, newScore };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in grantIncentive:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Claw back a granted incentive with an adjustment of minus its points. Returns null
+   * when there is nothing granted to reverse.
+   */
+  async reverseIncentive(userId, action, subject, reason) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Incentives require PostgreSQL');
+    }
+
+    const client = await this.pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const reversed = await client.query(
+        `UPDATE incentive_ledger
+         SET status = 'reversed', reversed_at = CURRENT_TIMESTAMP, reversal_reason = $4
+         WHERE user_id = $1 AND action = $2 AND subject = $3 AND status = 'granted'
+         RETURNING points`,
+        [userId, action, subject, reason]
+      );
+      if (reversed.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const points = reversed.rows[0].points;
+      const { oldScore, newScore } = await this.applyTrustScoreAdjustment(
+        client,
+        userId,
+        -points,
+        `incentive reversed: ${action}${subject ? ` ${subject}` : ''}`
+      );
+
+      await client.query('COMMIT');
+
+      if (this.redisClient && newScore !== oldScore) {
+        await this.redisClient.del(`user:${userId}`);
+      }
+
+      console.log(`↩️ Incentive: user ${userId} lost ${action}${subject ? ` (${subject})` : ''} (${oldScore} → ${newScore})`);
+      return { action, subject, points, reason, oldScore, newScore };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database error in reverseIncentive:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * @param {string} userId
+   * @param {{ status?: string|null }} [options]
+   */
+  async getIncentiveLedger(userId, { status = null } = {}) {
+    await this.initialize();
+
+    if (this.fallbackToFile) {
+      throw new Error('Incentives require PostgreSQL');
+    }
+
+    const result = await this.pgPool.query(
+      `SELECT action, subject, points, status, granted_at, reversed_at, reversal_reason
+       FROM incentive_ledger
+       WHERE user_id = $1 AND ($2::text IS NULL OR status = $2)
+       ORDER BY granted_at DESC`,
+      [userId, status]
+    );
+    return result.rows.map(row => ({
+      action: row.action,
+      subject: row.subject,
+      points: row.points,
+      status: row.status,
+      grantedAt: row.granted_at,
+      reversedAt: row.reversed_at,
+      reversalReason: row.reversal_reason
+    }));
+  }
+
   /**
    * Backup and recovery operations
    */
@@ -574,7 +3916,13 @@ class PersistentDataManager {
         users: await this.pgPool.query('SELECT * FROM users'),
         friendships: await this.pgPool.query('SELECT * FROM friendships'),
         posts: await this.pgPool.query('SELECT * FROM posts'),
-        events: await this.pgPool.query('SELECT * FROM events')
+        events: await this.pgPool.query('SELECT * FROM events'),
+        eventAttendees: await this.pgPool.query('SELECT * FROM event_attendees'),
+        connectedAccounts: await this.pgPool.query('SELECT user_id, platform, is_verified, connected_at FROM connected_accounts'),
+        trustActivityState: await this.pgPool.query('SELECT * FROM trust_activity_state'),
+        reviewRatings: await this.pgPool.query(
+          "SELECT user_id, subject_id, payload, occurred_at FROM trust_activity_events WHERE event_type = 'review_received'"
+        )
       };
 
       const backupFile = path.join(
@@ -711,6 +4059,23 @@ TABLES CREATED:
 - posts (reviews and content)
 - events (event data and attendees)
 - trust_score_history (score tracking)
+- trust_score_adjustments (penalties, refunds and rewards on top of the activity score)
+- trust_activity_events / trust_activity_state (activity log)
+- trust_benefit_history (benefits gained and lost)
+- trust_violations / trust_violation_appeals (penalty ledger and appeals)
+- moderation_cases / moderation_case_events (moderator queue and audit trail)
+- trust_sanctions (timed suspensions and monitoring)
+- trust_recovery_plans (recovery progress for restricted members)
+- content_flag_groups / content_flags (community flags grouped per target)
+- user_notifications (in-app notifications)
+- penalty_catalogue_versions (editable penalties and restriction tiers)
+- event_check_ins / event_attendance_reviews / event_no_shows (attendance and no-shows)
+- user_streak_periods / user_streak_settings (login, event and content streaks)
+- user_achievements (earned badges)
+- trust_challenges / trust_challenge_enrollments (seasonal challenges)
+- user_leaderboard_settings / leaderboard_snapshots (trust leaderboards)
+- incentive_ledger (one-time incentive rewards and clawbacks)
+- user_roles (moderator and admin access)
 - user_sessions (authentication)
 - connected_accounts (social platforms)
 
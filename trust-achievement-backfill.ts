@@ -0,0 +1,37 @@
+/**
+ * 🏅 TRUST ACHIEVEMENT BACKFILL
+ *
+ * Checks every existing member against the achievement rules and awards the badges they
+ * already qualify for (with their points). New activity is checked as it happens; this is
+ * for members who earned badges before the engine existed or after a rule change.
+ * Backfilled badges are not notified unless --notify is passed.
+ *
+ * Usage:
+ *   npx tsx trust-achievement-backfill.ts [--notify] [--json]
+ */
+
+import { backfillAchievements } from './lib/trust-achievement-service'
+import persistentDataManager from './persistent-data-solution.js'
+
+async function main(): Promise<void> {
+  const args = process.argv.slice(2)
+  const json = args.includes('--json')
+
+  const summary = await backfillAchievements({ notify: args.includes('--notify') })
+
+  if (json) {
+    console.log(JSON.stringify(summary, null, 2))
+  } else {
+    summary.awards.forEach(entry => {
+      console.log(`  ${entry.userId}: ${entry.achievements.join(', ')}`)
+    })
+    console.log(`✅ Achievements: ${summary.scanned} members scanned, ${summary.awarded} badges awarded to ${summary.members} members`)
+  }
+
+  await persistentDataManager.cleanup()
+}
+
+main().catch(error => {
+  console.error(`❌ ${(error as Error).message}`)
+  process.exit(1)
+})
@@ -0,0 +1,35 @@
+/**
+ * ⏰ TRUST CHALLENGE EXPIRY
+ *
+ * Closes seasonal challenges whose end date has passed and expires the enrollments of
+ * members who had not finished them (each is notified). Completed enrollments keep their
+ * badge, points and multiplier.
+ *
+ * Usage (e.g. from cron every hour):
+ *   npx tsx trust-challenge-expiry.ts [--json]
+ */
+
+import { closeExpiredChallenges } from './lib/trust-challenge-service'
+import persistentDataManager from './persistent-data-solution.js'
+
+async function main(): Promise<void> {
+  const json = process.argv.slice(2).includes('--json')
+
+  const summary = await closeExpiredChallenges()
+
+  if (json) {
+    console.log(JSON.stringify(summary, null, 2))
+  } else {
+    summary.challenges.forEach(challenge => {
+      console.log(`  ${challenge.slug}: closed (ended ${new Date(challenge.endsAt).toISOString()})`)
+    })
+    console.log(`✅ Challenges: ${summary.closed} closed, ${summary.expired} enrollments expired`)
+  }
+
+  await persistentDataManager.cleanup()
+}
+
+main().catch(error => {
+  console.error(`❌ ${(error as Error).message}`)
+  process.exit(1)
+})
@@ -0,0 +1,111 @@
+/**
+ * 🕸️ TRUST COLLUSION SCAN
+ *
+ * Offline sybil / collusion detection over a database backup. Finds 5-star review rings
+ * and dense mutual-review clusters, then runs every high-confidence member through the
+ * penalty system as a collusionRing violation. Medium-confidence members are listed for
+ * manual review only.
+ *
+ * Usage:
+ *   npx tsx trust-collusion-scan.ts <backup.json> [--json] [--out penalties.json] [--apply]
+ *
+ * <backup.json> is a file written by PersistentDataManager.createBackup().
+ * --out writes the report and the penalties it would apply to a file.
+ * --apply records each penalty in the violation ledger against the member's live score
+ * (appealable, with a trust_score_history entry); without it nothing is changed.
+ */
+
+import fs from 'fs'
+import { detectCollusion, formatCollusionReport, CollusionReport } from './lib/trust-collusion-detector'
+import { TrustScorePenaltySystem } from './trust-score-penalty-system.js'
+
+const VIOLATION_TYPE = 'collusionRing'
+
+interface ScanArgs {
+  backup?: string
+  json: boolean
+  out?: string
+  apply: boolean
+}
+
+function parseArgs(argv: string[]): ScanArgs {
+  const args: ScanArgs = { json: false, apply: false }
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index]
+    if (arg === '--json') args.json = true
+    else if (arg === '--out') args.out = argv[++index]
+    else if (arg === '--apply') args.apply = true
+    else if (!args.backup) args.backup = arg
+  }
+
+  return args
+}
+
+// Penalty results for the high-confidence members, in the penalty system's own shape
+function buildPenalties(report: CollusionReport) {
+  const penaltySystem = new TrustScorePenaltySystem()
+  const clusters = new Map(report.clusters.map(cluster => [cluster.id, cluster]))
+
+  return report.flagged
+    .filter(flag => flag.confidence === 'high')
+    .map(flag => ({
+      userId: flag.userId,
+      ...penaltySystem.applyPenalty({ id: flag.userId, trustScore: flag.trustScore ?? undefined }, VIOLATION_TYPE, {
+        source: 'collusion-scan',
+        snapshotTakenAt: report.snapshotTakenAt,
+        clusters: flag.clusterIds.map(id => ({
+          id,
+          kind: clusters.get(id)!.kind,
+          members: clusters.get(id)!.members,
+          evidence: clusters.get(id)!.evidence
+        }))
+      })
+    }))
+}
+
+async function main(): Promise<void> {
+  const args = parseArgs(process.argv.slice(2))
+
+  if (!args.backup) {
+    console.error('Usage: npx tsx trust-collusion-scan.ts <backup.json> [--json] [--out penalties.json] [--apply]')
+    process.exit(1)
+  }
+
+  const backup = JSON.parse(fs.readFileSync(args.backup, 'utf8'))
+  const report = detectCollusion(backup)
+  const penalties = buildPenalties(report)
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify({ report, penalties }, null, 2))
+    console.log(`✅ Report written to ${args.out}`)
+  }
+  if (args.json) {
+    console.log(JSON.stringify({ report, penalties }, null, 2))
+  } else {
+    console.log(formatCollusionReport(report))
+    console.log('')
+    console.log(`Penalties (${VIOLATION_TYPE}): ${penalties.length}`)
+    penalties.forEach(penalty => {
+      console.log(`  ${penalty.userId}: ${penalty.oldScore} → ${penalty.newScore} (${penalty.actualPenalty})`)
+    })
+  }
+
+  if (!args.apply || penalties.length === 0) return
+
+  // Only load the data layer when writing, so scans stay fully offline. Penalties are
+  // re-applied against live scores and recorded in the violation ledger (appealable).
+  const { penalizeUser } = await import('./lib/trust-violation-service')
+  const { default: persistentDataManager } = await import('./persistent-data-solution.js')
+  for (const penalty of penalties) {
+    const { violation } = await penalizeUser(penalty.userId, VIOLATION_TYPE, penalty.context)
+    console.log(`  ${penalty.userId}: violation #${violation.id} ${violation.oldScore} → ${violation.newScore}`)
+  }
+  console.log(`✅ Applied ${penalties.length} ${VIOLATION_TYPE} penalties`)
+  await persistentDataManager.cleanup()
+}
+
+main().catch(error => {
+  console.error(`❌ ${(error as Error).message}`)
+  process.exit(1)
+})
@@ -0,0 +1,35 @@
+/**
+ * 🏆 TRUST LEADERBOARD SNAPSHOT
+ *
+ * Recomputes the global weekly, monthly and quarterly leaderboards (trust gained in the
+ * current window) so the home page is served a fresh snapshot. City and friends boards
+ * are computed when first requested.
+ *
+ * Usage (e.g. from cron every 10 minutes):
+ *   npx tsx trust-leaderboard-snapshot.ts [--json]
+ */
+
+import { refreshLeaderboards } from './lib/trust-leaderboard-service'
+import persistentDataManager from './persistent-data-solution.js'
+
+async function main(): Promise<void> {
+  const json = process.argv.slice(2).includes('--json')
+
+  const boards = await refreshLeaderboards()
+
+  if (json) {
+    console.log(JSON.stringify(boards, null, 2))
+  } else {
+    boards.forEach(board => {
+      console.log(`  ${board.period} (${board.window}): ${board.entries} members`)
+    })
+    console.log(`✅ Leaderboards: ${boards.length} boards refreshed`)
+  }
+
+  await persistentDataManager.cleanup()
+}
+
+main().catch(error => {
+  console.error(`❌ ${(error as Error).message}`)
+  process.exit(1)
+})
@@ -0,0 +1,37 @@
+/**
+ * 🌱 TRUST RECOVERY JOB
+ *
+ * Weekly good-behavior recovery. Starts a recovery plan for every restricted member who has
+ * none, credits each active plan with time_based_recovery for every full week since the
+ * member's last violation (or last credit), and completes plans whose member is back at the
+ * target score. Activity-based recovery actions are credited as the activity is recorded.
+ *
+ * Usage (e.g. from cron once a week):
+ *   npx tsx trust-recovery-job.ts [--json]
+ */
+
+import { runWeeklyRecovery } from './lib/trust-recovery-service'
+import persistentDataManager from './persistent-data-solution.js'
+
+async function main(): Promise<void> {
+  const json = process.argv.slice(2).includes('--json')
+
+  const summary = await runWeeklyRecovery()
+
+  if (json) {
+    console.log(JSON.stringify(summary, null, 2))
+  } else {
+    summary.grants.forEach(grant => {
+      const change = grant.points > 0 ? ` ${grant.oldScore} → ${grant.newScore}` : ''
+      console.log(`  ${grant.plan.userId}: +${grant.points}${change} (${grant.plan.status})`)
+    })
+    console.log(`✅ Recovery: ${summary.started} plans started, ${summary.processed} processed, ${summary.granted} granted, ${summary.completed} completed, ${summary.exhausted} exhausted`)
+  }
+
+  await persistentDataManager.cleanup()
+}
+
+main().catch(error => {
+  console.error(`❌ ${(error as Error).message}`)
+  process.exit(1)
+})
@@ -0,0 +1,35 @@
+/**
+ * ⏳ TRUST SANCTION EXPIRY
+ *
+ * Lifts every timed sanction whose end has passed and writes a trust_score_history entry
+ * for each one. Sanctions stop applying at their end time on their own; this job records
+ * the lift so the ledger and the member's history show when the restriction ended.
+ *
+ * Usage (e.g. from cron every 5 minutes):
+ *   npx tsx trust-sanction-expiry.ts [--json]
+ */
+
+import { liftExpiredSanctions } from './lib/trust-sanction-service'
+import persistentDataManager from './persistent-data-solution.js'
+
+async function main(): Promise<void> {
+  const json = process.argv.slice(2).includes('--json')
+
+  const lifted = await liftExpiredSanctions()
+
+  if (json) {
+    console.log(JSON.stringify({ lifted }, null, 2))
+  } else {
+    lifted.forEach(sanction => {
+      console.log(`  ${sanction.userId}: ${sanction.type} #${sanction.id} ended ${new Date(sanction.endsAt).toISOString()}`)
+    })
+    console.log(`✅ Lifted ${lifted.length} expired sanctions`)
+  }
+
+  await persistentDataManager.cleanup()
+}
+
+main().catch(error => {
+  console.error(`❌ ${(error as Error).message}`)
+  process.exit(1)
+})
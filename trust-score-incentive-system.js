@@ -26,17 +26,25 @@ class TrustScoreIncentiveSystem {
                 profileComplete: { points: 20, message: "📋 +20 bonus points for 100% profile completion!" }
             }
         };
+
+        // What each milestone measures and the value that reaches it
+        this.milestoneThresholds = {
+            first5Friends: { action: 'addFriend', metric: 'friendsCount', threshold: 5 },
+            first10Events: { action: 'attendEvent', metric: 'eventsAttended', threshold: 10 },
+            allSocialConnected: { action: 'connectSocialAccount', metric: 'connectedAccounts', threshold: 5 }, // All major platforms
+            profileComplete: { action: 'completeProfile', metric: 'profileCompletion', threshold: 100 }
+        };
     }
 
     /**
      * Calculate trust score increase for specific actions
      */
-    calculateIncentiveReward(action, currentUser) {
+    calculateIncentiveReward(action, currentUser, previousUser = {}) {
         const incentive = this.incentives[action];
         if (!incentive) return { points: 0, message: "" };
 
         // Check for milestone bonuses
-        const milestoneBonus = this.checkMilestones(action, currentUser);
+        const milestoneBonus = this.checkMilestones(action, currentUser, previousUser);
         
         return {
             points: incentive.points + milestoneBonus.points,
@@ -50,40 +58,32 @@ class TrustScoreIncentiveSystem {
     }
 
     /**
-     * Check if user hit any milestones
+     * Check if the action took the user across a milestone threshold (below it before,
+     * at or above it after). Without the previous state any reached milestone counts, so
+     * callers must record granted milestones to avoid paying them twice.
      */
-    checkMilestones(action, user) {
-        const milestones = this.incentives.milestones;
-        
-        switch(action) {
-            case 'addFriend':
-                if ((user.friendsCount || 0) === 5) {
-                    return milestones.first5Friends;
-                }
-                break;
-                
-            case 'attendEvent':
-                if ((user.eventsAttended || 0) === 10) {
-                    return milestones.first10Events;
-                }
-                break;
-                
-            case 'connectSocialAccount':
-                const connectedCount = user.connectedAccounts?.length || 0;
-                if (connectedCount >= 5) { // All major platforms connected
-                    return milestones.allSocialConnected;
-                }
-                break;
-                
-            case 'completeProfile':
-                const completion = this.calculateProfileCompletion(user);
-                if (completion >= 100) {
-                    return milestones.profileComplete;
-                }
-                break;
+    checkMilestones(action, user, previousUser = {}) {
+        const crossed = Object.entries(this.milestoneThresholds).find(([, { action: milestoneAction, metric, threshold }]) =>
+            milestoneAction === action &&
+            this.getMilestoneMetric(metric, previousUser) < threshold &&
+            this.getMilestoneMetric(metric, user) >= threshold
+        );
+
+        return crossed ? this.incentives.milestones[crossed[0]] : { points: 0, message: "" };
+    }
+
+    /**
+     * Current value of a milestone metric
+     */
+    getMilestoneMetric(metric, user) {
+        switch(metric) {
+            case 'connectedAccounts':
+                return user.connectedAccounts?.length || user.connectedSocialAccounts || 0;
+            case 'profileCompletion':
+                return this.calculateProfileCompletion(user);
+            default:
+                return user[metric] || 0;
         }
-        
-        return { points: 0, message: "" };
     }
 
     /**
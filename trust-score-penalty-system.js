@@ -67,6 +67,12 @@ class TrustScorePenaltySystem {
                 category: 'trust',
                 severity: 'critical'
             },
+            collusionRing: {
+                points: -40,
+                message: "🕸️ -40 points: Coordinated friend or review ring detected",
+                category: 'trust',
+                severity: 'high'
+            },
             
             // Event violations
             noShowEvent: { 
@@ -143,6 +149,8 @@ class TrustScorePenaltySystem {
             }
         };
 
+        this.recoveryTargetScore = 50; // Score at which a recovery plan is complete
+
         this.recoveryPaths = {
             // Ways to recover from low trust scores
             restrictedUser: [
@@ -155,6 +163,27 @@ class TrustScorePenaltySystem {
         };
     }
 
+    /**
+     * Replace the configurable parts of the catalogue (see lib/trust-penalty-catalogue.ts).
+     * Anything not given keeps its current value.
+     * @param {{ penalties?: object, repeatOffenderMultiplier?: number, restrictionTiers?: object }} [catalogue]
+     */
+    configure({ penalties, repeatOffenderMultiplier, restrictionTiers } = {}) {
+        if (penalties) {
+            this.penalties = { ...penalties, repeatOffender: this.penalties.repeatOffender };
+        }
+        if (repeatOffenderMultiplier !== undefined) {
+            this.penalties.repeatOffender = {
+                multiplier: repeatOffenderMultiplier,
+                message: `🔄 Repeat offense: ${repeatOffenderMultiplier}x penalty multiplier`
+            };
+        }
+        if (restrictionTiers) {
+            this.restrictionTiers = restrictionTiers;
+        }
+        return this;
+    }
+
     /**
      * Apply penalty for negative behavior
      */
@@ -218,7 +247,7 @@ class TrustScorePenaltySystem {
         // Find the appropriate restriction tier
         const tiers = Object.keys(this.restrictionTiers)
             .map(Number)
-            .sort((a, b) => b - a); // Sort descending
+            .sort((a, b) => a - b); // Sort ascending so the tightest tier at or above the score wins
         
         const applicableTier = tiers.find(tier => trustScore <= tier);
         
@@ -238,7 +267,7 @@ class TrustScorePenaltySystem {
      * Check if user can perform specific action
      */
     canUserPerformAction(user, action) {
-        const restrictions = this.getUserRestrictions(user.trustScore || 50);
+        const restrictions = this.getUserRestrictions(user.trustScore ?? 50);
         
         const actionMap = {
             'create_event': !restrictions.restrictions.includes('no_event_creation'),
@@ -264,7 +293,7 @@ class TrustScorePenaltySystem {
      * Generate recovery plan for restricted users
      */
     generateRecoveryPlan(currentScore) {
-        const targetScore = 50; // Goal to reach unrestricted status
+        const targetScore = this.recoveryTargetScore; // Goal to reach unrestricted status
         const pointsNeeded = targetScore - currentScore;
         
         const recoveryActions = this.recoveryPaths.restrictedUser.map(action => ({
@@ -474,6 +503,7 @@ PENALTIES FOR BAD BEHAVIOR:
 ❌ False/negative posts: -15 to -30 points
 💬 Flagged comments: -8 to -35 points  
 🚫 Hate speech: -50 points
+🕸️ Review/friend rings: -40 points
 🎭 Fake accounts: -60 points
 🎮 System gaming: -75 points
 🔄 Repeat offenses: 1.5x multiplier
@@ -0,0 +1,97 @@
+/**
+ * 🔮 TRUST SCORE WHAT-IF
+ *
+ * Compare two trust score models against a database backup before changing weights.
+ * Runs fully offline - it only reads the backup file and model definitions.
+ *
+ * Usage:
+ *   npx tsx trust-score-what-if.ts <backup.json> --candidate <model> [--baseline <model>] [--top 20] [--json] [--out report.json]
+ *
+ * <backup.json> is a file written by PersistentDataManager.createBackup().
+ * <model> is a built-in model id (v3-11-component, v4-enhanced-11-component, v5-ultimate)
+ * or a path to a model definition .json file. --baseline defaults to the active model.
+ * --out also writes the full JSON report to a file.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { TrustScoreEngine, trustScoreEngine } from './lib/trust-score-engine'
+import { BUILT_IN_MODELS } from './lib/trust-score-models'
+import { loadTrustScoreModelFile } from './lib/trust-score-model-loader'
+import { buildSnapshotUsers, simulateModelChange, formatSimulationReport } from './lib/trust-score-simulation'
+
+interface WhatIfArgs {
+  backup?: string
+  baseline: string
+  candidate?: string
+  top: number
+  json: boolean
+  out?: string
+}
+
+function parseArgs(argv: string[]): WhatIfArgs {
+  const args: WhatIfArgs = { baseline: trustScoreEngine.getActiveModelId(), top: 20, json: false }
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index]
+    if (arg === '--baseline') args.baseline = argv[++index]
+    else if (arg === '--candidate') args.candidate = argv[++index]
+    else if (arg === '--top') args.top = Number(argv[++index]) || args.top
+    else if (arg === '--json') args.json = true
+    else if (arg === '--out') args.out = argv[++index]
+    else if (!args.backup) args.backup = arg
+  }
+
+  return args
+}
+
+// Model files are registered on a private engine so they never affect the shared one.
+// A file that reuses a built-in id (an edited copy) is registered under "<id>:<file name>".
+function resolveModel(engine: TrustScoreEngine, model: string): string {
+  if (!model.endsWith('.json')) {
+    engine.getModel(model)
+    return model
+  }
+  const loaded = loadTrustScoreModelFile(model)
+  const taken = engine.listModels().some(registered => registered.id === loaded.id)
+  const id = taken ? `${loaded.id}:${path.basename(model)}` : loaded.id
+  engine.registerModel({ ...loaded, id })
+  return id
+}
+
+function main(): void {
+  const args = parseArgs(process.argv.slice(2))
+
+  if (!args.backup || !args.candidate) {
+    console.error('Usage: npx tsx trust-score-what-if.ts <backup.json> --candidate <model> [--baseline <model>] [--top 20] [--json] [--out report.json]')
+    process.exit(1)
+  }
+
+  const engine = new TrustScoreEngine(BUILT_IN_MODELS)
+  const baselineId = resolveModel(engine, args.baseline)
+  const candidateId = resolveModel(engine, args.candidate)
+  if (baselineId === candidateId) {
+    throw new Error(`Baseline and candidate are the same model (${baselineId})`)
+  }
+
+  const backup = JSON.parse(fs.readFileSync(args.backup, 'utf8'))
+  const snapshot = buildSnapshotUsers(backup)
+  const report = simulateModelChange(snapshot, baselineId, candidateId, engine)
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2))
+    console.log(`✅ Report written to ${args.out}`)
+  }
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2))
+  } else {
+    console.log(formatSimulationReport(report, args.top))
+  }
+}
+
+try {
+  main()
+} catch (error) {
+  console.error(`❌ ${(error as Error).message}`)
+  process.exit(1)
+}